@@ -0,0 +1,57 @@
+/**
+ * Licensed to the Apache Software Foundation (ASF) under one
+ * or more contributor license agreements.  See the NOTICE file
+ * distributed with this work for additional information
+ * regarding copyright ownership.  The ASF licenses this file
+ * to you under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance
+ * with the License.  You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an
+ * "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+ * KIND, either express or implied.  See the License for the
+ * specific language governing permissions and limitations
+ * under the License.
+ */
+import { validateDataMask, validateFilterIds } from "./dataMask";
+
+describe("data mask validation", () => {
+  it("accepts a valid data mask", () => {
+    expect(() =>
+      validateDataMask({
+        "NATIVE_FILTER-1": {
+          filterState: { value: ["a"] },
+          extraFormData: { filters: [{ col: "x", op: "IN", val: ["a"] }] },
+        },
+        "NATIVE_FILTER-2": {},
+      })
+    ).not.toThrow();
+  });
+
+  it("rejects a data mask that isn't keyed by filter id", () => {
+    expect(() => validateDataMask(null)).toThrow(TypeError);
+    expect(() => validateDataMask([{ filterState: {} }])).toThrow(TypeError);
+  });
+
+  it("rejects malformed filter masks", () => {
+    expect(() => validateDataMask({ "NATIVE_FILTER-1": "a" })).toThrow(
+      "dataMask for NATIVE_FILTER-1 must be an object"
+    );
+    expect(() => validateDataMask({ "NATIVE_FILTER-1": { foo: {} } })).toThrow(
+      "Unsupported dataMask key for NATIVE_FILTER-1: foo"
+    );
+    expect(() =>
+      validateDataMask({ "NATIVE_FILTER-1": { filterState: "a" } })
+    ).toThrow("dataMask.filterState for NATIVE_FILTER-1 must be an object");
+  });
+
+  it("validates filter ids", () => {
+    expect(() => validateFilterIds(undefined)).not.toThrow();
+    expect(() => validateFilterIds(["NATIVE_FILTER-1"])).not.toThrow();
+    expect(() => validateFilterIds("NATIVE_FILTER-1")).toThrow(TypeError);
+    expect(() => validateFilterIds([1])).toThrow(TypeError);
+  });
+});
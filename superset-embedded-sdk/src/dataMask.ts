@@ -0,0 +1,72 @@
+/**
+ * Licensed to the Apache Software Foundation (ASF) under one
+ * or more contributor license agreements.  See the NOTICE file
+ * distributed with this work for additional information
+ * regarding copyright ownership.  The ASF licenses this file
+ * to you under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance
+ * with the License.  You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an
+ * "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+ * KIND, either express or implied.  See the License for the
+ * specific language governing permissions and limitations
+ * under the License.
+ */
+/**
+ * The state of a single native filter, as stored by the dashboard.
+ * `filterState.value` holds the selected value(s), `extraFormData` the
+ * query clauses the filter applies to charts in scope.
+ */
+export type DataMask = {
+  extraFormData?: Record<string, any>
+  filterState?: {
+    value?: any
+    [key: string]: any
+  }
+  ownState?: Record<string, any>
+}
+
+/** Data masks keyed by native filter id, e.g. "NATIVE_FILTER-abc123" */
+export type DataMaskState = {
+  [filterId: string]: DataMask
+}
+
+const DATA_MASK_KEYS = ["extraFormData", "filterState", "ownState"];
+
+function isPlainObject(value: unknown): value is Record<string, unknown> {
+  return typeof value === "object" && value !== null && !Array.isArray(value);
+}
+
+// throws a TypeError if the data mask can't be applied to a dashboard
+export function validateDataMask(dataMask: unknown): asserts dataMask is DataMaskState {
+  if (!isPlainObject(dataMask)) {
+    throw new TypeError("dataMask must be an object keyed by native filter id");
+  }
+  Object.entries(dataMask).forEach(([filterId, mask]) => {
+    if (!isPlainObject(mask)) {
+      throw new TypeError(`dataMask for ${filterId} must be an object`);
+    }
+    Object.entries(mask).forEach(([key, value]) => {
+      if (!DATA_MASK_KEYS.includes(key)) {
+        throw new TypeError(`Unsupported dataMask key for ${filterId}: ${key}`);
+      }
+      if (value !== undefined && !isPlainObject(value)) {
+        throw new TypeError(`dataMask.${key} for ${filterId} must be an object`);
+      }
+    });
+  });
+}
+
+// throws a TypeError unless filterIds is undefined or a list of filter ids
+export function validateFilterIds(filterIds: unknown): asserts filterIds is string[] | undefined {
+  if (
+    filterIds !== undefined &&
+    (!Array.isArray(filterIds) || !filterIds.every(filterId => typeof filterId === "string"))
+  ) {
+    throw new TypeError("filterIds must be an array of native filter ids");
+  }
+}
@@ -0,0 +1,67 @@
+/**
+ * Licensed to the Apache Software Foundation (ASF) under one
+ * or more contributor license agreements.  See the NOTICE file
+ * distributed with this work for additional information
+ * regarding copyright ownership.  The ASF licenses this file
+ * to you under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance
+ * with the License.  You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an
+ * "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+ * KIND, either express or implied.  See the License for the
+ * specific language governing permissions and limitations
+ * under the License.
+ */
+import { EmbeddedEventRegistry } from "./events";
+
+describe("embedded event registry", () => {
+  it("calls the handlers of the dispatched event", () => {
+    const registry = new EmbeddedEventRegistry();
+    const onTabChange = jest.fn();
+    const onChartLoaded = jest.fn();
+    registry.on("tabChange", onTabChange);
+    registry.on("chartLoaded", onChartLoaded);
+
+    registry.dispatch("tabChange", { activeTabs: ["TAB-1"] });
+
+    expect(onTabChange).toHaveBeenCalledWith({ activeTabs: ["TAB-1"] });
+    expect(onChartLoaded).not.toHaveBeenCalled();
+  });
+
+  it("stops calling a handler once unsubscribed", () => {
+    const registry = new EmbeddedEventRegistry();
+    const handler = jest.fn();
+    const unsubscribe = registry.on("chartLoaded", handler);
+
+    registry.dispatch("chartLoaded", { chartId: 1 });
+    unsubscribe();
+    registry.dispatch("chartLoaded", { chartId: 2 });
+
+    expect(handler).toHaveBeenCalledTimes(1);
+  });
+
+  it("keeps calling handlers after one of them throws", () => {
+    const registry = new EmbeddedEventRegistry();
+    const handler = jest.fn();
+    jest.spyOn(console, "error").mockImplementation(() => {});
+    registry.on("drill", () => {
+      throw new Error("oops");
+    });
+    registry.on("drill", handler);
+
+    registry.dispatch("drill", { chartId: 1, drillType: "drillBy" });
+
+    expect(handler).toHaveBeenCalledTimes(1);
+    expect(console.error).toHaveBeenCalled();
+  });
+
+  it("rejects handlers that aren't functions", () => {
+    const registry = new EmbeddedEventRegistry();
+    // @ts-expect-error
+    expect(() => registry.on("tabChange", "nope")).toThrow(TypeError);
+  });
+});
@@ -0,0 +1,91 @@
+/**
+ * Licensed to the Apache Software Foundation (ASF) under one
+ * or more contributor license agreements.  See the NOTICE file
+ * distributed with this work for additional information
+ * regarding copyright ownership.  The ASF licenses this file
+ * to you under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance
+ * with the License.  You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an
+ * "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+ * KIND, either express or implied.  See the License for the
+ * specific language governing permissions and limitations
+ * under the License.
+ */
+import { DataMask } from "./dataMask";
+
+/** Name of the Switchboard method the embedded app pushes events through */
+export const EMBEDDED_EVENT_METHOD = "embeddedEvent";
+
+/** Payloads of the events pushed by an embedded dashboard, by event name */
+export type EmbeddedEventMap = {
+  /** A native filter's value changed */
+  filterChange: { filterId: string, dataMask: DataMask }
+  /** A cross-filter was set or cleared by clicking on a chart */
+  crossFilter: { chartId: number, dataMask: DataMask }
+  /** The user switched tabs */
+  tabChange: { activeTabs: string[] }
+  /** A chart finished rendering */
+  chartLoaded: { chartId: number }
+  /** A chart failed to query or render */
+  chartFailed: { chartId: number, error: string | null }
+  /** The user opened drill to detail or drill by on a chart */
+  drill: { chartId: number, drillType: "drillToDetail" | "drillBy" }
+}
+
+export type EmbeddedEvent = keyof EmbeddedEventMap;
+
+export type EmbeddedEventHandler<E extends EmbeddedEvent> = (payload: EmbeddedEventMap[E]) => void;
+
+type EmbeddedEventHandlers = {
+  [E in EmbeddedEvent]?: Set<EmbeddedEventHandler<E>>
+};
+
+// keeps track of the host app's handlers and calls them when events arrive
+export class EmbeddedEventRegistry {
+  private handlers: EmbeddedEventHandlers = {};
+
+  constructor(private log: (...info: unknown[]) => void = () => {}) {}
+
+  /** Returns the handlers of an event, creating the set on first use */
+  private getHandlers<E extends EmbeddedEvent>(event: E): Set<EmbeddedEventHandler<E>> {
+    // narrowing the map to the event lets typescript index it with the generic key
+    const handlersByEvent: { [K in E]?: Set<EmbeddedEventHandler<K>> } = this.handlers;
+    const handlers = handlersByEvent[event] ?? new Set<EmbeddedEventHandler<E>>();
+    handlersByEvent[event] = handlers;
+    return handlers;
+  }
+
+  /** Registers a handler, returns a function that unregisters it */
+  on<E extends EmbeddedEvent>(event: E, handler: EmbeddedEventHandler<E>): () => void {
+    if (typeof handler !== "function") {
+      throw new TypeError("handler must be a function");
+    }
+    const handlers = this.getHandlers(event);
+    handlers.add(handler);
+    return () => {
+      handlers.delete(handler);
+    };
+  }
+
+  dispatch<E extends EmbeddedEvent>(event: E, payload: EmbeddedEventMap[E]) {
+    this.log("received event", event, payload);
+    const handlers: EmbeddedEventHandlers[E] = this.handlers[event];
+    handlers?.forEach(handler => {
+      try {
+        handler(payload);
+      } catch (err) {
+        // one failing handler shouldn't keep the others from being called
+        console.error(`[superset-embedded-sdk] ${event} handler threw an error`, err);
+      }
+    });
+  }
+
+  clear() {
+    this.handlers = {};
+  }
+}
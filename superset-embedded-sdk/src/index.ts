@@ -25,6 +25,18 @@ import {
 // We can swap this out for the actual switchboard package once it gets published
 import { Switchboard } from '@superset-ui/switchboard';
 import { getGuestTokenRefreshTiming } from './guestTokenRefresh';
+import { DataMaskState, validateDataMask, validateFilterIds } from './dataMask';
+
+import {
+  EMBEDDED_EVENT_METHOD,
+  EmbeddedEvent,
+  EmbeddedEventHandler,
+  EmbeddedEventMap,
+  EmbeddedEventRegistry,
+} from './events';
+
+export type { DataMask, DataMaskState } from './dataMask';
+export type { EmbeddedEvent, EmbeddedEventHandler, EmbeddedEventMap } from './events';
 
 /**
  * The function to fetch a guest token from your Host App's backend server.
@@ -66,15 +78,159 @@ export type EmbedDashboardParams = {
   iframeSandboxExtras?: string[]
 }
 
+export type EmbedChartParams = {
+  /** The id of the chart to embed, which the guest token must grant access to */
+  id: number
+  /** The domain where Superset can be located, with protocol, such as: https://superset.example.com */
+  supersetDomain: string
+  /** The html element within which to mount the iframe */
+  mountPoint: HTMLElement
+  /** A function to fetch a guest token scoped to the chart from the Host App's backend server */
+  fetchGuestToken: GuestTokenFetchFn
+  /** The chart UI config: urlParams **/
+  chartUiConfig?: Pick<UiConfigType, 'urlParams'>
+  /** Are we in debug mode? */
+  debug?: boolean
+  /** The iframe title attribute */
+  iframeTitle?: string
+  /** additional iframe sandbox attributes ex (allow-top-navigation, allow-popups-to-escape-sandbox) **/
+  iframeSandboxExtras?: string[]
+}
+
 export type Size = {
   width: number, height: number
 }
 
+export type ChartDataFormat = 'csv' | 'xlsx' | 'json'
+
+const CHART_DATA_FORMATS: ChartDataFormat[] = ['csv', 'xlsx', 'json'];
+
+export type EmbeddedChartEvent = Extract<EmbeddedEvent, 'chartLoaded' | 'chartFailed'>
+
+export type EmbeddedChart = {
+  getScrollSize: () => Promise<Size>
+  unmount: () => void
+  /** Exports the full results of the chart as a file */
+  exportData: (format?: ChartDataFormat) => Promise<Blob>
+  /** Calls the handler whenever the event happens in the chart, returns a function to unsubscribe */
+  on: <E extends EmbeddedChartEvent>(event: E, handler: EmbeddedEventHandler<E>) => () => void
+}
+
 export type EmbeddedDashboard = {
   getScrollSize: () => Promise<Size>
   unmount: () => void
   getDashboardPermalink: (anchor: string) => Promise<string>
   getActiveTabs: () => Promise<string[]>
+  /** Applies the given data masks to the dashboard's native filters */
+  setNativeFilters: (dataMask: DataMaskState) => Promise<void>
+  /** Returns the current data masks of the dashboard, keyed by filter id */
+  getDataMask: () => Promise<DataMaskState>
+  /** Resets the given native filters, or all of them when no ids are passed */
+  clearFilters: (filterIds?: string[]) => Promise<void>
+  /** Calls the handler whenever the event happens in the dashboard, returns a function to unsubscribe */
+  on: <E extends EmbeddedEvent>(event: E, handler: EmbeddedEventHandler<E>) => () => void
+}
+
+type MountIframeParams = {
+  src: string
+  supersetDomain: string
+  mountPoint: HTMLElement
+  urlParams: Record<string, any>
+  iframeTitle: string
+  iframeSandboxExtras: string[]
+  debug: boolean
+  log: (...info: unknown[]) => void
+}
+
+/**
+ * Mounts an iframe pointing at an embedded Superset page,
+ * and resolves with the switchboard used to talk to it once it has loaded.
+ */
+async function mountIframe({
+  src,
+  supersetDomain,
+  mountPoint,
+  urlParams,
+  iframeTitle,
+  iframeSandboxExtras,
+  debug,
+  log,
+}: MountIframeParams): Promise<Switchboard> {
+  return new Promise(resolve => {
+    const iframe = document.createElement('iframe');
+    const urlParamsString = Object.keys(urlParams).length ? '?' + new URLSearchParams(urlParams).toString() : ''
+
+    // set up the iframe's sandbox configuration
+    iframe.sandbox.add("allow-same-origin"); // needed for postMessage to work
+    iframe.sandbox.add("allow-scripts"); // obviously the iframe needs scripts
+    iframe.sandbox.add("allow-presentation"); // for fullscreen charts
+    iframe.sandbox.add("allow-downloads"); // for downloading charts as image
+    iframe.sandbox.add("allow-forms"); // for forms to submit
+    iframe.sandbox.add("allow-popups"); // for exporting charts as csv
+    // additional sandbox props
+    iframeSandboxExtras.forEach((key: string) => {
+      iframe.sandbox.add(key);
+    });
+
+    // add the event listener before setting src, to be 100% sure that we capture the load event
+    iframe.addEventListener('load', () => {
+      // MessageChannel allows us to send and receive messages smoothly between our window and the iframe
+      // See https://developer.mozilla.org/en-US/docs/Web/API/Channel_Messaging_API
+      const commsChannel = new MessageChannel();
+      const ourPort = commsChannel.port1;
+      const theirPort = commsChannel.port2;
+
+      // Send one of the message channel ports to the iframe to initialize embedded comms
+      // See https://developer.mozilla.org/en-US/docs/Web/API/Window/postMessage
+      // we know the content window isn't null because we are in the load event handler.
+      iframe.contentWindow!.postMessage(
+        { type: IFRAME_COMMS_MESSAGE_TYPE, handshake: "port transfer" },
+        supersetDomain,
+        [theirPort],
+      )
+      log('sent message channel to the iframe');
+
+      // return our port from the promise
+      resolve(new Switchboard({ port: ourPort, name: 'superset-embedded-sdk', debug }));
+    });
+    iframe.src = `${src}${urlParamsString}`;
+    iframe.title = iframeTitle;
+    //@ts-ignore
+    mountPoint.replaceChildren(iframe);
+    log('placed the iframe')
+  });
+}
+
+/**
+ * Sends the guest token to the embedded page, and keeps sending it fresh ones before it expires.
+ */
+function startGuestTokenRefresh(
+  ourPort: Switchboard,
+  guestToken: string,
+  fetchGuestToken: GuestTokenFetchFn,
+  log: (...info: unknown[]) => void,
+) {
+  ourPort.emit('guestToken', { guestToken });
+  log('sent guest token');
+
+  async function refreshGuestToken() {
+    const newGuestToken = await fetchGuestToken();
+    ourPort.emit('guestToken', { guestToken: newGuestToken });
+    setTimeout(refreshGuestToken, getGuestTokenRefreshTiming(newGuestToken));
+  }
+
+  setTimeout(refreshGuestToken, getGuestTokenRefreshTiming(guestToken));
+}
+
+// dispatches the events pushed by the embedded page to the host app's handlers
+function listenToEvents(ourPort: Switchboard, log: (...info: unknown[]) => void) {
+  const events = new EmbeddedEventRegistry(log);
+  ourPort.defineMethod<{ event: EmbeddedEvent, payload: EmbeddedEventMap[EmbeddedEvent] }>(
+    EMBEDDED_EVENT_METHOD,
+    ({ event, payload }) => events.dispatch(event, payload),
+  );
+  ourPort.start();
+  return events;
 }
 
 /**
@@ -118,78 +274,35 @@ export async function embedDashboard({
     return configNumber
   }
 
-  async function mountIframe(): Promise<Switchboard> {
-    return new Promise(resolve => {
-      const iframe = document.createElement('iframe');
-      const dashboardConfigUrlParams = dashboardUiConfig ? {uiConfig: `${calculateConfig()}`} : undefined;
-      const filterConfig = dashboardUiConfig?.filters || {}
-      const filterConfigKeys = Object.keys(filterConfig)
-      const filterConfigUrlParams = Object.fromEntries(filterConfigKeys.map(
-        key => [DASHBOARD_UI_FILTER_CONFIG_URL_PARAM_KEY[key], filterConfig[key]]))
-
-      // Allow url query parameters from dashboardUiConfig.urlParams to override the ones from filterConfig
-      const urlParams = {...dashboardConfigUrlParams, ...filterConfigUrlParams, ...dashboardUiConfig?.urlParams}
-      const urlParamsString = Object.keys(urlParams).length ? '?' + new URLSearchParams(urlParams).toString() : ''
-
-      // set up the iframe's sandbox configuration
-      iframe.sandbox.add("allow-same-origin"); // needed for postMessage to work
-      iframe.sandbox.add("allow-scripts"); // obviously the iframe needs scripts
-      iframe.sandbox.add("allow-presentation"); // for fullscreen charts
-      iframe.sandbox.add("allow-downloads"); // for downloading charts as image
-      iframe.sandbox.add("allow-forms"); // for forms to submit
-      iframe.sandbox.add("allow-popups"); // for exporting charts as csv
-      // additional sandbox props
-      iframeSandboxExtras.forEach((key: string) => {
-        iframe.sandbox.add(key);
-      });
-
-      // add the event listener before setting src, to be 100% sure that we capture the load event
-      iframe.addEventListener('load', () => {
-        // MessageChannel allows us to send and receive messages smoothly between our window and the iframe
-        // See https://developer.mozilla.org/en-US/docs/Web/API/Channel_Messaging_API
-        const commsChannel = new MessageChannel();
-        const ourPort = commsChannel.port1;
-        const theirPort = commsChannel.port2;
-
-        // Send one of the message channel ports to the iframe to initialize embedded comms
-        // See https://developer.mozilla.org/en-US/docs/Web/API/Window/postMessage
-        // we know the content window isn't null because we are in the load event handler.
-        iframe.contentWindow!.postMessage(
-          { type: IFRAME_COMMS_MESSAGE_TYPE, handshake: "port transfer" },
-          supersetDomain,
-          [theirPort],
-        )
-        log('sent message channel to the iframe');
-
-        // return our port from the promise
-        resolve(new Switchboard({ port: ourPort, name: 'superset-embedded-sdk', debug }));
-      });
-      iframe.src = `${supersetDomain}/embedded/${id}${urlParamsString}`;
-      iframe.title = iframeTitle;
-      //@ts-ignore
-      mountPoint.replaceChildren(iframe);
-      log('placed the iframe')
-    });
-  }
+  const dashboardConfigUrlParams = dashboardUiConfig ? {uiConfig: `${calculateConfig()}`} : undefined;
+  const filterConfig = dashboardUiConfig?.filters || {}
+  const filterConfigKeys = Object.keys(filterConfig)
+  const filterConfigUrlParams = Object.fromEntries(filterConfigKeys.map(
+    key => [DASHBOARD_UI_FILTER_CONFIG_URL_PARAM_KEY[key], filterConfig[key]]))
+
+  // Allow url query parameters from dashboardUiConfig.urlParams to override the ones from filterConfig
+  const urlParams = {...dashboardConfigUrlParams, ...filterConfigUrlParams, ...dashboardUiConfig?.urlParams}
 
   const [guestToken, ourPort]: [string, Switchboard] = await Promise.all([
     fetchGuestToken(),
-    mountIframe(),
+    mountIframe({
+      src: `${supersetDomain}/embedded/${id}`,
+      supersetDomain,
+      mountPoint,
+      urlParams,
+      iframeTitle,
+      iframeSandboxExtras,
+      debug,
+      log,
+    }),
   ]);
 
-  ourPort.emit('guestToken', { guestToken });
-  log('sent guest token');
-
-  async function refreshGuestToken() {
-    const newGuestToken = await fetchGuestToken();
-    ourPort.emit('guestToken', { guestToken: newGuestToken });
-    setTimeout(refreshGuestToken, getGuestTokenRefreshTiming(newGuestToken));
-  }
-
-  setTimeout(refreshGuestToken, getGuestTokenRefreshTiming(guestToken));
+  const events = listenToEvents(ourPort, log);
+  startGuestTokenRefresh(ourPort, guestToken, fetchGuestToken, log);
 
   function unmount() {
     log('unmounting');
+    events.clear();
     //@ts-ignore
     mountPoint.replaceChildren();
   }
@@ -198,11 +311,94 @@ export async function embedDashboard({
   const getDashboardPermalink = (anchor: string) =>
     ourPort.get<string>('getDashboardPermalink', { anchor });
   const getActiveTabs = () => ourPort.get<string[]>('getActiveTabs')
+  const setNativeFilters = async (dataMask: DataMaskState) => {
+    validateDataMask(dataMask);
+    await ourPort.get<void>('setNativeFilters', { dataMask });
+  };
+  const getDataMask = () => ourPort.get<DataMaskState>('getDataMask');
+  const clearFilters = async (filterIds?: string[]) => {
+    validateFilterIds(filterIds);
+    await ourPort.get<void>('clearFilters', { filterIds });
+  };
+
+  const on = <E extends EmbeddedEvent>(event: E, handler: EmbeddedEventHandler<E>) =>
+    events.on(event, handler);
 
   return {
     getScrollSize,
     unmount,
     getDashboardPermalink,
     getActiveTabs,
+    setNativeFilters,
+    getDataMask,
+    clearFilters,
+    on,
+  };
+}
+
+/**
+ * Embeds a single Superset chart into the page using an iframe.
+ */
+export async function embedChart({
+  id,
+  supersetDomain,
+  mountPoint,
+  fetchGuestToken,
+  chartUiConfig,
+  debug = false,
+  iframeTitle = "Embedded Chart",
+  iframeSandboxExtras = []
+}: EmbedChartParams): Promise<EmbeddedChart> {
+  function log(...info: unknown[]) {
+    if (debug) {
+      console.debug(`[superset-embedded-sdk][chart ${id}]`, ...info);
+    }
+  }
+
+  log('embedding');
+
+  if (supersetDomain.endsWith("/")) {
+    supersetDomain = supersetDomain.slice(0, -1);
+  }
+
+  const [guestToken, ourPort]: [string, Switchboard] = await Promise.all([
+    fetchGuestToken(),
+    mountIframe({
+      src: `${supersetDomain}/embedded/chart/${id}`,
+      supersetDomain,
+      mountPoint,
+      urlParams: { ...chartUiConfig?.urlParams },
+      iframeTitle,
+      iframeSandboxExtras,
+      debug,
+      log,
+    }),
+  ]);
+
+  const events = listenToEvents(ourPort, log);
+  startGuestTokenRefresh(ourPort, guestToken, fetchGuestToken, log);
+
+  function unmount() {
+    log('unmounting');
+    events.clear();
+    //@ts-ignore
+    mountPoint.replaceChildren();
+  }
+
+  const getScrollSize = () => ourPort.get<Size>('getScrollSize');
+  const exportData = async (format: ChartDataFormat = 'csv') => {
+    if (!CHART_DATA_FORMATS.includes(format)) {
+      throw new TypeError(`format must be one of ${CHART_DATA_FORMATS.join(', ')}`);
+    }
+    return ourPort.get<Blob>('exportChartData', { format });
+  };
+  const on = <E extends EmbeddedChartEvent>(event: E, handler: EmbeddedEventHandler<E>) =>
+    events.on(event, handler);
+
+  return {
+    getScrollSize,
+    unmount,
+    exportData,
+    on,
   };
 }
@@ -282,6 +282,8 @@ export enum QueryState {
   Success = 'success',
   Fetching = 'fetching',
   TimedOut = 'timed_out',
+  // only known to SQL Lab, for queries run while offline
+  Queued = 'queued',
 }
 
 // Indicates a Query's state is still processing
@@ -311,6 +313,7 @@ export type Query = {
   extra: {
     progress: string | null;
     errors?: SupersetError[];
+    status_pushed?: boolean;
   };
   id: string;
   isDataPreview: boolean;
@@ -346,6 +349,9 @@ export type Query = {
   type: DatasourceType;
   columns: QueryColumn[];
   runAsync?: boolean;
+  // offset of the next page of results to fetch, null once all were fetched
+  nextResultsOffset?: number | null;
+  fetchingResultsPage?: boolean;
 };
 
 export type QueryResults = {
@@ -17,6 +17,7 @@
  * under the License.
  */
 import { AriaAttributes } from 'react';
+import { TextDecoder, TextEncoder } from 'util';
 import 'core-js/stable';
 import 'regenerator-runtime/runtime';
 import 'abortcontroller-polyfill/dist/abortcontroller-polyfill-only';
@@ -57,6 +58,14 @@ g.window.IntersectionObserver ??= IntersectionObserver;
 g.window.ResizeObserver ??= ResizeObserver;
 g.window.featureFlags ??= {};
 g.URL.createObjectURL ??= () => '';
+// the bytes are copied to the Uint8Array of the test environment, the one of
+// Node fails the instanceof checks of the libraries
+g.TextEncoder ??= class extends TextEncoder {
+  encode(input?: string) {
+    return new Uint8Array(super.encode(input));
+  }
+};
+g.TextDecoder ??= TextDecoder;
 g.caches = new CacheStorage();
 
 Object.defineProperty(window, 'matchMedia', {
@@ -20,6 +20,7 @@ import { nanoid } from 'nanoid';
 import rison from 'rison';
 import {
   FeatureFlag,
+  QueryState,
   SupersetClient,
   t,
   isFeatureEnabled,
@@ -29,6 +30,11 @@ import {
 import { invert, mapKeys } from 'lodash';
 
 import { now } from 'src/utils/dates';
+import {
+  getItem,
+  LocalStorageKeys,
+  setItem,
+} from 'src/utils/localStorageHelpers';
 import {
   addDangerToast as addDangerToastAction,
   addInfoToast as addInfoToastAction,
@@ -41,6 +47,9 @@ import { logEvent } from 'src/logger/actions';
 import { newQueryTabName } from '../utils/newQueryTabName';
 import getInitialState from '../reducers/getInitialState';
 import { rehydratePersistedState } from '../utils/reduxStateToLocalStorageHelper';
+import { readSqlLabState } from '../utils/indexedDbStorage';
+import getStatementAtCursor from '../utils/getStatementAtCursor';
+import { QUERY_RESULTS_PAGE_SIZE } from '../constants';
 
 export const RESET_STATE = 'RESET_STATE';
 export const ADD_QUERY_EDITOR = 'ADD_QUERY_EDITOR';
@@ -82,10 +91,25 @@ export const SET_TABLES = 'SET_TABLES';
 export const SET_ACTIVE_SOUTHPANE_TAB = 'SET_ACTIVE_SOUTHPANE_TAB';
 export const REFRESH_QUERIES = 'REFRESH_QUERIES';
 export const SET_USER_OFFLINE = 'SET_USER_OFFLINE';
+export const QUEUE_OFFLINE_QUERY = 'QUEUE_OFFLINE_QUERY';
+export const REMOVE_OFFLINE_QUERY = 'REMOVE_OFFLINE_QUERY';
+export const MOVE_OFFLINE_QUERY = 'MOVE_OFFLINE_QUERY';
+export const SET_EDITOR_CONFLICT = 'SET_EDITOR_CONFLICT';
+export const SYNC_QUERY_STATUS = 'SYNC_QUERY_STATUS';
+export const RESOLVE_EDITOR_CONFLICT = 'RESOLVE_EDITOR_CONFLICT';
+export const SAVE_SNIPPET = 'SAVE_SNIPPET';
+export const REMOVE_SNIPPET = 'REMOVE_SNIPPET';
+export const SET_KEY_BINDING = 'SET_KEY_BINDING';
+export const RESET_KEY_BINDINGS = 'RESET_KEY_BINDINGS';
+export const ADD_QUERY_EDITOR_REVISION = 'ADD_QUERY_EDITOR_REVISION';
 export const RUN_QUERY = 'RUN_QUERY';
 export const START_QUERY = 'START_QUERY';
 export const STOP_QUERY = 'STOP_QUERY';
 export const REQUEST_QUERY_RESULTS = 'REQUEST_QUERY_RESULTS';
+export const REQUEST_QUERY_RESULTS_PAGE = 'REQUEST_QUERY_RESULTS_PAGE';
+export const QUERY_RESULTS_PAGE_SUCCESS = 'QUERY_RESULTS_PAGE_SUCCESS';
+export const QUERY_RESULTS_PAGE_FAILED = 'QUERY_RESULTS_PAGE_FAILED';
+export const SET_STATEMENT_QUERY_ID = 'SET_STATEMENT_QUERY_ID';
 export const QUERY_SUCCESS = 'QUERY_SUCCESS';
 export const QUERY_FAILED = 'QUERY_FAILED';
 export const CLEAR_INACTIVE_QUERIES = 'CLEAR_INACTIVE_QUERIES';
@@ -97,6 +121,10 @@ export const COST_ESTIMATE_STARTED = 'COST_ESTIMATE_STARTED';
 export const COST_ESTIMATE_RETURNED = 'COST_ESTIMATE_RETURNED';
 export const COST_ESTIMATE_FAILED = 'COST_ESTIMATE_FAILED';
 
+export const EXPLAIN_QUERY_STARTED = 'EXPLAIN_QUERY_STARTED';
+export const EXPLAIN_QUERY_RETURNED = 'EXPLAIN_QUERY_RETURNED';
+export const EXPLAIN_QUERY_FAILED = 'EXPLAIN_QUERY_FAILED';
+
 export const CREATE_DATASOURCE_STARTED = 'CREATE_DATASOURCE_STARTED';
 export const CREATE_DATASOURCE_SUCCESS = 'CREATE_DATASOURCE_SUCCESS';
 export const CREATE_DATASOURCE_FAILED = 'CREATE_DATASOURCE_FAILED';
@@ -115,6 +143,8 @@ export const CtasEnum = {
   View: 'VIEW',
 };
 const ERR_MSG_CANT_LOAD_QUERY = t("The query couldn't be loaded");
+// held by the browser tab replaying the queries queued while offline
+const OFFLINE_QUEUE_LOCK = 'sqllab_offline_queue';
 
 // a map of SavedQuery field names to the different names used client-side,
 // because for now making the names consistent is too complicated
@@ -147,13 +177,17 @@ export function getUpToDateQuery(rootState, queryEditor, key) {
 }
 
 export function resetState(data) {
-  return (dispatch, getState) => {
+  return async (dispatch, getState) => {
     const { common } = getState();
-    const initialState = getInitialState({
-      ...getBootstrapData(),
-      common,
-      ...data,
-    });
+    const persistedState = await readSqlLabState();
+    const initialState = getInitialState(
+      {
+        ...getBootstrapData(),
+        common,
+        ...data,
+      },
+      persistedState,
+    );
 
     dispatch({
       type: RESET_STATE,
@@ -233,6 +267,64 @@ export function estimateQueryCost(queryEditor) {
   };
 }
 
+export function explainQuery(queryEditor) {
+  return (dispatch, getState) => {
+    const {
+      dbId,
+      catalog,
+      schema,
+      sql,
+      selectedText,
+      cursorPosition,
+      templateParams,
+    } = getUpToDateQuery(getState(), queryEditor);
+    const requestSql =
+      selectedText || getStatementAtCursor(sql, cursorPosition);
+
+    const postPayload = {
+      database_id: dbId,
+      catalog,
+      schema,
+      sql: requestSql,
+      template_params: JSON.parse(templateParams || '{}'),
+    };
+
+    return Promise.all([
+      dispatch({ type: EXPLAIN_QUERY_STARTED, query: queryEditor }),
+      SupersetClient.post({
+        endpoint: '/api/v1/sqllab/explain/',
+        body: JSON.stringify(postPayload),
+        headers: { 'Content-Type': 'application/json' },
+      })
+        .then(({ json }) =>
+          dispatch({
+            type: EXPLAIN_QUERY_RETURNED,
+            query: queryEditor,
+            run: {
+              id: nanoid(11),
+              sql: requestSql,
+              explainedAt: now(),
+              plans: json.result,
+            },
+          }),
+        )
+        .catch(response =>
+          getClientErrorObject(response).then(error => {
+            const message =
+              error.error ||
+              error.statusText ||
+              t('Failed at retrieving the query plan');
+            return dispatch({
+              type: EXPLAIN_QUERY_FAILED,
+              query: queryEditor,
+              error: message,
+            });
+          }),
+        ),
+    ]);
+  };
+}
+
 export function clearInactiveQueries(interval) {
   return { type: CLEAR_INACTIVE_QUERIES, interval };
 }
@@ -248,8 +340,8 @@ export function startQuery(query, runPreviewOnly) {
   return { type: START_QUERY, query, runPreviewOnly };
 }
 
-export function querySuccess(query, results) {
-  return { type: QUERY_SUCCESS, query, results };
+export function querySuccess(query, results, nextResultsOffset = null) {
+  return { type: QUERY_SUCCESS, query, results, nextResultsOffset };
 }
 
 export function logFailedQuery(query, errors) {
@@ -296,23 +388,62 @@ export function requestQueryResults(query) {
   return { type: REQUEST_QUERY_RESULTS, query };
 }
 
+// results are fetched one page at a time, up to the display limit
+function getResultsPageSize(offset, displayLimit) {
+  return displayLimit
+    ? Math.min(QUERY_RESULTS_PAGE_SIZE, displayLimit - offset)
+    : QUERY_RESULTS_PAGE_SIZE;
+}
+
+// returns the offset of the next page to fetch, or null once all the rows
+// allowed by the display limit have been fetched
+function getNextResultsOffset(results, offset, displayLimit) {
+  const fetchedRows = offset + (results?.data?.length || 0);
+  const totalRows = Math.min(
+    results?.query?.rows || 0,
+    displayLimit || Infinity,
+  );
+  return fetchedRows < totalRows ? fetchedRows : null;
+}
+
+function getResultsEndpoint(query, offset, displayLimit) {
+  const queryParams = rison.encode({
+    key: query.resultsKey,
+    rows: getResultsPageSize(offset, displayLimit),
+    ...(offset && { offset }),
+  });
+  return `/api/v1/sqllab/results/?q=${queryParams}`;
+}
+
 export function fetchQueryResults(query, displayLimit, timeoutInMs) {
   return function (dispatch, getState) {
     const { SQLLAB_QUERY_RESULT_TIMEOUT } = getState().common?.conf ?? {};
     dispatch(requestQueryResults(query));
 
-    const queryParams = rison.encode({
-      key: query.resultsKey,
-      rows: displayLimit || null,
-    });
     const timeout = timeoutInMs ?? SQLLAB_QUERY_RESULT_TIMEOUT;
     const controller = new AbortController();
     return SupersetClient.get({
-      endpoint: `/api/v1/sqllab/results/?q=${queryParams}`,
+      endpoint: getResultsEndpoint(query, 0, displayLimit),
       parseMethod: 'json-bigint',
       ...(timeout && { timeout, signal: controller.signal }),
     })
-      .then(({ json }) => dispatch(querySuccess(query, json)))
+      .then(({ json }) => {
+        const results = json?.query
+          ? {
+              ...json,
+              // the server only sees the page size, not the display limit
+              displayLimitReached:
+                Boolean(displayLimit) && json.query.rows > displayLimit,
+            }
+          : json;
+        return dispatch(
+          querySuccess(
+            query,
+            results,
+            getNextResultsOffset(json, 0, displayLimit),
+          ),
+        );
+      })
       .catch(response => {
         controller.abort();
         getClientErrorObject(response).then(error => {
@@ -329,6 +460,38 @@ export function fetchQueryResults(query, displayLimit, timeoutInMs) {
   };
 }
 
+export function fetchQueryResultsPage(query, displayLimit) {
+  return function (dispatch) {
+    const offset = query.nextResultsOffset;
+    dispatch({ type: REQUEST_QUERY_RESULTS_PAGE, query });
+
+    return SupersetClient.get({
+      endpoint: getResultsEndpoint(query, offset, displayLimit),
+      parseMethod: 'json-bigint',
+    })
+      .then(({ json }) =>
+        dispatch({
+          type: QUERY_RESULTS_PAGE_SUCCESS,
+          query,
+          results: json,
+          nextResultsOffset: getNextResultsOffset(json, offset, displayLimit),
+        }),
+      )
+      .catch(response =>
+        getClientErrorObject(response).then(error => {
+          dispatch({ type: QUERY_RESULTS_PAGE_FAILED, query });
+          return dispatch(
+            addDangerToast(
+              error.error ||
+                error.statusText ||
+                t('Failed at retrieving more results'),
+            ),
+          );
+        }),
+      );
+  };
+}
+
 export function runQuery(query, runPreviewOnly) {
   return function (dispatch) {
     dispatch(startQuery(query, runPreviewOnly));
@@ -378,6 +541,116 @@ export function runQuery(query, runPreviewOnly) {
   };
 }
 
+function getOfflineQueue(getState) {
+  // the queue is kept per user, several users may share a browser. The
+  // queries of an anonymous user only last for the session
+  const { user, sqlLab } = getState();
+  if (!user?.userId) {
+    return sqlLab.offlineQueue.map(id => sqlLab.queries[id]).filter(Boolean);
+  }
+  return (
+    getItem(LocalStorageKeys.SqllabOfflineQueue, {})[user.userId] ?? []
+  ).filter(query => query.userId === user.userId);
+}
+
+function setOfflineQueue(getState, offlineQueue) {
+  const { user } = getState();
+  if (!user?.userId) {
+    return;
+  }
+  setItem(LocalStorageKeys.SqllabOfflineQueue, {
+    ...getItem(LocalStorageKeys.SqllabOfflineQueue, {}),
+    [user.userId]: offlineQueue,
+  });
+}
+
+function persistOfflineQueue(getState) {
+  const { offlineQueue, queries } = getState().sqlLab;
+  setOfflineQueue(
+    getState,
+    offlineQueue.map(id => queries[id]).filter(Boolean),
+  );
+}
+
+export function queueOfflineQuery(query) {
+  // keep the run until connectivity returns, see replayOfflineQueue
+  return function (dispatch, getState) {
+    dispatch({
+      type: QUEUE_OFFLINE_QUERY,
+      query: {
+        ...query,
+        id: nanoid(11),
+        progress: 0,
+        startDttm: now(),
+        state: QueryState.Queued,
+        cached: false,
+        userId: getState().user?.userId,
+      },
+    });
+    persistOfflineQueue(getState);
+  };
+}
+
+export function cancelOfflineQuery(query) {
+  return function (dispatch, getState) {
+    dispatch({ type: REMOVE_OFFLINE_QUERY, query, state: QueryState.Stopped });
+    persistOfflineQueue(getState);
+  };
+}
+
+export function moveOfflineQuery(query, index) {
+  return function (dispatch, getState) {
+    dispatch({ type: MOVE_OFFLINE_QUERY, query, index });
+    persistOfflineQueue(getState);
+  };
+}
+
+function withLeaderLock(name, callback) {
+  // only the browser tab holding the lock runs the callback, the other tabs
+  // skip it
+  if (!navigator.locks) {
+    return callback();
+  }
+  return navigator.locks.request(name, { ifAvailable: true }, lock =>
+    lock ? callback() : undefined,
+  );
+}
+
+export function replayOfflineQueue() {
+  // run the queued queries one after the other, in the order of the queue.
+  // The queue is shared by the browser tabs, a single tab replays it and takes
+  // each query off the stored queue before running it. Only the queries of the
+  // current user are replayed
+  return function (dispatch, getState) {
+    return withLeaderLock(OFFLINE_QUEUE_LOCK, async () => {
+      while (!getState().sqlLab.offline) {
+        const [query, ...rest] = getOfflineQueue(getState);
+        if (!query) {
+          break;
+        }
+        setOfflineQueue(getState, rest);
+        dispatch({ type: REMOVE_OFFLINE_QUERY, query: { id: query.id } });
+        // eslint-disable-next-line no-await-in-loop
+        await dispatch(runQuery({ ...query }));
+      }
+    });
+  };
+}
+
+export function saveQueryEditorRevision(queryEditor, source) {
+  return function (dispatch, getState) {
+    const { sql } = getUpToDateQuery(getState(), queryEditor);
+    if (!sql?.trim()) {
+      return;
+    }
+    dispatch({
+      type: ADD_QUERY_EDITOR_REVISION,
+      queryEditorId: queryEditor.id,
+      revision: { id: nanoid(11), sql, timestamp: Date.now(), source },
+    });
+  };
+}
+
 export function runQueryFromSqlEditor(
   database,
   queryEditor,
@@ -403,7 +676,69 @@ export function runQueryFromSqlEditor(
       ctas_method: ctasMethod,
       updateTabState: !qe.selectedText,
     };
-    dispatch(runQuery(query));
+    dispatch(saveQueryEditorRevision(qe, 'run'));
+    if (getState().sqlLab.offline) {
+      dispatch(queueOfflineQuery(query));
+    } else {
+      dispatch(runQuery(query));
+    }
+  };
+}
+
+function persistSnippets(getState) {
+  // the snippets are kept per user, several users may share a browser. The
+  // snippets of an anonymous user only last for the session
+  const { user, sqlLab } = getState();
+  if (!user?.userId) {
+    return;
+  }
+  setItem(LocalStorageKeys.SqllabSnippets, {
+    ...getItem(LocalStorageKeys.SqllabSnippets, {}),
+    [user.userId]: sqlLab.snippets,
+  });
+}
+
+export function saveSnippet(snippet) {
+  return function (dispatch, getState) {
+    dispatch({
+      type: SAVE_SNIPPET,
+      snippet: { ...snippet, id: snippet.id ?? nanoid(11) },
+    });
+    persistSnippets(getState);
+  };
+}
+
+export function removeSnippet(snippet) {
+  return function (dispatch, getState) {
+    dispatch({ type: REMOVE_SNIPPET, snippet });
+    persistSnippets(getState);
+  };
+}
+
+function persistKeyBindings(getState) {
+  // the bindings are kept per user, several users may share a browser. The
+  // bindings of an anonymous user only last for the session
+  const { user, sqlLab } = getState();
+  if (!user?.userId) {
+    return;
+  }
+  setItem(LocalStorageKeys.SqllabKeyBindings, {
+    ...getItem(LocalStorageKeys.SqllabKeyBindings, {}),
+    [user.userId]: sqlLab.keyBindings,
+  });
+}
+
+export function setKeyBinding(command, keys) {
+  return function (dispatch, getState) {
+    dispatch({ type: SET_KEY_BINDING, command, keys });
+    persistKeyBindings(getState);
+  };
+}
+
+export function resetKeyBindings() {
+  return function (dispatch, getState) {
+    dispatch({ type: RESET_KEY_BINDINGS });
+    persistKeyBindings(getState);
   };
 }
 
@@ -414,6 +749,33 @@ export function reRunQuery(query) {
   };
 }
 
+export function reRunStatement(query, statement) {
+  // run a single statement of a script apart from the editor, the new query
+  // is only shown in the results tab of that statement
+  return function (dispatch) {
+    const statementQuery = {
+      id: nanoid(11),
+      dbId: query.dbId,
+      sql: statement.sql,
+      sqlEditorId: null,
+      tab: query.tab,
+      catalog: query.catalog,
+      schema: query.schema,
+      templateParams: query.templateParams,
+      queryLimit: query.queryLimit,
+      runAsync: query.runAsync,
+      ctas: false,
+    };
+    dispatch({
+      type: SET_STATEMENT_QUERY_ID,
+      query,
+      statementIndex: statement.index,
+      statementQueryId: statementQuery.id,
+    });
+    return dispatch(runQuery(statementQuery));
+  };
+}
+
 export function postStopQuery(query) {
   return function (dispatch) {
     return SupersetClient.post({
@@ -880,10 +1242,69 @@ export function queryEditorSetSql(queryEditor, sql, queryId) {
   return { type: QUERY_EDITOR_SET_SQL, queryEditor, sql, queryId };
 }
 
+export function setEditorConflict(queryEditorId, sql) {
+  return { type: SET_EDITOR_CONFLICT, queryEditorId, sql };
+}
+
+export function resolveEditorConflict(queryEditor, keepLocalChanges) {
+  return function (dispatch, getState) {
+    const conflict = getState().sqlLab.editorConflicts[queryEditor.id];
+    if (!conflict) {
+      return;
+    }
+    dispatch({ type: RESOLVE_EDITOR_CONFLICT, queryEditorId: queryEditor.id });
+    if (keepLocalChanges) {
+      const { sql } = getUpToDateQuery(getState(), queryEditor);
+      // overrides the version of the other browser tabs
+      dispatch({
+        ...queryEditorSetSql(queryEditor, sql),
+        previousSql: conflict.sql,
+      });
+    } else {
+      dispatch(queryEditorSetSql(queryEditor, conflict.sql));
+    }
+  };
+}
+
+export function restoreQueryEditorRevision(queryEditor, revision) {
+  return function (dispatch) {
+    // the sql being replaced can be restored in turn
+    dispatch(saveQueryEditorRevision(queryEditor, 'restore'));
+    dispatch(queryEditorSetSql(queryEditor, revision.sql));
+  };
+}
+
 export function queryEditorSetCursorPosition(queryEditor, position) {
   return { type: QUERY_EDITOR_SET_CURSOR_POSITION, queryEditor, position };
 }
 
+export function insertIntoQueryEditor(queryEditor, text) {
+  // inserts at the last known cursor position, or at the end of the sql
+  return function (dispatch, getState) {
+    const { sql = '', cursorPosition } = getUpToDateQuery(
+      getState(),
+      queryEditor,
+    );
+    const lines = sql.split('\n');
+    const row = cursorPosition
+      ? Math.min(cursorPosition.row, lines.length - 1)
+      : lines.length - 1;
+    const column = cursorPosition
+      ? Math.min(cursorPosition.column, lines[row].length)
+      : lines[row].length;
+    lines[row] = `${lines[row].slice(0, column)}${text}${lines[row].slice(
+      column,
+    )}`;
+    dispatch(queryEditorSetSql(queryEditor, lines.join('\n')));
+    dispatch(
+      queryEditorSetCursorPosition(queryEditor, {
+        row,
+        column: column + text.length,
+      }),
+    );
+  };
+}
+
 export function queryEditorSetAndSaveSql(targetQueryEditor, sql, queryId) {
   return function (dispatch, getState) {
     const queryEditor = getUpToDateQuery(getState(), targetQueryEditor);
@@ -943,6 +1364,27 @@ export function queryEditorSetSelectedText(queryEditor, sql) {
   return { type: QUERY_EDITOR_SET_SELECTED_TEXT, queryEditor, sql };
 }
 
+export function selectCurrentStatement(queryEditor) {
+  // selects the statement under the cursor when no text is selected, returns
+  // whether the selection changed
+  return function (dispatch, getState) {
+    const { selectedText, sql, cursorPosition } = getUpToDateQuery(
+      getState(),
+      queryEditor,
+    );
+    if (selectedText || !sql?.trim()) {
+      return false;
+    }
+    dispatch(
+      queryEditorSetSelectedText(
+        queryEditor,
+        getStatementAtCursor(sql, cursorPosition),
+      ),
+    );
+    return true;
+  };
+}
+
 export function mergeTable(table, query, prepend) {
   return { type: MERGE_TABLE, table, query, prepend };
 }
@@ -29,7 +29,13 @@ import {
   initialState,
   queryId,
 } from 'src/SqlLab/fixtures';
-import { SupersetClient, isFeatureEnabled } from '@superset-ui/core';
+import {
+  QueryState,
+  SupersetClient,
+  isFeatureEnabled,
+} from '@superset-ui/core';
+import { applyMiddleware, combineReducers, createStore } from 'redux';
+import sqlLabReducer from 'src/SqlLab/reducers/sqlLab';
 import { ADD_TOAST } from 'src/components/MessageToasts/actions';
 import { ToastType } from '../../components/MessageToasts/types';
 
@@ -179,6 +185,38 @@ describe('async actions', () => {
     });
   });
 
+  describe('explainQuery', () => {
+    const explainQueryEndpoint = 'glob:*/api/v1/sqllab/explain/';
+    const plans = [{ sql: 'SELECT 2', format: 'text', plan: 'Result' }];
+    fetchMock.post(explainQueryEndpoint, { result: plans });
+
+    test('explains the statement under the cursor', async () => {
+      const store = mockStore({
+        ...initialState,
+        sqlLab: {
+          ...initialState.sqlLab,
+          queryEditors: [
+            {
+              ...defaultQueryEditor,
+              sql: 'SELECT 1;\nSELECT 2;',
+              cursorPosition: { row: 1, column: 2 },
+            },
+          ],
+        },
+      });
+      await store.dispatch(actions.explainQuery(defaultQueryEditor));
+      const [call] = fetchMock.calls(explainQueryEndpoint);
+      expect(JSON.parse(call[1].body).sql).toBe('SELECT 2');
+      expect(store.getActions().map(({ type }) => type)).toEqual([
+        actions.EXPLAIN_QUERY_STARTED,
+        actions.EXPLAIN_QUERY_RETURNED,
+      ]);
+      expect(store.getActions()[1].run).toEqual(
+        expect.objectContaining({ sql: 'SELECT 2', plans }),
+      );
+    });
+  });
+
   describe('fetchQueryResults', () => {
     const makeRequest = () => {
       const store = mockStore(initialState);
@@ -248,6 +286,84 @@ describe('async actions', () => {
     });
   });
 
+  describe('paginated query results', () => {
+    it('fetches the first page and sets the offset of the next one', () => {
+      fetchMock.get(
+        fetchQueryEndpoint,
+        { status: 'success', data: [{ a: 1 }, { a: 2 }], query: { rows: 5 } },
+        { overwriteRoutes: true },
+      );
+
+      const store = mockStore({});
+      return store.dispatch(actions.fetchQueryResults(query, 4)).then(() => {
+        const [, successAction] = store.getActions();
+        expect(successAction.type).toBe(actions.QUERY_SUCCESS);
+        expect(successAction.nextResultsOffset).toBe(2);
+        expect(successAction.results.displayLimitReached).toBe(true);
+      });
+    });
+
+    it('does not set a next offset once all rows are fetched', () => {
+      fetchMock.get(
+        fetchQueryEndpoint,
+        { status: 'success', data: [{ a: 1 }, { a: 2 }], query: { rows: 2 } },
+        { overwriteRoutes: true },
+      );
+
+      const store = mockStore({});
+      return store.dispatch(actions.fetchQueryResults(query, 4)).then(() => {
+        const [, successAction] = store.getActions();
+        expect(successAction.nextResultsOffset).toBeNull();
+        expect(successAction.results.displayLimitReached).toBe(false);
+      });
+    });
+
+    it('fetches the next page from the current offset', () => {
+      fetchMock.get(
+        fetchQueryEndpoint,
+        { status: 'success', data: [{ a: 3 }, { a: 4 }], query: { rows: 5 } },
+        { overwriteRoutes: true },
+      );
+
+      const store = mockStore({});
+      return store
+        .dispatch(
+          actions.fetchQueryResultsPage({ ...query, nextResultsOffset: 2 }, 4),
+        )
+        .then(() => {
+          expect(fetchMock.lastUrl(fetchQueryEndpoint)).toContain(
+            'offset:2,rows:2',
+          );
+          expect(store.getActions().map(a => a.type)).toEqual([
+            actions.REQUEST_QUERY_RESULTS_PAGE,
+            actions.QUERY_RESULTS_PAGE_SUCCESS,
+          ]);
+          expect(store.getActions()[1].nextResultsOffset).toBeNull();
+        });
+    });
+
+    it('calls QUERY_RESULTS_PAGE_FAILED on fetch error', () => {
+      fetchMock.get(
+        fetchQueryEndpoint,
+        { throws: { message: 'error text' } },
+        { overwriteRoutes: true },
+      );
+
+      const store = mockStore({});
+      return store
+        .dispatch(
+          actions.fetchQueryResultsPage({ ...query, nextResultsOffset: 2 }, 4),
+        )
+        .then(() => {
+          expect(store.getActions().map(a => a.type)).toEqual([
+            actions.REQUEST_QUERY_RESULTS_PAGE,
+            actions.QUERY_RESULTS_PAGE_FAILED,
+            ADD_TOAST,
+          ]);
+        });
+    });
+  });
+
   describe('runQuery without query params', () => {
     const makeRequest = () => {
       const request = actions.runQuery(query);
@@ -372,6 +488,407 @@ describe('async actions', () => {
     });
   });
 
+  describe('reRunStatement', () => {
+    it('runs the statement as a new query linked to the script query', () => {
+      const store = mockStore({});
+      const statement = { index: 1, sql: 'SELECT 2', state: 'failed' };
+      const request = actions.reRunStatement(query, statement);
+      return request(store.dispatch, store.getState).then(() => {
+        const [setStatementQueryId, startQuery] = store.getActions();
+        expect(setStatementQueryId).toEqual({
+          type: actions.SET_STATEMENT_QUERY_ID,
+          query,
+          statementIndex: 1,
+          statementQueryId: 'abcd',
+        });
+        expect(startQuery.type).toBe(actions.START_QUERY);
+        expect(startQuery.query).toMatchObject({
+          id: 'abcd',
+          sql: 'SELECT 2',
+          sqlEditorId: null,
+          dbId: query.dbId,
+        });
+      });
+    });
+  });
+
+  describe('offline queue', () => {
+    const queuedQuery = (id, userId = 1) => ({
+      ...query,
+      id,
+      sql: `SELECT ${id}`,
+      state: QueryState.Queued,
+      userId,
+    });
+
+    it('queues the queries run while offline', () => {
+      const store = mockStore({
+        ...initialState,
+        sqlLab: { ...initialState.sqlLab, offline: true },
+      });
+      store.dispatch(
+        actions.runQueryFromSqlEditor(
+          null,
+          defaultQueryEditor,
+          100,
+          '',
+          false,
+          'TABLE',
+        ),
+      );
+      const [, queueAction] = store.getActions();
+      expect(queueAction.type).toBe(actions.QUEUE_OFFLINE_QUERY);
+      expect(queueAction.query).toMatchObject({
+        id: 'abcd',
+        sql: defaultQueryEditor.sql,
+        sqlEditorId: defaultQueryEditor.id,
+        state: QueryState.Queued,
+        userId: 1,
+      });
+      expect(fetchMock.calls(runQueryEndpoint)).toHaveLength(0);
+    });
+
+    const setupQueue = () => {
+      localStorage.setItem(
+        'sqllab__offline_queue',
+        JSON.stringify({
+          1: [queuedQuery('q2'), queuedQuery('q1')],
+          2: [queuedQuery('q3', 2)],
+        }),
+      );
+      return createStore(
+        combineReducers({ sqlLab: sqlLabReducer, user: () => ({ userId: 1 }) }),
+        {
+          sqlLab: {
+            ...initialState.sqlLab,
+            offlineQueue: ['q2', 'q1'],
+            queries: { q1: queuedQuery('q1'), q2: queuedQuery('q2') },
+          },
+        },
+        applyMiddleware(thunk),
+      );
+    };
+
+    afterEach(() => {
+      localStorage.clear();
+      delete navigator.locks;
+      fetchMock.post(runQueryEndpoint, `{ "data": ${mockBigNumber} }`, {
+        overwriteRoutes: true,
+      });
+    });
+
+    it('replays the queue in order once online', async () => {
+      const store = setupQueue();
+      const storedQueues = [];
+      fetchMock.post(
+        runQueryEndpoint,
+        () => {
+          storedQueues.push(
+            JSON.parse(localStorage.getItem('sqllab__offline_queue'))[1],
+          );
+          return { status: 200, body: { data: {} } };
+        },
+        { overwriteRoutes: true },
+      );
+      await store.dispatch(actions.replayOfflineQueue());
+      expect(
+        fetchMock
+          .calls(runQueryEndpoint)
+          .map(([, { body }]) => JSON.parse(body).client_id),
+      ).toEqual(['q2', 'q1']);
+      // each query is taken off the stored queue before it runs
+      expect(storedQueues.map(queue => queue.map(({ id }) => id))).toEqual([
+        ['q1'],
+        [],
+      ]);
+      expect(store.getState().sqlLab.offlineQueue).toEqual([]);
+      expect(
+        JSON.parse(localStorage.getItem('sqllab__offline_queue'))[2],
+      ).toEqual([queuedQuery('q3', 2)]);
+    });
+
+    it('does not replay the queries of another user', async () => {
+      localStorage.setItem(
+        'sqllab__offline_queue',
+        JSON.stringify({ 1: [queuedQuery('q2', 2)] }),
+      );
+      const store = createStore(
+        combineReducers({ sqlLab: sqlLabReducer, user: () => ({ userId: 1 }) }),
+        { sqlLab: initialState.sqlLab },
+        applyMiddleware(thunk),
+      );
+      await store.dispatch(actions.replayOfflineQueue());
+      expect(fetchMock.calls(runQueryEndpoint)).toHaveLength(0);
+    });
+
+    it('does not replay the queue replayed by another browser tab', async () => {
+      navigator.locks = {
+        request: jest.fn((name, options, callback) => callback(null)),
+      };
+      const store = setupQueue();
+      await store.dispatch(actions.replayOfflineQueue());
+      expect(navigator.locks.request).toHaveBeenCalledWith(
+        'sqllab_offline_queue',
+        { ifAvailable: true },
+        expect.any(Function),
+      );
+      expect(fetchMock.calls(runQueryEndpoint)).toHaveLength(0);
+      expect(store.getState().sqlLab.offlineQueue).toEqual(['q2', 'q1']);
+    });
+
+    it('does not replay the queue while offline', async () => {
+      const store = mockStore({
+        ...initialState,
+        sqlLab: {
+          ...initialState.sqlLab,
+          offline: true,
+          offlineQueue: ['q1'],
+          queries: { q1: queuedQuery('q1') },
+        },
+      });
+      await store.dispatch(actions.replayOfflineQueue());
+      expect(store.getActions()).toEqual([]);
+    });
+  });
+
+  describe('selectCurrentStatement', () => {
+    it('selects the statement under the cursor', () => {
+      const queryEditor = {
+        ...defaultQueryEditor,
+        sql: 'SELECT 1;\nSELECT 2;',
+        cursorPosition: { row: 1, column: 3 },
+        selectedText: null,
+      };
+      const store = mockStore({
+        ...initialState,
+        sqlLab: { ...initialState.sqlLab, unsavedQueryEditor: queryEditor },
+      });
+      expect(store.dispatch(actions.selectCurrentStatement(queryEditor))).toBe(
+        true,
+      );
+      expect(store.getActions()).toEqual([
+        {
+          type: actions.QUERY_EDITOR_SET_SELECTED_TEXT,
+          queryEditor,
+          sql: 'SELECT 2',
+        },
+      ]);
+    });
+
+    it('keeps the selected text', () => {
+      const queryEditor = {
+        ...defaultQueryEditor,
+        sql: 'SELECT 1;\nSELECT 2;',
+        selectedText: 'SELECT 1',
+      };
+      const store = mockStore({
+        ...initialState,
+        sqlLab: { ...initialState.sqlLab, unsavedQueryEditor: queryEditor },
+      });
+      expect(store.dispatch(actions.selectCurrentStatement(queryEditor))).toBe(
+        false,
+      );
+      expect(store.getActions()).toEqual([]);
+    });
+  });
+
+  describe('insertIntoQueryEditor', () => {
+    it('inserts the text at the cursor position', () => {
+      const queryEditor = {
+        ...defaultQueryEditor,
+        sql: 'SELECT \nFROM t',
+        cursorPosition: { row: 0, column: 7 },
+      };
+      const store = mockStore({
+        ...initialState,
+        sqlLab: { ...initialState.sqlLab, unsavedQueryEditor: queryEditor },
+      });
+      store.dispatch(actions.insertIntoQueryEditor(queryEditor, 't.id'));
+      expect(store.getActions()).toEqual([
+        actions.queryEditorSetSql(queryEditor, 'SELECT t.id\nFROM t'),
+        actions.queryEditorSetCursorPosition(queryEditor, {
+          row: 0,
+          column: 11,
+        }),
+      ]);
+    });
+
+    it('appends the text without a cursor position', () => {
+      const queryEditor = {
+        ...defaultQueryEditor,
+        sql: 'SELECT 1\nFROM ',
+        cursorPosition: undefined,
+      };
+      const store = mockStore({
+        ...initialState,
+        sqlLab: { ...initialState.sqlLab, unsavedQueryEditor: queryEditor },
+      });
+      store.dispatch(actions.insertIntoQueryEditor(queryEditor, 'users'));
+      expect(store.getActions()).toEqual([
+        actions.queryEditorSetSql(queryEditor, 'SELECT 1\nFROM users'),
+        actions.queryEditorSetCursorPosition(queryEditor, {
+          row: 1,
+          column: 10,
+        }),
+      ]);
+    });
+  });
+
+  describe('snippets', () => {
+    afterEach(() => {
+      localStorage.clear();
+    });
+
+    it('persists the snippets of the current user', () => {
+      const otherSnippet = { id: 'b', name: 'two', sql: 'SELECT 2' };
+      localStorage.setItem(
+        'sqllab__snippets',
+        JSON.stringify({ 2: [otherSnippet] }),
+      );
+      const store = createStore(
+        combineReducers({
+          sqlLab: sqlLabReducer,
+          user: () => ({ userId: 1 }),
+        }),
+        { sqlLab: initialState.sqlLab },
+        applyMiddleware(thunk),
+      );
+      const snippet = { id: 'a', name: 'one', sql: 'SELECT 1' };
+      store.dispatch(actions.saveSnippet(snippet));
+      expect(JSON.parse(localStorage.getItem('sqllab__snippets'))).toEqual({
+        1: [snippet],
+        2: [otherSnippet],
+      });
+      store.dispatch(actions.removeSnippet(snippet));
+      expect(JSON.parse(localStorage.getItem('sqllab__snippets'))).toEqual({
+        1: [],
+        2: [otherSnippet],
+      });
+    });
+
+    it('does not persist the snippets without a user', () => {
+      const store = createStore(
+        combineReducers({ sqlLab: sqlLabReducer, user: () => ({}) }),
+        { sqlLab: initialState.sqlLab },
+        applyMiddleware(thunk),
+      );
+      store.dispatch(
+        actions.saveSnippet({ id: 'a', name: 'one', sql: 'SELECT 1' }),
+      );
+      expect(store.getState().sqlLab.snippets).toHaveLength(1);
+      expect(localStorage.getItem('sqllab__snippets')).toBeNull();
+    });
+  });
+
+  describe('key bindings', () => {
+    afterEach(() => {
+      localStorage.clear();
+    });
+
+    it('persists the key bindings of the current user', () => {
+      localStorage.setItem(
+        'sqllab__key_bindings',
+        JSON.stringify({ 2: { newTab: ['ctrl+n'] } }),
+      );
+      const store = createStore(
+        combineReducers({
+          sqlLab: sqlLabReducer,
+          user: () => ({ userId: 1 }),
+        }),
+        { sqlLab: initialState.sqlLab },
+        applyMiddleware(thunk),
+      );
+      store.dispatch(actions.setKeyBinding('runQuery', ['ctrl+shift+r']));
+      expect(JSON.parse(localStorage.getItem('sqllab__key_bindings'))).toEqual({
+        1: { runQuery: ['ctrl+shift+r'] },
+        2: { newTab: ['ctrl+n'] },
+      });
+      store.dispatch(actions.resetKeyBindings());
+      expect(JSON.parse(localStorage.getItem('sqllab__key_bindings'))).toEqual({
+        1: {},
+        2: { newTab: ['ctrl+n'] },
+      });
+    });
+
+    it('does not persist the key bindings without a user', () => {
+      const store = createStore(
+        combineReducers({ sqlLab: sqlLabReducer, user: () => ({}) }),
+        { sqlLab: initialState.sqlLab },
+        applyMiddleware(thunk),
+      );
+      store.dispatch(actions.setKeyBinding('runQuery', ['ctrl+shift+r']));
+      expect(store.getState().sqlLab.keyBindings).toEqual({
+        runQuery: ['ctrl+shift+r'],
+      });
+      expect(localStorage.getItem('sqllab__key_bindings')).toBeNull();
+    });
+  });
+
+  describe('revisions', () => {
+    it('saves a revision of the sql before running it', () => {
+      const store = mockStore({
+        ...initialState,
+        sqlLab: { ...initialState.sqlLab, offline: true },
+      });
+      store.dispatch(
+        actions.runQueryFromSqlEditor(
+          null,
+          defaultQueryEditor,
+          100,
+          '',
+          false,
+          'TABLE',
+        ),
+      );
+      expect(store.getActions()[0]).toEqual({
+        type: actions.ADD_QUERY_EDITOR_REVISION,
+        queryEditorId: defaultQueryEditor.id,
+        revision: {
+          id: 'abcd',
+          sql: defaultQueryEditor.sql,
+          timestamp: expect.any(Number),
+          source: 'run',
+        },
+      });
+    });
+
+    it('skips saving an empty sql', () => {
+      const store = mockStore({
+        ...initialState,
+        sqlLab: {
+          ...initialState.sqlLab,
+          unsavedQueryEditor: { id: defaultQueryEditor.id, sql: ' ' },
+        },
+      });
+      store.dispatch(
+        actions.saveQueryEditorRevision(defaultQueryEditor, 'idle'),
+      );
+      expect(store.getActions()).toEqual([]);
+    });
+
+    it('saves the current sql before restoring a revision', () => {
+      const store = mockStore(initialState);
+      store.dispatch(
+        actions.restoreQueryEditorRevision(defaultQueryEditor, {
+          id: 'r1',
+          sql: 'SELECT 1',
+          timestamp: 1,
+          source: 'run',
+        }),
+      );
+      expect(store.getActions()).toEqual([
+        expect.objectContaining({
+          type: actions.ADD_QUERY_EDITOR_REVISION,
+          revision: expect.objectContaining({
+            sql: defaultQueryEditor.sql,
+            source: 'restore',
+          }),
+        }),
+        actions.queryEditorSetSql(defaultQueryEditor, 'SELECT 1'),
+      ]);
+    });
+  });
+
   describe('postStopQuery', () => {
     const stopQueryEndpoint = 'glob:*/api/v1/query/stop';
     fetchMock.post(stopQueryEndpoint, {});
@@ -108,6 +108,34 @@ describe('AceEditorWrapper', () => {
     );
   });
 
+  it('renders the lint diagnostics as annotations', async () => {
+    const store = createStore(
+      {
+        ...initialState,
+        sqlLab: {
+          ...initialState.sqlLab,
+          unsavedQueryEditor: {
+            id: defaultQueryEditor.id,
+            sql: 'SELECT (1',
+          },
+        },
+      },
+      reducerIndex,
+    );
+    const { getByTestId } = setup(defaultQueryEditor, store);
+    await waitFor(() =>
+      expect(getByTestId('react-ace')).toHaveTextContent(
+        JSON.stringify({
+          rule: 'unbalanced_parentheses',
+          type: 'error',
+          row: 0,
+          column: 7,
+          text: 'Unclosed parenthesis',
+        }).slice(1, -1),
+      ),
+    );
+  });
+
   it('skips rerendering for updating cursor position', () => {
     const store = createStore(initialState, reducerIndex);
     setup(defaultQueryEditor, store);
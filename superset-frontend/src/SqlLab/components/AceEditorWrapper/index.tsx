@@ -16,7 +16,7 @@
  * specific language governing permissions and limitations
  * under the License.
  */
-import { useState, useEffect, useRef } from 'react';
+import { useState, useEffect, useMemo, useRef, useCallback } from 'react';
 import type { IAceEditor } from 'react-ace/lib/types';
 import { shallowEqual, useDispatch, useSelector } from 'react-redux';
 import { css, styled, usePrevious, useTheme } from '@superset-ui/core';
@@ -25,17 +25,20 @@ import { Global } from '@emotion/react';
 import { SQL_EDITOR_LEFTBAR_WIDTH } from 'src/SqlLab/constants';
 import { queryEditorSetSelectedText } from 'src/SqlLab/actions/sqlLab';
 import { FullSQLEditor as AceEditor } from 'src/components/AsyncAceEditor';
-import type { KeyboardShortcut } from 'src/SqlLab/components/KeyboardShortcutButton';
 import useQueryEditor from 'src/SqlLab/hooks/useQueryEditor';
 import { SqlLabRootState, type CursorPosition } from 'src/SqlLab/types';
+import { registerAceKeyBindings } from 'src/SqlLab/utils/keyBindings';
 import { useAnnotations } from './useAnnotations';
 import { useKeywords } from './useKeywords';
+import { useSqlLint } from './useSqlLint';
 
 type HotKey = {
-  key: KeyboardShortcut;
+  // key combinations separated by `|`
+  key: string;
   descr?: string;
   name: string;
-  func: (aceEditor: IAceEditor) => void;
+  // returning false lets the editor handle the keys
+  func: (aceEditor: IAceEditor) => boolean | void;
 };
 
 type AceEditorWrapperProps = {
@@ -98,6 +101,8 @@ const AceEditorWrapper = ({
   // needs to be stored out of the state to ensure changes to it
   // get saved immediately
   const currentSelectionCache = useRef('');
+  const aceEditorRef = useRef<IAceEditor>();
+  const boundHotkeys = useRef<string[]>([]);
 
   useEffect(() => {
     // Making sure no text is selected from previous mount
@@ -120,22 +125,40 @@ const AceEditorWrapper = ({
     onBlur(sql);
   };
 
+  const bindHotkeys = useCallback(
+    (editor: IAceEditor) => {
+      boundHotkeys.current.forEach(name => editor.commands.removeCommand(name));
+      hotkeys.forEach(keyConfig => {
+        editor.commands.addCommand({
+          name: keyConfig.name,
+          bindKey: { win: keyConfig.key, mac: keyConfig.key },
+          exec: keyConfig.func,
+        });
+      });
+      boundHotkeys.current = hotkeys.map(({ name }) => name);
+    },
+    [hotkeys],
+  );
+
+  useEffect(() => {
+    // the hotkeys change when the user binds other keys
+    if (aceEditorRef.current) {
+      bindHotkeys(aceEditorRef.current);
+    }
+  }, [bindHotkeys]);
+
   const onEditorLoad = (editor: any) => {
+    aceEditorRef.current = editor;
+    registerAceKeyBindings(editor.commands);
     editor.commands.addCommand({
-      name: 'runQuery',
+      name: 'runQueryOnAltEnter',
       bindKey: { win: 'Alt-enter', mac: 'Alt-enter' },
       exec: () => {
         onAltEnter();
       },
     });
 
-    hotkeys.forEach(keyConfig => {
-      editor.commands.addCommand({
-        name: keyConfig.name,
-        bindKey: { win: keyConfig.key, mac: keyConfig.key },
-        exec: keyConfig.func,
-      });
-    });
+    bindHotkeys(editor);
 
     editor.$blockScrolling = Infinity; // eslint-disable-line no-param-reassign
     editor.selection.on('changeSelection', () => {
@@ -170,13 +193,24 @@ const AceEditorWrapper = ({
     }
   };
 
-  const { data: annotations } = useAnnotations({
+  const { data: validationAnnotations } = useAnnotations({
     dbId: queryEditor.dbId,
     catalog: queryEditor.catalog,
     schema: queryEditor.schema,
     sql: currentSql,
     templateParams: queryEditor.templateParams,
   });
+  const lintAnnotations = useSqlLint({
+    queryEditorId,
+    sql: currentSql,
+    dbId: queryEditor.dbId,
+    catalog: queryEditor.catalog,
+    schema: queryEditor.schema,
+  });
+  const annotations = useMemo(
+    () => [...validationAnnotations, ...lintAnnotations],
+    [validationAnnotations, lintAnnotations],
+  );
 
   const keywords = useKeywords(
     {
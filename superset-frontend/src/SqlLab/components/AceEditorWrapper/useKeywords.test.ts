@@ -35,6 +35,7 @@ import {
   TABLE_AUTOCOMPLETE_SCORE,
   COLUMN_AUTOCOMPLETE_SCORE,
   SQL_FUNCTIONS_AUTOCOMPLETE_SCORE,
+  SNIPPET_AUTOCOMPLETE_SCORE,
 } from 'src/SqlLab/constants';
 import { useKeywords } from './useKeywords';
 
@@ -339,6 +340,49 @@ test('returns long keywords with docText', async () => {
   );
 });
 
+test('returns snippet keywords with tab-stops', () => {
+  const storeWithSnippets = createStore(
+    {
+      ...initialState,
+      sqlLab: {
+        ...initialState.sqlLab,
+        snippets: [
+          {
+            id: 'snippet1',
+            name: 'recent',
+            description: 'Recent rows',
+            // eslint-disable-next-line no-template-curly-in-string
+            sql: 'WHERE ${column} > NOW()',
+          },
+        ],
+      },
+    },
+    reducers,
+  );
+  const { result } = renderHook(
+    () =>
+      useKeywords({
+        queryEditorId: 'testqueryid',
+      }),
+    {
+      wrapper: createWrapper({
+        useRedux: true,
+        store: storeWithSnippets,
+      }),
+    },
+  );
+  expect(result.current).toContainEqual({
+    name: 'recent',
+    value: 'recent',
+    // eslint-disable-next-line no-template-curly-in-string
+    snippet: 'WHERE ${1:column} > NOW()',
+    score: SNIPPET_AUTOCOMPLETE_SCORE,
+    meta: 'snippet',
+    // eslint-disable-next-line no-template-curly-in-string
+    docText: 'Recent rows\n\nWHERE ${column} > NOW()',
+  });
+});
+
 test('Add custom keywords for autocomplete', () => {
   const expected = [
     {
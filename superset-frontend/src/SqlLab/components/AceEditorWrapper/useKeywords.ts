@@ -28,7 +28,10 @@ import {
   TABLE_AUTOCOMPLETE_SCORE,
   COLUMN_AUTOCOMPLETE_SCORE,
   SQL_FUNCTIONS_AUTOCOMPLETE_SCORE,
+  SNIPPET_AUTOCOMPLETE_SCORE,
 } from 'src/SqlLab/constants';
+import useSqlSnippets from 'src/SqlLab/hooks/useSqlSnippets';
+import { toAceSnippet } from 'src/SqlLab/utils/sqlSnippets';
 import {
   schemaEndpoints,
   tableEndpoints,
@@ -219,12 +222,27 @@ export function useKeywords(
     [functionNames, insertMatch],
   );
 
+  const snippets = useSqlSnippets();
+  const snippetKeywords = useMemo(
+    () =>
+      snippets.map(({ name, description, sql }) => ({
+        name,
+        value: name,
+        snippet: toAceSnippet(sql),
+        score: SNIPPET_AUTOCOMPLETE_SCORE,
+        meta: 'snippet',
+        docText: description ? `${description}\n\n${sql}` : sql,
+      })),
+    [snippets],
+  );
+
   const keywords = useMemo(
     () =>
       columnKeywords
         .concat(schemaKeywords)
         .concat(tableKeywords)
         .concat(functionKeywords)
+        .concat(snippetKeywords)
         .concat(sqlKeywords)
         .concat(customKeywords ?? []),
     [
@@ -232,6 +250,7 @@ export function useKeywords(
       tableKeywords,
       columnKeywords,
       functionKeywords,
+      snippetKeywords,
       customKeywords,
     ],
   );
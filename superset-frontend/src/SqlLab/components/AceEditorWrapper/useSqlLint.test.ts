@@ -0,0 +1,134 @@
+/**
+ * Licensed to the Apache Software Foundation (ASF) under one
+ * or more contributor license agreements.  See the NOTICE file
+ * distributed with this work for additional information
+ * regarding copyright ownership.  The ASF licenses this file
+ * to you under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance
+ * with the License.  You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an
+ * "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+ * KIND, either express or implied.  See the License for the
+ * specific language governing permissions and limitations
+ * under the License.
+ */
+import { act, renderHook } from '@testing-library/react-hooks';
+import { createWrapper, createStore } from 'spec/helpers/testing-library';
+import { tableApiUtil } from 'src/hooks/apiResources/tables';
+import { addTable } from 'src/SqlLab/actions/sqlLab';
+import { initialState } from 'src/SqlLab/fixtures';
+import reducers from 'spec/helpers/reducerIndex';
+import { SqlLintRule } from 'src/SqlLab/utils/sqlLint';
+import { useSqlLint } from './useSqlLint';
+
+jest.mock('@superset-ui/core', () => ({
+  ...jest.requireActual('@superset-ui/core'),
+  t: (str: string) => str,
+}));
+
+const expectDbId = 1;
+const expectSchema = 'schema1';
+const expectQueryEditorId = 'testqueryid';
+
+const setup = (sql: string, extra = '{}') => {
+  const store = createStore(
+    {
+      ...initialState,
+      sqlLab: {
+        ...initialState.sqlLab,
+        databases: { [expectDbId]: { id: expectDbId, extra } },
+      },
+    },
+    reducers,
+  );
+  act(() => {
+    store.dispatch(
+      tableApiUtil.upsertQueryData(
+        'tables',
+        { dbId: expectDbId, schema: expectSchema },
+        {
+          options: [{ value: 'orders', label: 'orders', type: 'table' }],
+          hasMore: false,
+        },
+      ),
+    );
+    store.dispatch(
+      tableApiUtil.upsertQueryData(
+        'tableMetadata',
+        {
+          dbId: expectDbId,
+          catalog: null,
+          schema: expectSchema,
+          table: 'orders',
+        },
+        {
+          name: 'orders',
+          columns: [{ name: 'id', type: 'INT', longType: 'INT' }],
+        },
+      ),
+    );
+    store.dispatch(
+      addTable({ id: expectQueryEditorId }, 'orders', null, expectSchema),
+    );
+  });
+  return renderHook(
+    () =>
+      useSqlLint({
+        queryEditorId: expectQueryEditorId,
+        sql,
+        dbId: expectDbId,
+        schema: expectSchema,
+      }),
+    {
+      wrapper: createWrapper({
+        useRedux: true,
+        store,
+      }),
+    },
+  );
+};
+
+test('returns the diagnostics using the fetched table metadata', async () => {
+  const { result, waitFor } = setup(
+    'SELECT o.id, o.total FROM orders o JOIN users u ON o.id = u.id',
+  );
+  // the cached table metadata is selected once the upserts resolve
+  await waitFor(() =>
+    expect(result.current).toEqual([
+      expect.objectContaining({
+        rule: SqlLintRule.UnknownTable,
+        column: 40,
+      }),
+      expect.objectContaining({
+        rule: SqlLintRule.UnknownColumn,
+        column: 15,
+      }),
+      expect.objectContaining({
+        rule: SqlLintRule.MissingLimit,
+        column: 0,
+      }),
+    ]),
+  );
+});
+
+test('applies the linting configuration of the database', () => {
+  const { result } = setup(
+    'SELECT * FROM orders',
+    JSON.stringify({
+      sql_lint: {
+        disabled_rules: [SqlLintRule.MissingLimit],
+        large_tables: ['orders'],
+      },
+    }),
+  );
+  expect(result.current).toEqual([
+    expect.objectContaining({
+      rule: SqlLintRule.SelectStar,
+      type: 'warning',
+    }),
+  ]);
+});
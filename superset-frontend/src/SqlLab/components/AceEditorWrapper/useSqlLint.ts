@@ -0,0 +1,105 @@
+/**
+ * Licensed to the Apache Software Foundation (ASF) under one
+ * or more contributor license agreements.  See the NOTICE file
+ * distributed with this work for additional information
+ * regarding copyright ownership.  The ASF licenses this file
+ * to you under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance
+ * with the License.  You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an
+ * "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+ * KIND, either express or implied.  See the License for the
+ * specific language governing permissions and limitations
+ * under the License.
+ */
+import { useMemo } from 'react';
+import { useSelector } from 'react-redux';
+import { isEqual } from 'lodash';
+
+import { SqlLabRootState } from 'src/SqlLab/types';
+import { VALIDATION_DEBOUNCE_MS } from 'src/SqlLab/constants';
+import { tableEndpoints } from 'src/hooks/apiResources';
+import { api } from 'src/hooks/apiResources/queryApi';
+import { useDebounceValue } from 'src/hooks/useDebounceValue';
+import {
+  getSqlLintConfig,
+  lintSql,
+  SqlLintConfig,
+  SqlLintTable,
+} from 'src/SqlLab/utils/sqlLint';
+
+type Params = {
+  queryEditorId: string | number;
+  sql: string;
+  dbId?: string | number;
+  catalog?: string | null;
+  schema?: string;
+};
+
+const { useQueryState: useTablesQueryState } = tableEndpoints.tables;
+
+/**
+ * Lints the sql of the editor with the table metadata already fetched for
+ * the tables of the left bar.
+ */
+export function useSqlLint({
+  queryEditorId,
+  sql,
+  dbId,
+  catalog,
+  schema,
+}: Params) {
+  const debouncedSql = useDebounceValue(sql, VALIDATION_DEBOUNCE_MS);
+  const config = useSelector<SqlLabRootState, SqlLintConfig>(
+    ({ sqlLab }) => getSqlLintConfig(sqlLab?.databases?.[dbId || '']),
+    isEqual,
+  );
+  const tables = useSelector<SqlLabRootState, SqlLintTable[]>(
+    state =>
+      (state.sqlLab?.tables ?? [])
+        .filter(table => dbId && table.queryEditorId === queryEditorId)
+        .map(table => {
+          const { data } = tableEndpoints.tableMetadata.select({
+            dbId: dbId!,
+            catalog: table.catalog,
+            schema: table.schema,
+            table: table.name,
+          })({
+            [api.reducerPath]: (state as Record<string, any>)[api.reducerPath],
+          });
+          return {
+            schema: table.schema,
+            name: table.name,
+            columns: data?.columns?.map(({ name }) => name),
+            partitioned: Boolean(data?.partitions),
+          };
+        }),
+    isEqual,
+  );
+  const { currentData: tableData } = useTablesQueryState(
+    {
+      dbId,
+      catalog,
+      schema,
+      forceRefresh: false,
+    },
+    { skip: !dbId || !schema },
+  );
+
+  return useMemo(
+    () =>
+      dbId && debouncedSql
+        ? lintSql(debouncedSql, {
+            schema,
+            schemaTables: tableData?.options?.map(({ value }) => value),
+            tables,
+            config,
+          })
+        : [],
+    [dbId, debouncedSql, schema, tableData?.options, tables, config],
+  );
+}
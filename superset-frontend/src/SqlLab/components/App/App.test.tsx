@@ -27,6 +27,7 @@ import App from 'src/SqlLab/components/App';
 import reducers from 'spec/helpers/reducerIndex';
 import { LOCALSTORAGE_MAX_USAGE_KB } from 'src/SqlLab/constants';
 import { LOG_EVENT } from 'src/logger/actions';
+import { SET_USER_OFFLINE } from 'src/SqlLab/actions/sqlLab';
 import {
   LOG_ACTIONS_SQLLAB_WARN_LOCAL_STORAGE_USAGE,
   LOG_ACTIONS_SQLLAB_MONITOR_LOCAL_STORAGE_USAGE,
@@ -128,4 +129,14 @@ describe('SqlLab App', () => {
       }),
     );
   });
+
+  it('sets the user offline when the connection is lost', () => {
+    const store = mockStore(sqlLabReducer(undefined, mockAction));
+    render(<App />, { useRedux: true, store });
+    window.dispatchEvent(new Event('offline'));
+    expect(store.getActions()).toContainEqual({
+      type: SET_USER_OFFLINE,
+      offline: true,
+    });
+  });
 });
@@ -30,6 +30,8 @@ import {
 import { addDangerToast } from 'src/components/MessageToasts/actions';
 import type { SqlLabRootState } from 'src/SqlLab/types';
 import { logEvent } from 'src/logger/actions';
+import { replayOfflineQueue, setUserOffline } from 'src/SqlLab/actions/sqlLab';
+import { startCrossTabSync } from 'src/SqlLab/middlewares/crossTabSyncMiddleware';
 import {
   LOG_ACTIONS_SQLLAB_WARN_LOCAL_STORAGE_USAGE,
   LOG_ACTIONS_SQLLAB_MONITOR_LOCAL_STORAGE_USAGE,
@@ -114,12 +116,16 @@ interface AppState {
 class App extends PureComponent<AppProps, AppState> {
   hasLoggedLocalStorageUsage: boolean;
 
+  stopCrossTabSync?: () => void;
+
   constructor(props: AppProps) {
     super(props);
     this.state = {
       hash: window.location.hash,
     };
 
+    this.onOnline = this.onOnline.bind(this);
+    this.onOffline = this.onOffline.bind(this);
     this.showLocalStorageUsageWarning = throttle(
       this.showLocalStorageUsageWarning,
       LOCALSTORAGE_WARNING_MESSAGE_THROTTLE_MS,
@@ -134,6 +140,16 @@ class App extends PureComponent<AppProps, AppState> {
     // docs say setting this style on any div will prevent it, turns out it only works
     // when set on the body element.
     document.body.style.overscrollBehaviorX = 'none';
+
+    window.addEventListener('online', this.onOnline);
+    window.addEventListener('offline', this.onOffline);
+    this.stopCrossTabSync = startCrossTabSync();
+    if (!navigator.onLine) {
+      this.onOffline();
+    } else if (this.props.hasOfflineQueue) {
+      // replay the queries queued while offline in a previous session
+      this.props.actions.replayOfflineQueue();
+    }
   }
 
   componentDidUpdate() {
@@ -163,6 +179,9 @@ class App extends PureComponent<AppProps, AppState> {
 
   componentWillUnmount() {
     window.removeEventListener('hashchange', this.onHashChanged.bind(this));
+    window.removeEventListener('online', this.onOnline);
+    window.removeEventListener('offline', this.onOffline);
+    this.stopCrossTabSync?.();
 
     // And now we need to reset the overscroll behavior back to the default.
     document.body.style.overscrollBehaviorX = 'auto';
@@ -174,6 +193,15 @@ class App extends PureComponent<AppProps, AppState> {
     this.setState({ hash: window.location.hash });
   }
 
+  onOnline() {
+    this.props.actions.setUserOffline(false);
+    this.props.actions.replayOfflineQueue();
+  }
+
+  onOffline() {
+    this.props.actions.setUserOffline(true);
+  }
+
   showLocalStorageUsageWarning(currentUsage: number, queryCount: number) {
     this.props.actions.addDangerToast(
       t(
@@ -228,12 +256,15 @@ function mapStateToProps(state: SqlLabRootState) {
     localStorageUsageInKilobytes,
     queries: sqlLab?.queries,
     queriesLastUpdate: sqlLab?.queriesLastUpdate,
+    hasOfflineQueue: Boolean(sqlLab?.offlineQueue?.length),
   };
 }
 
 const mapDispatchToProps = {
   addDangerToast,
   logEvent,
+  replayOfflineQueue,
+  setUserOffline,
 };
 
 function mergeProps(
@@ -0,0 +1,135 @@
+/**
+ * Licensed to the Apache Software Foundation (ASF) under one
+ * or more contributor license agreements.  See the NOTICE file
+ * distributed with this work for additional information
+ * regarding copyright ownership.  The ASF licenses this file
+ * to you under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance
+ * with the License.  You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an
+ * "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+ * KIND, either express or implied.  See the License for the
+ * specific language governing permissions and limitations
+ * under the License.
+ */
+import fetchMock from 'fetch-mock';
+import reducerIndex from 'spec/helpers/reducerIndex';
+import {
+  createStore,
+  fireEvent,
+  render,
+  screen,
+} from 'spec/helpers/testing-library';
+import { initialState, defaultQueryEditor } from 'src/SqlLab/fixtures';
+import type { SqlLabRootState } from 'src/SqlLab/types';
+import ColumnSearch from '.';
+
+const columnSearchEndpoint = 'glob:*/api/v1/database/*/column_search/*';
+
+const setup = () => {
+  const store = createStore(
+    {
+      ...initialState,
+      sqlLab: {
+        ...initialState.sqlLab,
+        tables: [],
+        unsavedQueryEditor: {
+          id: defaultQueryEditor.id,
+          sql: 'SELECT ',
+          cursorPosition: { row: 0, column: 7 },
+        },
+      },
+    },
+    reducerIndex,
+  );
+  render(<ColumnSearch queryEditorId={defaultQueryEditor.id} />, {
+    useRedux: true,
+    store,
+  });
+  const getSqlLabState = () =>
+    (store.getState() as unknown as SqlLabRootState).sqlLab;
+  fireEvent.change(screen.getByRole('textbox'), {
+    target: { value: 'customer' },
+  });
+  return getSqlLabState;
+};
+
+beforeEach(() => {
+  fetchMock.get(columnSearchEndpoint, {
+    count: 3,
+    has_more: false,
+    result: [
+      {
+        catalog: null,
+        schema: 'main',
+        table: 'orders',
+        name: 'customer_id',
+        type: 'INTEGER',
+        comment: null,
+      },
+      {
+        catalog: null,
+        schema: 'main',
+        table: 'orders',
+        name: 'customer name',
+        type: 'VARCHAR',
+        comment: null,
+      },
+      {
+        catalog: null,
+        schema: 'crm',
+        table: 'users',
+        name: 'id',
+        type: 'INTEGER',
+        comment: 'The customer id',
+      },
+    ],
+  });
+});
+
+afterEach(() => {
+  fetchMock.reset();
+});
+
+test('groups the matching columns by table', async () => {
+  setup();
+  expect(await screen.findByText('main.orders')).toBeInTheDocument();
+  expect(screen.getByText('crm.users')).toBeInTheDocument();
+  expect(screen.getByText('customer_id')).toBeInTheDocument();
+  expect(fetchMock.lastUrl(columnSearchEndpoint)).toContain(
+    'q=(search:customer)',
+  );
+});
+
+test('inserts a qualified column name in the editor', async () => {
+  const getSqlLabState = setup();
+  fireEvent.click(await screen.findByText('customer name'));
+  expect(getSqlLabState().unsavedQueryEditor.sql).toEqual(
+    'SELECT orders."customer name"',
+  );
+  fireEvent.click(screen.getByText('id'));
+  expect(getSqlLabState().unsavedQueryEditor.sql).toEqual(
+    'SELECT orders."customer name"crm.users.id',
+  );
+});
+
+test('adds the preview of a table from another schema', async () => {
+  const getSqlLabState = setup();
+  fireEvent.click(
+    await screen.findByRole('button', { name: 'Preview table crm.users' }),
+  );
+  const sqlLab = getSqlLabState();
+  expect(sqlLab.unsavedQueryEditor.schema).toEqual('crm');
+  expect(sqlLab.tables).toEqual([
+    expect.objectContaining({
+      dbId: defaultQueryEditor.dbId,
+      schema: 'crm',
+      name: 'users',
+      expanded: true,
+    }),
+  ]);
+});
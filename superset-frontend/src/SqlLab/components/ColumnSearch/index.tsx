@@ -0,0 +1,224 @@
+/**
+ * Licensed to the Apache Software Foundation (ASF) under one
+ * or more contributor license agreements.  See the NOTICE file
+ * distributed with this work for additional information
+ * regarding copyright ownership.  The ASF licenses this file
+ * to you under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance
+ * with the License.  You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an
+ * "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+ * KIND, either express or implied.  See the License for the
+ * specific language governing permissions and limitations
+ * under the License.
+ */
+import { ChangeEvent, useMemo, useState } from 'react';
+import { useDispatch } from 'react-redux';
+import { css, styled, t } from '@superset-ui/core';
+import Button from 'src/components/Button';
+import Icons from 'src/components/Icons';
+import { Input } from 'src/components/Input';
+import { Tooltip } from 'src/components/Tooltip';
+import {
+  addTable,
+  insertIntoQueryEditor,
+  queryEditorSetCatalog,
+  queryEditorSetSchema,
+} from 'src/SqlLab/actions/sqlLab';
+import useQueryEditor from 'src/SqlLab/hooks/useQueryEditor';
+import { useDebounceValue } from 'src/hooks/useDebounceValue';
+import {
+  ColumnSearchResult,
+  useColumnSearchQuery,
+} from 'src/hooks/apiResources/tables';
+
+export interface ColumnSearchProps {
+  queryEditorId: string;
+}
+
+const MIN_SEARCH_LENGTH = 2;
+
+const ColumnSearchStyles = styled.div`
+  ${({ theme }) => css`
+    .column-search-results {
+      list-style: none;
+      padding: 0;
+      margin: ${theme.gridUnit}px 0 0;
+      max-height: ${theme.gridUnit * 60}px;
+      overflow: auto;
+    }
+
+    .column-search-table {
+      display: flex;
+      align-items: center;
+      justify-content: space-between;
+      font-weight: ${theme.typography.weights.bold};
+      padding-top: ${theme.gridUnit}px;
+    }
+
+    .column-search-column {
+      display: flex;
+      column-gap: ${theme.gridUnit}px;
+      padding: 0 0 0 ${theme.gridUnit * 2}px;
+      cursor: pointer;
+
+      &:hover {
+        background-color: ${theme.colors.grayscale.light4};
+      }
+    }
+
+    .column-search-name {
+      flex: 1;
+      min-width: 0;
+      overflow: hidden;
+      text-overflow: ellipsis;
+      white-space: nowrap;
+    }
+
+    .column-search-type,
+    .column-search-message {
+      color: ${theme.colors.text.help};
+    }
+  `}
+`;
+
+const quoteIdentifier = (name: string) =>
+  /^[A-Za-z_][A-Za-z0-9_]*$/.test(name) ? name : `"${name}"`;
+
+/**
+ * Searches the columns of every table of the database by name, type or
+ * comment. A column is inserted in the editor on click, qualified by its table
+ * and by its schema when it differs from the schema of the editor.
+ */
+const ColumnSearch = ({ queryEditorId }: ColumnSearchProps) => {
+  const dispatch = useDispatch();
+  const queryEditor = useQueryEditor(queryEditorId, [
+    'dbId',
+    'catalog',
+    'schema',
+  ]);
+  const { dbId, catalog, schema } = queryEditor;
+  const [search, setSearch] = useState('');
+  const debouncedSearch = useDebounceValue(search.trim());
+  const skip = !dbId || debouncedSearch.length < MIN_SEARCH_LENGTH;
+  const { currentData, isFetching, isError } = useColumnSearchQuery(
+    { dbId: dbId as number, catalog, search: debouncedSearch },
+    { skip },
+  );
+
+  const tables = useMemo(() => {
+    const grouped = new Map<string, ColumnSearchResult[]>();
+    currentData?.result.forEach(column => {
+      const key = `${column.schema}.${column.table}`;
+      grouped.set(key, [...(grouped.get(key) ?? []), column]);
+    });
+    return [...grouped.entries()];
+  }, [currentData]);
+
+  const onPreviewTable = ({
+    catalog: tableCatalog,
+    ...table
+  }: ColumnSearchResult) => {
+    if ((tableCatalog ?? null) !== (catalog ?? null)) {
+      dispatch(queryEditorSetCatalog(queryEditor, tableCatalog ?? null));
+    }
+    if (table.schema !== schema) {
+      dispatch(queryEditorSetSchema(queryEditor, table.schema));
+    }
+    dispatch(addTable(queryEditor, table.table, tableCatalog, table.schema));
+  };
+
+  const onInsertColumn = (column: ColumnSearchResult) => {
+    const qualifiers =
+      column.schema === schema ? [column.table] : [column.schema, column.table];
+    dispatch(
+      insertIntoQueryEditor(
+        queryEditor,
+        [...qualifiers, column.name].map(quoteIdentifier).join('.'),
+      ),
+    );
+  };
+
+  const renderResults = () => {
+    if (skip) {
+      return null;
+    }
+    if (isError) {
+      return (
+        <div className="column-search-message">
+          {t('An error occurred while searching the columns')}
+        </div>
+      );
+    }
+    if (isFetching) {
+      return <div className="column-search-message">{t('Searching...')}</div>;
+    }
+    if (!tables.length) {
+      return (
+        <div className="column-search-message">{t('No columns found')}</div>
+      );
+    }
+    return (
+      <ul className="column-search-results" data-test="column-search-results">
+        {tables.map(([key, columns]) => (
+          <li key={key}>
+            <div className="column-search-table">
+              <span>{key}</span>
+              <Button
+                buttonSize="xsmall"
+                buttonStyle="link"
+                aria-label={t('Preview table %s', key)}
+                onClick={() => onPreviewTable(columns[0])}
+              >
+                <Icons.EyeOutlined iconSize="m" />
+              </Button>
+            </div>
+            {columns.map(column => (
+              <Tooltip
+                key={column.name}
+                title={column.comment}
+                placement="right"
+              >
+                <div
+                  className="column-search-column"
+                  role="button"
+                  tabIndex={0}
+                  onClick={() => onInsertColumn(column)}
+                >
+                  <span className="column-search-name">{column.name}</span>
+                  <span className="column-search-type">{column.type}</span>
+                </div>
+              </Tooltip>
+            ))}
+          </li>
+        ))}
+        {currentData?.hasMore && (
+          <li className="column-search-message">
+            {t('Only the first results are shown, refine the search')}
+          </li>
+        )}
+      </ul>
+    );
+  };
+
+  return (
+    <ColumnSearchStyles data-test="sql-column-search">
+      <Input
+        allowClear
+        disabled={!dbId}
+        placeholder={t('Search columns by name, type or comment')}
+        value={search}
+        onChange={({ target }: ChangeEvent<HTMLInputElement>) =>
+          setSearch(target.value)
+        }
+      />
+      {renderResults()}
+    </ColumnSearchStyles>
+  );
+};
+
+export default ColumnSearch;
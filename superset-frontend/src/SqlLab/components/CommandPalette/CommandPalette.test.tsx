@@ -0,0 +1,100 @@
+/**
+ * Licensed to the Apache Software Foundation (ASF) under one
+ * or more contributor license agreements.  See the NOTICE file
+ * distributed with this work for additional information
+ * regarding copyright ownership.  The ASF licenses this file
+ * to you under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance
+ * with the License.  You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an
+ * "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+ * KIND, either express or implied.  See the License for the
+ * specific language governing permissions and limitations
+ * under the License.
+ */
+import { render, screen } from 'spec/helpers/testing-library';
+import userEvent from '@testing-library/user-event';
+import { initialState } from 'src/SqlLab/fixtures';
+import useSqlLabCommand from 'src/SqlLab/hooks/useSqlLabCommand';
+import { SqlLabCommand } from 'src/SqlLab/utils/keyBindings';
+import CommandPalette, { CommandPaletteProps } from '.';
+
+jest.mock('src/utils/common', () => ({
+  ...jest.requireActual('src/utils/common'),
+  detectOS: () => 'Linux',
+}));
+
+const formatQuery = jest.fn();
+const saveQuery = jest.fn();
+
+const TabWithPalette = (props: CommandPaletteProps) => {
+  useSqlLabCommand('tab1', SqlLabCommand.FormatQuery, formatQuery);
+  useSqlLabCommand('tab1', SqlLabCommand.SaveQuery, saveQuery);
+  return <CommandPalette {...props} />;
+};
+
+const setup = (onHide = jest.fn()) => {
+  const { rerender } = render(
+    <TabWithPalette queryEditorId="tab1" show={false} onHide={onHide} />,
+    {
+      useRedux: true,
+      initialState: {
+        ...initialState,
+        sqlLab: {
+          ...initialState.sqlLab,
+          keyBindings: { [SqlLabCommand.SaveQuery]: ['ctrl+s'] },
+        },
+      },
+    },
+  );
+  // the commands are registered once the tab is mounted
+  rerender(<TabWithPalette queryEditorId="tab1" show onHide={onHide} />);
+};
+
+beforeEach(() => {
+  jest.clearAllMocks();
+});
+
+test('lists the commands handled by the tab with their keys', () => {
+  setup();
+  const options = screen.getAllByRole('option');
+  expect(options).toHaveLength(2);
+  expect(options[0]).toHaveTextContent('Format SQL');
+  expect(options[0]).toHaveTextContent('ctrl+shift+f');
+  expect(options[1]).toHaveTextContent('Save query');
+  expect(options[1]).toHaveTextContent('ctrl+s');
+  expect(screen.queryByText('Run query')).not.toBeInTheDocument();
+});
+
+test('filters the commands and runs the selected one', () => {
+  const onHide = jest.fn();
+  setup(onHide);
+  userEvent.type(
+    screen.getByRole('textbox', { name: 'Search commands' }),
+    'sa',
+  );
+  expect(screen.getAllByRole('option')).toHaveLength(1);
+  userEvent.type(
+    screen.getByRole('textbox', { name: 'Search commands' }),
+    '{enter}',
+  );
+  expect(onHide).toHaveBeenCalled();
+  expect(saveQuery).toHaveBeenCalledTimes(1);
+  expect(formatQuery).not.toHaveBeenCalled();
+});
+
+test('selects the command with the arrow keys', () => {
+  setup();
+  const input = screen.getByRole('textbox', { name: 'Search commands' });
+  userEvent.type(input, '{arrowdown}');
+  expect(screen.getAllByRole('option')[1]).toHaveAttribute(
+    'aria-selected',
+    'true',
+  );
+  userEvent.type(input, '{arrowdown}{enter}');
+  expect(formatQuery).toHaveBeenCalledTimes(1);
+});
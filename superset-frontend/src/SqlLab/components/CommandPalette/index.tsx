@@ -0,0 +1,161 @@
+/**
+ * Licensed to the Apache Software Foundation (ASF) under one
+ * or more contributor license agreements.  See the NOTICE file
+ * distributed with this work for additional information
+ * regarding copyright ownership.  The ASF licenses this file
+ * to you under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance
+ * with the License.  You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an
+ * "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+ * KIND, either express or implied.  See the License for the
+ * specific language governing permissions and limitations
+ * under the License.
+ */
+import { KeyboardEvent, useEffect, useMemo, useState } from 'react';
+import { css, styled, t } from '@superset-ui/core';
+import Modal from 'src/components/Modal';
+import { Input } from 'src/components/Input';
+import useKeyBindings from 'src/SqlLab/hooks/useKeyBindings';
+import {
+  executeCommand,
+  hasCommandHandler,
+} from 'src/SqlLab/hooks/useSqlLabCommand';
+import { getCommandLabel, SqlLabCommand } from 'src/SqlLab/utils/keyBindings';
+
+export interface CommandPaletteProps {
+  queryEditorId: string;
+  show: boolean;
+  onHide: () => void;
+}
+
+const CommandList = styled.ul`
+  ${({ theme }) => css`
+    list-style: none;
+    margin: ${theme.gridUnit * 2}px 0 0;
+    padding: 0;
+    max-height: ${theme.gridUnit * 100}px;
+    overflow-y: auto;
+  `}
+`;
+
+const CommandItem = styled.li<{ active: boolean }>`
+  ${({ theme, active }) => css`
+    display: flex;
+    justify-content: space-between;
+    align-items: center;
+    gap: ${theme.gridUnit * 2}px;
+    padding: ${theme.gridUnit * 2}px ${theme.gridUnit * 3}px;
+    border-radius: ${theme.borderRadius}px;
+    cursor: pointer;
+    background-color: ${active ? theme.colors.primary.light4 : 'transparent'};
+  `}
+`;
+
+const ShortcutCode = styled.code`
+  ${({ theme }) => css`
+    font-size: ${theme.typography.sizes.s}px;
+    color: ${theme.colors.grayscale.dark1};
+    margin-left: ${theme.gridUnit}px;
+  `}
+`;
+
+const CommandPalette = ({
+  queryEditorId,
+  show,
+  onHide,
+}: CommandPaletteProps) => {
+  const keyBindings = useKeyBindings();
+  const [search, setSearch] = useState('');
+  const [activeIndex, setActiveIndex] = useState(0);
+
+  const commands = useMemo(
+    () =>
+      show
+        ? Object.values(SqlLabCommand).filter(
+            command =>
+              command !== SqlLabCommand.CommandPalette &&
+              hasCommandHandler(queryEditorId, command) &&
+              getCommandLabel(command)
+                .toLowerCase()
+                .includes(search.trim().toLowerCase()),
+          )
+        : [],
+    [queryEditorId, search, show],
+  );
+
+  useEffect(() => {
+    setActiveIndex(0);
+  }, [search]);
+
+  useEffect(() => {
+    if (!show) {
+      setSearch('');
+    }
+  }, [show]);
+
+  const runCommand = (command: SqlLabCommand) => {
+    onHide();
+    executeCommand(queryEditorId, command);
+  };
+
+  const onKeyDown = (event: KeyboardEvent<HTMLInputElement>) => {
+    if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+      event.preventDefault();
+      const step = event.key === 'ArrowDown' ? 1 : -1;
+      setActiveIndex(
+        index => (index + step + commands.length) % (commands.length || 1),
+      );
+    } else if (event.key === 'Enter' && commands[activeIndex]) {
+      event.preventDefault();
+      runCommand(commands[activeIndex]);
+    }
+  };
+
+  return (
+    <Modal
+      show={show}
+      onHide={onHide}
+      title={t('Commands')}
+      hideFooter
+      destroyOnClose
+    >
+      <Input
+        autoFocus
+        aria-label={t('Search commands')}
+        placeholder={t('Type a command')}
+        value={search}
+        onChange={event => setSearch(event.target.value)}
+        onKeyDown={onKeyDown}
+      />
+      <CommandList role="listbox" aria-label={t('Commands')}>
+        {commands.map((command, index) => (
+          <CommandItem
+            key={command}
+            role="option"
+            aria-selected={index === activeIndex}
+            active={index === activeIndex}
+            onMouseEnter={() => setActiveIndex(index)}
+            onClick={() => runCommand(command)}
+          >
+            <span>{getCommandLabel(command)}</span>
+            <span>
+              {keyBindings[command].map(key => (
+                <ShortcutCode key={key}>{key}</ShortcutCode>
+              ))}
+            </span>
+          </CommandItem>
+        ))}
+        {!commands.length && (
+          <CommandItem active={false}>{t('No matching command')}</CommandItem>
+        )}
+      </CommandList>
+    </Modal>
+  );
+};
+
+export default CommandPalette;
@@ -0,0 +1,76 @@
+/**
+ * Licensed to the Apache Software Foundation (ASF) under one
+ * or more contributor license agreements.  See the NOTICE file
+ * distributed with this work for additional information
+ * regarding copyright ownership.  The ASF licenses this file
+ * to you under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance
+ * with the License.  You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an
+ * "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+ * KIND, either express or implied.  See the License for the
+ * specific language governing permissions and limitations
+ * under the License.
+ */
+import configureStore from 'redux-mock-store';
+import thunk from 'redux-thunk';
+import { fireEvent, render, screen } from 'spec/helpers/testing-library';
+import {
+  QUERY_EDITOR_SET_SQL,
+  RESOLVE_EDITOR_CONFLICT,
+} from 'src/SqlLab/actions/sqlLab';
+import { defaultQueryEditor, initialState } from 'src/SqlLab/fixtures';
+import EditorConflictAlert from '.';
+
+const mockStore = configureStore([thunk]);
+const otherSql = 'SELECT * FROM edited_in_another_tab';
+
+const setup = (editorConflicts = {}) => {
+  const store = mockStore({
+    ...initialState,
+    sqlLab: { ...initialState.sqlLab, editorConflicts },
+  });
+  return {
+    store,
+    ...render(<EditorConflictAlert queryEditorId={defaultQueryEditor.id} />, {
+      useRedux: true,
+      store,
+    }),
+  };
+};
+
+test('renders nothing without a conflict', () => {
+  setup();
+  expect(screen.queryByTestId('editor-conflict-alert')).not.toBeInTheDocument();
+});
+
+test('keeps the local changes', () => {
+  const { store } = setup({ [defaultQueryEditor.id]: { sql: otherSql } });
+  expect(
+    screen.getByText('This query was edited in another tab'),
+  ).toBeInTheDocument();
+  fireEvent.click(screen.getByRole('button', { name: 'Keep my changes' }));
+  expect(store.getActions()).toEqual([
+    { type: RESOLVE_EDITOR_CONFLICT, queryEditorId: defaultQueryEditor.id },
+    expect.objectContaining({
+      type: QUERY_EDITOR_SET_SQL,
+      sql: defaultQueryEditor.sql,
+      previousSql: otherSql,
+    }),
+  ]);
+});
+
+test('uses the version from the other tab', () => {
+  const { store } = setup({ [defaultQueryEditor.id]: { sql: otherSql } });
+  fireEvent.click(
+    screen.getByRole('button', { name: 'Use the other version' }),
+  );
+  expect(store.getActions()).toEqual([
+    { type: RESOLVE_EDITOR_CONFLICT, queryEditorId: defaultQueryEditor.id },
+    expect.objectContaining({ type: QUERY_EDITOR_SET_SQL, sql: otherSql }),
+  ]);
+});
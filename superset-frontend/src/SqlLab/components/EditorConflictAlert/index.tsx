@@ -0,0 +1,84 @@
+/**
+ * Licensed to the Apache Software Foundation (ASF) under one
+ * or more contributor license agreements.  See the NOTICE file
+ * distributed with this work for additional information
+ * regarding copyright ownership.  The ASF licenses this file
+ * to you under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance
+ * with the License.  You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an
+ * "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+ * KIND, either express or implied.  See the License for the
+ * specific language governing permissions and limitations
+ * under the License.
+ */
+import { useDispatch, useSelector } from 'react-redux';
+import { css, styled, t } from '@superset-ui/core';
+import Alert from 'src/components/Alert';
+import Button from 'src/components/Button';
+import { resolveEditorConflict } from 'src/SqlLab/actions/sqlLab';
+import { SqlLabRootState } from 'src/SqlLab/types';
+import HighlightedSql from '../HighlightedSql';
+
+export interface EditorConflictAlertProps {
+  queryEditorId: string;
+}
+
+const ConflictActions = styled.div`
+  ${({ theme }) => css`
+    display: flex;
+    column-gap: ${theme.gridUnit * 2}px;
+    margin-top: ${theme.gridUnit * 2}px;
+  `}
+`;
+
+/**
+ * Prompts the user to pick a version of the query when it was edited in
+ * another browser tab while it was being edited in this one.
+ */
+const EditorConflictAlert = ({ queryEditorId }: EditorConflictAlertProps) => {
+  const dispatch = useDispatch();
+  const conflict = useSelector(
+    ({ sqlLab: { editorConflicts } }: SqlLabRootState) =>
+      editorConflicts?.[queryEditorId],
+  );
+
+  if (!conflict) {
+    return null;
+  }
+  const resolve = (keepLocalChanges: boolean) =>
+    dispatch(resolveEditorConflict({ id: queryEditorId }, keepLocalChanges));
+
+  return (
+    <Alert
+      data-test="editor-conflict-alert"
+      type="warning"
+      closable={false}
+      message={t('This query was edited in another tab')}
+      description={
+        <>
+          <div>{t('The version from the other tab is:')}</div>
+          <HighlightedSql sql={conflict.sql} maxLines={5} shrink />
+          <ConflictActions>
+            <Button buttonSize="small" onClick={() => resolve(true)}>
+              {t('Keep my changes')}
+            </Button>
+            <Button
+              buttonSize="small"
+              buttonStyle="secondary"
+              onClick={() => resolve(false)}
+            >
+              {t('Use the other version')}
+            </Button>
+          </ConflictActions>
+        </>
+      }
+    />
+  );
+};
+
+export default EditorConflictAlert;
@@ -16,7 +16,7 @@
  * specific language governing permissions and limitations
  * under the License.
  */
-import { useMemo } from 'react';
+import { useMemo, useRef } from 'react';
 import { useSelector } from 'react-redux';
 import { css, styled, t } from '@superset-ui/core';
 
@@ -24,9 +24,11 @@ import Alert from 'src/components/Alert';
 import TableView from 'src/components/TableView';
 import Button from 'src/components/Button';
 import Loading from 'src/components/Loading';
-import ModalTrigger from 'src/components/ModalTrigger';
+import ModalTrigger, { ModalTriggerRef } from 'src/components/ModalTrigger';
 import { EmptyWrapperType } from 'src/components/TableView/TableView';
 import useQueryEditor from 'src/SqlLab/hooks/useQueryEditor';
+import useSqlLabCommand from 'src/SqlLab/hooks/useSqlLabCommand';
+import { SqlLabCommand } from 'src/SqlLab/utils/keyBindings';
 import { SqlLabRootState, QueryCostEstimate } from 'src/SqlLab/types';
 
 export interface EstimateQueryCostButtonProps {
@@ -70,6 +72,18 @@ const EstimateQueryCostButton = ({
     getEstimate();
   };
 
+  const modalRef = useRef() as ModalTriggerRef;
+  useSqlLabCommand(
+    queryEditorId,
+    SqlLabCommand.EstimateCost,
+    disabled
+      ? null
+      : () => {
+          getEstimate(true);
+          modalRef.current?.open();
+        },
+  );
+
   const renderModalBody = () => {
     if (queryCostEstimate?.error) {
       return (
@@ -101,6 +115,7 @@ const EstimateQueryCostButton = ({
   return (
     <span className="EstimateQueryCostButton">
       <ModalTrigger
+        ref={modalRef}
         modalTitle={t('Cost estimate')}
         modalBody={renderModalBody()}
         triggerNode={
@@ -0,0 +1,143 @@
+/**
+ * Licensed to the Apache Software Foundation (ASF) under one
+ * or more contributor license agreements.  See the NOTICE file
+ * distributed with this work for additional information
+ * regarding copyright ownership.  The ASF licenses this file
+ * to you under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance
+ * with the License.  You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an
+ * "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+ * KIND, either express or implied.  See the License for the
+ * specific language governing permissions and limitations
+ * under the License.
+ */
+import configureStore from 'redux-mock-store';
+import thunk from 'redux-thunk';
+import { fireEvent, render, within } from 'spec/helpers/testing-library';
+import { Store } from 'redux';
+import {
+  initialState,
+  defaultQueryEditor,
+  extraQueryEditor1,
+} from 'src/SqlLab/fixtures';
+import { ExplainPlanRun } from 'src/SqlLab/types';
+
+import ExplainPlanButton, {
+  ExplainPlan,
+  ExplainPlanButtonProps,
+} from 'src/SqlLab/components/ExplainPlanButton';
+
+const middlewares = [thunk];
+const mockStore = configureStore(middlewares);
+
+const run = (id: string, plan: string): ExplainPlanRun => ({
+  id,
+  sql: 'SELECT * FROM a',
+  explainedAt: 0,
+  plans: [{ sql: 'SELECT * FROM a', format: 'text', plan }],
+});
+
+const previousRun = run(
+  'previous',
+  [
+    'Sort  (cost=10.00..100.00 rows=10 width=4)',
+    '  ->  Seq Scan on a  (cost=0.00..90.00 rows=10 width=4)',
+  ].join('\n'),
+);
+const latestRun = run(
+  'latest',
+  [
+    'Sort  (cost=10.00..20.00 rows=10 width=4)',
+    '  ->  Index Scan using idx on a  (cost=0.00..10.00 rows=10 width=4)',
+  ].join('\n'),
+);
+
+const storeWithRuns = (runs: ExplainPlanRun[], error: string | null = null) =>
+  mockStore({
+    ...initialState,
+    sqlLab: {
+      ...initialState.sqlLab,
+      queryExplainPlans: {
+        [defaultQueryEditor.id]: { requesting: false, error, runs },
+      },
+    },
+  });
+
+const setup = (props: Partial<ExplainPlanButtonProps>, store?: Store) =>
+  render(
+    <ExplainPlanButton
+      queryEditorId={defaultQueryEditor.id}
+      explain={jest.fn()}
+      {...props}
+    />,
+    {
+      useRedux: true,
+      ...(store && { store }),
+    },
+  );
+
+test('renders the label for the current or selected query', () => {
+  const { queryByText, rerender } = setup({}, mockStore(initialState));
+  expect(queryByText('Explain')).toBeInTheDocument();
+
+  rerender(
+    <ExplainPlanButton
+      queryEditorId={extraQueryEditor1.id}
+      explain={jest.fn()}
+    />,
+  );
+  expect(queryByText('Explain selected query')).toBeInTheDocument();
+});
+
+test('explains the query and renders the error', () => {
+  const explain = jest.fn();
+  const { getByText } = setup({ explain }, storeWithRuns([], 'Syntax error'));
+  fireEvent.click(getByText('Explain'));
+  expect(explain).toHaveBeenCalled();
+  expect(getByText('Syntax error')).toBeInTheDocument();
+});
+
+test('renders the plan as a collapsible tree with expensive nodes', () => {
+  const { getByText, queryByText, getAllByTestId, getByRole } = render(
+    <ExplainPlan queryEditorId={defaultQueryEditor.id} />,
+    { useRedux: true, store: storeWithRuns([previousRun]) },
+  );
+  expect(getByText('Total cost: 100')).toBeInTheDocument();
+  expect(getAllByTestId('plan-node')).toHaveLength(2);
+  // the scan costs 90 of 100, while the sort costs 10 on its own
+  expect(getByText('Seq Scan on a').closest('.plan-node-row')).toHaveClass(
+    'expensive',
+  );
+  expect(getByText('Sort').closest('.plan-node-row')).not.toHaveClass(
+    'expensive',
+  );
+
+  fireEvent.click(getByRole('button', { name: 'Collapse' }));
+  expect(queryByText('Seq Scan on a')).not.toBeInTheDocument();
+  fireEvent.click(getByRole('button', { name: 'Expand' }));
+  expect(getByText('Seq Scan on a')).toBeInTheDocument();
+});
+
+test('compares the plan with a previous one', async () => {
+  const { getByRole, findByTestId, getByTestId, findAllByText } = render(
+    <ExplainPlan queryEditorId={defaultQueryEditor.id} />,
+    { useRedux: true, store: storeWithRuns([latestRun, previousRun]) },
+  );
+  const compareSelect = getByRole('combobox', { name: 'Compare with' });
+  fireEvent.mouseDown(compareSelect);
+  const [option] = await findAllByText(/SELECT \* FROM a/, {
+    selector: '.ant-select-item-option-content',
+  });
+  fireEvent.click(option);
+
+  const previous = await findByTestId('explain-plan-previous');
+  expect(within(previous).getByText('Seq Scan on a')).toBeInTheDocument();
+  const current = getByTestId('explain-plan-current');
+  expect(within(current).getByText('Changed')).toBeInTheDocument();
+  expect(within(current).getAllByText('-80')).toHaveLength(2);
+});
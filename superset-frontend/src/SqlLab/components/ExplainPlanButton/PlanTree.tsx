@@ -0,0 +1,161 @@
+/**
+ * Licensed to the Apache Software Foundation (ASF) under one
+ * or more contributor license agreements.  See the NOTICE file
+ * distributed with this work for additional information
+ * regarding copyright ownership.  The ASF licenses this file
+ * to you under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance
+ * with the License.  You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an
+ * "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+ * KIND, either express or implied.  See the License for the
+ * specific language governing permissions and limitations
+ * under the License.
+ */
+import { useState } from 'react';
+import {
+  css,
+  getNumberFormatter,
+  NumberFormats,
+  styled,
+  t,
+} from '@superset-ui/core';
+import Icons from 'src/components/Icons';
+import Label from 'src/components/Label';
+import { PlanNode, PlanNodeDiff } from 'src/SqlLab/utils/explainPlan';
+
+const formatNumber = getNumberFormatter(NumberFormats.SMART_NUMBER);
+
+export interface PlanTreeProps {
+  roots: PlanNode[];
+  expensiveNodeIds: Set<string>;
+  diff?: Record<string, PlanNodeDiff>;
+}
+
+const NodeContainer = styled.div`
+  ${({ theme }) => css`
+    margin-left: ${theme.gridUnit * 4}px;
+
+    .plan-node-row {
+      display: flex;
+      align-items: center;
+      flex-wrap: wrap;
+      gap: ${theme.gridUnit}px;
+      padding: ${theme.gridUnit}px ${theme.gridUnit * 2}px;
+      border-left: 3px solid transparent;
+    }
+
+    .plan-node-row.expensive {
+      border-left-color: ${theme.colors.error.base};
+      background-color: ${theme.colors.error.light2};
+    }
+
+    .plan-node-toggle {
+      cursor: pointer;
+      border: 0;
+      background: none;
+      padding: 0;
+    }
+
+    .plan-node-details {
+      margin: 0 0 0 ${theme.gridUnit * 6}px;
+      padding: 0;
+      list-style: none;
+      font-size: ${theme.typography.sizes.s}px;
+      color: ${theme.colors.grayscale.base};
+    }
+  `}
+`;
+
+const DIFF_STATUS_LABELS = {
+  added: t('New'),
+  changed: t('Changed'),
+};
+
+const PlanTreeNode = ({
+  node,
+  expensiveNodeIds,
+  diff,
+}: { node: PlanNode } & Omit<PlanTreeProps, 'roots'>) => {
+  const [expanded, setExpanded] = useState(true);
+  const nodeDiff = diff?.[node.id];
+  const expensive = expensiveNodeIds.has(node.id);
+
+  return (
+    <NodeContainer data-test="plan-node">
+      <div className={`plan-node-row${expensive ? ' expensive' : ''}`}>
+        {node.children.length > 0 ? (
+          <button
+            type="button"
+            className="plan-node-toggle"
+            aria-label={expanded ? t('Collapse') : t('Expand')}
+            onClick={() => setExpanded(!expanded)}
+          >
+            {expanded ? (
+              <Icons.DownOutlined iconSize="s" />
+            ) : (
+              <Icons.RightOutlined iconSize="s" />
+            )}
+          </button>
+        ) : (
+          <Icons.RightOutlined iconSize="s" css={{ visibility: 'hidden' }} />
+        )}
+        <strong>{node.operation}</strong>
+        {node.cost !== null && (
+          <Label type={expensive ? 'danger' : 'default'}>
+            {t('Cost: %s', formatNumber(node.cost))}
+          </Label>
+        )}
+        {node.rows !== null && (
+          <Label>{t('Rows: %s', formatNumber(node.rows))}</Label>
+        )}
+        {nodeDiff && nodeDiff.status !== 'unchanged' && (
+          <Label type="warning">{DIFF_STATUS_LABELS[nodeDiff.status]}</Label>
+        )}
+        {!!nodeDiff?.costDelta && (
+          <Label type={nodeDiff.costDelta > 0 ? 'danger' : 'success'}>
+            {`${nodeDiff.costDelta > 0 ? '+' : ''}${formatNumber(
+              nodeDiff.costDelta,
+            )}`}
+          </Label>
+        )}
+      </div>
+      {node.details.length > 0 && (
+        <ul className="plan-node-details">
+          {node.details.map((detail, index) => (
+            // eslint-disable-next-line react/no-array-index-key
+            <li key={index}>{detail}</li>
+          ))}
+        </ul>
+      )}
+      {expanded &&
+        node.children.map(child => (
+          <PlanTreeNode
+            key={child.id}
+            node={child}
+            expensiveNodeIds={expensiveNodeIds}
+            diff={diff}
+          />
+        ))}
+    </NodeContainer>
+  );
+};
+
+const PlanTree = ({ roots, expensiveNodeIds, diff }: PlanTreeProps) => (
+  <div data-test="plan-tree">
+    {roots.map(node => (
+      <PlanTreeNode
+        key={node.id}
+        node={node}
+        expensiveNodeIds={expensiveNodeIds}
+        diff={diff}
+      />
+    ))}
+  </div>
+);
+
+export default PlanTree;
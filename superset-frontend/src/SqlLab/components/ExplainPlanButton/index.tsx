@@ -0,0 +1,274 @@
+/**
+ * Licensed to the Apache Software Foundation (ASF) under one
+ * or more contributor license agreements.  See the NOTICE file
+ * distributed with this work for additional information
+ * regarding copyright ownership.  The ASF licenses this file
+ * to you under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance
+ * with the License.  You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an
+ * "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+ * KIND, either express or implied.  See the License for the
+ * specific language governing permissions and limitations
+ * under the License.
+ */
+import { useEffect, useMemo, useRef, useState } from 'react';
+import { useSelector } from 'react-redux';
+import {
+  css,
+  getNumberFormatter,
+  NumberFormats,
+  styled,
+  t,
+} from '@superset-ui/core';
+
+import Alert from 'src/components/Alert';
+import Button from 'src/components/Button';
+import Loading from 'src/components/Loading';
+import ModalTrigger, { ModalTriggerRef } from 'src/components/ModalTrigger';
+import { Select } from 'src/components';
+import useQueryEditor from 'src/SqlLab/hooks/useQueryEditor';
+import useSqlLabCommand from 'src/SqlLab/hooks/useSqlLabCommand';
+import { SqlLabCommand } from 'src/SqlLab/utils/keyBindings';
+import { EXPLAIN_EXPENSIVE_NODE_COST_SHARE } from 'src/SqlLab/constants';
+import {
+  ExplainPlanRun,
+  QueryExplainPlan,
+  SqlLabRootState,
+} from 'src/SqlLab/types';
+import {
+  diffPlans,
+  getExpensiveNodeIds,
+  getPlanCost,
+  parsePlan,
+  StatementPlan,
+} from 'src/SqlLab/utils/explainPlan';
+import PlanTree from './PlanTree';
+
+const formatNumber = getNumberFormatter(NumberFormats.SMART_NUMBER);
+
+export interface ExplainPlanButtonProps {
+  explain: Function;
+  queryEditorId: string;
+  tooltip?: string;
+  disabled?: boolean;
+}
+
+const ExplainPlanStyles = styled.div`
+  ${({ theme }) => css`
+    font-size: ${theme.typography.sizes.s}px;
+
+    .explain-plan-runs {
+      display: flex;
+      gap: ${theme.gridUnit * 4}px;
+      margin-bottom: ${theme.gridUnit * 4}px;
+
+      > div {
+        flex: 1;
+      }
+    }
+
+    .explain-plan-statement {
+      margin-bottom: ${theme.gridUnit * 4}px;
+    }
+
+    .explain-plan-sql {
+      font-family: ${theme.typography.families.monospace};
+      white-space: pre-wrap;
+      color: ${theme.colors.grayscale.base};
+      margin-bottom: ${theme.gridUnit * 2}px;
+    }
+
+    .explain-plan-trees {
+      display: flex;
+      gap: ${theme.gridUnit * 4}px;
+      overflow-x: auto;
+
+      > div {
+        flex: 1;
+        min-width: 0;
+      }
+    }
+  `}
+`;
+
+const formatRun = ({ sql, explainedAt }: ExplainPlanRun) =>
+  `${new Date(explainedAt).toLocaleTimeString()} · ${
+    sql.length > 60 ? `${sql.slice(0, 60)}…` : sql
+  }`;
+
+const StatementPlanTrees = ({
+  plan,
+  previousPlan,
+}: {
+  plan: StatementPlan;
+  previousPlan?: StatementPlan;
+}) => {
+  const roots = useMemo(() => parsePlan(plan), [plan]);
+  const previousRoots = useMemo(
+    () => (previousPlan ? parsePlan(previousPlan) : null),
+    [previousPlan],
+  );
+  const cost = getPlanCost(roots);
+  const previousCost = previousRoots && getPlanCost(previousRoots);
+
+  return (
+    <div className="explain-plan-statement">
+      <div className="explain-plan-sql">{plan.sql}</div>
+      {cost !== null && (
+        <div>
+          {t('Total cost: %s', formatNumber(cost))}
+          {previousCost !== null &&
+            ` (${t('previously %s', formatNumber(previousCost))})`}
+        </div>
+      )}
+      <div className="explain-plan-trees">
+        {previousRoots && (
+          <div data-test="explain-plan-previous">
+            <strong>{t('Compared plan')}</strong>
+            <PlanTree
+              roots={previousRoots}
+              expensiveNodeIds={getExpensiveNodeIds(
+                previousRoots,
+                EXPLAIN_EXPENSIVE_NODE_COST_SHARE,
+              )}
+            />
+          </div>
+        )}
+        <div data-test="explain-plan-current">
+          {previousRoots && <strong>{t('Selected plan')}</strong>}
+          <PlanTree
+            roots={roots}
+            expensiveNodeIds={getExpensiveNodeIds(
+              roots,
+              EXPLAIN_EXPENSIVE_NODE_COST_SHARE,
+            )}
+            diff={previousRoots ? diffPlans(previousRoots, roots) : undefined}
+          />
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export const ExplainPlan = ({ queryEditorId }: { queryEditorId: string }) => {
+  const explainPlan = useSelector<
+    SqlLabRootState,
+    QueryExplainPlan | undefined
+  >(state => state.sqlLab.queryExplainPlans?.[queryEditorId]);
+  const runs = useMemo(() => explainPlan?.runs ?? [], [explainPlan?.runs]);
+  const [runId, setRunId] = useState<string>();
+  const [previousRunId, setPreviousRunId] = useState<string>();
+  const latestRunId = runs[0]?.id;
+
+  // show the latest plan when a new one is returned
+  useEffect(() => {
+    setRunId(latestRunId);
+    setPreviousRunId(undefined);
+  }, [latestRunId]);
+
+  if (explainPlan?.error) {
+    return (
+      <Alert
+        key="query-explain-error"
+        type="error"
+        message={explainPlan.error}
+      />
+    );
+  }
+  if (explainPlan?.requesting || !runs.length) {
+    return <Loading position="normal" />;
+  }
+
+  const run = runs.find(({ id }) => id === runId) ?? runs[0];
+  const previousRun = runs.find(({ id }) => id === previousRunId);
+  const options = runs.map(item => ({
+    value: item.id,
+    label: formatRun(item),
+  }));
+
+  return (
+    <ExplainPlanStyles>
+      <div className="explain-plan-runs">
+        <Select
+          ariaLabel={t('Plan')}
+          header={t('Plan')}
+          options={options}
+          value={run.id}
+          onChange={value => setRunId(value as string)}
+        />
+        {runs.length > 1 && (
+          <Select
+            ariaLabel={t('Compare with')}
+            header={t('Compare with')}
+            placeholder={t('Select a previous plan')}
+            allowClear
+            options={options.filter(({ value }) => value !== run.id)}
+            value={previousRun?.id}
+            onChange={value => setPreviousRunId(value as string)}
+            onClear={() => setPreviousRunId(undefined)}
+          />
+        )}
+      </div>
+      {run.plans.map((plan, index) => (
+        <StatementPlanTrees
+          // eslint-disable-next-line react/no-array-index-key
+          key={index}
+          plan={plan}
+          previousPlan={previousRun?.plans[index]}
+        />
+      ))}
+    </ExplainPlanStyles>
+  );
+};
+
+const ExplainPlanButton = ({
+  explain,
+  queryEditorId,
+  tooltip = '',
+  disabled = false,
+}: ExplainPlanButtonProps) => {
+  const { selectedText } = useQueryEditor(queryEditorId, ['selectedText']);
+  const modalRef = useRef() as ModalTriggerRef;
+
+  useSqlLabCommand(
+    queryEditorId,
+    SqlLabCommand.ExplainQuery,
+    disabled
+      ? null
+      : () => {
+          explain(true);
+          modalRef.current?.open();
+        },
+  );
+
+  const btnText = selectedText ? t('Explain selected query') : t('Explain');
+  return (
+    <span className="ExplainPlanButton">
+      <ModalTrigger
+        ref={modalRef}
+        modalTitle={t('Query plan')}
+        modalBody={<ExplainPlan queryEditorId={queryEditorId} />}
+        width="1000px"
+        maxWidth="90%"
+        triggerNode={
+          <Button
+            style={{ height: 32, padding: '4px 15px' }}
+            onClick={() => explain()}
+            key="query-explain-btn"
+            tooltip={tooltip}
+            disabled={disabled}
+          >
+            {btnText}
+          </Button>
+        }
+      />
+    </span>
+  );
+};
+
+export default ExplainPlanButton;
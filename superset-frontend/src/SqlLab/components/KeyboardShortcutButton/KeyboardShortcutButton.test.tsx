@@ -16,18 +16,82 @@
  * specific language governing permissions and limitations
  * under the License.
  */
-import { fireEvent, render } from 'spec/helpers/testing-library';
-import KeyboardShortcutButton, { KEY_MAP, KeyboardShortcut } from '.';
+import configureStore from 'redux-mock-store';
+import thunk from 'redux-thunk';
+import { fireEvent, render, screen } from 'spec/helpers/testing-library';
+import userEvent from '@testing-library/user-event';
+import { RESET_KEY_BINDINGS, SET_KEY_BINDING } from 'src/SqlLab/actions/sqlLab';
+import { initialState } from 'src/SqlLab/fixtures';
+import { SqlLabCommand } from 'src/SqlLab/utils/keyBindings';
+import KeyboardShortcutButton, { getEditorShortcuts } from '.';
+
+jest.mock('src/utils/common', () => ({
+  ...jest.requireActual('src/utils/common'),
+  detectOS: () => 'Linux',
+}));
+
+const mockStore = configureStore([thunk]);
+
+const setup = (keyBindings = {}) => {
+  const store = mockStore({
+    ...initialState,
+    sqlLab: { ...initialState.sqlLab, keyBindings },
+  });
+  render(<KeyboardShortcutButton>Show shortcuts</KeyboardShortcutButton>, {
+    useRedux: true,
+    store,
+  });
+  fireEvent.click(screen.getByRole('button'));
+  return store;
+};
 
 test('renders shortcut description', () => {
-  const { getByText, getByRole } = render(
-    <KeyboardShortcutButton>Show shortcuts</KeyboardShortcutButton>,
+  setup();
+  expect(screen.getByText('Keyboard shortcuts')).toBeInTheDocument();
+  expect(screen.getByText('Show the command palette')).toBeInTheDocument();
+  expect(screen.getByText('ctrl+shift+p')).toBeInTheDocument();
+  getEditorShortcuts().forEach(({ keys }) => {
+    keys.forEach(key => expect(screen.getByText(key)).toBeInTheDocument());
+  });
+});
+
+test('adds a shortcut pressed by the user', () => {
+  const store = setup();
+  fireEvent.click(
+    screen.getByRole('button', { name: 'Add a shortcut to Save query' }),
   );
-  fireEvent.click(getByRole('button'));
-  expect(getByText('Keyboard shortcuts')).toBeInTheDocument();
-  Object.keys(KEY_MAP)
-    .filter(key => Boolean(KEY_MAP[key as KeyboardShortcut]))
-    .forEach(key => {
-      expect(getByText(key)).toBeInTheDocument();
-    });
+  const input = screen.getByRole('textbox', {
+    name: 'New shortcut for Save query',
+  });
+  fireEvent.keyDown(input, { key: 'Control', ctrlKey: true });
+  fireEvent.keyDown(input, { key: 's', code: 'KeyS', ctrlKey: true });
+  expect(store.getActions()).toEqual([
+    {
+      type: SET_KEY_BINDING,
+      command: SqlLabCommand.SaveQuery,
+      keys: ['ctrl+s'],
+    },
+  ]);
+});
+
+test('removes a shortcut and resets the shortcuts', () => {
+  const store = setup({ [SqlLabCommand.NewTab]: ['ctrl+n', 'ctrl+t'] });
+  userEvent.click(
+    screen.getByRole('button', { name: 'Remove ctrl+n from New tab' }),
+  );
+  userEvent.click(screen.getByRole('button', { name: 'Reset to defaults' }));
+  expect(store.getActions()).toEqual([
+    { type: SET_KEY_BINDING, command: SqlLabCommand.NewTab, keys: ['ctrl+t'] },
+    { type: RESET_KEY_BINDINGS },
+  ]);
+});
+
+test('warns about the conflicting shortcuts', () => {
+  setup({ [SqlLabCommand.SaveQuery]: ['ctrl+r', 'ctrl+h'] });
+  expect(
+    screen.getByText('ctrl+r is also bound to: Run query'),
+  ).toBeInTheDocument();
+  expect(
+    screen.getByText('ctrl+h overrides the editor command "Replace"'),
+  ).toBeInTheDocument();
 });
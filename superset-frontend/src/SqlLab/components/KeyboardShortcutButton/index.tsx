@@ -16,60 +16,44 @@
  * specific language governing permissions and limitations
  * under the License.
  */
-import { FC } from 'react';
+import { FC, KeyboardEvent, useState } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
 import { styled, t, css } from '@superset-ui/core';
 import ModalTrigger from 'src/components/ModalTrigger';
+import Button from 'src/components/Button';
+import Icons from 'src/components/Icons';
+import { Input } from 'src/components/Input';
 import { detectOS } from 'src/utils/common';
+import { resetKeyBindings, setKeyBinding } from 'src/SqlLab/actions/sqlLab';
+import useKeyBindings from 'src/SqlLab/hooks/useKeyBindings';
+import type { SqlLabRootState } from 'src/SqlLab/types';
+import {
+  findKeyBindingConflicts,
+  getCommandLabel,
+  getKeyBindingFromEvent,
+  getRegisteredAceKeyBindings,
+  KeyBindings,
+  SqlLabCommand,
+} from 'src/SqlLab/utils/keyBindings';
 
 const userOS = detectOS();
 
-export enum KeyboardShortcut {
-  CtrlR = 'ctrl+r',
-  CtrlEnter = 'ctrl+enter',
-  CtrlShiftEnter = 'ctrl+shift+enter',
-  CtrlP = 'ctrl+p',
-  CtrlQ = 'ctrl+q',
-  CtrlE = 'ctrl+e',
-  CtrlT = 'ctrl+t',
-  CtrlX = 'ctrl+x',
-  AltEnter = 'alt+enter',
-  CmdF = 'cmd+f',
-  CmdOptF = 'cmd+opt+f',
-  CtrlF = 'ctrl+f',
-  CtrlH = 'ctrl+h',
-  CtrlShiftF = 'ctrl+shift+f',
-  CtrlLeft = 'ctrl+[',
-  CtrlRight = 'ctrl+]',
-}
-
-export const KEY_MAP: Record<KeyboardShortcut, string | undefined> = {
-  [KeyboardShortcut.CtrlR]: t('Run query'),
-  [KeyboardShortcut.CtrlEnter]: t('Run query'),
-  [KeyboardShortcut.AltEnter]: t('Run query'),
-  [KeyboardShortcut.CtrlShiftEnter]: t('Run current query'),
-  [KeyboardShortcut.CtrlX]: userOS === 'MacOS' ? t('Stop query') : undefined,
-  [KeyboardShortcut.CtrlE]: userOS !== 'MacOS' ? t('Stop query') : undefined,
-  [KeyboardShortcut.CtrlQ]: userOS === 'Windows' ? t('New tab') : undefined,
-  [KeyboardShortcut.CtrlT]: userOS !== 'Windows' ? t('New tab') : undefined,
-  [KeyboardShortcut.CtrlP]: t('Previous Line'),
-  [KeyboardShortcut.CtrlShiftF]: t('Format SQL'),
-  [KeyboardShortcut.CtrlLeft]: t('Switch to the previous tab'),
-  [KeyboardShortcut.CtrlRight]: t('Switch to the next tab'),
+// shortcuts of the editor itself, they can't be changed
+export const getEditorShortcuts = () => [
+  { description: t('Run query'), keys: ['alt+enter'] },
+  ...(userOS === 'MacOS'
+    ? [{ description: t('Previous Line'), keys: ['ctrl+p'] }]
+    : []),
   // default ace editor shortcuts
-  [KeyboardShortcut.CmdF]: userOS === 'MacOS' ? t('Find') : undefined,
-  [KeyboardShortcut.CtrlF]: userOS !== 'MacOS' ? t('Find') : undefined,
-  [KeyboardShortcut.CmdOptF]: userOS === 'MacOS' ? t('Replace') : undefined,
-  [KeyboardShortcut.CtrlH]: userOS !== 'MacOS' ? t('Replace') : undefined,
-};
-
-const KeyMapByCommand = Object.entries(KEY_MAP).reduce<
-  Record<string, string[]>
->((acc, [shortcut, command]) => {
-  if (command) {
-    acc[command] = [...(acc[command] || []), shortcut];
-  }
-  return acc;
-}, {});
+  {
+    description: t('Find'),
+    keys: [userOS === 'MacOS' ? 'command+f' : 'ctrl+f'],
+  },
+  {
+    description: t('Replace'),
+    keys: [userOS === 'MacOS' ? 'alt+command+f' : 'ctrl+h'],
+  },
+];
 
 const ShortcutDescription = styled.span`
   font-size: ${({ theme }) => theme.typography.sizes.m}px;
@@ -80,53 +64,184 @@ const ShortcutDescription = styled.span`
 const ShortcutWrapper = styled.div`
   display: flex;
   flex-wrap: wrap;
+  align-items: center;
   gap: ${({ theme }) => theme.gridUnit}px;
   padding: ${({ theme }) => theme.gridUnit * 2}px;
 `;
 
 const ShortcutCode = styled.code`
+  display: inline-flex;
+  align-items: center;
   font-size: ${({ theme }) => theme.typography.sizes.s}px;
   color: ${({ theme }) => theme.colors.grayscale.dark1};
   border-radius: ${({ theme }) => theme.borderRadius}px;
   padding: ${({ theme }) => `${theme.gridUnit}px ${theme.gridUnit * 2}px`};
 `;
 
+const ConflictWarning = styled.div`
+  font-size: ${({ theme }) => theme.typography.sizes.s}px;
+  color: ${({ theme }) => theme.colors.warning.dark1};
+  padding: 0 ${({ theme }) => theme.gridUnit * 2}px;
+`;
+
+const ShortcutRow: FC<{ description: string }> = ({
+  description,
+  children,
+}) => (
+  <div
+    css={css`
+      display: table-row;
+    `}
+  >
+    <div
+      css={css`
+        display: table-cell;
+        max-width: 200px;
+        vertical-align: middle;
+      `}
+    >
+      <ShortcutDescription>{description}</ShortcutDescription>
+    </div>
+    <div
+      css={css`
+        display: table-cell;
+      `}
+    >
+      {children}
+    </div>
+  </div>
+);
+
+export const KeyBindingsEditor = () => {
+  const dispatch = useDispatch();
+  const customBindings = useSelector<SqlLabRootState, KeyBindings>(
+    ({ sqlLab }) => sqlLab.keyBindings,
+  );
+  const keyBindings = useKeyBindings();
+  const [recordedCommand, setRecordedCommand] = useState<SqlLabCommand>();
+  const editorShortcuts = getEditorShortcuts();
+  const editorBindings = editorShortcuts.reduce(
+    (acc, { description, keys }) => ({
+      ...acc,
+      ...Object.fromEntries(keys.map(key => [key, description])),
+    }),
+    getRegisteredAceKeyBindings(),
+  );
+
+  const onRecordKey = (
+    command: SqlLabCommand,
+    event: KeyboardEvent<HTMLInputElement>,
+  ) => {
+    event.preventDefault();
+    event.stopPropagation();
+    if (event.key === 'Escape') {
+      setRecordedCommand(undefined);
+      return;
+    }
+    const key = getKeyBindingFromEvent(event);
+    if (key) {
+      if (!keyBindings[command].includes(key)) {
+        dispatch(setKeyBinding(command, [...keyBindings[command], key]));
+      }
+      setRecordedCommand(undefined);
+    }
+  };
+
+  return (
+    <div>
+      {Object.values(SqlLabCommand).map(command => {
+        const label = getCommandLabel(command);
+        // the default bindings knowingly override some editor commands
+        const conflicts = customBindings[command]
+          ? findKeyBindingConflicts(command, keyBindings, editorBindings)
+          : [];
+        return (
+          <ShortcutRow key={command} description={label}>
+            <ShortcutWrapper>
+              {keyBindings[command].map(key => (
+                <ShortcutCode key={key}>
+                  {key}
+                  <Icons.CloseOutlined
+                    role="button"
+                    aria-label={t('Remove %s from %s', key, label)}
+                    iconSize="s"
+                    onClick={() =>
+                      dispatch(
+                        setKeyBinding(
+                          command,
+                          keyBindings[command].filter(other => other !== key),
+                        ),
+                      )
+                    }
+                  />
+                </ShortcutCode>
+              ))}
+              {recordedCommand === command ? (
+                <Input
+                  autoFocus
+                  size="small"
+                  aria-label={t('New shortcut for %s', label)}
+                  placeholder={t('Press the keys')}
+                  value=""
+                  onKeyDown={event => onRecordKey(command, event)}
+                  onBlur={() => setRecordedCommand(undefined)}
+                  css={css`
+                    width: auto;
+                  `}
+                />
+              ) : (
+                <Button
+                  buttonStyle="link"
+                  buttonSize="xsmall"
+                  aria-label={t('Add a shortcut to %s', label)}
+                  onClick={() => setRecordedCommand(command)}
+                >
+                  <Icons.PlusOutlined iconSize="s" />
+                </Button>
+              )}
+            </ShortcutWrapper>
+            {conflicts.map(({ key, commands, aceCommand }) => (
+              <ConflictWarning key={key}>
+                {commands.length > 1
+                  ? t(
+                      '%s is also bound to: %s',
+                      key,
+                      commands
+                        .filter(other => other !== command)
+                        .map(getCommandLabel)
+                        .join(', '),
+                    )
+                  : t('%s overrides the editor command "%s"', key, aceCommand)}
+              </ConflictWarning>
+            ))}
+          </ShortcutRow>
+        );
+      })}
+      {editorShortcuts.map(({ description, keys }) => (
+        <ShortcutRow key={description} description={description}>
+          <ShortcutWrapper>
+            {keys.map(key => (
+              <ShortcutCode key={key}>{key}</ShortcutCode>
+            ))}
+          </ShortcutWrapper>
+        </ShortcutRow>
+      ))}
+      <Button
+        buttonStyle="secondary"
+        buttonSize="small"
+        disabled={!Object.keys(customBindings).length}
+        onClick={() => dispatch(resetKeyBindings())}
+      >
+        {t('Reset to defaults')}
+      </Button>
+    </div>
+  );
+};
+
 const KeyboardShortcutButton: FC<{}> = ({ children }) => (
   <ModalTrigger
     modalTitle={t('Keyboard shortcuts')}
-    modalBody={
-      <div>
-        {Object.entries(KeyMapByCommand).map(([description, shortcuts]) => (
-          <div
-            key={description}
-            css={css`
-              display: table-row;
-            `}
-          >
-            <div
-              css={css`
-                display: table-cell;
-                max-width: 200px;
-                vertical-align: middle;
-              `}
-            >
-              <ShortcutDescription>{description}</ShortcutDescription>
-            </div>
-            <div
-              css={css`
-                display: table-cell;
-              `}
-            >
-              <ShortcutWrapper>
-                {shortcuts.map(shortcut => (
-                  <ShortcutCode key={shortcut}>{shortcut}</ShortcutCode>
-                ))}
-              </ShortcutWrapper>
-            </div>
-          </div>
-        ))}
-      </div>
-    }
+    modalBody={<KeyBindingsEditor />}
     triggerNode={children}
   />
 );
@@ -0,0 +1,78 @@
+/**
+ * Licensed to the Apache Software Foundation (ASF) under one
+ * or more contributor license agreements.  See the NOTICE file
+ * distributed with this work for additional information
+ * regarding copyright ownership.  The ASF licenses this file
+ * to you under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance
+ * with the License.  You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an
+ * "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+ * KIND, either express or implied.  See the License for the
+ * specific language governing permissions and limitations
+ * under the License.
+ */
+import configureStore from 'redux-mock-store';
+import thunk from 'redux-thunk';
+import { QueryState } from '@superset-ui/core';
+import { fireEvent, render, screen } from 'spec/helpers/testing-library';
+import {
+  MOVE_OFFLINE_QUERY,
+  REMOVE_OFFLINE_QUERY,
+} from 'src/SqlLab/actions/sqlLab';
+import { initialState, queries } from 'src/SqlLab/fixtures';
+import OfflineQueue from '.';
+
+const mockStore = configureStore([thunk]);
+
+const queuedQueries = ['q1', 'q2'].map(id => ({
+  ...queries[0],
+  id,
+  sql: `SELECT '${id}'`,
+  state: QueryState.Queued,
+}));
+
+const setup = () => {
+  const store = mockStore({
+    ...initialState,
+    sqlLab: {
+      ...initialState.sqlLab,
+      offlineQueue: ['q1', 'q2'],
+      queries: Object.fromEntries(queuedQueries.map(q => [q.id, q])),
+    },
+  });
+  return { store, ...render(<OfflineQueue />, { useRedux: true, store }) };
+};
+
+test('lists the queued queries in order', () => {
+  setup();
+  expect(screen.getAllByText('offline – queued')).toHaveLength(2);
+  const items = screen.getAllByRole('listitem');
+  expect(items[0]).toHaveTextContent("SELECT 'q1'");
+  expect(items[1]).toHaveTextContent("SELECT 'q2'");
+});
+
+test('moves a queued query', () => {
+  const { store } = setup();
+  expect(screen.getAllByRole('button', { name: 'Move up' })[0]).toBeDisabled();
+  fireEvent.click(screen.getAllByRole('button', { name: 'Move up' })[1]);
+  expect(store.getActions()).toEqual([
+    { type: MOVE_OFFLINE_QUERY, query: queuedQueries[1], index: 0 },
+  ]);
+});
+
+test('cancels a queued query', () => {
+  const { store } = setup();
+  fireEvent.click(screen.getAllByRole('button', { name: 'Cancel' })[0]);
+  expect(store.getActions()).toEqual([
+    {
+      type: REMOVE_OFFLINE_QUERY,
+      query: queuedQueries[0],
+      state: QueryState.Stopped,
+    },
+  ]);
+});
@@ -0,0 +1,111 @@
+/**
+ * Licensed to the Apache Software Foundation (ASF) under one
+ * or more contributor license agreements.  See the NOTICE file
+ * distributed with this work for additional information
+ * regarding copyright ownership.  The ASF licenses this file
+ * to you under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance
+ * with the License.  You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an
+ * "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+ * KIND, either express or implied.  See the License for the
+ * specific language governing permissions and limitations
+ * under the License.
+ */
+import { shallowEqual, useDispatch, useSelector } from 'react-redux';
+import { css, styled, t } from '@superset-ui/core';
+import Alert from 'src/components/Alert';
+import Button from 'src/components/Button';
+import {
+  cancelOfflineQuery,
+  moveOfflineQuery,
+} from 'src/SqlLab/actions/sqlLab';
+import { SqlLabRootState } from 'src/SqlLab/types';
+import HighlightedSql from '../HighlightedSql';
+import QueryStateLabel from '../QueryStateLabel';
+
+const QueuedQuery = styled.li`
+  ${({ theme }) => css`
+    display: flex;
+    align-items: center;
+    column-gap: ${theme.gridUnit * 2}px;
+    padding: ${theme.gridUnit * 2}px 0;
+    border-bottom: 1px solid ${theme.colors.grayscale.light2};
+    .queued-query-sql {
+      flex: 1;
+      min-width: 0;
+    }
+  `}
+`;
+
+const QueuedQueries = styled.ol`
+  list-style: none;
+  padding: 0;
+  margin: ${({ theme }) => theme.gridUnit * 2}px 0 0;
+`;
+
+/**
+ * Lists the queries run while offline, in the order they are replayed once
+ * connectivity returns, and lets the user cancel or reorder them.
+ */
+const OfflineQueue = () => {
+  const dispatch = useDispatch();
+  const queuedQueries = useSelector(
+    ({ sqlLab: { offlineQueue, queries } }: SqlLabRootState) =>
+      offlineQueue.map(id => queries[id]).filter(Boolean),
+    shallowEqual,
+  );
+
+  return (
+    <div data-test="offline-queue">
+      <Alert
+        type="info"
+        message={t('You are offline')}
+        description={t(
+          'The queries below run in this order once the connection is back.',
+        )}
+      />
+      <QueuedQueries>
+        {queuedQueries.map((query, index) => (
+          <QueuedQuery key={query.id}>
+            <span>{index + 1}</span>
+            <QueryStateLabel query={query} />
+            {query.tab && <strong>{query.tab}</strong>}
+            <span className="queued-query-sql">
+              <HighlightedSql sql={query.sql} maxLines={1} shrink />
+            </span>
+            <Button
+              buttonSize="small"
+              buttonStyle="secondary"
+              disabled={index === 0}
+              onClick={() => dispatch(moveOfflineQuery(query, index - 1))}
+            >
+              {t('Move up')}
+            </Button>
+            <Button
+              buttonSize="small"
+              buttonStyle="secondary"
+              disabled={index === queuedQueries.length - 1}
+              onClick={() => dispatch(moveOfflineQuery(query, index + 1))}
+            >
+              {t('Move down')}
+            </Button>
+            <Button
+              buttonSize="small"
+              buttonStyle="danger"
+              onClick={() => dispatch(cancelOfflineQuery(query))}
+            >
+              {t('Cancel')}
+            </Button>
+          </QueuedQuery>
+        ))}
+      </QueuedQueries>
+    </div>
+  );
+};
+
+export default OfflineQueue;
@@ -29,12 +29,20 @@ import {
 import QueryAutoRefresh, {
   isQueryRunning,
   shouldCheckForQueries,
+  shouldPollForQueries,
+  QUERY_EVENT_TYPE,
   QUERY_UPDATE_FREQ,
 } from 'src/SqlLab/components/QueryAutoRefresh';
+import { isConnected, processEvents } from 'src/middleware/asyncEvent';
 import { successfulQuery, runningQuery } from 'src/SqlLab/fixtures';
 import { QueryDictionary } from 'src/SqlLab/types';
 import mockDatabases from 'spec/fixtures/mockDatabases';
 
+jest.mock('src/middleware/asyncEvent', () => ({
+  ...jest.requireActual('src/middleware/asyncEvent'),
+  isConnected: jest.fn(() => false),
+}));
+
 const middlewares = [thunk];
 const mockStore = configureStore(middlewares);
 const mockState = {
@@ -47,6 +55,13 @@ describe('QueryAutoRefresh', () => {
   const runningQueries: QueryDictionary = {};
   runningQueries[runningQuery.id] = runningQuery;
 
+  const pushedQueries: QueryDictionary = {
+    [runningQuery.id]: {
+      ...runningQuery,
+      extra: { ...runningQuery.extra, status_pushed: true },
+    },
+  };
+
   const successfulQueries: QueryDictionary = {};
   successfulQueries[successfulQuery.id] = successfulQuery;
 
@@ -91,6 +106,12 @@ describe('QueryAutoRefresh', () => {
     expect(shouldCheckForQueries(successfulQueries)).toBe(false);
   });
 
+  it('shouldPollForQueries leaves out the pushed queries while connected', () => {
+    expect(shouldPollForQueries(pushedQueries, true)).toBe(false);
+    expect(shouldPollForQueries(pushedQueries, false)).toBe(true);
+    expect(shouldPollForQueries(runningQueries, true)).toBe(true);
+  });
+
   it('shouldCheckForQueries is false for invalid inputs', () => {
     // @ts-ignore
     expect(shouldCheckForQueries(null)).toBe(false);
@@ -281,4 +302,67 @@ describe('QueryAutoRefresh', () => {
       { timeout: QUERY_UPDATE_FREQ + 100 },
     );
   });
+
+  it('refreshes the queries pushed over the async event channel', async () => {
+    const store = mockStore({ sqlLab: { ...mockState } });
+    render(
+      <QueryAutoRefresh
+        queries={runningQueries}
+        queriesLastUpdate={queriesLastUpdate}
+      />,
+      { useRedux: true, store },
+    );
+    await processEvents([
+      {
+        id: '1518951480106-0',
+        channel_id: '999',
+        job_id: runningQuery.id,
+        status: QueryState.Success,
+        result_url: null,
+        type: QUERY_EVENT_TYPE,
+        query: { ...runningQuery, state: QueryState.Success },
+      },
+    ]);
+    expect(store.getActions()).toContainEqual(
+      expect.objectContaining({
+        type: REFRESH_QUERIES,
+        alteredQueries: {
+          [runningQuery.id]: expect.objectContaining({
+            state: QueryState.Success,
+          }),
+        },
+      }),
+    );
+  });
+
+  it('does not poll while the queries are pushed over the WebSocket', async () => {
+    (isConnected as jest.Mock).mockReturnValueOnce(true);
+    const store = mockStore({ sqlLab: { ...mockState } });
+    fetchMock.get(refreshApi, { result: [] });
+    render(
+      <QueryAutoRefresh
+        queries={pushedQueries}
+        queriesLastUpdate={queriesLastUpdate}
+      />,
+      { useRedux: true, store },
+    );
+    await new Promise(resolve => setTimeout(resolve, QUERY_UPDATE_FREQ + 100));
+    expect(fetchMock.calls(refreshApi)).toHaveLength(0);
+  });
+
+  it('polls for the queries without an async event channel while connected', async () => {
+    (isConnected as jest.Mock).mockReturnValueOnce(true);
+    const store = mockStore({ sqlLab: { ...mockState } });
+    fetchMock.get(refreshApi, { result: [] });
+    render(
+      <QueryAutoRefresh
+        queries={runningQueries}
+        queriesLastUpdate={queriesLastUpdate}
+      />,
+      { useRedux: true, store },
+    );
+    await waitFor(() => expect(fetchMock.calls(refreshApi)).toHaveLength(1), {
+      timeout: QUERY_UPDATE_FREQ + 100,
+    });
+  });
 });
@@ -16,9 +16,9 @@
  * specific language governing permissions and limitations
  * under the License.
  */
-import { useRef } from 'react';
+import { useEffect, useRef, useState } from 'react';
 import { useSelector, useDispatch } from 'react-redux';
-import { isObject } from 'lodash';
+import { isObject, pickBy } from 'lodash';
 import rison from 'rison';
 import {
   SupersetClient,
@@ -30,6 +30,12 @@ import {
 } from '@superset-ui/core';
 import { QueryDictionary, SqlLabRootState } from 'src/SqlLab/types';
 import useInterval from 'src/SqlLab/utils/useInterval';
+import useEffectEvent from 'src/hooks/useEffectEvent';
+import {
+  addConnectionListener,
+  addEventTypeListener,
+  isConnected,
+} from 'src/middleware/asyncEvent';
 import {
   refreshQueries,
   clearInactiveQueries,
@@ -41,6 +47,8 @@ export const QUERY_UPDATE_FREQ = 2000;
 const QUERY_UPDATE_BUFFER_MS = 5000;
 const MAX_QUERY_AGE_TO_POLL = 21600000;
 const QUERY_TIMEOUT_LIMIT = 10000;
+// type of the async events carrying the SQL Lab query updates
+export const QUERY_EVENT_TYPE = 'sqllab_query';
 
 export interface QueryAutoRefreshProps {
   queries: QueryDictionary;
@@ -63,6 +71,20 @@ export const shouldCheckForQueries = (queryList: QueryDictionary): boolean => {
   return shouldCheck;
 };
 
+// returns true if the updates of the query are pushed over the async event channel
+export const isQueryPushed = (q: Query): boolean =>
+  Boolean(q?.extra?.status_pushed);
+
+// returns true if a running query has to be polled for, the queries with an
+// async event channel are left out while the WebSocket is connected
+export const shouldPollForQueries = (
+  queryList: QueryDictionary,
+  isPushActive: boolean,
+): boolean =>
+  shouldCheckForQueries(
+    isPushActive ? pickBy(queryList, q => !isQueryPushed(q)) : queryList,
+  );
+
 function QueryAutoRefresh({
   queries,
   queriesLastUpdate,
@@ -83,10 +105,51 @@ function QueryAutoRefresh({
     ),
   );
   const dispatch = useDispatch();
+  // the query updates are pushed over the async event WebSocket while it is
+  // connected, polling is only the fallback when it is unavailable or for the
+  // queries run without an async event channel
+  const [isPushActive, setIsPushActive] = useState(isConnected);
+
+  const onQueriesUpdated = useEffectEvent((updatedQueries: QueryResponse[]) => {
+    const alteredQueries = updatedQueries.reduce(
+      (acc: Record<string, QueryResponse>, current) => {
+        acc[current.id] = current;
+        return acc;
+      },
+      {},
+    );
+    dispatch(refreshQueries(alteredQueries));
+    updatedQueries.forEach(query => {
+      const { id, dbId, state } = query;
+      if (
+        asyncFetchDbs.current.has(dbId) &&
+        !failedQueries.current.has(id) &&
+        state === QueryState.Failed
+      ) {
+        dispatch(logFailedQuery(query, query.extra?.errors));
+        failedQueries.current.set(id, true);
+      }
+    });
+  });
+
+  useEffect(() => addConnectionListener(setIsPushActive), []);
+
+  useEffect(
+    () =>
+      addEventTypeListener(QUERY_EVENT_TYPE, ({ query }) => {
+        if (query) {
+          onQueriesUpdated([query as QueryResponse]);
+        }
+      }),
+    [onQueriesUpdated],
+  );
 
   const checkForRefresh = () => {
     const shouldRequestChecking = shouldCheckForQueries(queries);
-    if (!pendingRequestRef.current && shouldRequestChecking) {
+    if (
+      !pendingRequestRef.current &&
+      shouldPollForQueries(queries, isPushActive)
+    ) {
       const params = rison.encode({
         last_updated_ms: queriesLastUpdate - QUERY_UPDATE_BUFFER_MS,
       });
@@ -103,26 +166,7 @@ function QueryAutoRefresh({
           if (json) {
             const jsonPayload = json as { result?: QueryResponse[] };
             if (jsonPayload?.result?.length) {
-              const queries =
-                jsonPayload?.result?.reduce(
-                  (acc: Record<string, QueryResponse>, current) => {
-                    acc[current.id] = current;
-                    return acc;
-                  },
-                  {},
-                ) ?? {};
-              dispatch(refreshQueries(queries));
-              jsonPayload.result.forEach(query => {
-                const { id, dbId, state } = query;
-                if (
-                  asyncFetchDbs.current.has(dbId) &&
-                  !failedQueries.current.has(id) &&
-                  state === QueryState.Failed
-                ) {
-                  dispatch(logFailedQuery(query, query.extra?.errors));
-                  failedQueries.current.set(id, true);
-                }
-              });
+              onQueriesUpdated(jsonPayload.result);
             } else {
               dispatch(clearInactiveQueries(QUERY_UPDATE_FREQ));
             }
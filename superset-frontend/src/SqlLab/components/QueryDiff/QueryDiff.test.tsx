@@ -0,0 +1,131 @@
+/**
+ * Licensed to the Apache Software Foundation (ASF) under one
+ * or more contributor license agreements.  See the NOTICE file
+ * distributed with this work for additional information
+ * regarding copyright ownership.  The ASF licenses this file
+ * to you under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance
+ * with the License.  You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an
+ * "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+ * KIND, either express or implied.  See the License for the
+ * specific language governing permissions and limitations
+ * under the License.
+ */
+import fetchMock from 'fetch-mock';
+import thunk from 'redux-thunk';
+import configureStore from 'redux-mock-store';
+import { GenericDataType, QueryResponse } from '@superset-ui/core';
+import { render, screen } from 'spec/helpers/testing-library';
+import userEvent from '@testing-library/user-event';
+import { initialState, successfulQuery } from 'src/SqlLab/fixtures';
+import QueryDiffButton, { QueryDiff } from '.';
+
+jest.mock('react-diff-viewer-continued', () => () => (
+  <div data-test="mock-diff-viewer" />
+));
+
+const mockStore = configureStore([thunk]);
+
+const column = (name: string) => ({
+  column_name: name,
+  type: 'STRING',
+  type_generic: GenericDataType.String,
+  is_dttm: false,
+});
+
+const withResults = (
+  query: QueryResponse,
+  data: Record<string, unknown>[],
+): QueryResponse => ({
+  ...query,
+  results: {
+    ...query.results,
+    columns: [column('id'), column('name')],
+    data,
+  },
+});
+
+const previousQuery = withResults(
+  { ...successfulQuery, id: 'previous', startDttm: 1000, resultsKey: 'a' },
+  [
+    { id: 1, name: 'a' },
+    { id: 2, name: 'b' },
+  ],
+);
+const currentQuery = withResults(
+  { ...successfulQuery, id: 'current', startDttm: 2000, resultsKey: 'b' },
+  [
+    { id: 1, name: 'a' },
+    { id: 2, name: 'c' },
+    { id: 3, name: 'd' },
+  ],
+);
+
+afterEach(() => {
+  fetchMock.reset();
+});
+
+test('disables the compare button until two runs are selected', () => {
+  render(<QueryDiffButton queries={[previousQuery]} displayLimit={100} />, {
+    useRedux: true,
+    initialState,
+  });
+  expect(screen.getByRole('button', { name: 'Compare' })).toBeDisabled();
+});
+
+test('shows the SQL diff and the row changes of the cached results', () => {
+  render(<QueryDiff queries={[currentQuery, previousQuery]} />, {
+    useRedux: true,
+    initialState,
+  });
+  expect(screen.getByTestId('mock-diff-viewer')).toBeInTheDocument();
+  // without key columns a modified row is reported as removed and added
+  expect(screen.getByText('2 added')).toBeInTheDocument();
+  expect(screen.getByText('1 removed')).toBeInTheDocument();
+  expect(screen.getByText('0 changed')).toBeInTheDocument();
+  expect(screen.getByText('1 unchanged')).toBeInTheDocument();
+});
+
+test('explains why the results cannot be compared once they expired', () => {
+  render(
+    <QueryDiff
+      queries={[previousQuery, { ...currentQuery, resultsKey: null }]}
+    />,
+    {
+      useRedux: true,
+      store: mockStore({
+        ...initialState,
+        sqlLab: {
+          ...initialState.sqlLab,
+          queries: { current: { ...currentQuery, cached: true } },
+        },
+      }),
+    },
+  );
+  expect(
+    screen.getByText(
+      'The results of both runs must still be cached to compare them.',
+    ),
+  ).toBeInTheDocument();
+});
+
+test('fetches the results missing for the comparison', async () => {
+  const resultsEndpoint = 'glob:*/api/v1/sqllab/results/*';
+  fetchMock.get(resultsEndpoint, { status: 'success', data: [] });
+  const store = mockStore(initialState);
+  render(
+    <QueryDiffButton
+      queries={[previousQuery, { ...currentQuery, cached: true }]}
+      displayLimit={100}
+    />,
+    { useRedux: true, store },
+  );
+  userEvent.click(screen.getByText('Compare'));
+  expect(await screen.findByText('Compare runs')).toBeInTheDocument();
+  expect(fetchMock.calls(resultsEndpoint)).toHaveLength(1);
+});
@@ -0,0 +1,315 @@
+/**
+ * Licensed to the Apache Software Foundation (ASF) under one
+ * or more contributor license agreements.  See the NOTICE file
+ * distributed with this work for additional information
+ * regarding copyright ownership.  The ASF licenses this file
+ * to you under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance
+ * with the License.  You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an
+ * "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+ * KIND, either express or implied.  See the License for the
+ * specific language governing permissions and limitations
+ * under the License.
+ */
+import { useMemo, useRef, useState } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import ReactDiffViewer from 'react-diff-viewer-continued';
+import {
+  css,
+  QueryColumn,
+  QueryResponse,
+  QueryState,
+  styled,
+  t,
+} from '@superset-ui/core';
+
+import Alert from 'src/components/Alert';
+import Button from 'src/components/Button';
+import Label from 'src/components/Label';
+import Loading from 'src/components/Loading';
+import ModalTrigger from 'src/components/ModalTrigger';
+import TableView from 'src/components/TableView';
+import { Select } from 'src/components';
+import { extendedDayjs } from 'src/utils/dates';
+import {
+  clearQueryResults,
+  fetchQueryResults,
+} from 'src/SqlLab/actions/sqlLab';
+import { SqlLabRootState } from 'src/SqlLab/types';
+import { diffResults, getCommonColumns } from 'src/SqlLab/utils/resultDiff';
+
+type Row = Record<string, unknown>;
+
+export interface QueryDiffButtonProps {
+  queries: QueryResponse[];
+  displayLimit: number;
+}
+
+const QueryDiffStyles = styled.div`
+  ${({ theme }) => css`
+    font-size: ${theme.typography.sizes.s}px;
+
+    h4 {
+      margin: ${theme.gridUnit * 4}px 0 ${theme.gridUnit * 2}px;
+    }
+
+    pre {
+      font-size: ${theme.typography.sizes.s}px;
+      padding: 0;
+      background-color: transparent;
+      border: 0;
+    }
+
+    .query-diff-summary {
+      display: flex;
+      gap: ${theme.gridUnit * 2}px;
+      margin: ${theme.gridUnit * 2}px 0;
+    }
+
+    .query-diff-changed {
+      color: ${theme.colors.warning.dark1};
+      font-weight: ${theme.typography.weights.bold};
+    }
+  `}
+`;
+
+const formatRun = (query: QueryResponse) =>
+  t('Run of %s', extendedDayjs(query.startDttm).format('L HH:mm:ss'));
+
+const formatValue = (value: unknown) => {
+  if (value === null || value === undefined) {
+    return 'NULL';
+  }
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+};
+
+const hasResults = (query: QueryResponse) =>
+  Boolean(query.results?.data) && !query.cached;
+
+const getColumnNames = (columns: QueryColumn[] = []) =>
+  columns.map(({ column_name }) => column_name);
+
+const ResultDiff = ({
+  previous,
+  current,
+}: {
+  previous: QueryResponse;
+  current: QueryResponse;
+}) => {
+  const [keyColumns, setKeyColumns] = useState<string[]>([]);
+  const { columns: previousColumns, data: previousData } = previous.results;
+  const { columns: currentColumns, data: currentData } = current.results;
+  const columns = useMemo(
+    () =>
+      getCommonColumns(
+        getColumnNames(previousColumns),
+        getColumnNames(currentColumns),
+      ),
+    [previousColumns, currentColumns],
+  );
+  const diff = useMemo(
+    () =>
+      diffResults(
+        previousData as Row[],
+        currentData as Row[],
+        columns,
+        keyColumns,
+      ),
+    [previousData, currentData, columns, keyColumns],
+  );
+
+  const tableColumns = useMemo(
+    () =>
+      [t('Change'), ...columns].map((Header, index) => ({
+        id: String(index),
+        Header,
+        accessor: (row: { cells: unknown[] }) => row.cells[index],
+        disableSortBy: true,
+      })),
+    [columns],
+  );
+  const data = useMemo(
+    () => [
+      ...diff.removed.map(row => ({
+        cells: [
+          <Label type="danger">{t('Removed')}</Label>,
+          ...columns.map(column => formatValue(row[column])),
+        ],
+      })),
+      ...diff.added.map(row => ({
+        cells: [
+          <Label type="success">{t('Added')}</Label>,
+          ...columns.map(column => formatValue(row[column])),
+        ],
+      })),
+      ...diff.changed.map(
+        ({ previous: previousRow, current: currentRow, changedColumns }) => ({
+          cells: [
+            <Label type="warning">{t('Changed')}</Label>,
+            ...columns.map(column =>
+              changedColumns.includes(column) ? (
+                <span className="query-diff-changed">
+                  {`${formatValue(previousRow[column])} → ${formatValue(
+                    currentRow[column],
+                  )}`}
+                </span>
+              ) : (
+                formatValue(currentRow[column])
+              ),
+            ),
+          ],
+        }),
+      ),
+    ],
+    [diff, columns],
+  );
+
+  return (
+    <>
+      <Select
+        ariaLabel={t('Key columns')}
+        header={t('Key columns')}
+        placeholder={t('Match rows on all the columns')}
+        mode="multiple"
+        allowClear
+        options={columns.map(column => ({ value: column, label: column }))}
+        value={keyColumns}
+        onChange={value => setKeyColumns(value as string[])}
+        onClear={() => setKeyColumns([])}
+      />
+      {(previous.results.displayLimitReached ||
+        current.results.displayLimitReached) && (
+        <Alert
+          type="warning"
+          message={t(
+            'Only the rows fetched for each run are compared, the full results may differ further.',
+          )}
+        />
+      )}
+      {diff.duplicateKeyCount > 0 && (
+        <Alert
+          type="warning"
+          message={t(
+            '%s key(s) match several rows, pick more key columns to make the rows unique.',
+            diff.duplicateKeyCount,
+          )}
+        />
+      )}
+      <div className="query-diff-summary">
+        <Label type="success">{t('%s added', diff.added.length)}</Label>
+        <Label type="danger">{t('%s removed', diff.removed.length)}</Label>
+        <Label type="warning">{t('%s changed', diff.changed.length)}</Label>
+        <Label>{t('%s unchanged', diff.unchangedCount)}</Label>
+      </div>
+      <TableView
+        columns={tableColumns}
+        data={data}
+        className="table-condensed"
+        pageSize={50}
+        noDataText={t('Both runs returned the same rows')}
+      />
+    </>
+  );
+};
+
+export const QueryDiff = ({ queries }: { queries: QueryResponse[] }) => {
+  const storedQueries = useSelector(
+    (state: SqlLabRootState) => state.sqlLab.queries,
+  );
+  // compare the older run against the newer one, using the stored version of
+  // each query so that freshly fetched results show up
+  const [previous, current] = queries
+    .map(query => ({ ...query, ...storedQueries[query.id] }))
+    .sort((a, b) => Number(a.startDttm) - Number(b.startDttm));
+
+  const renderResultDiff = () => {
+    const pending = [previous, current].find(
+      query => query.state === QueryState.Fetching,
+    );
+    if (pending) {
+      return <Loading position="normal" />;
+    }
+    if (hasResults(previous) && hasResults(current)) {
+      return <ResultDiff previous={previous} current={current} />;
+    }
+    const failed = [previous, current].find(
+      query => query.resultsKey && query.errorMessage,
+    );
+    return (
+      <Alert
+        type="info"
+        message={
+          failed?.errorMessage ??
+          t('The results of both runs must still be cached to compare them.')
+        }
+      />
+    );
+  };
+
+  return (
+    <QueryDiffStyles>
+      <h4>{t('SQL')}</h4>
+      <ReactDiffViewer
+        oldValue={previous.sql}
+        newValue={current.sql}
+        leftTitle={formatRun(previous)}
+        rightTitle={formatRun(current)}
+      />
+      <h4>{t('Results')}</h4>
+      {renderResultDiff()}
+    </QueryDiffStyles>
+  );
+};
+
+const QueryDiffButton = ({ queries, displayLimit }: QueryDiffButtonProps) => {
+  const dispatch = useDispatch();
+  // only the results fetched for the comparison are cleared afterwards, the
+  // ones already displayed elsewhere are left alone
+  const fetchedQueries = useRef<QueryResponse[]>([]);
+  const button = (
+    <Button
+      buttonSize="small"
+      buttonStyle="secondary"
+      disabled={queries.length !== 2}
+      tooltip={
+        queries.length !== 2 ? t('Select two runs to compare them') : undefined
+      }
+    >
+      {t('Compare')}
+    </Button>
+  );
+
+  if (queries.length !== 2) {
+    return button;
+  }
+  return (
+    <ModalTrigger
+      modalTitle={t('Compare runs')}
+      modalBody={<QueryDiff queries={queries} />}
+      width="1200px"
+      maxWidth="90%"
+      beforeOpen={() => {
+        fetchedQueries.current = queries.filter(
+          query => query.resultsKey && !hasResults(query),
+        );
+        fetchedQueries.current.forEach(query =>
+          dispatch(fetchQueryResults(query, displayLimit)),
+        );
+      }}
+      onExit={() => {
+        fetchedQueries.current.forEach(query =>
+          dispatch(clearQueryResults(query)),
+        );
+        fetchedQueries.current = [];
+      }}
+      triggerNode={button}
+    />
+  );
+};
+
+export default QueryDiffButton;
@@ -19,8 +19,9 @@
 import fetchMock from 'fetch-mock';
 import { FeatureFlag, isFeatureEnabled, QueryState } from '@superset-ui/core';
 import { render, screen, waitFor } from 'spec/helpers/testing-library';
+import userEvent from '@testing-library/user-event';
 import QueryHistory from 'src/SqlLab/components/QueryHistory';
-import { initialState } from 'src/SqlLab/fixtures';
+import { initialState, successfulQuery } from 'src/SqlLab/fixtures';
 
 const mockedProps = {
   queryEditorId: 123,
@@ -102,3 +103,29 @@ test('fetches the query history when the persistence mode is enabled', async ()
   expect(queryResultText).toBeInTheDocument();
   isFeatureEnabledMock.mockClear();
 });
+
+test('enables the comparison once two runs are selected', () => {
+  const editorQuery = { ...successfulQuery, sqlEditorId: '123' };
+  render(setup(), {
+    useRedux: true,
+    initialState: {
+      ...initialState,
+      sqlLab: {
+        ...initialState.sqlLab,
+        queries: {
+          first: { ...editorQuery, id: 'first' },
+          second: { ...editorQuery, id: 'second' },
+        },
+      },
+    },
+  });
+  const compareButton = screen.getByRole('button', { name: 'Compare' });
+  expect(compareButton).toBeDisabled();
+  const [first, second] = screen.getAllByRole('checkbox');
+  userEvent.click(first);
+  expect(screen.getByRole('button', { name: 'Compare' })).toBeDisabled();
+  userEvent.click(second);
+  screen
+    .getAllByRole('button', { name: 'Compare' })
+    .forEach(button => expect(button).toBeEnabled());
+});
@@ -16,7 +16,7 @@
  * specific language governing permissions and limitations
  * under the License.
  */
-import { useEffect, useMemo, useState } from 'react';
+import { useCallback, useEffect, useMemo, useState } from 'react';
 import { shallowEqual, useSelector } from 'react-redux';
 import { useInView } from 'react-intersection-observer';
 import { omit } from 'lodash';
@@ -27,8 +27,10 @@ import {
   css,
   FeatureFlag,
   isFeatureEnabled,
+  QueryResponse,
 } from '@superset-ui/core';
 import QueryTable from 'src/SqlLab/components/QueryTable';
+import QueryDiffButton from 'src/SqlLab/components/QueryDiff';
 import { SqlLabRootState } from 'src/SqlLab/types';
 import { useEditorQueriesQuery } from 'src/hooks/apiResources/queries';
 import { Skeleton } from 'src/components';
@@ -51,6 +53,12 @@ const StyledEmptyStateWrapper = styled.div`
   }
 `;
 
+const StyledToolbar = styled.div`
+  display: flex;
+  justify-content: flex-end;
+  padding: ${({ theme }) => theme.gridUnit * 2}px 0;
+`;
+
 const getEditorQueries = (
   queries: SqlLabRootState['sqlLab']['queries'],
   queryEditorId: string | number,
@@ -66,6 +74,7 @@ const QueryHistory = ({
 }: QueryHistoryProps) => {
   const [ref, hasReachedBottom] = useInView({ threshold: 0 });
   const [pageIndex, setPageIndex] = useState(0);
+  const [selectedQueryIds, setSelectedQueryIds] = useState<string[]>([]);
   const queries = useSelector(
     ({ sqlLab: { queries } }: SqlLabRootState) => queries,
     shallowEqual,
@@ -96,6 +105,21 @@ const QueryHistory = ({
     [queries, data, queryEditorId],
   );
 
+  const selectedQueries = useMemo(
+    () => editorQueries.filter(({ id }) => selectedQueryIds.includes(id)),
+    [editorQueries, selectedQueryIds],
+  );
+
+  // two runs can be compared at a time, selecting a third one replaces the
+  // earliest selection
+  const onSelectQuery = useCallback(({ id }: QueryResponse) => {
+    setSelectedQueryIds(ids =>
+      ids.includes(id)
+        ? ids.filter(selectedId => selectedId !== id)
+        : [...ids, id].slice(-2),
+    );
+  }, []);
+
   const loadNext = useEffectEvent(() => {
     setPageIndex(pageIndex + 1);
   });
@@ -115,8 +139,15 @@ const QueryHistory = ({
 
   return editorQueries.length > 0 ? (
     <>
+      <StyledToolbar>
+        <QueryDiffButton
+          queries={selectedQueries}
+          displayLimit={displayLimit}
+        />
+      </StyledToolbar>
       <QueryTable
         columns={[
+          'compare',
           'state',
           'started',
           'duration',
@@ -129,6 +160,8 @@ const QueryHistory = ({
         queries={editorQueries}
         displayLimit={displayLimit}
         latestQueryId={latestQueryId}
+        selectedQueryIds={selectedQueryIds}
+        onSelectQuery={onSelectQuery}
       />
       {data && loadedDataCount < totalCount && (
         <div
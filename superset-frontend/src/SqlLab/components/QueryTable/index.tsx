@@ -34,6 +34,7 @@ import Button from 'src/components/Button';
 import { fDuration, extendedDayjs } from 'src/utils/dates';
 import Icons from 'src/components/Icons';
 import Label from 'src/components/Label';
+import Checkbox from 'src/components/Checkbox';
 import { Tooltip } from 'src/components/Tooltip';
 import { SqlLabRootState } from 'src/SqlLab/types';
 import ModalTrigger from 'src/components/ModalTrigger';
@@ -53,6 +54,7 @@ interface QueryTableQuery
   results?: Record<string, any>;
   duration?: ReactNode;
   started?: ReactNode;
+  compare?: ReactNode;
 }
 
 interface QueryTableProps {
@@ -62,6 +64,8 @@ interface QueryTableProps {
   onDbClicked?: Function;
   displayLimit: number;
   latestQueryId?: string | undefined;
+  selectedQueryIds?: string[];
+  onSelectQuery?: (query: QueryResponse) => void;
 }
 
 const openQuery = (id: number) => {
@@ -76,11 +80,14 @@ const QueryTable = ({
   onDbClicked = () => undefined,
   displayLimit,
   latestQueryId,
+  selectedQueryIds = [],
+  onSelectQuery = () => undefined,
 }: QueryTableProps) => {
   const theme = useTheme();
   const dispatch = useDispatch();
 
   const QUERY_HISTORY_TABLE_HEADERS_LOCALIZED = {
+    compare: t('Compare'),
     state: t('State'),
     started: t('Started'),
     duration: t('Duration'),
@@ -215,6 +222,14 @@ const QueryTable = ({
           label: t('Scheduled'),
         },
       },
+      queued: {
+        config: {
+          icon: (
+            <Icons.Clock iconColor={theme.colors.warning.base} iconSize="m" />
+          ),
+          label: t('Offline – queued'),
+        },
+      },
       error: {
         config: {
           icon: (
@@ -329,6 +344,12 @@ const QueryTable = ({
           ) : (
             <ProgressBar percent={parseInt(progress.toFixed(0), 10)} striped />
           );
+        q.compare = (
+          <Checkbox
+            checked={selectedQueryIds.includes(query.id)}
+            onChange={() => onSelectQuery(query)}
+          />
+        );
         q.state = (
           <Tooltip title={status.config.label}>{status.config.icon}</Tooltip>
         );
@@ -366,7 +387,15 @@ const QueryTable = ({
         return q;
       })
       .reverse();
-  }, [queries, onUserClicked, onDbClicked, user, displayLimit]);
+  }, [
+    queries,
+    onUserClicked,
+    onDbClicked,
+    user,
+    displayLimit,
+    selectedQueryIds,
+    onSelectQuery,
+  ]);
 
   return (
     <div className="QueryTable">
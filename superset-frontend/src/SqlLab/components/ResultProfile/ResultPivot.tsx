@@ -0,0 +1,191 @@
+/**
+ * Licensed to the Apache Software Foundation (ASF) under one
+ * or more contributor license agreements.  See the NOTICE file
+ * distributed with this work for additional information
+ * regarding copyright ownership.  The ASF licenses this file
+ * to you under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance
+ * with the License.  You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an
+ * "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+ * KIND, either express or implied.  See the License for the
+ * specific language governing permissions and limitations
+ * under the License.
+ */
+import { useEffect, useState } from 'react';
+import { css, QueryColumn, styled, t } from '@superset-ui/core';
+import Alert from 'src/components/Alert';
+import Loading from 'src/components/Loading';
+import { Select } from 'src/components';
+import FilterableTable from 'src/components/FilterableTable';
+import { PIVOT_MAX_COLUMNS } from 'src/SqlLab/constants';
+import {
+  handleResultProfileRequest,
+  PivotAggregate,
+  PivotOptions,
+  PivotResult,
+  ResultProfileRequest,
+} from 'src/SqlLab/utils/resultProfile';
+import runInWorker from 'src/SqlLab/workers/runInWorker';
+
+export interface ResultPivotProps {
+  columns: QueryColumn[];
+  data: Record<string, unknown>[];
+  height: number;
+}
+
+// height of the controls above the pivoted table
+const CONTROLS_HEIGHT = 64;
+
+const PivotControls = styled.div`
+  ${({ theme }) => css`
+    display: grid;
+    grid-template-columns: 2fr 1fr 1fr 1fr;
+    gap: ${theme.gridUnit * 2}px;
+    margin-bottom: ${theme.gridUnit * 2}px;
+  `}
+`;
+
+const AGGREGATE_OPTIONS: { value: PivotAggregate; label: string }[] = [
+  { value: 'count', label: t('Count') },
+  { value: 'sum', label: t('Sum') },
+  { value: 'avg', label: t('Average') },
+  { value: 'min', label: t('Min') },
+  { value: 'max', label: t('Max') },
+];
+
+/**
+ * Groups and pivots the loaded rows of a result set in a web worker, without
+ * running a new query.
+ */
+const ResultPivot = ({ columns, data, height }: ResultPivotProps) => {
+  const [options, setOptions] = useState<PivotOptions>({
+    groupby: [],
+    pivotColumn: null,
+    metric: null,
+    aggregate: 'count',
+  });
+  const [pivot, setPivot] = useState<PivotResult | null>(null);
+  const [error, setError] = useState<string | null>(null);
+  const columnOptions = columns.map(({ column_name }) => ({
+    value: column_name,
+    label: column_name,
+  }));
+
+  useEffect(() => {
+    let cancelled = false;
+    if (!options.groupby.length && !options.pivotColumn) {
+      setPivot(null);
+      return undefined;
+    }
+    setError(null);
+    runInWorker<ResultProfileRequest, PivotResult>(
+      'resultProfile',
+      { type: 'pivot', data, options },
+      request => handleResultProfileRequest(request) as PivotResult,
+    )
+      .then(result => !cancelled && setPivot(result))
+      .catch(({ message }) => !cancelled && setError(message));
+    return () => {
+      cancelled = true;
+    };
+  }, [data, options]);
+
+  const renderPivot = () => {
+    if (error) {
+      return (
+        <Alert
+          type="error"
+          message={t('The results could not be pivoted')}
+          description={error}
+        />
+      );
+    }
+    if (!options.groupby.length && !options.pivotColumn) {
+      return (
+        <Alert
+          type="info"
+          message={t('Choose the columns to group the loaded rows by')}
+        />
+      );
+    }
+    if (!pivot) {
+      return <Loading position="normal" />;
+    }
+    return (
+      <>
+        {pivot.truncated && (
+          <Alert
+            type="warning"
+            message={t(
+              'Only the first %s values of the pivot column are shown',
+              PIVOT_MAX_COLUMNS,
+            )}
+          />
+        )}
+        <FilterableTable
+          data={pivot.data}
+          orderedColumnKeys={pivot.columns}
+          height={height - CONTROLS_HEIGHT}
+        />
+      </>
+    );
+  };
+
+  return (
+    <div data-test="result-pivot">
+      <PivotControls>
+        <Select
+          ariaLabel={t('Group by')}
+          header={t('Group by')}
+          mode="multiple"
+          allowClear
+          options={columnOptions}
+          value={options.groupby}
+          onChange={value =>
+            setOptions({ ...options, groupby: value as string[] })
+          }
+        />
+        <Select
+          ariaLabel={t('Pivot column')}
+          header={t('Pivot column')}
+          allowClear
+          options={columnOptions}
+          value={options.pivotColumn ?? undefined}
+          onChange={value =>
+            setOptions({ ...options, pivotColumn: (value as string) ?? null })
+          }
+          onClear={() => setOptions({ ...options, pivotColumn: null })}
+        />
+        <Select
+          ariaLabel={t('Metric')}
+          header={t('Metric')}
+          allowClear
+          placeholder={t('Rows')}
+          options={columnOptions}
+          value={options.metric ?? undefined}
+          onChange={value =>
+            setOptions({ ...options, metric: (value as string) ?? null })
+          }
+          onClear={() => setOptions({ ...options, metric: null })}
+        />
+        <Select
+          ariaLabel={t('Aggregate')}
+          header={t('Aggregate')}
+          options={AGGREGATE_OPTIONS}
+          value={options.aggregate}
+          onChange={value =>
+            setOptions({ ...options, aggregate: value as PivotAggregate })
+          }
+        />
+      </PivotControls>
+      {renderPivot()}
+    </div>
+  );
+};
+
+export default ResultPivot;
@@ -0,0 +1,73 @@
+/**
+ * Licensed to the Apache Software Foundation (ASF) under one
+ * or more contributor license agreements.  See the NOTICE file
+ * distributed with this work for additional information
+ * regarding copyright ownership.  The ASF licenses this file
+ * to you under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance
+ * with the License.  You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an
+ * "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+ * KIND, either express or implied.  See the License for the
+ * specific language governing permissions and limitations
+ * under the License.
+ */
+import { GenericDataType, QueryColumn } from '@superset-ui/core';
+import { fireEvent, render, within } from 'spec/helpers/testing-library';
+import ResultProfile from '.';
+import ResultPivot from './ResultPivot';
+
+const columns: QueryColumn[] = [
+  {
+    column_name: 'country',
+    type: 'STRING',
+    type_generic: GenericDataType.String,
+    is_dttm: false,
+  },
+  {
+    column_name: 'sales',
+    type: 'INT',
+    type_generic: GenericDataType.Numeric,
+    is_dttm: false,
+  },
+];
+const data = [
+  { country: 'FR', sales: 10 },
+  { country: 'FR', sales: 30 },
+  { country: 'US', sales: null },
+];
+
+test('renders the profile of each column', async () => {
+  const { findAllByTestId } = render(
+    <ResultProfile columns={columns} data={data} height={400} />,
+  );
+  const [country, sales] = await findAllByTestId('column-profile');
+
+  expect(within(country).getByText('0 (0%)')).toBeInTheDocument();
+  expect(within(country).getByTestId('profile-top-values')).toHaveTextContent(
+    'FR2US1',
+  );
+  expect(within(sales).getByText('1 (33%)')).toBeInTheDocument();
+  expect(within(sales).getByTestId('profile-histogram')).toBeInTheDocument();
+});
+
+test('groups the rows by the chosen columns', async () => {
+  const { getByRole, getByText, findByText } = render(
+    <ResultPivot columns={columns} data={data} height={400} />,
+  );
+  expect(
+    getByText('Choose the columns to group the loaded rows by'),
+  ).toBeInTheDocument();
+
+  fireEvent.mouseDown(getByRole('combobox', { name: 'Group by' }));
+  fireEvent.click(
+    await findByText('country', {
+      selector: '.ant-select-item-option-content',
+    }),
+  );
+  expect(await findByText('COUNT(*)')).toBeInTheDocument();
+});
@@ -0,0 +1,239 @@
+/**
+ * Licensed to the Apache Software Foundation (ASF) under one
+ * or more contributor license agreements.  See the NOTICE file
+ * distributed with this work for additional information
+ * regarding copyright ownership.  The ASF licenses this file
+ * to you under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance
+ * with the License.  You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an
+ * "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+ * KIND, either express or implied.  See the License for the
+ * specific language governing permissions and limitations
+ * under the License.
+ */
+import { useEffect, useState } from 'react';
+import {
+  css,
+  GenericDataType,
+  getNumberFormatter,
+  NumberFormats,
+  QueryColumn,
+  styled,
+  t,
+} from '@superset-ui/core';
+import Alert from 'src/components/Alert';
+import Loading from 'src/components/Loading';
+import { Tooltip } from 'src/components/Tooltip';
+import {
+  ColumnProfile,
+  handleResultProfileRequest,
+  ResultProfileRequest,
+} from 'src/SqlLab/utils/resultProfile';
+import runInWorker from 'src/SqlLab/workers/runInWorker';
+
+const formatNumber = getNumberFormatter(NumberFormats.SMART_NUMBER);
+const formatPercent = getNumberFormatter(NumberFormats.PERCENT);
+
+export interface ResultProfileProps {
+  columns: QueryColumn[];
+  data: Record<string, unknown>[];
+  height: number;
+}
+
+const ProfileGrid = styled.div<{ height: number }>`
+  ${({ theme, height }) => css`
+    display: grid;
+    grid-template-columns: repeat(
+      auto-fill,
+      minmax(${theme.gridUnit * 60}px, 1fr)
+    );
+    gap: ${theme.gridUnit * 2}px;
+    max-height: ${height}px;
+    overflow-y: auto;
+  `}
+`;
+
+const ProfileCard = styled.div`
+  ${({ theme }) => css`
+    border: 1px solid ${theme.colors.grayscale.light2};
+    border-radius: ${theme.borderRadius}px;
+    padding: ${theme.gridUnit * 2}px;
+    font-size: ${theme.typography.sizes.s}px;
+
+    .profile-name {
+      font-weight: ${theme.typography.weights.bold};
+      overflow: hidden;
+      text-overflow: ellipsis;
+      white-space: nowrap;
+    }
+
+    dl {
+      display: grid;
+      grid-template-columns: auto 1fr;
+      column-gap: ${theme.gridUnit * 2}px;
+      margin: ${theme.gridUnit}px 0;
+    }
+
+    dt {
+      color: ${theme.colors.grayscale.base};
+      font-weight: ${theme.typography.weights.normal};
+    }
+
+    dd {
+      margin: 0;
+      text-align: right;
+      overflow: hidden;
+      text-overflow: ellipsis;
+      white-space: nowrap;
+    }
+
+    .profile-histogram {
+      display: flex;
+      align-items: flex-end;
+      gap: 1px;
+      height: ${theme.gridUnit * 10}px;
+    }
+
+    .profile-histogram > div {
+      flex: 1;
+      background-color: ${theme.colors.primary.base};
+    }
+
+    .profile-top-value {
+      display: flex;
+      justify-content: space-between;
+      gap: ${theme.gridUnit}px;
+      background-repeat: no-repeat;
+      background-image: linear-gradient(
+        ${theme.colors.primary.light3},
+        ${theme.colors.primary.light3}
+      );
+    }
+  `}
+`;
+
+const formatValue = (
+  value: string | number | null,
+  type: ColumnProfile['type'],
+) => {
+  if (value === null) {
+    return '–';
+  }
+  if (typeof value === 'number') {
+    return type === GenericDataType.Temporal
+      ? new Date(value).toISOString()
+      : formatNumber(value);
+  }
+  return value;
+};
+
+const Distribution = ({ profile }: { profile: ColumnProfile }) => {
+  const { histogram, topValues, count } = profile;
+  if (histogram) {
+    const maxCount = Math.max(...histogram.map(bin => bin.count), 1);
+    return (
+      <div className="profile-histogram" data-test="profile-histogram">
+        {histogram.map(bin => (
+          <Tooltip
+            key={bin.start}
+            title={t(
+              '%s to %s: %s rows',
+              formatNumber(bin.start),
+              formatNumber(bin.end),
+              bin.count,
+            )}
+          >
+            <div style={{ height: `${(bin.count / maxCount) * 100}%` }} />
+          </Tooltip>
+        ))}
+      </div>
+    );
+  }
+  return (
+    <div data-test="profile-top-values">
+      {(topValues ?? []).map(({ value, count: valueCount }) => (
+        <div
+          key={value}
+          className="profile-top-value"
+          style={{
+            backgroundSize: `${count ? (valueCount / count) * 100 : 0}% 100%`,
+          }}
+        >
+          <span>{value}</span>
+          <span>{formatNumber(valueCount)}</span>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+/**
+ * Profiles the loaded rows of a result set in a web worker: null and distinct
+ * counts, min, max and the distribution of each column.
+ */
+const ResultProfile = ({ columns, data, height }: ResultProfileProps) => {
+  const [profiles, setProfiles] = useState<ColumnProfile[] | null>(null);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    setProfiles(null);
+    setError(null);
+    runInWorker<ResultProfileRequest, ColumnProfile[]>(
+      'resultProfile',
+      { type: 'profile', columns, data },
+      request => handleResultProfileRequest(request) as ColumnProfile[],
+    )
+      .then(result => !cancelled && setProfiles(result))
+      .catch(({ message }) => !cancelled && setError(message));
+    return () => {
+      cancelled = true;
+    };
+  }, [columns, data]);
+
+  if (error) {
+    return (
+      <Alert
+        type="error"
+        message={t('The results could not be profiled')}
+        description={error}
+      />
+    );
+  }
+  if (!profiles) {
+    return <Loading position="normal" />;
+  }
+  return (
+    <ProfileGrid height={height} data-test="result-profile">
+      {profiles.map(profile => (
+        <ProfileCard key={profile.name} data-test="column-profile">
+          <div className="profile-name" title={profile.name}>
+            {profile.name}
+          </div>
+          <dl>
+            <dt>{t('Nulls')}</dt>
+            <dd>
+              {`${formatNumber(profile.nullCount)} (${formatPercent(
+                profile.count ? profile.nullCount / profile.count : 0,
+              )})`}
+            </dd>
+            <dt>{t('Distinct')}</dt>
+            <dd>{formatNumber(profile.distinctCount)}</dd>
+            <dt>{t('Min')}</dt>
+            <dd>{formatValue(profile.min, profile.type)}</dd>
+            <dt>{t('Max')}</dt>
+            <dd>{formatValue(profile.max, profile.type)}</dd>
+          </dl>
+          <Distribution profile={profile} />
+        </ProfileCard>
+      ))}
+    </ProfileGrid>
+  );
+};
+
+export default ResultProfile;
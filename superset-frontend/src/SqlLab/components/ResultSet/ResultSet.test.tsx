@@ -28,6 +28,7 @@ import { Store } from 'redux';
 import thunk from 'redux-thunk';
 import fetchMock from 'fetch-mock';
 import ResultSet from 'src/SqlLab/components/ResultSet';
+import { handleResultExportRequest } from 'src/SqlLab/utils/resultExport';
 import {
   cachedQuery,
   failedQueryWithErrors,
@@ -40,6 +41,11 @@ import {
   failedQueryWithFrontendTimeoutErrors,
 } from 'src/SqlLab/fixtures';
 
+jest.mock('src/SqlLab/utils/resultExport', () => ({
+  ...jest.requireActual('src/SqlLab/utils/resultExport'),
+  handleResultExportRequest: jest.fn(() => new Uint8Array([1])),
+}));
+
 jest.mock(
   'src/components/ErrorMessage/ErrorMessageWithStackTrace',
   () => () => <div data-test="error-message">Error</div>,
@@ -533,6 +539,40 @@ describe('ResultSet', () => {
     expect(queryByTestId('export-csv-button')).not.toBeInTheDocument();
   });
 
+  test('should export the loaded rows in a worker', async () => {
+    global.URL.createObjectURL = jest.fn(() => 'blob:results');
+    global.URL.revokeObjectURL = jest.fn();
+    const { getByTestId, findByText } = setup(
+      mockedProps,
+      mockStore({
+        ...initialState,
+        user: {
+          ...user,
+          roles: {
+            sql_lab: [['can_export_csv', 'SQLLab']],
+          },
+        },
+        sqlLab: {
+          ...initialState.sqlLab,
+          queries: {
+            [queries[0].id]: queries[0],
+          },
+        },
+      }),
+    );
+    fireEvent.click(getByTestId('export-results-button'));
+    fireEvent.click(await findByText('Parquet (.parquet)'));
+    await waitFor(() => expect(global.URL.createObjectURL).toHaveBeenCalled());
+    expect(handleResultExportRequest).toHaveBeenCalledWith({
+      format: 'parquet',
+      columns: queries[0].results?.columns,
+      data: queries[0].results?.data,
+      filterText: '',
+      sortModel: [],
+      name: queries[0].tab,
+    });
+  });
+
   test('should allow copy to clipboard when user has permission to export data', async () => {
     const { queryByTestId } = setup(
       mockedProps,
@@ -571,4 +611,29 @@ describe('ResultSet', () => {
     );
     expect(queryByTestId('copy-to-clipboard-button')).not.toBeInTheDocument();
   });
+
+  test('should profile and pivot the loaded rows', async () => {
+    const { getByText, findByTestId, findAllByTestId, queryByTestId } = setup(
+      { ...mockedProps, profile: true },
+      mockStore({
+        ...initialState,
+        user,
+        sqlLab: {
+          ...initialState.sqlLab,
+          queries: {
+            [queries[0].id]: queries[0],
+          },
+        },
+      }),
+    );
+    fireEvent.click(getByText('Profile'));
+    expect(await findAllByTestId('column-profile')).toHaveLength(2);
+    expect(queryByTestId('table-container')).not.toBeInTheDocument();
+
+    fireEvent.click(getByText('Pivot'));
+    expect(await findByTestId('result-pivot')).toBeInTheDocument();
+
+    fireEvent.click(getByText('Results'));
+    expect(await findByTestId('table-container')).toBeInTheDocument();
+  });
 });
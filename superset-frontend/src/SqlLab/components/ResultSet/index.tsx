@@ -19,6 +19,7 @@
 import {
   useCallback,
   useEffect,
+  useRef,
   useState,
   memo,
   ChangeEvent,
@@ -38,7 +39,6 @@ import {
   t,
   tn,
   useTheme,
-  usePrevious,
   css,
   getNumberFormatter,
   getExtensionsRegistry,
@@ -59,16 +59,21 @@ import Card from 'src/components/Card';
 import Label from 'src/components/Label';
 import { Tooltip } from 'src/components/Tooltip';
 import FilterableTable from 'src/components/FilterableTable';
+import type { SortModel } from 'src/components/FilterableTable/filterAndSort';
+import { NoAnimationDropdown } from 'src/components/Dropdown';
+import { Menu } from 'src/components/Menu';
 import CopyToClipboard from 'src/components/CopyToClipboard';
 import { addDangerToast } from 'src/components/MessageToasts/actions';
 import { prepareCopyToClipboardTabularData } from 'src/utils/common';
 import { getItem, LocalStorageKeys } from 'src/utils/localStorageHelpers';
 import Modal from 'src/components/Modal';
+import { Radio } from 'src/components/Radio';
 import {
   addQueryEditor,
   clearQueryResults,
   CtasEnum,
   fetchQueryResults,
+  fetchQueryResultsPage,
   reFetchQueryResults,
   reRunQuery,
 } from 'src/SqlLab/actions/sqlLab';
@@ -78,13 +83,23 @@ import {
   LOG_ACTIONS_SQLLAB_COPY_RESULT_TO_CLIPBOARD,
   LOG_ACTIONS_SQLLAB_CREATE_CHART,
   LOG_ACTIONS_SQLLAB_DOWNLOAD_CSV,
+  LOG_ACTIONS_SQLLAB_DOWNLOAD_RESULTS,
 } from 'src/logger/LogUtils';
 import Icons from 'src/components/Icons';
 import { findPermission } from 'src/utils/findPermission';
+import runInWorker from 'src/SqlLab/workers/runInWorker';
+import {
+  handleResultExportRequest,
+  RESULT_EXPORT_MIME_TYPES,
+  ResultExportFormat,
+  ResultExportRequest,
+} from 'src/SqlLab/utils/resultExport';
 import ExploreCtasResultsButton from '../ExploreCtasResultsButton';
 import ExploreResultsButton from '../ExploreResultsButton';
 import HighlightedSql from '../HighlightedSql';
 import QueryStateLabel from '../QueryStateLabel';
+import ResultProfile from '../ResultProfile';
+import ResultPivot from '../ResultProfile/ResultPivot';
 
 enum LimitingFactor {
   Query = 'QUERY',
@@ -93,12 +108,20 @@ enum LimitingFactor {
   NotLimited = 'NOT_LIMITED',
 }
 
+enum ResultView {
+  Results = 'results',
+  Profile = 'profile',
+  Pivot = 'pivot',
+}
+
 export interface ResultSetProps {
   cache?: boolean;
   csv?: boolean;
   database?: Record<string, any>;
   displayLimit: number;
   height: number;
+  // whether the loaded rows can be profiled and pivoted
+  profile?: boolean;
   queryId: string;
   search?: boolean;
   showSql?: boolean;
@@ -161,6 +184,7 @@ const ResultSet = ({
   database = {},
   displayLimit,
   height,
+  profile = false,
   queryId,
   search = true,
   showSql = false,
@@ -197,6 +221,8 @@ const ResultSet = ({
         'isDataPreview',
         'progress',
         'extra',
+        'nextResultsOffset',
+        'fetchingResultsPage',
       ]),
     shallowEqual,
   );
@@ -205,6 +231,9 @@ const ResultSet = ({
     FilterableTable;
   const theme = useTheme();
   const [searchText, setSearchText] = useState('');
+  const [sortModel, setSortModel] = useState<SortModel>([]);
+  const [exporting, setExporting] = useState(false);
+  const [resultView, setResultView] = useState(ResultView.Results);
   const [cachedData, setCachedData] = useState<Record<string, unknown>[]>([]);
   const [showSaveDatasetModal, setShowSaveDatasetModal] = useState(false);
   const [alertIsOpen, setAlertIsOpen] = useState(false);
@@ -213,34 +242,49 @@ const ResultSet = ({
   const dispatch = useDispatch();
   const logAction = useLogAction({ queryId, sqlEditorId: query.sqlEditorId });
 
+  const queryOnMount = useRef(query);
   const reRunQueryIfSessionTimeoutErrorOnMount = useCallback(() => {
+    const { current } = queryOnMount;
     if (
-      query.errorMessage &&
-      query.errorMessage.indexOf('session timed out') > 0
+      current.errorMessage &&
+      current.errorMessage.indexOf('session timed out') > 0
     ) {
-      dispatch(reRunQuery(query));
+      dispatch(reRunQuery(current));
     }
-  }, []);
+  }, [dispatch]);
 
   useEffect(() => {
     // only do this the first time the component is rendered/mounted
     reRunQueryIfSessionTimeoutErrorOnMount();
   }, [reRunQueryIfSessionTimeoutErrorOnMount]);
 
-  const fetchResults = (q: typeof query, timeout?: number) => {
-    dispatch(fetchQueryResults(q, displayLimit, timeout));
-  };
+  const fetchResults = useCallback(
+    (q: typeof query, timeout?: number) => {
+      dispatch(fetchQueryResults(q, displayLimit, timeout));
+    },
+    [dispatch, displayLimit],
+  );
+
+  const fetchNextResultsPage = useCallback(() => {
+    if (query.nextResultsOffset != null && !query.fetchingResultsPage) {
+      dispatch(fetchQueryResultsPage(query, displayLimit));
+    }
+  }, [dispatch, query, displayLimit]);
 
-  const prevQuery = usePrevious(query);
   useEffect(() => {
     if (cache && query.cached && query?.results?.data?.length > 0) {
       setCachedData(query.results.data);
       dispatch(clearQueryResults(query));
     }
-    if (query.resultsKey && query.resultsKey !== prevQuery?.resultsKey) {
+  }, [cache, dispatch, query]);
+
+  const prevResultsKey = useRef<string | null>();
+  useEffect(() => {
+    if (query.resultsKey && query.resultsKey !== prevResultsKey.current) {
       fetchResults(query);
     }
-  }, [query, cache]);
+    prevResultsKey.current = query.resultsKey;
+  }, [fetchResults, query]);
 
   const calculateAlertRefHeight = (alertElement: HTMLElement | null) => {
     if (alertElement) {
@@ -294,6 +338,41 @@ const ResultSet = ({
   const getExportCsvUrl = (clientId: string) =>
     `/api/v1/sqllab/export/${clientId}/`;
 
+  const exportResults = (format: ResultExportFormat) => {
+    const { columns } = query.results;
+    const data = cache && query.cached ? cachedData : query.results.data;
+    logAction(LOG_ACTIONS_SQLLAB_DOWNLOAD_RESULTS, { format });
+    setExporting(true);
+    // the rows are exported the way they are displayed in the table
+    runInWorker<ResultExportRequest, Uint8Array>(
+      'resultExport',
+      {
+        format,
+        columns,
+        data,
+        filterText: resultView === ResultView.Results ? searchText : '',
+        sortModel: resultView === ResultView.Results ? sortModel : [],
+        name: query.tab ?? undefined,
+      },
+      handleResultExportRequest,
+    )
+      .then(bytes => {
+        const url = URL.createObjectURL(
+          new Blob([bytes], { type: RESULT_EXPORT_MIME_TYPES[format] }),
+        );
+        const link = document.createElement('a');
+        link.download = `${(query.tab || 'results').replace(
+          /[^\w-]+/g,
+          '_',
+        )}.${format}`;
+        link.href = url;
+        link.click();
+        URL.revokeObjectURL(url);
+      })
+      .catch(() => dispatch(addDangerToast(t('Unable to export the results'))))
+      .finally(() => setExporting(false));
+  };
+
   const renderControls = () => {
     if (search || visualize || csv) {
       const { results, queryLimit, limitingFactor, rows } = query;
@@ -334,6 +413,22 @@ const ResultSet = ({
             datasource={datasource}
           />
           <ResultSetButtons>
+            {profile && (
+              <Radio.Group
+                css={css`
+                  margin-right: ${theme.gridUnit * 2}px;
+                `}
+                size="small"
+                optionType="button"
+                value={resultView}
+                onChange={({ target }) => setResultView(target.value)}
+                options={[
+                  { value: ResultView.Results, label: t('Results') },
+                  { value: ResultView.Profile, label: t('Profile') },
+                  { value: ResultView.Pivot, label: t('Pivot') },
+                ]}
+              />
+            )}
             {visualize && database?.allows_virtual_table_explore && (
               <ExploreResultsButton
                 database={database}
@@ -364,6 +459,33 @@ const ResultSet = ({
                 <i className="fa fa-file-text-o" /> {t('Download to CSV')}
               </Button>
             )}
+            {csv && canExportData && (
+              <NoAnimationDropdown
+                trigger={['click']}
+                disabled={exporting}
+                dropdownRender={() => (
+                  <Menu
+                    onClick={({ key }) =>
+                      exportResults(key as ResultExportFormat)
+                    }
+                  >
+                    <Menu.Item key="xlsx">{t('Excel (.xlsx)')}</Menu.Item>
+                    <Menu.Item key="parquet">
+                      {t('Parquet (.parquet)')}
+                    </Menu.Item>
+                  </Menu>
+                )}
+              >
+                <Button
+                  buttonSize="small"
+                  data-test="export-results-button"
+                  disabled={exporting}
+                >
+                  <i className="fa fa-download" />{' '}
+                  {exporting ? t('Exporting...') : t('Export')}
+                </Button>
+              </NoAnimationDropdown>
+            )}
 
             {canExportData && (
               <CopyToClipboard
@@ -384,7 +506,7 @@ const ResultSet = ({
               />
             )}
           </ResultSetButtons>
-          {search && (
+          {search && resultView === ResultView.Results && (
             <input
               type="text"
               onChange={changeSearch}
@@ -405,7 +527,13 @@ const ResultSet = ({
     const limitReached = results?.displayLimitReached;
     const limit = queryLimit || results.query.limit;
     const isAdmin = !!user?.roles?.Admin;
-    const rowsCount = Math.min(rows || 0, results?.data?.length || 0);
+    const loadedRowsCount = results?.data?.length || 0;
+    const hasMoreRows = query.nextResultsOffset != null;
+    // while paginating, the rows up to the display limit are still arriving
+    const rowsCount = Math.min(
+      rows || 0,
+      hasMoreRows ? displayLimit : loadedRowsCount,
+    );
 
     const displayMaxRowsReachedMessage = {
       withAdmin: t(
@@ -444,11 +572,18 @@ const ResultSet = ({
       );
     }
     const formattedRowCount = getNumberFormatter()(rows);
+    const formattedLoadedRowsCount = getNumberFormatter()(loadedRowsCount);
     const rowsReturnedMessage = t('%(rows)d rows returned', {
       rows,
     });
 
-    const tooltipText = `${rowsReturnedMessage}. ${limitMessage}`;
+    const loadedRowsMessage = hasMoreRows
+      ? ` ${t('%(loaded)s rows loaded, scroll down to load more.', {
+          loaded: formattedLoadedRowsCount,
+        })}`
+      : '';
+
+    const tooltipText = `${rowsReturnedMessage}. ${limitMessage}${loadedRowsMessage}`;
 
     if (alertMessage) {
       return (
@@ -509,6 +644,7 @@ const ResultSet = ({
                 {tn('%s row', '%s rows', rows, formattedRowCount)}
               </Label>
             </Tooltip>
+            {query.fetchingResultsPage && <Loading position="inline" />}
           </ReturnedRows>
         )}
       </>
@@ -694,15 +830,33 @@ const ResultSet = ({
               {sql}
             </>
           )}
-          <ResultTable
-            data={data}
-            queryId={query.id}
-            orderedColumnKeys={results.columns.map(col => col.column_name)}
-            height={rowsHeight}
-            filterText={searchText}
-            expandedColumns={expandedColumns}
-            allowHTML={allowHTML}
-          />
+          {resultView === ResultView.Profile && (
+            <ResultProfile
+              columns={results.columns}
+              data={data}
+              height={rowsHeight}
+            />
+          )}
+          {resultView === ResultView.Pivot && (
+            <ResultPivot
+              columns={results.columns}
+              data={data}
+              height={rowsHeight}
+            />
+          )}
+          {resultView === ResultView.Results && (
+            <ResultTable
+              data={data}
+              queryId={query.id}
+              orderedColumnKeys={results.columns.map(col => col.column_name)}
+              height={rowsHeight}
+              filterText={searchText}
+              expandedColumns={expandedColumns}
+              allowHTML={allowHTML}
+              onScrollToEnd={fetchNextResultsPage}
+              onSortChange={setSortModel}
+            />
+          )}
         </ResultContainer>
       );
     }
@@ -0,0 +1,108 @@
+/**
+ * Licensed to the Apache Software Foundation (ASF) under one
+ * or more contributor license agreements.  See the NOTICE file
+ * distributed with this work for additional information
+ * regarding copyright ownership.  The ASF licenses this file
+ * to you under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance
+ * with the License.  You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an
+ * "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+ * KIND, either express or implied.  See the License for the
+ * specific language governing permissions and limitations
+ * under the License.
+ */
+import thunk from 'redux-thunk';
+import configureStore from 'redux-mock-store';
+import { render, screen } from 'spec/helpers/testing-library';
+import userEvent from '@testing-library/user-event';
+import { initialState, defaultQueryEditor } from 'src/SqlLab/fixtures';
+import {
+  ADD_QUERY_EDITOR_REVISION,
+  QUERY_EDITOR_SET_SQL,
+} from 'src/SqlLab/actions/sqlLab';
+import RevisionHistoryButton, { RevisionHistory } from '.';
+
+jest.mock('react-diff-viewer-continued', () => () => (
+  <div data-test="mock-diff-viewer" />
+));
+
+const mockStore = configureStore([thunk]);
+
+const revisions = [
+  { id: 'r1', sql: 'SELECT 1', timestamp: 1000, source: 'run' },
+  { id: 'r2', sql: 'SELECT 2', timestamp: 2000, source: 'idle' },
+];
+
+const setup = (
+  queryEditorRevisions: Record<string, typeof revisions> = {
+    [defaultQueryEditor.id]: revisions,
+  },
+) => {
+  const store = mockStore({
+    ...initialState,
+    sqlLab: { ...initialState.sqlLab, queryEditorRevisions },
+  });
+  render(<RevisionHistory queryEditorId={defaultQueryEditor.id} />, {
+    useRedux: true,
+    store,
+  });
+  return store;
+};
+
+test('lists the revisions, the most recent first', () => {
+  setup();
+  const options = screen.getAllByRole('option');
+  expect(options).toHaveLength(2);
+  expect(options[0]).toHaveTextContent('Edit');
+  expect(options[0]).toHaveAttribute('aria-selected', 'true');
+  expect(options[1]).toHaveTextContent('Run');
+  // the highlighter splits the sql in tokens
+  expect(screen.getByTestId('revision-history')).toHaveTextContent('SELECT 2');
+});
+
+test('previews and compares the selected revision', () => {
+  setup();
+  userEvent.click(screen.getAllByRole('option')[1]);
+  // the highlighter splits the sql in tokens
+  expect(screen.getByTestId('revision-history')).toHaveTextContent('SELECT 1');
+  userEvent.click(screen.getByText('Compare with the current SQL'));
+  expect(screen.getByTestId('mock-diff-viewer')).toBeInTheDocument();
+});
+
+test('restores the selected revision', () => {
+  const store = setup();
+  userEvent.click(screen.getByRole('button', { name: 'Restore' }));
+  expect(store.getActions()).toEqual([
+    expect.objectContaining({
+      type: ADD_QUERY_EDITOR_REVISION,
+      revision: expect.objectContaining({
+        sql: defaultQueryEditor.sql,
+        source: 'restore',
+      }),
+    }),
+    expect.objectContaining({
+      type: QUERY_EDITOR_SET_SQL,
+      sql: 'SELECT 2',
+    }),
+  ]);
+});
+
+test('explains when the revisions are saved', () => {
+  render(
+    <RevisionHistoryButton queryEditorId={defaultQueryEditor.id}>
+      Revision history
+    </RevisionHistoryButton>,
+    { useRedux: true, initialState },
+  );
+  userEvent.click(screen.getByText('Revision history'));
+  expect(
+    screen.getByText(
+      'The SQL is saved here on each run, and when the editor is left idle.',
+    ),
+  ).toBeInTheDocument();
+});
@@ -0,0 +1,209 @@
+/**
+ * Licensed to the Apache Software Foundation (ASF) under one
+ * or more contributor license agreements.  See the NOTICE file
+ * distributed with this work for additional information
+ * regarding copyright ownership.  The ASF licenses this file
+ * to you under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance
+ * with the License.  You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an
+ * "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+ * KIND, either express or implied.  See the License for the
+ * specific language governing permissions and limitations
+ * under the License.
+ */
+import { FC, useRef, useState } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import ReactDiffViewer from 'react-diff-viewer-continued';
+import SyntaxHighlighter from 'react-syntax-highlighter/dist/cjs/light';
+import sql from 'react-syntax-highlighter/dist/cjs/languages/hljs/sql';
+import github from 'react-syntax-highlighter/dist/cjs/styles/hljs/github';
+import { css, styled, t } from '@superset-ui/core';
+
+import Button from 'src/components/Button';
+import ModalTrigger, { ModalTriggerRef } from 'src/components/ModalTrigger';
+import { Radio } from 'src/components/Radio';
+import { extendedDayjs } from 'src/utils/dates';
+import { restoreQueryEditorRevision } from 'src/SqlLab/actions/sqlLab';
+import useQueryEditor from 'src/SqlLab/hooks/useQueryEditor';
+import type { QueryEditorRevision, SqlLabRootState } from 'src/SqlLab/types';
+
+SyntaxHighlighter.registerLanguage('sql', sql);
+
+export interface RevisionHistoryButtonProps {
+  queryEditorId: string;
+}
+
+const EMPTY: QueryEditorRevision[] = [];
+
+const RevisionHistoryStyles = styled.div`
+  ${({ theme }) => css`
+    display: flex;
+    gap: ${theme.gridUnit * 4}px;
+
+    .revision-list {
+      flex: 0 0 ${theme.gridUnit * 60}px;
+      max-height: ${theme.gridUnit * 120}px;
+      overflow-y: auto;
+      margin: 0;
+      padding: 0;
+      list-style: none;
+    }
+
+    .revision-list li {
+      display: flex;
+      justify-content: space-between;
+      padding: ${theme.gridUnit * 2}px;
+      cursor: pointer;
+      border-bottom: 1px solid ${theme.colors.grayscale.light2};
+    }
+
+    .revision-list li[aria-selected='true'] {
+      background-color: ${theme.colors.primary.light4};
+    }
+
+    .revision-source {
+      color: ${theme.colors.text.help};
+    }
+
+    .revision-detail {
+      flex: 1;
+      min-width: 0;
+      max-height: ${theme.gridUnit * 120}px;
+      overflow: auto;
+    }
+
+    .revision-actions {
+      display: flex;
+      justify-content: space-between;
+      margin-bottom: ${theme.gridUnit * 2}px;
+    }
+
+    pre {
+      font-size: ${theme.typography.sizes.s}px;
+    }
+  `}
+`;
+
+const getSourceLabel = (source: QueryEditorRevision['source']) =>
+  ({
+    run: t('Run'),
+    idle: t('Edit'),
+    restore: t('Before restore'),
+  })[source];
+
+const formatTimestamp = (timestamp: number) =>
+  extendedDayjs(timestamp).format('L HH:mm:ss');
+
+export const RevisionHistory = ({
+  queryEditorId,
+  onRestore,
+}: RevisionHistoryButtonProps & { onRestore?: () => void }) => {
+  const dispatch = useDispatch();
+  const { sql: currentSql = '' } = useQueryEditor(queryEditorId, ['sql']);
+  const revisions = useSelector<SqlLabRootState, QueryEditorRevision[]>(
+    ({ sqlLab }) => sqlLab.queryEditorRevisions?.[queryEditorId] ?? EMPTY,
+  );
+  const [selectedId, setSelectedId] = useState<string>();
+  const [view, setView] = useState<'preview' | 'diff'>('preview');
+  // the most recent revisions first
+  const sortedRevisions = [...revisions].reverse();
+  const selected =
+    sortedRevisions.find(({ id }) => id === selectedId) ?? sortedRevisions[0];
+
+  if (!selected) {
+    return (
+      <div>
+        {t(
+          'The SQL is saved here on each run, and when the editor is left idle.',
+        )}
+      </div>
+    );
+  }
+
+  return (
+    <RevisionHistoryStyles data-test="revision-history">
+      <ul className="revision-list" role="listbox">
+        {sortedRevisions.map(revision => (
+          <li
+            key={revision.id}
+            role="option"
+            aria-selected={revision.id === selected.id}
+            onClick={() => setSelectedId(revision.id)}
+          >
+            <span>{formatTimestamp(revision.timestamp)}</span>
+            <span className="revision-source">
+              {getSourceLabel(revision.source)}
+            </span>
+          </li>
+        ))}
+      </ul>
+      <div className="revision-detail">
+        <div className="revision-actions">
+          <Radio.Group
+            value={view}
+            onChange={({ target }) => setView(target.value)}
+          >
+            <Radio.Button value="preview">{t('Preview')}</Radio.Button>
+            <Radio.Button value="diff">
+              {t('Compare with the current SQL')}
+            </Radio.Button>
+          </Radio.Group>
+          <Button
+            buttonStyle="primary"
+            buttonSize="small"
+            disabled={selected.sql === currentSql}
+            onClick={() => {
+              dispatch(
+                restoreQueryEditorRevision({ id: queryEditorId }, selected),
+              );
+              onRestore?.();
+            }}
+          >
+            {t('Restore')}
+          </Button>
+        </div>
+        {view === 'preview' ? (
+          <SyntaxHighlighter language="sql" style={github}>
+            {selected.sql}
+          </SyntaxHighlighter>
+        ) : (
+          <ReactDiffViewer
+            oldValue={selected.sql}
+            newValue={currentSql}
+            leftTitle={formatTimestamp(selected.timestamp)}
+            rightTitle={t('Current SQL')}
+          />
+        )}
+      </div>
+    </RevisionHistoryStyles>
+  );
+};
+
+const RevisionHistoryButton: FC<RevisionHistoryButtonProps> = ({
+  queryEditorId,
+  children,
+}) => {
+  const modalRef = useRef() as ModalTriggerRef;
+  return (
+    <ModalTrigger
+      ref={modalRef}
+      modalTitle={t('Revision history')}
+      modalBody={
+        <RevisionHistory
+          queryEditorId={queryEditorId}
+          onRestore={() => modalRef.current.close()}
+        />
+      }
+      width="1200px"
+      maxWidth="90%"
+      triggerNode={children}
+    />
+  );
+};
+
+export default RevisionHistoryButton;
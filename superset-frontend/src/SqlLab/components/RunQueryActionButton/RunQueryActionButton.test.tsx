@@ -20,6 +20,7 @@ import configureStore from 'redux-mock-store';
 import thunk from 'redux-thunk';
 import { Store } from 'redux';
 
+import { FeatureFlag } from '@superset-ui/core';
 import { render, fireEvent, waitFor } from 'spec/helpers/testing-library';
 import { initialState, defaultQueryEditor } from 'src/SqlLab/fixtures';
 import RunQueryActionButton, {
@@ -116,6 +117,30 @@ it('disable button when selectedText only contains blank contents', () => {
   expect(button).toBeDisabled();
 });
 
+it('disable button when a template parameter is missing', () => {
+  window.featureFlags = { [FeatureFlag.EnableTemplateProcessing]: true };
+  const runQuery = jest.fn();
+  const { getByRole } = setup(
+    { runQuery },
+    mockStore({
+      ...initialState,
+      sqlLab: {
+        ...initialState.sqlLab,
+        unsavedQueryEditor: {
+          id: defaultQueryEditor.id,
+          sql: 'SELECT * FROM {{ my_table }}',
+          templateParams: '{}',
+        },
+      },
+    }),
+  );
+  const button = getByRole('button');
+  expect(button).toBeDisabled();
+  fireEvent.click(button);
+  expect(runQuery).not.toHaveBeenCalled();
+  window.featureFlags = {};
+});
+
 it('enable default button for unrelated unsaved changes', () => {
   const { getByRole } = setup(
     {},
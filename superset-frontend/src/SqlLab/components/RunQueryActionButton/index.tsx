@@ -26,6 +26,7 @@ import { DropdownButton } from 'src/components/DropdownButton';
 import { detectOS } from 'src/utils/common';
 import { QueryButtonProps } from 'src/SqlLab/types';
 import useQueryEditor from 'src/SqlLab/hooks/useQueryEditor';
+import useMissingTemplateParams from 'src/SqlLab/hooks/useMissingTemplateParams';
 import {
   LOG_ACTIONS_SQLLAB_RUN_QUERY,
   LOG_ACTIONS_SQLLAB_STOP_QUERY,
@@ -109,6 +110,8 @@ const RunQueryActionButton = ({
     'sql',
   ]);
 
+  const missingTemplateParams = useMissingTemplateParams(queryEditorId);
+
   const shouldShowStopBtn =
     !!queryState && ['running', 'pending'].indexOf(queryState) > -1;
 
@@ -120,6 +123,8 @@ const RunQueryActionButton = ({
   const isDisabled = !sqlContent
     ?.replace(/(\/\*[^*]*\*\/)|(\/\/[^*]*)|(--[^.].*)/gm, '')
     .trim();
+  const isMissingParams =
+    !shouldShowStopBtn && missingTemplateParams.length > 0;
 
   const stopButtonTooltipText = useMemo(
     () =>
@@ -136,12 +141,17 @@ const RunQueryActionButton = ({
         onClick={() =>
           onClick(shouldShowStopBtn, allowAsync, runQuery, stopQuery, logAction)
         }
-        disabled={isDisabled}
+        disabled={isDisabled || isMissingParams}
         tooltip={
           (!isDisabled &&
             (shouldShowStopBtn
               ? stopButtonTooltipText
-              : t('Run query (Ctrl + Return)'))) as string
+              : isMissingParams
+                ? t(
+                    'Set a value for the parameters %s to run the query',
+                    missingTemplateParams.map(({ name }) => name).join(', '),
+                  )
+                : t('Run query (Ctrl + Return)'))) as string
         }
         cta
         {...(overlayCreateAsMenu
@@ -150,7 +160,7 @@ const RunQueryActionButton = ({
               icon: (
                 <Icons.CaretDown
                   iconColor={
-                    isDisabled
+                    isDisabled || isMissingParams
                       ? theme.colors.grayscale.base
                       : theme.colors.grayscale.light5
                   }
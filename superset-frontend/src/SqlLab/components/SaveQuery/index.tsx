@@ -33,6 +33,8 @@ import {
 } from 'src/SqlLab/components/SaveDatasetModal';
 import { getDatasourceAsSaveableDataset } from 'src/utils/datasourceUtils';
 import useQueryEditor from 'src/SqlLab/hooks/useQueryEditor';
+import useSqlLabCommand from 'src/SqlLab/hooks/useSqlLabCommand';
+import { SqlLabCommand } from 'src/SqlLab/utils/keyBindings';
 import { QueryEditor } from 'src/SqlLab/types';
 import useLogAction from 'src/logger/useLogAction';
 import {
@@ -110,6 +112,12 @@ const SaveQuery = ({
   const shouldShowSaveButton =
     database?.allows_virtual_table_explore !== undefined;
 
+  useSqlLabCommand(
+    queryEditorId,
+    SqlLabCommand.SaveQuery,
+    shouldShowSaveButton ? () => setShowSave(true) : null,
+  );
+
   const overlayMenu = (
     <Menu>
       <Menu.Item
@@ -28,6 +28,8 @@ import { parseDate } from 'chrono-node';
 import ModalTrigger, { ModalTriggerRef } from 'src/components/ModalTrigger';
 import { Form, FormItem } from 'src/components/Form';
 import Button from 'src/components/Button';
+import useSqlLabCommand from 'src/SqlLab/hooks/useSqlLabCommand';
+import { SqlLabCommand } from 'src/SqlLab/utils/keyBindings';
 import getBootstrapData from 'src/utils/getBootstrapData';
 
 const bootstrapData = getBootstrapData();
@@ -80,6 +82,8 @@ const getValidator = () => {
 };
 
 interface ScheduleQueryButtonProps {
+  // the tab whose schedule command opens the modal
+  queryEditorId?: string;
   defaultLabel?: string;
   sql: string;
   schema?: string;
@@ -135,6 +139,7 @@ const StyledJsonSchema = styled.div`
 `;
 
 const ScheduleQueryButton: FunctionComponent<ScheduleQueryButtonProps> = ({
+  queryEditorId,
   defaultLabel = t('Undefined'),
   sql,
   schema,
@@ -149,6 +154,12 @@ const ScheduleQueryButton: FunctionComponent<ScheduleQueryButtonProps> = ({
   const [showSchedule, setShowSchedule] = useState(false);
   const saveModal: ModalTriggerRef | null = useRef() as ModalTriggerRef;
 
+  useSqlLabCommand(
+    queryEditorId ?? '',
+    SqlLabCommand.ScheduleQuery,
+    queryEditorId && !disabled ? () => saveModal?.current?.open() : null,
+  );
+
   const onScheduleSubmit = ({
     formData,
   }: {
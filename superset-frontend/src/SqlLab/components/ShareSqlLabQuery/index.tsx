@@ -28,12 +28,16 @@ import Icons from 'src/components/Icons';
 import withToasts from 'src/components/MessageToasts/withToasts';
 import CopyToClipboard from 'src/components/CopyToClipboard';
 import useQueryEditor from 'src/SqlLab/hooks/useQueryEditor';
+import useSqlLabCommand from 'src/SqlLab/hooks/useSqlLabCommand';
+import { SqlLabCommand } from 'src/SqlLab/utils/keyBindings';
+import copyTextToClipboard from 'src/utils/copy';
 import { LOG_ACTIONS_SQLLAB_COPY_LINK } from 'src/logger/LogUtils';
 import useLogAction from 'src/logger/useLogAction';
 
 interface ShareSqlLabQueryProps {
   queryEditorId: string;
   addDangerToast: (msg: string) => void;
+  addSuccessToast: (msg: string) => void;
 }
 
 const StyledIcon = styled(Icons.Link)`
@@ -49,6 +53,7 @@ const StyledIcon = styled(Icons.Link)`
 const ShareSqlLabQuery = ({
   queryEditorId,
   addDangerToast,
+  addSuccessToast,
 }: ShareSqlLabQueryProps) => {
   const theme = useTheme();
   const logAction = useLogAction({ queryEditorId });
@@ -82,6 +87,21 @@ const ShareSqlLabQuery = ({
     return getCopyUrlForPermalink(callback);
   };
 
+  useSqlLabCommand(queryEditorId, SqlLabCommand.ShareQuery, () => {
+    logAction(LOG_ACTIONS_SQLLAB_COPY_LINK, { shortcut: true });
+    copyTextToClipboard(
+      () => new Promise(resolve => getCopyUrlForPermalink(resolve)),
+    )
+      .then(() => addSuccessToast(t('Copied to clipboard!')))
+      .catch(() =>
+        addDangerToast(
+          t(
+            'Sorry, your browser does not support copying. Use Ctrl / Cmd + C!',
+          ),
+        ),
+      );
+  });
+
   const buildButton = () => {
     const tooltip = t('Copy query link to your clipboard');
     return (
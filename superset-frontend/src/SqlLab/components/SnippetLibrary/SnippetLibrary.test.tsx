@@ -0,0 +1,97 @@
+/**
+ * Licensed to the Apache Software Foundation (ASF) under one
+ * or more contributor license agreements.  See the NOTICE file
+ * distributed with this work for additional information
+ * regarding copyright ownership.  The ASF licenses this file
+ * to you under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance
+ * with the License.  You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an
+ * "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+ * KIND, either express or implied.  See the License for the
+ * specific language governing permissions and limitations
+ * under the License.
+ */
+/* eslint-disable no-template-curly-in-string */
+import configureStore from 'redux-mock-store';
+import thunk from 'redux-thunk';
+import {
+  fireEvent,
+  render,
+  screen,
+  waitFor,
+} from 'spec/helpers/testing-library';
+import { REMOVE_SNIPPET, SAVE_SNIPPET } from 'src/SqlLab/actions/sqlLab';
+import { initialState } from 'src/SqlLab/fixtures';
+import SnippetLibrary from '.';
+
+const mockStore = configureStore([thunk]);
+
+const personalSnippet = {
+  id: 'personal',
+  name: 'Recent rows',
+  sql: 'WHERE ds > ${ds}',
+};
+
+const setup = () => {
+  const store = mockStore({
+    ...initialState,
+    common: {
+      ...initialState.common,
+      conf: {
+        ...initialState.common.conf,
+        SQLLAB_SNIPPETS: [{ name: 'Active users', sql: 'SELECT * FROM u' }],
+      },
+    },
+    sqlLab: { ...initialState.sqlLab, snippets: [personalSnippet] },
+  });
+  return { store, ...render(<SnippetLibrary />, { useRedux: true, store }) };
+};
+
+test('lists the shared and personal snippets', () => {
+  setup();
+  expect(screen.getByText('Active users')).toBeInTheDocument();
+  expect(screen.getByText('Shared')).toBeInTheDocument();
+  expect(screen.getByText('Recent rows')).toBeInTheDocument();
+  expect(
+    screen.queryByRole('button', { name: 'Edit snippet Active users' }),
+  ).not.toBeInTheDocument();
+});
+
+test('deletes a personal snippet', () => {
+  const { store } = setup();
+  fireEvent.click(
+    screen.getByRole('button', { name: 'Delete snippet Recent rows' }),
+  );
+  expect(store.getActions()).toEqual([
+    { type: REMOVE_SNIPPET, snippet: personalSnippet },
+  ]);
+});
+
+test('adds a snippet with placeholders', async () => {
+  const { store } = setup();
+  fireEvent.click(screen.getByRole('button', { name: /Add snippet/ }));
+  fireEvent.change(screen.getByRole('textbox', { name: 'Name' }), {
+    target: { value: 'By country' },
+  });
+  fireEvent.change(screen.getByRole('textbox', { name: 'SQL' }), {
+    target: { value: 'WHERE country = ${country}' },
+  });
+  expect(screen.getByText('Parameters: country')).toBeInTheDocument();
+  fireEvent.click(screen.getByRole('button', { name: 'Save' }));
+  await waitFor(() =>
+    expect(store.getActions()).toEqual([
+      {
+        type: SAVE_SNIPPET,
+        snippet: expect.objectContaining({
+          name: 'By country',
+          sql: 'WHERE country = ${country}',
+        }),
+      },
+    ]),
+  );
+});
@@ -0,0 +1,95 @@
+/**
+ * Licensed to the Apache Software Foundation (ASF) under one
+ * or more contributor license agreements.  See the NOTICE file
+ * distributed with this work for additional information
+ * regarding copyright ownership.  The ASF licenses this file
+ * to you under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance
+ * with the License.  You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an
+ * "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+ * KIND, either express or implied.  See the License for the
+ * specific language governing permissions and limitations
+ * under the License.
+ */
+/* eslint-disable no-template-curly-in-string */
+import { useState } from 'react';
+import { t } from '@superset-ui/core';
+import { Form, FormItem } from 'src/components/Form';
+import { Input, TextArea } from 'src/components/Input';
+import Modal from 'src/components/Modal';
+import type { SqlSnippet } from 'src/SqlLab/types';
+import { getSnippetParameters } from 'src/SqlLab/utils/sqlSnippets';
+
+export interface SnippetModalProps {
+  snippet?: SqlSnippet;
+  onSave: (snippet: Omit<SqlSnippet, 'id'> & { id?: string }) => void;
+  onHide: () => void;
+}
+
+const SnippetModal = ({ snippet, onSave, onHide }: SnippetModalProps) => {
+  const [name, setName] = useState(snippet?.name ?? '');
+  const [description, setDescription] = useState(snippet?.description ?? '');
+  const [sql, setSql] = useState(snippet?.sql ?? '');
+  const parameters = getSnippetParameters(sql);
+
+  const save = () => {
+    onSave({
+      id: snippet?.id,
+      name: name.trim(),
+      description: description.trim() || undefined,
+      sql,
+    });
+    onHide();
+  };
+
+  return (
+    <Modal
+      show
+      onHide={onHide}
+      onHandledPrimaryAction={save}
+      primaryButtonName={t('Save')}
+      disablePrimaryButton={!name.trim() || !sql.trim()}
+      title={snippet ? t('Edit snippet') : t('Add snippet')}
+    >
+      <Form layout="vertical">
+        <FormItem label={t('Name')} required>
+          <Input
+            aria-label={t('Name')}
+            value={name}
+            onChange={event => setName(event.target.value)}
+          />
+        </FormItem>
+        <FormItem label={t('Description')}>
+          <Input
+            aria-label={t('Description')}
+            value={description}
+            onChange={event => setDescription(event.target.value)}
+          />
+        </FormItem>
+        <FormItem
+          label={t('SQL')}
+          required
+          extra={
+            parameters.length
+              ? t('Parameters: %s', parameters.join(', '))
+              : t('Use ${name} placeholders for the parts to fill in.')
+          }
+        >
+          <TextArea
+            aria-label={t('SQL')}
+            rows={6}
+            value={sql}
+            onChange={event => setSql(event.target.value)}
+          />
+        </FormItem>
+      </Form>
+    </Modal>
+  );
+};
+
+export default SnippetModal;
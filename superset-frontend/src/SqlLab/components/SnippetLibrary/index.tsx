@@ -0,0 +1,143 @@
+/**
+ * Licensed to the Apache Software Foundation (ASF) under one
+ * or more contributor license agreements.  See the NOTICE file
+ * distributed with this work for additional information
+ * regarding copyright ownership.  The ASF licenses this file
+ * to you under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance
+ * with the License.  You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an
+ * "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+ * KIND, either express or implied.  See the License for the
+ * specific language governing permissions and limitations
+ * under the License.
+ */
+import { useState } from 'react';
+import { useDispatch } from 'react-redux';
+import { css, styled, t } from '@superset-ui/core';
+import Button from 'src/components/Button';
+import Icons from 'src/components/Icons';
+import Label from 'src/components/Label';
+import { Tooltip } from 'src/components/Tooltip';
+import { removeSnippet, saveSnippet } from 'src/SqlLab/actions/sqlLab';
+import useSqlSnippets from 'src/SqlLab/hooks/useSqlSnippets';
+import type { SqlSnippet } from 'src/SqlLab/types';
+import SnippetModal from './SnippetModal';
+
+const SnippetHeader = styled.div`
+  ${({ theme }) => css`
+    display: flex;
+    align-items: center;
+    justify-content: space-between;
+    margin-bottom: ${theme.gridUnit}px;
+    font-weight: ${theme.typography.weights.bold};
+  `}
+`;
+
+const SnippetItem = styled.li`
+  ${({ theme }) => css`
+    display: flex;
+    align-items: center;
+    column-gap: ${theme.gridUnit}px;
+    padding: ${theme.gridUnit}px 0;
+    .snippet-name {
+      flex: 1;
+      min-width: 0;
+      overflow: hidden;
+      text-overflow: ellipsis;
+      white-space: nowrap;
+    }
+  `}
+`;
+
+const SnippetList = styled.ul`
+  list-style: none;
+  padding: 0;
+  margin: 0;
+  max-height: ${({ theme }) => theme.gridUnit * 50}px;
+  overflow: auto;
+`;
+
+/**
+ * Lists the snippets offered as completions in the editor, and lets the user
+ * manage their personal ones, which are kept in the browser. Shared snippets
+ * are configured on the server through SQLLAB_SNIPPETS and are read-only.
+ */
+const SnippetLibrary = () => {
+  const dispatch = useDispatch();
+  const snippets = useSqlSnippets();
+  // undefined when closed, null when adding a snippet
+  const [editedSnippet, setEditedSnippet] = useState<SqlSnippet | null>();
+
+  return (
+    <div data-test="sql-snippet-library">
+      <SnippetHeader>
+        <span>{t('Snippets')}</span>
+        <Tooltip
+          title={t('Your snippets are only stored in this browser')}
+          placement="right"
+        >
+          <Button
+            buttonSize="xsmall"
+            buttonStyle="link"
+            onClick={() => setEditedSnippet(null)}
+          >
+            <Icons.PlusOutlined iconSize="m" /> {t('Add snippet')}
+          </Button>
+        </Tooltip>
+      </SnippetHeader>
+      <SnippetList>
+        {snippets.map(snippet => (
+          <SnippetItem key={snippet.id}>
+            <Tooltip
+              title={snippet.description || snippet.sql}
+              placement="right"
+            >
+              <span className="snippet-name">{snippet.name}</span>
+            </Tooltip>
+            {snippet.shared ? (
+              <Tooltip
+                title={t('Shared snippets are managed by your administrator')}
+                placement="right"
+              >
+                <Label>{t('Shared')}</Label>
+              </Tooltip>
+            ) : (
+              <>
+                <Button
+                  buttonSize="xsmall"
+                  buttonStyle="link"
+                  aria-label={t('Edit snippet %s', snippet.name)}
+                  onClick={() => setEditedSnippet(snippet)}
+                >
+                  <Icons.Edit iconSize="m" />
+                </Button>
+                <Button
+                  buttonSize="xsmall"
+                  buttonStyle="link"
+                  aria-label={t('Delete snippet %s', snippet.name)}
+                  onClick={() => dispatch(removeSnippet(snippet))}
+                >
+                  <Icons.Trash iconSize="m" />
+                </Button>
+              </>
+            )}
+          </SnippetItem>
+        ))}
+      </SnippetList>
+      {editedSnippet !== undefined && (
+        <SnippetModal
+          snippet={editedSnippet ?? undefined}
+          onSave={snippet => dispatch(saveSnippet(snippet))}
+          onHide={() => setEditedSnippet(undefined)}
+        />
+      )}
+    </div>
+  );
+};
+
+export default SnippetLibrary;
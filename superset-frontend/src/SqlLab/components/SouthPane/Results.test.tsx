@@ -132,3 +132,35 @@ test('should pass latest query down to ResultSet component', async () => {
   });
   expect(getByText(latestQueryProgressMsg)).toBeVisible();
 });
+
+test('should render a tab per statement of a script', async () => {
+  const { getByText } = render(
+    <Results {...mockedProps} latestQueryId="multi_statement_id" />,
+    {
+      useRedux: true,
+      initialState: {
+        ...mockState,
+        sqlLab: {
+          ...mockState.sqlLab,
+          queries: {
+            multi_statement_id: {
+              ...mockState.sqlLab.queries.LCly_kkIN,
+              id: 'multi_statement_id',
+              sql: 'select 1; select 2',
+              extra: {
+                progress: latestQueryProgressMsg,
+                statements: [
+                  { index: 0, sql: 'select 1', state: 'success', rows: 1 },
+                  { index: 1, sql: 'select 2', state: 'running' },
+                ],
+              },
+            },
+          },
+        },
+      },
+    },
+  );
+  expect(getByText('Statement 1')).toBeVisible();
+  expect(getByText('Statement 2')).toBeVisible();
+  expect(getByText(latestQueryProgressMsg)).toBeVisible();
+});
@@ -20,10 +20,22 @@ import { FC } from 'react';
 import { shallowEqual, useSelector } from 'react-redux';
 import Alert from 'src/components/Alert';
 import { EmptyState } from 'src/components/EmptyState';
-import { FeatureFlag, styled, t, isFeatureEnabled } from '@superset-ui/core';
+import {
+  FeatureFlag,
+  QueryState,
+  styled,
+  t,
+  isFeatureEnabled,
+} from '@superset-ui/core';
 
 import { SqlLabRootState } from 'src/SqlLab/types';
+import {
+  getStatementResults,
+  hasMultipleStatements,
+} from 'src/SqlLab/utils/getStatementResults';
+import OfflineQueue from '../OfflineQueue';
 import ResultSet from '../ResultSet';
+import StatementResults from '../StatementResults';
 import { LOCALSTORAGE_MAX_QUERY_AGE_MS } from '../../constants';
 
 const EXTRA_HEIGHT_RESULTS = 8; // we need extra height in RESULTS tab. because the height from props was calculated based on PREVIEW tab.
@@ -75,6 +87,10 @@ const Results: FC<Props> = ({
     );
   }
 
+  if (latestQuery.state === QueryState.Queued) {
+    return <OfflineQueue />;
+  }
+
   if (
     isFeatureEnabled(FeatureFlag.SqllabBackendPersistence) &&
     latestQuery.state === 'success' &&
@@ -89,9 +105,22 @@ const Results: FC<Props> = ({
     );
   }
 
+  if (hasMultipleStatements(getStatementResults(latestQuery))) {
+    return (
+      <StatementResults
+        query={latestQuery}
+        height={height + EXTRA_HEIGHT_RESULTS}
+        database={databases[latestQuery.dbId]}
+        displayLimit={displayLimit}
+        defaultQueryLimit={defaultQueryLimit}
+      />
+    );
+  }
+
   return (
     <ResultSet
       search
+      profile
       queryId={latestQuery.id}
       height={height + EXTRA_HEIGHT_RESULTS}
       database={databases[latestQuery.dbId]}
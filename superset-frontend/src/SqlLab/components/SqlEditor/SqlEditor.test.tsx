@@ -303,6 +303,39 @@ describe('SqlEditor', () => {
     );
   });
 
+  it('does not run the query while template parameters have no value', async () => {
+    mockIsFeatureEnabled.mockImplementation(
+      flag => flag === FeatureFlag.EnableTemplateProcessing,
+    );
+    store = createStore({
+      ...mockInitialState,
+      sqlLab: {
+        ...mockInitialState.sqlLab,
+        unsavedQueryEditor: {
+          ...mockInitialState.sqlLab.unsavedQueryEditor,
+          sql: 'SELECT * FROM t WHERE country = {{ country }}',
+        },
+      },
+    });
+    const { findByTestId } = setup(
+      {
+        ...mockedProps,
+        queryEditor: { ...mockedProps.queryEditor, autorun: true },
+      },
+      store,
+    );
+    expect(await findByTestId('run-query-action')).toBeDisabled();
+    await waitFor(() =>
+      expect(actions).toContainEqual(
+        expect.objectContaining({ type: 'QUERY_EDITOR_SET_AUTORUN' }),
+      ),
+    );
+    expect(actions).not.toContainEqual(
+      expect.objectContaining({ type: 'START_QUERY' }),
+    );
+    mockIsFeatureEnabled.mockReset();
+  });
+
   it('render a Limit Dropdown', async () => {
     const defaultQueryLimit = 101;
     const updatedProps = { ...mockedProps, defaultQueryLimit };
@@ -31,7 +31,9 @@ import {
 import type AceEditor from 'react-ace';
 import useEffectEvent from 'src/hooks/useEffectEvent';
 import { CSSTransition } from 'react-transition-group';
-import { shallowEqual, useDispatch, useSelector } from 'react-redux';
+import { shallowEqual, useDispatch, useSelector, useStore } from 'react-redux';
+import type { AnyAction } from 'redux';
+import type { ThunkDispatch } from 'redux-thunk';
 import Split from 'react-split';
 import {
   css,
@@ -66,22 +68,28 @@ import {
   addNewQueryEditor,
   CtasEnum,
   estimateQueryCost,
+  explainQuery,
   persistEditorHeight,
   postStopQuery,
   queryEditorSetAutorun,
+  queryEditorSetSelectedText,
   queryEditorSetSql,
   queryEditorSetCursorPosition,
   queryEditorSetAndSaveSql,
   queryEditorSetTemplateParams,
   runQueryFromSqlEditor,
   saveQuery,
+  saveQueryEditorRevision,
   addSavedQueryToTabState,
   scheduleQuery,
   setActiveSouthPaneTab,
   updateSavedQuery,
   formatQuery,
   fetchQueryEditor,
+  getUpToDateQuery,
+  selectCurrentStatement,
   switchQueryEditor,
+  toggleLeftBar,
 } from 'src/SqlLab/actions/sqlLab';
 import {
   STATE_TYPE_MAP,
@@ -94,6 +102,7 @@ import {
   INITIAL_SOUTH_PERCENT,
   SET_QUERY_EDITOR_SQL_DEBOUNCE_MS,
   WINDOW_RESIZE_THROTTLE_MS,
+  QUERY_EDITOR_REVISION_IDLE_MS,
 } from 'src/SqlLab/constants';
 import {
   getItem,
@@ -104,10 +113,21 @@ import { EmptyState } from 'src/components/EmptyState';
 import Alert from 'src/components/Alert';
 import getBootstrapData from 'src/utils/getBootstrapData';
 import useLogAction from 'src/logger/useLogAction';
+import {
+  getQueryEditorMissingTemplateParams,
+  useTemplateContextNames,
+} from 'src/SqlLab/hooks/useMissingTemplateParams';
+import useKeyBindings from 'src/SqlLab/hooks/useKeyBindings';
+import useSqlLabCommand, {
+  executeCommand,
+} from 'src/SqlLab/hooks/useSqlLabCommand';
+import { getCommandLabel, SqlLabCommand } from 'src/SqlLab/utils/keyBindings';
+import { isIndexedDbAvailable } from 'src/SqlLab/utils/indexedDbStorage';
 import {
   LOG_ACTIONS_SQLLAB_CREATE_TABLE_AS,
   LOG_ACTIONS_SQLLAB_CREATE_VIEW_AS,
   LOG_ACTIONS_SQLLAB_ESTIMATE_QUERY_COST,
+  LOG_ACTIONS_SQLLAB_EXPLAIN_QUERY,
   LOG_ACTIONS_SQLLAB_FORMAT_SQL,
   LOG_ACTIONS_SQLLAB_LOAD_TAB_STATE,
   LOG_ACTIONS_SQLLAB_RUN_QUERY,
@@ -119,15 +139,17 @@ import SouthPane from '../SouthPane';
 import SaveQuery, { QueryPayload } from '../SaveQuery';
 import ScheduleQueryButton from '../ScheduleQueryButton';
 import EstimateQueryCostButton from '../EstimateQueryCostButton';
+import ExplainPlanButton from '../ExplainPlanButton';
 import ShareSqlLabQuery from '../ShareSqlLabQuery';
 import SqlEditorLeftBar from '../SqlEditorLeftBar';
 import AceEditorWrapper from '../AceEditorWrapper';
 import RunQueryActionButton from '../RunQueryActionButton';
 import QueryLimitSelect from '../QueryLimitSelect';
-import KeyboardShortcutButton, {
-  KEY_MAP,
-  KeyboardShortcut,
-} from '../KeyboardShortcutButton';
+import KeyboardShortcutButton from '../KeyboardShortcutButton';
+import CommandPalette from '../CommandPalette';
+import StorageUsageButton from '../StorageUsageButton';
+import RevisionHistoryButton from '../RevisionHistoryButton';
+import EditorConflictAlert from '../EditorConflictAlert';
 
 const bootstrapData = getBootstrapData();
 const scheduledQueriesConf = bootstrapData?.common?.conf?.SCHEDULED_QUERIES;
@@ -259,7 +281,8 @@ const SqlEditor: FC<Props> = ({
   scheduleQueryWarning,
 }) => {
   const theme = useTheme();
-  const dispatch = useDispatch();
+  const dispatch =
+    useDispatch<ThunkDispatch<SqlLabRootState, unknown, AnyAction>>();
 
   const {
     database,
@@ -296,6 +319,10 @@ const SqlEditor: FC<Props> = ({
   }, shallowEqual);
 
   const logAction = useLogAction({ queryEditorId: queryEditor.id });
+  // the sql is read from the store when the query runs, so that the editor
+  // is not rerendered while typing
+  const store = useStore<SqlLabRootState>();
+  const templateContextNames = useTemplateContextNames();
   const isActive = currentQueryEditorId === queryEditor.id;
   const [height, setHeight] = useState(0);
   const [autorun, setAutorun] = useState(queryEditor.autorun);
@@ -313,6 +340,8 @@ const SqlEditor: FC<Props> = ({
     getItem(LocalStorageKeys.SqllabIsRenderHtmlEnabled, true),
   );
   const [showCreateAsModal, setShowCreateAsModal] = useState(false);
+  const [showCommandPalette, setShowCommandPalette] = useState(false);
+  const keyBindings = useKeyBindings();
   const [createAs, setCreateAs] = useState('');
   const showEmptyState = useMemo(
     () => !database || isEmpty(database),
@@ -331,6 +360,13 @@ const SqlEditor: FC<Props> = ({
       if (!database) {
         return;
       }
+      const missingTemplateParams = getQueryEditorMissingTemplateParams(
+        getUpToDateQuery(store.getState(), queryEditor),
+        templateContextNames,
+      );
+      if (missingTemplateParams.length) {
+        return;
+      }
 
       dispatch(
         runQueryFromSqlEditor(
@@ -344,7 +380,15 @@ const SqlEditor: FC<Props> = ({
       );
       dispatch(setActiveSouthPaneTab('Results'));
     },
-    [ctas, database, defaultQueryLimit, dispatch, queryEditor],
+    [
+      ctas,
+      database,
+      defaultQueryLimit,
+      dispatch,
+      queryEditor,
+      store,
+      templateContextNames,
+    ],
   );
 
   const formatCurrentQuery = useCallback(
@@ -384,175 +428,147 @@ const SqlEditor: FC<Props> = ({
       ? sqlEditorRef.current.clientHeight - SQL_EDITOR_PADDING * 2
       : 0;
 
-  const getHotkeyConfig = useCallback(() => {
-    // Get the user's OS
-    const userOS = detectOS();
-    return [
-      {
-        name: 'runQuery1',
-        key: KeyboardShortcut.CtrlR,
-        descr: KEY_MAP[KeyboardShortcut.CtrlR],
-        func: () => {
-          if (queryEditor.sql.trim() !== '') {
-            logAction(LOG_ACTIONS_SQLLAB_RUN_QUERY, { shortcut: true });
-            startQuery();
-          }
-        },
-      },
-      {
-        name: 'runQuery2',
-        key: KeyboardShortcut.CtrlEnter,
-        descr: KEY_MAP[KeyboardShortcut.CtrlEnter],
-        func: () => {
-          if (queryEditor.sql.trim() !== '') {
-            logAction(LOG_ACTIONS_SQLLAB_RUN_QUERY, { shortcut: true });
-            startQuery();
-          }
-        },
-      },
-      {
-        name: 'newTab',
-        ...(userOS === 'Windows'
-          ? {
-              key: KeyboardShortcut.CtrlQ,
-              descr: KEY_MAP[KeyboardShortcut.CtrlQ],
-            }
-          : {
-              key: KeyboardShortcut.CtrlT,
-              descr: KEY_MAP[KeyboardShortcut.CtrlT],
-            }),
-        func: () => {
-          Logger.markTimeOrigin();
-          dispatch(addNewQueryEditor());
-        },
-      },
-      {
-        name: 'stopQuery',
-        ...(userOS === 'MacOS'
-          ? {
-              key: KeyboardShortcut.CtrlX,
-              descr: KEY_MAP[KeyboardShortcut.CtrlX],
-            }
-          : {
-              key: KeyboardShortcut.CtrlE,
-              descr: KEY_MAP[KeyboardShortcut.CtrlE],
-            }),
-        func: () => {
-          logAction(LOG_ACTIONS_SQLLAB_STOP_QUERY, { shortcut: true });
-          stopQuery();
-        },
-      },
-      {
-        name: 'formatQuery',
-        key: KeyboardShortcut.CtrlShiftF,
-        descr: KEY_MAP[KeyboardShortcut.CtrlShiftF],
-        func: () => {
-          formatCurrentQuery(true);
-        },
-      },
-      {
-        name: 'switchTabToLeft',
-        key: KeyboardShortcut.CtrlLeft,
-        descr: KEY_MAP[KeyboardShortcut.CtrlLeft],
-        func: () => {
-          dispatch(switchQueryEditor(true));
-        },
-      },
-      {
-        name: 'switchTabToRight',
-        key: KeyboardShortcut.CtrlRight,
-        descr: KEY_MAP[KeyboardShortcut.CtrlRight],
-        func: () => {
-          dispatch(switchQueryEditor(false));
-        },
-      },
-    ];
-  }, [dispatch, queryEditor.sql, startQuery, stopQuery, formatCurrentQuery]);
+  const runQueryFromShortcut = () => {
+    if (queryEditor.sql.trim() !== '') {
+      logAction(LOG_ACTIONS_SQLLAB_RUN_QUERY, { shortcut: true });
+      startQuery();
+    }
+  };
+
+  const runCurrentStatement = (editor?: AceEditor['editor']) => {
+    if (!editor) {
+      // the command palette has no editor, the selection and the cursor
+      // position are read from the state instead
+      const isStatementSelected = dispatch(selectCurrentStatement(queryEditor));
+      startQuery();
+      if (isStatementSelected) {
+        dispatch(queryEditorSetSelectedText(queryEditor, null));
+      }
+      return;
+    }
+    if (editor.getSelectedText()) {
+      startQuery();
+      return;
+    }
+    if (!editor.getValue().trim()) {
+      return;
+    }
+    const session = editor.getSession();
+    const cursorPosition = editor.getCursorPosition();
+    const totalLine = session.getLength();
+    const currentRow = editor.getFirstVisibleRow();
+    const semicolonEnd = editor.find(';', {
+      backwards: false,
+      skipCurrent: true,
+    });
+    let end;
+    if (semicolonEnd) {
+      ({ end } = semicolonEnd);
+    }
+    if (!end || end.row < cursorPosition.row) {
+      end = {
+        row: totalLine + 1,
+        column: 0,
+      };
+    }
+    const semicolonStart = editor.find(';', {
+      backwards: true,
+      skipCurrent: true,
+    });
+    let start;
+    if (semicolonStart) {
+      start = semicolonStart.end;
+    }
+    let currentLine = start?.row;
+    if (
+      !currentLine ||
+      currentLine > cursorPosition.row ||
+      (currentLine === cursorPosition.row &&
+        (start?.column || 0) > cursorPosition.column)
+    ) {
+      currentLine = 0;
+    }
+    let content =
+      currentLine === start?.row
+        ? session.getLine(currentLine).slice(start.column).trim()
+        : session.getLine(currentLine).trim();
+    while (!content && currentLine < totalLine) {
+      currentLine += 1;
+      content = session.getLine(currentLine).trim();
+    }
+    if (currentLine !== start?.row) {
+      start = { row: currentLine, column: 0 };
+    }
+    editor.selection.setSelectionRange({
+      start: start ?? { row: 0, column: 0 },
+      end,
+    });
+    startQuery();
+    editor.selection.clearSelection();
+    editor.moveCursorToPosition(cursorPosition);
+    editor.scrollToRow(currentRow);
+  };
+
+  useSqlLabCommand(
+    queryEditor.id,
+    SqlLabCommand.RunQuery,
+    runQueryFromShortcut,
+  );
+  useSqlLabCommand(
+    queryEditor.id,
+    SqlLabCommand.RunSelection,
+    runCurrentStatement,
+  );
+  useSqlLabCommand(queryEditor.id, SqlLabCommand.StopQuery, () => {
+    logAction(LOG_ACTIONS_SQLLAB_STOP_QUERY, { shortcut: true });
+    stopQuery();
+  });
+  useSqlLabCommand(queryEditor.id, SqlLabCommand.FormatQuery, () => {
+    formatCurrentQuery(true);
+  });
+  useSqlLabCommand(queryEditor.id, SqlLabCommand.NewTab, () => {
+    Logger.markTimeOrigin();
+    dispatch(addNewQueryEditor());
+  });
+  useSqlLabCommand(queryEditor.id, SqlLabCommand.PreviousTab, () => {
+    dispatch(switchQueryEditor(true));
+  });
+  useSqlLabCommand(queryEditor.id, SqlLabCommand.NextTab, () => {
+    dispatch(switchQueryEditor(false));
+  });
+  useSqlLabCommand(queryEditor.id, SqlLabCommand.ToggleLeftBar, () => {
+    dispatch(toggleLeftBar({ ...queryEditor, hideLeftBar }));
+  });
+  useSqlLabCommand(queryEditor.id, SqlLabCommand.CommandPalette, () => {
+    setShowCommandPalette(true);
+  });
 
   const hotkeys = useMemo(() => {
-    // Get all hotkeys including ace editor hotkeys
     // Get the user's OS
     const userOS = detectOS();
-    const base = [
-      ...getHotkeyConfig(),
-      {
-        name: 'runQuery3',
-        key: KeyboardShortcut.CtrlShiftEnter,
-        descr: KEY_MAP[KeyboardShortcut.CtrlShiftEnter],
-        func: (editor: AceEditor['editor']) => {
-          if (!editor.getValue().trim()) {
-            return;
-          }
-          const session = editor.getSession();
-          const cursorPosition = editor.getCursorPosition();
-          const totalLine = session.getLength();
-          const currentRow = editor.getFirstVisibleRow();
-          const semicolonEnd = editor.find(';', {
-            backwards: false,
-            skipCurrent: true,
-          });
-          let end;
-          if (semicolonEnd) {
-            ({ end } = semicolonEnd);
-          }
-          if (!end || end.row < cursorPosition.row) {
-            end = {
-              row: totalLine + 1,
-              column: 0,
-            };
-          }
-          const semicolonStart = editor.find(';', {
-            backwards: true,
-            skipCurrent: true,
-          });
-          let start;
-          if (semicolonStart) {
-            start = semicolonStart.end;
-          }
-          let currentLine = start?.row;
-          if (
-            !currentLine ||
-            currentLine > cursorPosition.row ||
-            (currentLine === cursorPosition.row &&
-              (start?.column || 0) > cursorPosition.column)
-          ) {
-            currentLine = 0;
-          }
-          let content =
-            currentLine === start?.row
-              ? session.getLine(currentLine).slice(start.column).trim()
-              : session.getLine(currentLine).trim();
-          while (!content && currentLine < totalLine) {
-            currentLine += 1;
-            content = session.getLine(currentLine).trim();
-          }
-          if (currentLine !== start?.row) {
-            start = { row: currentLine, column: 0 };
-          }
-          editor.selection.setSelectionRange({
-            start: start ?? { row: 0, column: 0 },
-            end,
-          });
-          startQuery();
-          editor.selection.clearSelection();
-          editor.moveCursorToPosition(cursorPosition);
-          editor.scrollToRow(currentRow);
-        },
-      },
-    ];
+    const base = Object.values(SqlLabCommand)
+      .filter(command => keyBindings[command].length)
+      .map(command => ({
+        name: command as string,
+        key: keyBindings[command].join('|'),
+        descr: getCommandLabel(command),
+        func: (editor: AceEditor['editor']) =>
+          executeCommand(queryEditor.id, command, editor),
+      }));
     if (userOS === 'MacOS') {
       base.push({
         name: 'previousLine',
-        key: KeyboardShortcut.CtrlP,
-        descr: KEY_MAP[KeyboardShortcut.CtrlP],
+        key: 'ctrl+p',
+        descr: t('Previous Line'),
         func: editor => {
           editor.navigateUp();
+          return true;
         },
       });
     }
 
     return base;
-  }, [getHotkeyConfig, startQuery]);
+  }, [keyBindings, queryEditor.id]);
 
   const onBeforeUnload = useEffectEvent(event => {
     if (
@@ -604,15 +620,23 @@ const SqlEditor: FC<Props> = ({
 
   useEffect(() => {
     // setup hotkeys
-    const hotkeys = getHotkeyConfig();
-    if (isActive) {
-      // MouseTrap always override the same key
-      // Unbind (reset) will be called when App component unmount
-      hotkeys.forEach(keyConfig => {
-        Mousetrap.bind([keyConfig.key], keyConfig.func);
-      });
+    if (!isActive) {
+      return undefined;
     }
-  }, [getHotkeyConfig, latestQuery, isActive]);
+    const commands = Object.values(SqlLabCommand).filter(
+      command => keyBindings[command].length,
+    );
+    commands.forEach(command => {
+      // returning false prevents the default behavior of the browser
+      Mousetrap.bind(
+        keyBindings[command],
+        () => !executeCommand(queryEditor.id, command),
+      );
+    });
+    return () => {
+      commands.forEach(command => Mousetrap.unbind(keyBindings[command]));
+    };
+  }, [isActive, keyBindings, queryEditor.id]);
 
   const onResizeStart = () => {
     // Set the heights on the ace editor and the ace content area after drag starts
@@ -646,10 +670,19 @@ const SqlEditor: FC<Props> = ({
     [setQueryEditorAndSaveSql],
   );
 
+  const revisionTimer = useRef<ReturnType<typeof setTimeout>>();
   const onSqlChanged = useEffectEvent((sql: string) => {
     dispatch(queryEditorSetSql(queryEditor, sql));
+    // saves a revision once the sql was left unchanged for a while
+    clearTimeout(revisionTimer.current);
+    revisionTimer.current = setTimeout(
+      () => dispatch(saveQueryEditorRevision(queryEditor, 'idle')),
+      QUERY_EDITOR_REVISION_IDLE_MS,
+    );
   });
 
+  useEffect(() => () => clearTimeout(revisionTimer.current), []);
+
   // Return the heights for the ace editor and the south pane as an object
   // given the height of the sql editor, north pane percent and south pane percent.
   const getAceEditorAndSouthPaneHeights = (
@@ -666,13 +699,20 @@ const SqlEditor: FC<Props> = ({
       (SQL_EDITOR_GUTTER_HEIGHT / 2 + SQL_EDITOR_GUTTER_MARGIN),
   });
 
-  const getQueryCostEstimate = () => {
-    logAction(LOG_ACTIONS_SQLLAB_ESTIMATE_QUERY_COST, { shortcut: false });
+  const getQueryCostEstimate = (shortcut = false) => {
+    logAction(LOG_ACTIONS_SQLLAB_ESTIMATE_QUERY_COST, { shortcut });
     if (database) {
       dispatch(estimateQueryCost(queryEditor));
     }
   };
 
+  const getQueryPlan = (shortcut = false) => {
+    logAction(LOG_ACTIONS_SQLLAB_EXPLAIN_QUERY, { shortcut });
+    if (database) {
+      dispatch(explainQuery(queryEditor));
+    }
+  };
+
   const handleToggleAutocompleteEnabled = () => {
     setItem(LocalStorageKeys.SqllabIsAutocompleteEnabled, !autocompleteEnabled);
     setAutocompleteEnabled(!autocompleteEnabled);
@@ -737,9 +777,15 @@ const SqlEditor: FC<Props> = ({
         <Menu.Item onClick={() => formatCurrentQuery()}>
           {t('Format SQL')}
         </Menu.Item>
+        <Menu.Item>
+          <RevisionHistoryButton queryEditorId={qe.id}>
+            {t('Revision history')}
+          </RevisionHistoryButton>
+        </Menu.Item>
         {!isEmpty(scheduledQueriesConf) && (
           <Menu.Item>
             <ScheduleQueryButton
+              queryEditorId={qe.id}
               defaultLabel={qe.name}
               sql={qe.sql}
               onSchedule={(query: Query) => dispatch(scheduleQuery(query))}
@@ -756,6 +802,11 @@ const SqlEditor: FC<Props> = ({
             {t('Keyboard shortcuts')}
           </KeyboardShortcutButton>
         </Menu.Item>
+        {isIndexedDbAvailable() && (
+          <Menu.Item>
+            <StorageUsageButton>{t('Storage usage')}</StorageUsageButton>
+          </Menu.Item>
+        )}
       </Menu>
     );
   };
@@ -838,6 +889,17 @@ const SqlEditor: FC<Props> = ({
                     />
                   </span>
                 )}
+              {database && (
+                <span>
+                  <ExplainPlanButton
+                    explain={getQueryPlan}
+                    queryEditorId={queryEditor.id}
+                    tooltip={t(
+                      'Show how the database plans to run the current statement',
+                    )}
+                  />
+                </span>
+              )}
               <span>
                 <QueryLimitSelect
                   queryEditorId={queryEditor.id}
@@ -870,7 +932,13 @@ const SqlEditor: FC<Props> = ({
               <span>
                 <ShareSqlLabQuery queryEditorId={queryEditor.id} />
               </span>
-              <AntdDropdown overlay={renderDropdown()} trigger={['click']}>
+              <AntdDropdown
+                overlay={renderDropdown()}
+                trigger={['click']}
+                // keeps the menu items mounted, so that their commands are
+                // available from the shortcuts and the command palette
+                {...{ forceRender: true }}
+              >
                 <Icons.MoreHoriz iconColor={theme.colors.grayscale.base} />
               </AntdDropdown>
             </div>
@@ -909,6 +977,7 @@ const SqlEditor: FC<Props> = ({
               startQuery={startQuery}
             />
           )}
+          <EditorConflictAlert queryEditorId={queryEditor.id} />
           {isActive && (
             <AceEditorWrapper
               autocomplete={autocompleteEnabled && !isTempId(queryEditor.id)}
@@ -1022,6 +1091,11 @@ const SqlEditor: FC<Props> = ({
         <span>{t('Name')}</span>
         <Input placeholder={createModalPlaceHolder} onChange={ctasChanged} />
       </Modal>
+      <CommandPalette
+        queryEditorId={queryEditor.id}
+        show={showCommandPalette}
+        onHide={() => setShowCommandPalette(false)}
+      />
     </StyledSqlEditor>
   );
 };
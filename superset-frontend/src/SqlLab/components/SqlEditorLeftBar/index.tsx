@@ -48,6 +48,8 @@ import {
   setItem,
 } from 'src/utils/localStorageHelpers';
 import TableElement from '../TableElement';
+import SnippetLibrary from '../SnippetLibrary';
+import ColumnSearch from '../ColumnSearch';
 
 export interface SqlEditorLeftBarProps {
   queryEditorId: string;
@@ -270,6 +272,8 @@ const SqlEditorLeftBar = ({
         sqlLabMode
       />
       <div className="divider" />
+      <ColumnSearch queryEditorId={queryEditorId} />
+      <div className="divider" />
       <StyledScrollbarContainer>
         <div
           css={css`
@@ -292,6 +296,8 @@ const SqlEditorLeftBar = ({
           </Collapse>
         </div>
       </StyledScrollbarContainer>
+      <div className="divider" />
+      <SnippetLibrary />
       {shouldShowReset && (
         <Button
           buttonSize="small"
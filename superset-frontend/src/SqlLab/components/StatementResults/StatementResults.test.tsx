@@ -0,0 +1,154 @@
+/**
+ * Licensed to the Apache Software Foundation (ASF) under one
+ * or more contributor license agreements.  See the NOTICE file
+ * distributed with this work for additional information
+ * regarding copyright ownership.  The ASF licenses this file
+ * to you under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance
+ * with the License.  You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an
+ * "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+ * KIND, either express or implied.  See the License for the
+ * specific language governing permissions and limitations
+ * under the License.
+ */
+import { fireEvent, render, screen } from 'spec/helpers/testing-library';
+import configureStore from 'redux-mock-store';
+import thunk from 'redux-thunk';
+import fetchMock from 'fetch-mock';
+import { QueryState } from '@superset-ui/core';
+import { SET_STATEMENT_QUERY_ID } from 'src/SqlLab/actions/sqlLab';
+import { initialState, queries, user } from 'src/SqlLab/fixtures';
+import StatementResults from '.';
+
+jest.mock('nanoid', () => ({
+  nanoid: () => 'statement_query_id',
+}));
+
+const mockStore = configureStore([thunk]);
+
+const statements = [
+  {
+    index: 0,
+    sql: 'UPDATE foo SET bar = 1',
+    state: QueryState.Success,
+    startDttm: 1476910566092,
+    endDttm: 1476910566192,
+  },
+  {
+    index: 1,
+    sql: 'SELECT name FROM foo',
+    state: QueryState.Success,
+    rows: 1,
+    columns: [{ column_name: 'name', name: 'name', type: 'STRING' }],
+    data: [{ name: 'intermediate_value' }],
+  },
+  {
+    index: 2,
+    sql: 'SELECT * FROM superset.slices',
+    state: QueryState.Success,
+    rows: 42,
+  },
+];
+
+const query = {
+  ...queries[0],
+  results: { ...queries[0].results, statements },
+};
+
+const mockedProps = {
+  query,
+  height: 500,
+  database: {},
+  displayLimit: 1000,
+  defaultQueryLimit: 1000,
+};
+
+const setup = (props = mockedProps) => {
+  const store = mockStore({
+    ...initialState,
+    user,
+    sqlLab: {
+      ...initialState.sqlLab,
+      queries: { [props.query.id]: props.query },
+    },
+  });
+  return {
+    store,
+    ...render(<StatementResults {...(props as any)} />, {
+      useRedux: true,
+      store,
+    }),
+  };
+};
+
+beforeAll(() => {
+  fetchMock.post('glob:*/api/v1/sqllab/execute/*', {});
+});
+
+afterAll(() => {
+  fetchMock.reset();
+});
+
+test('renders a tab per statement with the last one active', () => {
+  setup();
+  expect(screen.getByText('Statement 1')).toBeInTheDocument();
+  expect(screen.getByText('Statement 2')).toBeInTheDocument();
+  expect(screen.getByRole('tab', { name: /Statement 3/ })).toHaveAttribute(
+    'aria-selected',
+    'true',
+  );
+});
+
+test('shows the results of an intermediate statement', () => {
+  setup();
+  fireEvent.click(screen.getByText('Statement 2'));
+  expect(screen.getByText('intermediate_value')).toBeInTheDocument();
+});
+
+test('shows a message for a statement returning no results', () => {
+  setup();
+  fireEvent.click(screen.getByText('Statement 1'));
+  expect(
+    screen.getByText('The statement ran successfully and returned no results'),
+  ).toBeInTheDocument();
+});
+
+test('opens the failed statement', () => {
+  setup({
+    ...mockedProps,
+    query: {
+      ...query,
+      state: QueryState.Failed,
+      results: undefined,
+      extra: { progress: null, statements: statements.slice(0, 2) },
+      errors: [
+        {
+          message: 'error',
+          error_type: 'GENERIC_DB_ENGINE_ERROR',
+          level: 'error',
+          extra: { statement: 1 },
+        },
+      ],
+    } as any,
+  });
+  expect(screen.getByRole('tab', { name: /Statement 2/ })).toHaveAttribute(
+    'aria-selected',
+    'true',
+  );
+});
+
+test('re-runs a single statement', () => {
+  const { store } = setup();
+  fireEvent.click(screen.getAllByText('Re-run statement')[0]);
+  expect(store.getActions()[0]).toEqual({
+    type: SET_STATEMENT_QUERY_ID,
+    query,
+    statementIndex: 2,
+    statementQueryId: 'statement_query_id',
+  });
+});
@@ -0,0 +1,167 @@
+/**
+ * Licensed to the Apache Software Foundation (ASF) under one
+ * or more contributor license agreements.  See the NOTICE file
+ * distributed with this work for additional information
+ * regarding copyright ownership.  The ASF licenses this file
+ * to you under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance
+ * with the License.  You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an
+ * "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+ * KIND, either express or implied.  See the License for the
+ * specific language governing permissions and limitations
+ * under the License.
+ */
+import { useMemo } from 'react';
+import { useDispatch } from 'react-redux';
+import { css, QueryState, styled, t, tn } from '@superset-ui/core';
+import Alert from 'src/components/Alert';
+import Button from 'src/components/Button';
+import FilterableTable from 'src/components/FilterableTable';
+import Tabs from 'src/components/Tabs';
+import { fDuration } from 'src/utils/dates';
+import { reRunStatement } from 'src/SqlLab/actions/sqlLab';
+import { SqlLabRootState, StatementResult } from 'src/SqlLab/types';
+import { getStatementResults } from 'src/SqlLab/utils/getStatementResults';
+import HighlightedSql from '../HighlightedSql';
+import QueryStateLabel from '../QueryStateLabel';
+import ResultSet from '../ResultSet';
+import TabStatusIcon from '../TabStatusIcon';
+
+// height taken by the statement tabs and the statement header
+const STATEMENT_HEADER_HEIGHT = 90;
+
+export interface StatementResultsProps {
+  query: SqlLabRootState['sqlLab']['queries'][string];
+  height: number;
+  database?: Record<string, any>;
+  displayLimit: number;
+  defaultQueryLimit: number;
+}
+
+const StatementHeader = styled.div`
+  ${({ theme }) => css`
+    display: flex;
+    align-items: center;
+    column-gap: ${theme.gridUnit * 2}px;
+    margin-bottom: ${theme.gridUnit * 2}px;
+    .statement-sql {
+      flex: 1;
+      min-width: 0;
+    }
+  `}
+`;
+
+const StatementTabTitle = styled.span`
+  display: inline-flex;
+  align-items: center;
+`;
+
+const StatementResults = ({
+  query,
+  height,
+  database,
+  displayLimit,
+  defaultQueryLimit,
+}: StatementResultsProps) => {
+  const dispatch = useDispatch();
+  const statements = useMemo(() => getStatementResults(query), [query]);
+  const lastIndex = statements[statements.length - 1]?.index;
+  const failedStatement = statements.find(
+    ({ state }) => state === QueryState.Failed,
+  );
+  const scriptFinished = Boolean(
+    (query.results as { statements?: StatementResult[] })?.statements,
+  );
+  const contentHeight = height - STATEMENT_HEADER_HEIGHT;
+
+  const renderStatementResults = (statement: StatementResult) => {
+    const statementQueryId = query.statementQueryIds?.[statement.index];
+    if (
+      statementQueryId ||
+      statement.index === lastIndex ||
+      statement.state !== QueryState.Success
+    ) {
+      // the statement was re-run, or its status lives in the script query
+      return (
+        <ResultSet
+          search
+          profile
+          queryId={statementQueryId ?? query.id}
+          height={contentHeight}
+          database={database}
+          displayLimit={displayLimit}
+          defaultQueryLimit={defaultQueryLimit}
+        />
+      );
+    }
+    if (statement.columns && statement.data) {
+      return (
+        <FilterableTable
+          data={statement.data}
+          orderedColumnKeys={statement.columns.map(col => col.column_name)}
+          height={contentHeight}
+        />
+      );
+    }
+    return (
+      <Alert
+        type="info"
+        message={
+          scriptFinished
+            ? t('The statement ran successfully and returned no results')
+            : t('The results of the statement are shown once the script ends')
+        }
+      />
+    );
+  };
+
+  return (
+    <Tabs defaultActiveKey={String(failedStatement?.index ?? lastIndex)}>
+      {statements.map(statement => (
+        <Tabs.TabPane
+          key={String(statement.index)}
+          tab={
+            <StatementTabTitle>
+              <TabStatusIcon tabState={statement.state} />
+              {t('Statement %s', statement.index + 1)}
+            </StatementTabTitle>
+          }
+        >
+          <StatementHeader>
+            <QueryStateLabel query={statement} />
+            {statement.startDttm && statement.endDttm && (
+              <span>{fDuration(statement.startDttm, statement.endDttm)}</span>
+            )}
+            {typeof statement.rows === 'number' && (
+              <span>
+                {tn('%s row', '%s rows', statement.rows, statement.rows)}
+              </span>
+            )}
+            <span className="statement-sql">
+              {statement.sql && (
+                <HighlightedSql sql={statement.sql} maxLines={1} shrink />
+              )}
+            </span>
+            {statement.sql && (
+              <Button
+                buttonSize="small"
+                buttonStyle="secondary"
+                onClick={() => dispatch(reRunStatement(query, statement))}
+              >
+                {t('Re-run statement')}
+              </Button>
+            )}
+          </StatementHeader>
+          {renderStatementResults(statement)}
+        </Tabs.TabPane>
+      ))}
+    </Tabs>
+  );
+};
+
+export default StatementResults;
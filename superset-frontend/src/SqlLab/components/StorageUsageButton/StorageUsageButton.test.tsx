@@ -0,0 +1,60 @@
+/**
+ * Licensed to the Apache Software Foundation (ASF) under one
+ * or more contributor license agreements.  See the NOTICE file
+ * distributed with this work for additional information
+ * regarding copyright ownership.  The ASF licenses this file
+ * to you under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance
+ * with the License.  You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an
+ * "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+ * KIND, either express or implied.  See the License for the
+ * specific language governing permissions and limitations
+ * under the License.
+ */
+import { fireEvent, render } from 'spec/helpers/testing-library';
+import { getSqlLabStorageUsage } from 'src/SqlLab/utils/indexedDbStorage';
+import StorageUsageButton from '.';
+
+jest.mock('src/SqlLab/utils/indexedDbStorage', () => ({
+  getSqlLabStorageUsage: jest.fn(),
+}));
+
+test('renders the storage usage per tab', async () => {
+  (getSqlLabStorageUsage as jest.Mock).mockResolvedValue({
+    tabs: [
+      { id: 'tab1', name: 'Large tab', lastUsed: 1, sizeInKilobytes: 2048 },
+      { id: 'tab2', name: 'Small tab', lastUsed: 2, sizeInKilobytes: 12.5 },
+    ],
+    usageInKilobytes: 2060.5,
+    quotaInKilobytes: 102400,
+  });
+  const { getByRole, findByText, getByText } = render(
+    <StorageUsageButton>Show storage usage</StorageUsageButton>,
+  );
+  fireEvent.click(getByRole('button'));
+  expect(await findByText('Large tab')).toBeInTheDocument();
+  expect(getByText('2.00 MB')).toBeInTheDocument();
+  expect(getByText('Small tab')).toBeInTheDocument();
+  expect(getByText('12.50 KB')).toBeInTheDocument();
+  expect(getByText('2.01 MB used out of 100.00 MB')).toBeInTheDocument();
+});
+
+test('renders an empty message when no tab is stored', async () => {
+  (getSqlLabStorageUsage as jest.Mock).mockResolvedValue({
+    tabs: [],
+    usageInKilobytes: 0,
+    quotaInKilobytes: 0,
+  });
+  const { getByRole, findByText } = render(
+    <StorageUsageButton>Show storage usage</StorageUsageButton>,
+  );
+  fireEvent.click(getByRole('button'));
+  expect(
+    await findByText('No tab is stored in the browser'),
+  ).toBeInTheDocument();
+});
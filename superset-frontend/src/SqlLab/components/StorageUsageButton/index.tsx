@@ -0,0 +1,106 @@
+/**
+ * Licensed to the Apache Software Foundation (ASF) under one
+ * or more contributor license agreements.  See the NOTICE file
+ * distributed with this work for additional information
+ * regarding copyright ownership.  The ASF licenses this file
+ * to you under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance
+ * with the License.  You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an
+ * "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+ * KIND, either express or implied.  See the License for the
+ * specific language governing permissions and limitations
+ * under the License.
+ */
+import { FC, useEffect, useState } from 'react';
+import { styled, t } from '@superset-ui/core';
+import ModalTrigger from 'src/components/ModalTrigger';
+import ProgressBar from 'src/components/ProgressBar';
+import Loading from 'src/components/Loading';
+import {
+  getSqlLabStorageUsage,
+  SqlLabStorageUsage,
+} from 'src/SqlLab/utils/indexedDbStorage';
+
+const formatKilobytes = (kilobytes: number) =>
+  kilobytes >= 1024
+    ? t('%s MB', (kilobytes / 1024).toFixed(2))
+    : t('%s KB', kilobytes.toFixed(2));
+
+const UsageRow = styled.div`
+  display: flex;
+  justify-content: space-between;
+  padding: ${({ theme }) => theme.gridUnit}px 0;
+  border-bottom: 1px solid ${({ theme }) => theme.colors.grayscale.light2};
+`;
+
+const UsageHelp = styled.p`
+  color: ${({ theme }) => theme.colors.text.help};
+  margin-top: ${({ theme }) => theme.gridUnit * 2}px;
+`;
+
+const StorageUsage = () => {
+  const [usage, setUsage] = useState<SqlLabStorageUsage | null>(null);
+
+  useEffect(() => {
+    getSqlLabStorageUsage()
+      .then(setUsage)
+      .catch(() =>
+        setUsage({ tabs: [], usageInKilobytes: 0, quotaInKilobytes: 0 }),
+      );
+  }, []);
+
+  if (!usage) {
+    return <Loading position="inline-centered" />;
+  }
+  const { tabs, usageInKilobytes, quotaInKilobytes } = usage;
+  return (
+    <div data-test="sqllab-storage-usage">
+      {quotaInKilobytes > 0 && (
+        <>
+          <div>
+            {t(
+              '%s used out of %s',
+              formatKilobytes(usageInKilobytes),
+              formatKilobytes(quotaInKilobytes),
+            )}
+          </div>
+          <ProgressBar
+            percent={Math.min(
+              100,
+              Math.round((usageInKilobytes / quotaInKilobytes) * 100),
+            )}
+            showInfo={false}
+          />
+        </>
+      )}
+      {tabs.map(({ id, name, sizeInKilobytes }) => (
+        <UsageRow key={id}>
+          <span>{name || t('Untitled query')}</span>
+          <span>{formatKilobytes(sizeInKilobytes)}</span>
+        </UsageRow>
+      ))}
+      {tabs.length === 0 && <div>{t('No tab is stored in the browser')}</div>}
+      <UsageHelp>
+        {t(
+          'When the storage is full, the results of the least recently used tabs are removed first, then the tabs themselves.',
+        )}
+      </UsageHelp>
+    </div>
+  );
+};
+
+const StorageUsageButton: FC<{}> = ({ children }) => (
+  <ModalTrigger
+    modalTitle={t('Storage usage')}
+    modalBody={<StorageUsage />}
+    triggerNode={children}
+    destroyOnClose
+  />
+);
+
+export default StorageUsageButton;
@@ -112,4 +112,26 @@ describe('TemplateParamsEditor', () => {
       expectedCode,
     );
   });
+
+  it('renders a form for the parameters of the query', async () => {
+    const { container, getByTestId, getByLabelText } = setup(
+      {},
+      mockStore({
+        ...initialState,
+        sqlLab: {
+          ...initialState.sqlLab,
+          unsavedQueryEditor: {
+            id: defaultQueryEditor.id,
+            sql: 'SELECT * FROM {{ my_table }}',
+            templateParams: '{"my_table": "foo"}',
+          },
+        },
+      }),
+    );
+    fireEvent.click(getByText(container, 'Parameters'));
+    await waitFor(() => {
+      expect(getByTestId('template-params-form')).toBeInTheDocument();
+    });
+    expect(getByLabelText('my_table')).toHaveValue('foo');
+  });
 });
@@ -27,6 +27,10 @@ import { ConfigEditor } from 'src/components/AsyncAceEditor';
 import { FAST_DEBOUNCE } from 'src/constants';
 import { Tooltip } from 'src/components/Tooltip';
 import useQueryEditor from 'src/SqlLab/hooks/useQueryEditor';
+import useMissingTemplateParams, {
+  useTemplateContextNames,
+} from 'src/SqlLab/hooks/useMissingTemplateParams';
+import TemplateParamsForm from '../TemplateParamsForm';
 
 const StyledConfigEditor = styled(ConfigEditor)`
   &.ace_editor {
@@ -48,7 +52,12 @@ const TemplateParamsEditor = ({
   const [parsedJSON, setParsedJSON] = useState({});
   const [isValid, setIsValid] = useState(true);
 
-  const { templateParams } = useQueryEditor(queryEditorId, ['templateParams']);
+  const { templateParams, sql } = useQueryEditor(queryEditorId, [
+    'templateParams',
+    'sql',
+  ]);
+  const missingTemplateParams = useMissingTemplateParams(queryEditorId);
+  const contextNames = useTemplateContextNames();
   const code = templateParams ?? '{}';
 
   useEffect(() => {
@@ -79,6 +88,12 @@ const TemplateParamsEditor = ({
         </a>{' '}
         {t('syntax.')}
       </p>
+      <TemplateParamsForm
+        sql={sql}
+        templateParams={code}
+        contextNames={contextNames}
+        onChange={onChange}
+      />
       <StyledConfigEditor
         mode={language}
         minLines={25}
@@ -107,6 +122,17 @@ const TemplateParamsEditor = ({
           <div role="button" css={{ width: 'inherit' }}>
             {t('Parameters ')}
             <Badge count={paramCount} />
+            {missingTemplateParams.length > 0 && (
+              <InfoTooltipWithTrigger
+                icon="exclamation-triangle"
+                bsStyle="warning"
+                tooltip={t(
+                  'The parameters %s have no value, the query may fail',
+                  missingTemplateParams.map(({ name }) => name).join(', '),
+                )}
+                label="missing-parameters"
+              />
+            )}
             {!isValid && (
               <InfoTooltipWithTrigger
                 icon="exclamation-triangle"
@@ -0,0 +1,87 @@
+/**
+ * Licensed to the Apache Software Foundation (ASF) under one
+ * or more contributor license agreements.  See the NOTICE file
+ * distributed with this work for additional information
+ * regarding copyright ownership.  The ASF licenses this file
+ * to you under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance
+ * with the License.  You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an
+ * "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+ * KIND, either express or implied.  See the License for the
+ * specific language governing permissions and limitations
+ * under the License.
+ */
+import { fireEvent, render, screen } from 'spec/helpers/testing-library';
+import TemplateParamsForm from 'src/SqlLab/components/TemplateParamsForm';
+
+const sql =
+  "SELECT * FROM {{ my_table }} WHERE a IN {{ filter_values('a') }} LIMIT {{ row_limit }}";
+
+test('renders nothing for a query without parameters', () => {
+  const { container } = render(
+    <TemplateParamsForm
+      sql="SELECT 1"
+      templateParams="{}"
+      onChange={jest.fn()}
+    />,
+  );
+  expect(container).toBeEmptyDOMElement();
+});
+
+test('renders an input per parameter of the query', () => {
+  render(
+    <TemplateParamsForm
+      sql={sql}
+      templateParams='{"my_table": "foo", "row_limit": 10}'
+      onChange={jest.fn()}
+    />,
+  );
+  expect(screen.getByLabelText('my_table')).toHaveValue('foo');
+  expect(screen.getByLabelText('row_limit')).toHaveValue('10');
+  expect(screen.getByText("filter_values('a')")).toBeInTheDocument();
+});
+
+test('flags the parameters without a value', () => {
+  render(
+    <TemplateParamsForm
+      sql={sql}
+      templateParams='{"my_table": "foo"}'
+      onChange={jest.fn()}
+    />,
+  );
+  expect(
+    screen.getAllByText('The query may fail without a value'),
+  ).toHaveLength(1);
+});
+
+test('updates the template parameters', () => {
+  const onChange = jest.fn();
+  render(
+    <TemplateParamsForm
+      sql={sql}
+      templateParams='{"my_table": "foo", "other": 1}'
+      onChange={onChange}
+    />,
+  );
+  fireEvent.change(screen.getByLabelText('my_table'), {
+    target: { value: 'bar' },
+  });
+  expect(JSON.parse(onChange.mock.calls[0][0])).toEqual({
+    my_table: 'bar',
+    other: 1,
+  });
+});
+
+test('asks to fix invalid template parameters', () => {
+  render(
+    <TemplateParamsForm sql={sql} templateParams="{" onChange={jest.fn()} />,
+  );
+  expect(
+    screen.getByText('Fix the JSON below to edit the parameters of the query'),
+  ).toBeInTheDocument();
+});
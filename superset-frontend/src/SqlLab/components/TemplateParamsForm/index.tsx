@@ -0,0 +1,234 @@
+/**
+ * Licensed to the Apache Software Foundation (ASF) under one
+ * or more contributor license agreements.  See the NOTICE file
+ * distributed with this work for additional information
+ * regarding copyright ownership.  The ASF licenses this file
+ * to you under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance
+ * with the License.  You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an
+ * "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+ * KIND, either express or implied.  See the License for the
+ * specific language governing permissions and limitations
+ * under the License.
+ */
+import { useMemo, useState } from 'react';
+import { css, styled, t } from '@superset-ui/core';
+import Alert from 'src/components/Alert';
+import { DatePicker } from 'src/components/DatePicker';
+import { Form, FormItem } from 'src/components/Form';
+import { Input, InputNumber } from 'src/components/Input';
+import { Select } from 'src/components';
+import { extendedDayjs } from 'src/utils/dates';
+import {
+  getTemplateParamReferences,
+  getTemplateParamValue,
+  inferTemplateParamType,
+  isEmptyTemplateParamValue,
+  parseTemplateParams,
+  setTemplateParamValue,
+  TemplateParamReference,
+  TemplateParamType,
+} from 'src/SqlLab/utils/templateParams';
+
+const DATE_FORMAT = 'YYYY-MM-DD';
+
+export type TemplateParamsFormProps = {
+  sql?: string;
+  templateParams?: string | null;
+  // names of the template context that are not parameters
+  contextNames?: string[];
+  onChange: (templateParams: string) => void;
+};
+
+const ParamRow = styled.div`
+  ${({ theme }) => css`
+    display: flex;
+    column-gap: ${theme.gridUnit * 2}px;
+    .param-value {
+      flex: 1;
+      min-width: 0;
+    }
+    .param-type {
+      width: ${theme.gridUnit * 28}px;
+    }
+  `}
+`;
+
+const getReferenceKey = ({ name, isFilter }: TemplateParamReference) =>
+  `${isFilter ? 'filter_values:' : ''}${name}`;
+
+const convertValue = (value: unknown, type: TemplateParamType): unknown => {
+  const values = ([] as unknown[]).concat(value ?? []);
+  if (type === 'list') {
+    return values;
+  }
+  const [first] = values;
+  if (type === 'number') {
+    const number = Number(first);
+    return first === '' || Number.isNaN(number) ? undefined : number;
+  }
+  if (type === 'date') {
+    const date = extendedDayjs(String(first ?? ''));
+    return date.isValid() ? date.format(DATE_FORMAT) : undefined;
+  }
+  return first === undefined ? undefined : String(first);
+};
+
+const TemplateParamsForm = ({
+  sql,
+  templateParams,
+  contextNames,
+  onChange,
+}: TemplateParamsFormProps) => {
+  const references = useMemo(
+    () => getTemplateParamReferences(sql, contextNames),
+    [contextNames, sql],
+  );
+  const params = useMemo(
+    () => parseTemplateParams(templateParams),
+    [templateParams],
+  );
+  const [types, setTypes] = useState<Record<string, TemplateParamType>>({});
+
+  const typeOptions = useMemo(
+    () => [
+      { value: 'text', label: t('Text') },
+      { value: 'number', label: t('Number') },
+      { value: 'date', label: t('Date') },
+      { value: 'list', label: t('List') },
+    ],
+    [],
+  );
+
+  if (!references.length) {
+    return null;
+  }
+  if (!params) {
+    return (
+      <Alert
+        type="warning"
+        message={t('Fix the JSON below to edit the parameters of the query')}
+      />
+    );
+  }
+
+  const updateValue = (reference: TemplateParamReference, value: unknown) =>
+    onChange(
+      JSON.stringify(setTemplateParamValue(params, reference, value), null, 2),
+    );
+
+  const renderInput = (
+    reference: TemplateParamReference,
+    type: TemplateParamType,
+    value: unknown,
+  ) => {
+    const { name } = reference;
+    if (type === 'number') {
+      return (
+        <InputNumber
+          aria-label={name}
+          css={{ width: '100%' }}
+          value={typeof value === 'number' ? value : null}
+          onChange={number => updateValue(reference, number)}
+        />
+      );
+    }
+    if (type === 'date') {
+      const date = extendedDayjs(String(value ?? ''));
+      return (
+        <DatePicker
+          aria-label={name}
+          format={DATE_FORMAT}
+          value={value && date.isValid() ? date : null}
+          onChange={newDate =>
+            updateValue(reference, newDate?.format(DATE_FORMAT))
+          }
+        />
+      );
+    }
+    if (type === 'list') {
+      const values = ([] as unknown[]).concat(value ?? []);
+      return (
+        <Select
+          ariaLabel={name}
+          mode="multiple"
+          allowNewOptions
+          allowClear
+          options={values.map(item => ({
+            value: item as string | number,
+            label: String(item),
+          }))}
+          value={values as (string | number)[]}
+          onChange={newValues => updateValue(reference, newValues)}
+          placeholder={t('Type a value and press enter')}
+        />
+      );
+    }
+    return (
+      <Input
+        aria-label={name}
+        value={value === undefined || value === null ? '' : String(value)}
+        onChange={event => updateValue(reference, event.target.value)}
+      />
+    );
+  };
+
+  return (
+    <Form layout="vertical" data-test="template-params-form">
+      {references.map(reference => {
+        const key = getReferenceKey(reference);
+        const value = getTemplateParamValue(params, reference);
+        const type = reference.isFilter
+          ? 'list'
+          : (types[key] ?? inferTemplateParamType(value));
+        const isMissing =
+          !reference.hasDefault && isEmptyTemplateParamValue(value);
+        return (
+          <FormItem
+            key={key}
+            label={
+              reference.isFilter ? `filter_values('${reference.name}')` : key
+            }
+            required={!reference.hasDefault}
+            validateStatus={isMissing ? 'warning' : undefined}
+            help={
+              isMissing ? t('The query may fail without a value') : undefined
+            }
+          >
+            <ParamRow>
+              <div className="param-value">
+                {renderInput(reference, type, value)}
+              </div>
+              {!reference.isFilter && (
+                <div className="param-type">
+                  <Select
+                    ariaLabel={t('Type of %s', reference.name)}
+                    options={typeOptions}
+                    value={type}
+                    onChange={newType => {
+                      setTypes({
+                        ...types,
+                        [key]: newType as TemplateParamType,
+                      });
+                      updateValue(
+                        reference,
+                        convertValue(value, newType as TemplateParamType),
+                      );
+                    }}
+                  />
+                </div>
+              )}
+            </ParamRow>
+          </FormItem>
+        );
+      })}
+    </Form>
+  );
+};
+
+export default TemplateParamsForm;
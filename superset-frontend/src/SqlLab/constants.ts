@@ -21,6 +21,7 @@ import type { Type } from 'src/components/Label';
 
 export const STATE_TYPE_MAP: Record<string, Type> = {
   offline: 'danger',
+  queued: 'info',
   failed: 'danger',
   pending: 'info',
   fetching: 'info',
@@ -31,6 +32,7 @@ export const STATE_TYPE_MAP: Record<string, Type> = {
 
 export const STATE_TYPE_MAP_LOCALIZED: Record<string, string> = {
   offline: t('offline'),
+  queued: t('offline – queued'),
   failed: t('failed'),
   pending: t('pending'),
   fetching: t('fetching'),
@@ -77,6 +79,9 @@ export const SET_QUERY_EDITOR_SQL_DEBOUNCE_MS = 2000;
 export const VALIDATION_DEBOUNCE_MS = 600;
 export const WINDOW_RESIZE_THROTTLE_MS = 100;
 
+// number of rows fetched per request when paginating query results
+export const QUERY_RESULTS_PAGE_SIZE = 1000;
+
 // kilobyte storage
 export const KB_STORAGE = 1024;
 export const BYTES_PER_CHAR = 2;
@@ -88,9 +93,32 @@ export const LOCALSTORAGE_MAX_QUERY_RESULTS_KB = 1 * 1024; // 1M
 export const LOCALSTORAGE_WARNING_THRESHOLD = 0.9;
 export const LOCALSTORAGE_WARNING_MESSAGE_THROTTLE_MS = 8000; // danger type toast duration
 
+// IndexedDB storage of the SQL Lab state, used when the browser supports it
+export const INDEXEDDB_MAX_USAGE_KB = 100 * 1024; // 100M
+export const INDEXEDDB_MAX_QUERY_RESULTS_KB = 10 * 1024; // 10M
+export const INDEXEDDB_PERSIST_THROTTLE_MS = 1000;
+
+// BroadcastChannel used to synchronize SQL Lab across browser tabs
+export const CROSS_TAB_SYNC_CHANNEL = 'superset_sqllab';
+
+// EXPLAIN plans kept per tab to compare, and share of the cost of the whole
+// plan from which a node is highlighted as expensive
+export const EXPLAIN_MAX_RUNS = 10;
+export const EXPLAIN_EXPENSIVE_NODE_COST_SHARE = 0.3;
+
+// revisions of the sql kept per tab, saved on each run and once idle
+export const QUERY_EDITOR_MAX_REVISIONS = 50;
+export const QUERY_EDITOR_REVISION_IDLE_MS = 30 * 1000;
+
+// result set profiling and pivoting, computed in a web worker
+export const PROFILE_HISTOGRAM_BINS = 10;
+export const PROFILE_TOP_VALUES = 5;
+export const PIVOT_MAX_COLUMNS = 50;
+
 // autocomplete score weights
 export const SQL_KEYWORD_AUTOCOMPLETE_SCORE = 100;
 export const SQL_FUNCTIONS_AUTOCOMPLETE_SCORE = 90;
 export const SCHEMA_AUTOCOMPLETE_SCORE = 60;
 export const TABLE_AUTOCOMPLETE_SCORE = 55;
 export const COLUMN_AUTOCOMPLETE_SCORE = 50;
+export const SNIPPET_AUTOCOMPLETE_SCORE = 45;
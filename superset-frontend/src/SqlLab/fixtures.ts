@@ -693,6 +693,7 @@ export const user = {
 export const initialState = {
   sqlLab: {
     offline: false,
+    offlineQueue: [],
     alerts: [],
     queries: {},
     databases: {},
@@ -704,6 +705,10 @@ export const initialState = {
     activeSouthPaneTab: 'Results',
     unsavedQueryEditor: {},
     destroyedQueryEditors: {},
+    editorConflicts: {},
+    snippets: [],
+    keyBindings: {},
+    queryEditorRevisions: {},
   },
   messageToasts: [],
   user,
@@ -0,0 +1,82 @@
+/**
+ * Licensed to the Apache Software Foundation (ASF) under one
+ * or more contributor license agreements.  See the NOTICE file
+ * distributed with this work for additional information
+ * regarding copyright ownership.  The ASF licenses this file
+ * to you under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance
+ * with the License.  You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an
+ * "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+ * KIND, either express or implied.  See the License for the
+ * specific language governing permissions and limitations
+ * under the License.
+ */
+import { useMemo } from 'react';
+import { useSelector } from 'react-redux';
+import { FeatureFlag, isFeatureEnabled } from '@superset-ui/core';
+import useQueryEditor from 'src/SqlLab/hooks/useQueryEditor';
+import type { QueryEditor, SqlLabRootState } from 'src/SqlLab/types';
+import {
+  getMissingTemplateParams,
+  TemplateParamReference,
+} from 'src/SqlLab/utils/templateParams';
+
+/**
+ * Returns the names the `JINJA_CONTEXT_ADDONS` configuration adds to the
+ * template context.
+ */
+export function useTemplateContextNames(): string[] {
+  const names = useSelector<SqlLabRootState, unknown>(
+    ({ common }) => common?.conf?.JINJA_CONTEXT_ADDON_NAMES,
+  );
+  return useMemo(() => (Array.isArray(names) ? names : []), [names]);
+}
+
+/**
+ * Returns the template parameters the SQL to run in the query editor
+ * references without a value.
+ */
+export function getQueryEditorMissingTemplateParams(
+  {
+    sql,
+    selectedText,
+    templateParams,
+  }: Pick<QueryEditor, 'sql' | 'selectedText' | 'templateParams'>,
+  contextNames: string[],
+): TemplateParamReference[] {
+  return isFeatureEnabled(FeatureFlag.EnableTemplateProcessing)
+    ? getMissingTemplateParams(
+        selectedText || sql,
+        templateParams,
+        contextNames,
+      )
+    : [];
+}
+
+/**
+ * Returns the template parameters the SQL to run in the query editor
+ * references without a value, the query will likely fail until they are set.
+ */
+export default function useMissingTemplateParams(
+  queryEditorId: string,
+): TemplateParamReference[] {
+  const { sql, selectedText, templateParams } = useQueryEditor(queryEditorId, [
+    'sql',
+    'selectedText',
+    'templateParams',
+  ]);
+  const contextNames = useTemplateContextNames();
+  return useMemo(
+    () =>
+      getQueryEditorMissingTemplateParams(
+        { sql, selectedText, templateParams },
+        contextNames,
+      ),
+    [contextNames, selectedText, sql, templateParams],
+  );
+}
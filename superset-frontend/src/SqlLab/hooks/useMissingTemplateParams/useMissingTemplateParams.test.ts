@@ -0,0 +1,75 @@
+/**
+ * Licensed to the Apache Software Foundation (ASF) under one
+ * or more contributor license agreements.  See the NOTICE file
+ * distributed with this work for additional information
+ * regarding copyright ownership.  The ASF licenses this file
+ * to you under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance
+ * with the License.  You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an
+ * "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+ * KIND, either express or implied.  See the License for the
+ * specific language governing permissions and limitations
+ * under the License.
+ */
+import configureStore from 'redux-mock-store';
+import thunk from 'redux-thunk';
+import { FeatureFlag } from '@superset-ui/core';
+import { initialState, defaultQueryEditor } from 'src/SqlLab/fixtures';
+import { renderHook } from '@testing-library/react-hooks';
+import { createWrapper } from 'spec/helpers/testing-library';
+
+import useMissingTemplateParams from '.';
+
+const middlewares = [thunk];
+const mockStore = configureStore(middlewares);
+
+const setup = (sql: string, templateParams: string) =>
+  renderHook(() => useMissingTemplateParams(defaultQueryEditor.id), {
+    wrapper: createWrapper({
+      useRedux: true,
+      store: mockStore({
+        ...initialState,
+        common: {
+          ...initialState.common,
+          conf: {
+            ...initialState.common.conf,
+            JINJA_CONTEXT_ADDON_NAMES: ['my_macro'],
+          },
+        },
+        sqlLab: {
+          ...initialState.sqlLab,
+          unsavedQueryEditor: {
+            id: defaultQueryEditor.id,
+            sql,
+            templateParams,
+          },
+        },
+      }),
+    }),
+  });
+
+afterEach(() => {
+  window.featureFlags = {};
+});
+
+test('returns the referenced parameters without a value', () => {
+  window.featureFlags = { [FeatureFlag.EnableTemplateProcessing]: true };
+  const { result } = setup(
+    "SELECT * FROM {{ table }} WHERE a IN {{ filter_values('a') }} AND {{ b }} AND {{ my_macro.c }}",
+    '{"table": "foo"}',
+  );
+  expect(result.current).toEqual([
+    { name: 'b', isFilter: false, hasDefault: false },
+  ]);
+});
+
+test('returns no parameters without template processing', () => {
+  window.featureFlags = { [FeatureFlag.EnableTemplateProcessing]: false };
+  const { result } = setup('SELECT * FROM {{ table }}', '{}');
+  expect(result.current).toEqual([]);
+});
@@ -0,0 +1,78 @@
+/**
+ * Licensed to the Apache Software Foundation (ASF) under one
+ * or more contributor license agreements.  See the NOTICE file
+ * distributed with this work for additional information
+ * regarding copyright ownership.  The ASF licenses this file
+ * to you under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance
+ * with the License.  You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an
+ * "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+ * KIND, either express or implied.  See the License for the
+ * specific language governing permissions and limitations
+ * under the License.
+ */
+import { useEffect } from 'react';
+import type { IAceEditor } from 'react-ace/lib/types';
+import useEffectEvent from 'src/hooks/useEffectEvent';
+import type { SqlLabCommand } from 'src/SqlLab/utils/keyBindings';
+
+export type CommandHandler = (editor?: IAceEditor) => void;
+
+// the handlers of the commands, registered by the components of each tab
+const handlers: Record<
+  string,
+  Partial<Record<SqlLabCommand, CommandHandler>>
+> = {};
+
+export const hasCommandHandler = (
+  queryEditorId: string,
+  command: SqlLabCommand,
+) => Boolean(handlers[queryEditorId]?.[command]);
+
+/**
+ * Runs a command in a tab, returns false when no component of the tab
+ * handles it.
+ */
+export function executeCommand(
+  queryEditorId: string,
+  command: SqlLabCommand,
+  editor?: IAceEditor,
+) {
+  const handler = handlers[queryEditorId]?.[command];
+  handler?.(editor);
+  return Boolean(handler);
+}
+
+/**
+ * Registers the handler of a command for a tab, for as long as the component
+ * is mounted. The handler can change between renders, a null handler
+ * unregisters the command.
+ */
+export default function useSqlLabCommand(
+  queryEditorId: string,
+  command: SqlLabCommand,
+  handler: CommandHandler | null,
+) {
+  const isEnabled = Boolean(handler);
+  const onCommand = useEffectEvent((editor?: IAceEditor) => handler?.(editor));
+
+  useEffect(() => {
+    if (!isEnabled) {
+      return undefined;
+    }
+    handlers[queryEditorId] = {
+      ...handlers[queryEditorId],
+      [command]: onCommand,
+    };
+    return () => {
+      if (handlers[queryEditorId]?.[command] === onCommand) {
+        delete handlers[queryEditorId][command];
+      }
+    };
+  }, [command, isEnabled, onCommand, queryEditorId]);
+}
@@ -0,0 +1,53 @@
+/**
+ * Licensed to the Apache Software Foundation (ASF) under one
+ * or more contributor license agreements.  See the NOTICE file
+ * distributed with this work for additional information
+ * regarding copyright ownership.  The ASF licenses this file
+ * to you under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance
+ * with the License.  You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an
+ * "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+ * KIND, either express or implied.  See the License for the
+ * specific language governing permissions and limitations
+ * under the License.
+ */
+import { renderHook } from '@testing-library/react-hooks';
+import { SqlLabCommand } from 'src/SqlLab/utils/keyBindings';
+
+import useSqlLabCommand, { executeCommand, hasCommandHandler } from '.';
+
+test('registers the handler while mounted', () => {
+  const handler = jest.fn();
+  const { unmount } = renderHook(() =>
+    useSqlLabCommand('tab1', SqlLabCommand.SaveQuery, handler),
+  );
+  expect(hasCommandHandler('tab1', SqlLabCommand.SaveQuery)).toBe(true);
+  expect(hasCommandHandler('tab2', SqlLabCommand.SaveQuery)).toBe(false);
+  expect(executeCommand('tab1', SqlLabCommand.SaveQuery)).toBe(true);
+  expect(handler).toHaveBeenCalledTimes(1);
+
+  unmount();
+  expect(hasCommandHandler('tab1', SqlLabCommand.SaveQuery)).toBe(false);
+  expect(executeCommand('tab1', SqlLabCommand.SaveQuery)).toBe(false);
+});
+
+test('runs the latest handler and unregisters a null one', () => {
+  const first = jest.fn();
+  const second = jest.fn();
+  const { rerender } = renderHook(
+    ({ handler }) => useSqlLabCommand('tab1', SqlLabCommand.NewTab, handler),
+    { initialProps: { handler: first as jest.Mock | null } },
+  );
+  rerender({ handler: second });
+  executeCommand('tab1', SqlLabCommand.NewTab);
+  expect(first).not.toHaveBeenCalled();
+  expect(second).toHaveBeenCalledTimes(1);
+
+  rerender({ handler: null });
+  expect(hasCommandHandler('tab1', SqlLabCommand.NewTab)).toBe(false);
+});
@@ -0,0 +1,42 @@
+/**
+ * Licensed to the Apache Software Foundation (ASF) under one
+ * or more contributor license agreements.  See the NOTICE file
+ * distributed with this work for additional information
+ * regarding copyright ownership.  The ASF licenses this file
+ * to you under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance
+ * with the License.  You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an
+ * "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+ * KIND, either express or implied.  See the License for the
+ * specific language governing permissions and limitations
+ * under the License.
+ */
+import { useMemo } from 'react';
+import { useSelector } from 'react-redux';
+import type { SqlLabRootState, SqlSnippet } from 'src/SqlLab/types';
+import { getSharedSnippets } from 'src/SqlLab/utils/sqlSnippets';
+
+/**
+ * Returns the snippets shared by the administrators followed by the
+ * personal snippets of the user.
+ */
+export default function useSqlSnippets(): SqlSnippet[] {
+  const configuredSnippets = useSelector<SqlLabRootState, unknown>(
+    ({ common }) => common?.conf?.SQLLAB_SNIPPETS,
+  );
+  const personalSnippets = useSelector<SqlLabRootState, SqlSnippet[]>(
+    ({ sqlLab }) => sqlLab?.snippets,
+  );
+  return useMemo(
+    () => [
+      ...getSharedSnippets(configuredSnippets),
+      ...(personalSnippets ?? []),
+    ],
+    [configuredSnippets, personalSnippets],
+  );
+}
@@ -0,0 +1,170 @@
+/**
+ * Licensed to the Apache Software Foundation (ASF) under one
+ * or more contributor license agreements.  See the NOTICE file
+ * distributed with this work for additional information
+ * regarding copyright ownership.  The ASF licenses this file
+ * to you under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance
+ * with the License.  You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an
+ * "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+ * KIND, either express or implied.  See the License for the
+ * specific language governing permissions and limitations
+ * under the License.
+ */
+import {
+  QUERY_EDITOR_SET_SQL,
+  QUERY_SUCCESS,
+  SET_EDITOR_CONFLICT,
+  START_QUERY,
+  SYNC_QUERY_STATUS,
+  queryEditorSetSql,
+} from 'src/SqlLab/actions/sqlLab';
+import { defaultQueryEditor, initialState } from 'src/SqlLab/fixtures';
+import { createCrossTabSync } from './crossTabSyncMiddleware';
+
+class MockBroadcastChannel {
+  static instances: MockBroadcastChannel[] = [];
+
+  onmessage: ((event: { data: unknown }) => void) | null = null;
+
+  postMessage = jest.fn();
+
+  close = jest.fn();
+
+  constructor() {
+    MockBroadcastChannel.instances.push(this);
+  }
+}
+
+const localSql = 'SELECT * FROM local';
+
+const setup = ({ start = true } = {}) => {
+  const state = {
+    ...initialState,
+    sqlLab: {
+      ...initialState.sqlLab,
+      unsavedQueryEditor: { id: defaultQueryEditor.id, sql: localSql },
+    },
+  };
+  const store = { getState: () => state, dispatch: jest.fn() };
+  const next = jest.fn();
+  const { middleware, start: startSync } = createCrossTabSync();
+  const dispatch = middleware(store as any)(next);
+  MockBroadcastChannel.instances = [];
+  const stop = start ? startSync() : () => {};
+  const [channel] = MockBroadcastChannel.instances;
+  const receive = (data: unknown) => channel.onmessage?.({ data });
+  return { store, next, dispatch, channel, receive, stop };
+};
+
+beforeAll(() => {
+  (global as any).BroadcastChannel = MockBroadcastChannel;
+});
+
+afterAll(() => {
+  delete (global as any).BroadcastChannel;
+});
+
+test('does not synchronize until SQL Lab starts it', () => {
+  const { dispatch, next, channel } = setup({ start: false });
+  const action = queryEditorSetSql(defaultQueryEditor, 'SELECT 1');
+  dispatch(action);
+  expect(next).toHaveBeenCalledWith(action);
+  expect(channel).toBeUndefined();
+});
+
+test('stops synchronizing when SQL Lab is left', () => {
+  const { dispatch, channel, stop } = setup();
+  stop();
+  dispatch(queryEditorSetSql(defaultQueryEditor, 'SELECT 1'));
+  expect(channel.close).toHaveBeenCalled();
+  expect(channel.postMessage).not.toHaveBeenCalled();
+});
+
+test('broadcasts the edits along with the sql they replace', () => {
+  const { dispatch, channel } = setup();
+  dispatch(queryEditorSetSql(defaultQueryEditor, 'SELECT 1'));
+  expect(channel.postMessage).toHaveBeenCalledWith(
+    expect.objectContaining({
+      type: QUERY_EDITOR_SET_SQL,
+      sql: 'SELECT 1',
+      previousSql: localSql,
+    }),
+  );
+});
+
+test('does not broadcast the actions received from another tab', () => {
+  const { dispatch, channel } = setup();
+  dispatch({
+    ...queryEditorSetSql(defaultQueryEditor, 'SELECT 1'),
+    fromOtherTab: true,
+  });
+  expect(channel.postMessage).not.toHaveBeenCalled();
+});
+
+test('applies the edits of another tab based on the local sql', () => {
+  const { receive, store } = setup();
+  receive({
+    ...queryEditorSetSql(defaultQueryEditor, 'SELECT 1'),
+    previousSql: localSql,
+  });
+  expect(store.dispatch).toHaveBeenCalledWith(
+    expect.objectContaining({
+      type: QUERY_EDITOR_SET_SQL,
+      sql: 'SELECT 1',
+      fromOtherTab: true,
+    }),
+  );
+});
+
+test('flags a conflict when the sql was edited in both tabs', () => {
+  const { receive, store } = setup();
+  receive({
+    ...queryEditorSetSql(defaultQueryEditor, 'SELECT 2'),
+    previousSql: 'SELECT * FROM remote',
+  });
+  expect(store.dispatch).toHaveBeenCalledWith({
+    type: SET_EDITOR_CONFLICT,
+    queryEditorId: defaultQueryEditor.id,
+    sql: 'SELECT 2',
+    fromOtherTab: true,
+  });
+});
+
+test('broadcasts the status of a query without its results', () => {
+  const { dispatch, channel } = setup();
+  const query = { id: 'q1', sqlEditorId: defaultQueryEditor.id };
+  dispatch({
+    type: START_QUERY,
+    query: { ...query, queryController: new AbortController() },
+  });
+  dispatch({
+    type: QUERY_SUCCESS,
+    query: { ...query, state: 'running' },
+    results: {
+      status: 'success',
+      data: [{ id: BigInt(1) }],
+      query: { rows: 1, resultsKey: 'key' },
+    },
+  });
+  expect(channel.postMessage).toHaveBeenNthCalledWith(1, {
+    type: START_QUERY,
+    query,
+  });
+  expect(channel.postMessage).toHaveBeenNthCalledWith(2, {
+    type: SYNC_QUERY_STATUS,
+    query: {
+      id: 'q1',
+      state: 'success',
+      progress: 100,
+      rows: 1,
+      resultsKey: 'key',
+      endDttm: expect.any(Number),
+    },
+  });
+});
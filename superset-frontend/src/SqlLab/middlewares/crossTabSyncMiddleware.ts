@@ -0,0 +1,220 @@
+/**
+ * Licensed to the Apache Software Foundation (ASF) under one
+ * or more contributor license agreements.  See the NOTICE file
+ * distributed with this work for additional information
+ * regarding copyright ownership.  The ASF licenses this file
+ * to you under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance
+ * with the License.  You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an
+ * "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+ * KIND, either express or implied.  See the License for the
+ * specific language governing permissions and limitations
+ * under the License.
+ */
+import type { AnyAction, Middleware, MiddlewareAPI } from 'redux';
+import { omit, pick } from 'lodash';
+import type { SqlLabRootState } from 'src/SqlLab/types';
+import {
+  ADD_QUERY_EDITOR,
+  MOVE_OFFLINE_QUERY,
+  QUERY_EDITOR_SET_AUTORUN,
+  QUERY_EDITOR_SET_CATALOG,
+  QUERY_EDITOR_SET_QUERY_LIMIT,
+  QUERY_EDITOR_SET_SCHEMA,
+  QUERY_EDITOR_SET_SQL,
+  QUERY_EDITOR_SET_TEMPLATE_PARAMS,
+  QUERY_EDITOR_SET_TITLE,
+  QUERY_EDITOR_SETDB,
+  QUERY_FAILED,
+  QUERY_SUCCESS,
+  QUEUE_OFFLINE_QUERY,
+  REFRESH_QUERIES,
+  REMOVE_OFFLINE_QUERY,
+  REMOVE_QUERY_EDITOR,
+  REMOVE_SNIPPET,
+  RESET_KEY_BINDINGS,
+  ADD_QUERY_EDITOR_REVISION,
+  SAVE_SNIPPET,
+  SET_KEY_BINDING,
+  START_QUERY,
+  STOP_QUERY,
+  SYNC_QUERY_STATUS,
+  getUpToDateQuery,
+  setEditorConflict,
+} from '../actions/sqlLab';
+import { CROSS_TAB_SYNC_CHANNEL } from '../constants';
+import { now } from '../../utils/dates';
+
+/**
+ * Actions shared with the other browser tabs where SQL Lab is open, so each
+ * redux store sees the same editors and query statuses.
+ */
+export const CROSS_TAB_SYNCED_ACTIONS = new Set([
+  ADD_QUERY_EDITOR,
+  REMOVE_QUERY_EDITOR,
+  QUERY_EDITOR_SETDB,
+  QUERY_EDITOR_SET_CATALOG,
+  QUERY_EDITOR_SET_SCHEMA,
+  QUERY_EDITOR_SET_TITLE,
+  QUERY_EDITOR_SET_AUTORUN,
+  QUERY_EDITOR_SET_SQL,
+  QUERY_EDITOR_SET_QUERY_LIMIT,
+  QUERY_EDITOR_SET_TEMPLATE_PARAMS,
+  START_QUERY,
+  QUERY_SUCCESS,
+  SYNC_QUERY_STATUS,
+  QUERY_FAILED,
+  STOP_QUERY,
+  REFRESH_QUERIES,
+  QUEUE_OFFLINE_QUERY,
+  REMOVE_OFFLINE_QUERY,
+  MOVE_OFFLINE_QUERY,
+  SAVE_SNIPPET,
+  REMOVE_SNIPPET,
+  SET_KEY_BINDING,
+  RESET_KEY_BINDINGS,
+  ADD_QUERY_EDITOR_REVISION,
+]);
+
+type State = Pick<SqlLabRootState, 'sqlLab'>;
+
+// what another tab needs to know of a query that succeeded, it fetches the
+// results itself from the results key
+const QUERY_STATUS_FIELDS = [
+  'id',
+  'state',
+  'progress',
+  'rows',
+  'resultsKey',
+  'limitingFactor',
+  'tempSchema',
+  'tempTable',
+  'endDttm',
+];
+
+const getEditorSql = (state: State, queryEditorId: string) =>
+  state.sqlLab.queryEditors.some(({ id }) => id === queryEditorId)
+    ? getUpToDateQuery(state, { id: queryEditorId }).sql
+    : undefined;
+
+/**
+ * Applies the sql edited in another browser tab, unless the sql was edited
+ * here too since, in which case the conflict is left to the user to resolve.
+ */
+function receiveSqlEdit(state: State, action: AnyAction): AnyAction | null {
+  const localSql = getEditorSql(state, action.queryEditor.id);
+  if (localSql === action.sql) {
+    return null;
+  }
+  if (localSql !== undefined && localSql !== action.previousSql) {
+    return setEditorConflict(action.queryEditor.id, action.sql);
+  }
+  return action;
+}
+
+/**
+ * Trims the query actions down to the ids and status of the query, the
+ * results never leave the tab that fetched them.
+ */
+function toMessage(state: State, action: AnyAction): AnyAction {
+  switch (action.type) {
+    case QUERY_EDITOR_SET_SQL:
+      return 'previousSql' in action
+        ? action
+        : {
+            ...action,
+            previousSql: getEditorSql(state, action.queryEditor.id),
+          };
+    case START_QUERY:
+      return { ...action, query: omit(action.query, ['queryController']) };
+    case QUERY_SUCCESS:
+      return {
+        type: SYNC_QUERY_STATUS,
+        query: pick(
+          {
+            ...action.query,
+            ...action.results?.query,
+            state: action.results?.status,
+            progress: 100,
+            endDttm: now(),
+          },
+          QUERY_STATUS_FIELDS,
+        ),
+      };
+    case QUERY_FAILED:
+    case STOP_QUERY:
+      return { ...action, query: pick(action.query, ['id', 'state']) };
+    default:
+      return action;
+  }
+}
+
+/**
+ * Creates the middleware sharing the synced actions with the other browser
+ * tabs where SQL Lab is open. It stays idle until SQL Lab has loaded its
+ * state and calls `start`, which returns the function to stop it.
+ */
+export function createCrossTabSync(channelName = CROSS_TAB_SYNC_CHANNEL) {
+  let channel: BroadcastChannel | null = null;
+  let syncedStore: MiddlewareAPI | null = null;
+
+  const middleware: Middleware = store => {
+    syncedStore = store;
+    return next => (action: AnyAction) => {
+      if (
+        !channel ||
+        action?.fromOtherTab ||
+        !CROSS_TAB_SYNCED_ACTIONS.has(action?.type)
+      ) {
+        return next(action);
+      }
+      const message = toMessage(store.getState(), action);
+      const result = next(action);
+      try {
+        channel.postMessage(message);
+      } catch {
+        // the other tabs will catch up on their next reload
+      }
+      return result;
+    };
+  };
+
+  const start = () => {
+    if (typeof BroadcastChannel === 'undefined' || !syncedStore || channel) {
+      return () => {};
+    }
+    const store = syncedStore;
+    const tabChannel = new BroadcastChannel(channelName);
+    tabChannel.onmessage = ({ data: action }: MessageEvent<AnyAction>) => {
+      if (!CROSS_TAB_SYNCED_ACTIONS.has(action?.type)) {
+        return;
+      }
+      const received =
+        action.type === QUERY_EDITOR_SET_SQL
+          ? receiveSqlEdit(store.getState(), action)
+          : action;
+      if (received) {
+        store.dispatch({ ...received, fromOtherTab: true });
+      }
+    };
+    channel = tabChannel;
+    return () => {
+      tabChannel.close();
+      channel = null;
+    };
+  };
+
+  return { middleware, start };
+}
+
+const crossTabSync = createCrossTabSync();
+
+export const crossTabSyncMiddleware = crossTabSync.middleware;
+
+/** Shares the state of SQL Lab with its other tabs until the returned call */
+export const startCrossTabSync = crossTabSync.start;
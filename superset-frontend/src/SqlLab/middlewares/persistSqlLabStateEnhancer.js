@@ -17,15 +17,26 @@
  * under the License.
  */
 import persistState from 'redux-localstorage';
-import { pickBy } from 'lodash';
-import { isFeatureEnabled, FeatureFlag } from '@superset-ui/core';
+import { isEmpty, pickBy, throttle } from 'lodash';
+import { isFeatureEnabled, FeatureFlag, t } from '@superset-ui/core';
+import { addWarningToast } from 'src/components/MessageToasts/actions';
 import { filterUnsavedQueryEditorList } from 'src/SqlLab/components/EditorAutoSync';
 import {
   emptyTablePersistData,
   emptyQueryResults,
   clearQueryEditors,
 } from '../utils/reduxStateToLocalStorageHelper';
-import { BYTES_PER_CHAR, KB_STORAGE } from '../constants';
+import {
+  isIndexedDbAvailable,
+  writeSqlLabState,
+} from '../utils/indexedDbStorage';
+import { RESET_STATE } from '../actions/sqlLab';
+import {
+  BYTES_PER_CHAR,
+  INDEXEDDB_MAX_QUERY_RESULTS_KB,
+  INDEXEDDB_PERSIST_THROTTLE_MS,
+  KB_STORAGE,
+} from '../constants';
 
 const CLEAR_ENTITY_HELPERS_MAP = {
   tables: emptyTablePersistData,
@@ -34,73 +45,96 @@ const CLEAR_ENTITY_HELPERS_MAP = {
   unsavedQueryEditor: qe => clearQueryEditors([qe])[0],
 };
 
+const INDEXEDDB_CLEAR_ENTITY_HELPERS_MAP = {
+  ...CLEAR_ENTITY_HELPERS_MAP,
+  queries: queries =>
+    emptyQueryResults(queries, INDEXEDDB_MAX_QUERY_RESULTS_KB),
+};
+
+const getPersistedSubset = (
+  paths,
+  state,
+  clearEntityHelpersMap = CLEAR_ENTITY_HELPERS_MAP,
+) => {
+  const subset = {};
+  paths.forEach(path => {
+    if (isFeatureEnabled(FeatureFlag.SqllabBackendPersistence)) {
+      const {
+        queryEditors,
+        editorTabLastUpdatedAt,
+        unsavedQueryEditor,
+        tables,
+        queries,
+        tabHistory,
+        lastUpdatedActiveTab,
+        destroyedQueryEditors,
+        queryEditorRevisions,
+      } = state.sqlLab;
+      const unsavedQueryEditors = filterUnsavedQueryEditorList(
+        queryEditors,
+        unsavedQueryEditor,
+        editorTabLastUpdatedAt,
+      );
+      const hasUnsavedActiveTabState =
+        tabHistory.slice(-1)[0] !== lastUpdatedActiveTab;
+      const hasUnsavedDeletedQueryEditors =
+        Object.keys(destroyedQueryEditors).length > 0;
+      if (
+        unsavedQueryEditors.length > 0 ||
+        hasUnsavedActiveTabState ||
+        hasUnsavedDeletedQueryEditors
+      ) {
+        const hasFinishedMigrationFromLocalStorage = unsavedQueryEditors.every(
+          ({ inLocalStorage }) => !inLocalStorage,
+        );
+        subset.sqlLab = {
+          queryEditors: unsavedQueryEditors,
+          ...(!hasFinishedMigrationFromLocalStorage && {
+            tabHistory,
+            tables: tables.filter(table => table.inLocalStorage),
+            queries: pickBy(
+              queries,
+              query => query.inLocalStorage && !query.isDataPreview,
+            ),
+          }),
+          ...(hasUnsavedActiveTabState && {
+            tabHistory,
+          }),
+          destroyedQueryEditors,
+        };
+      }
+      // the revisions are only stored in the browser
+      if (!isEmpty(queryEditorRevisions)) {
+        subset.sqlLab = {
+          queryEditors: [],
+          ...subset.sqlLab,
+          queryEditorRevisions,
+        };
+      }
+      return;
+    }
+    // this line is used to remove old data from browser localStorage.
+    // we used to persist all redux state into localStorage, but
+    // it caused configurations passed from server-side got override.
+    // see PR 6257 for details
+    delete state[path].common; // eslint-disable-line no-param-reassign
+    if (path === 'sqlLab') {
+      subset[path] = Object.fromEntries(
+        Object.entries(state[path]).map(([key, value]) => [
+          key,
+          clearEntityHelpersMap[key]?.(value) ?? value,
+        ]),
+      );
+    }
+  });
+  return subset;
+};
+
 const sqlLabPersistStateConfig = {
   paths: ['sqlLab'],
   config: {
     slicer: paths => state => {
-      const subset = {};
-      paths.forEach(path => {
-        if (isFeatureEnabled(FeatureFlag.SqllabBackendPersistence)) {
-          const {
-            queryEditors,
-            editorTabLastUpdatedAt,
-            unsavedQueryEditor,
-            tables,
-            queries,
-            tabHistory,
-            lastUpdatedActiveTab,
-            destroyedQueryEditors,
-          } = state.sqlLab;
-          const unsavedQueryEditors = filterUnsavedQueryEditorList(
-            queryEditors,
-            unsavedQueryEditor,
-            editorTabLastUpdatedAt,
-          );
-          const hasUnsavedActiveTabState =
-            tabHistory.slice(-1)[0] !== lastUpdatedActiveTab;
-          const hasUnsavedDeletedQueryEditors =
-            Object.keys(destroyedQueryEditors).length > 0;
-          if (
-            unsavedQueryEditors.length > 0 ||
-            hasUnsavedActiveTabState ||
-            hasUnsavedDeletedQueryEditors
-          ) {
-            const hasFinishedMigrationFromLocalStorage =
-              unsavedQueryEditors.every(
-                ({ inLocalStorage }) => !inLocalStorage,
-              );
-            subset.sqlLab = {
-              queryEditors: unsavedQueryEditors,
-              ...(!hasFinishedMigrationFromLocalStorage && {
-                tabHistory,
-                tables: tables.filter(table => table.inLocalStorage),
-                queries: pickBy(
-                  queries,
-                  query => query.inLocalStorage && !query.isDataPreview,
-                ),
-              }),
-              ...(hasUnsavedActiveTabState && {
-                tabHistory,
-              }),
-              destroyedQueryEditors,
-            };
-          }
-          return;
-        }
-        // this line is used to remove old data from browser localStorage.
-        // we used to persist all redux state into localStorage, but
-        // it caused configurations passed from server-side got override.
-        // see PR 6257 for details
-        delete state[path].common; // eslint-disable-line no-param-reassign
-        if (path === 'sqlLab') {
-          subset[path] = Object.fromEntries(
-            Object.entries(state[path]).map(([key, value]) => [
-              key,
-              CLEAR_ENTITY_HELPERS_MAP[key]?.(value) ?? value,
-            ]),
-          );
-        }
-      });
+      const subset = getPersistedSubset(paths, state);
 
       const data = JSON.stringify(subset);
       // 2 digit precision
@@ -128,9 +162,69 @@ const sqlLabPersistStateConfig = {
   },
 };
 
+// Persists the SQL Lab state to IndexedDB. Unlike redux-localstorage, the
+// persisted state is read asynchronously by the resetState action, and it is
+// only written once that state was loaded so it is never overridden.
+const persistSqlLabStateToIndexedDb =
+  createStore =>
+  (...args) => {
+    const store = createStore(...args);
+    let hasLoadedPersistedState = false;
+    // the tabs the user was already told would not be restored on reload
+    const notifiedEvictedTabIds = new Set();
+    const notifyEvictedTabs = evictedTabs => {
+      const newlyEvictedTabs = evictedTabs.filter(
+        ({ id }) => !notifiedEvictedTabIds.has(id),
+      );
+      if (newlyEvictedTabs.length) {
+        newlyEvictedTabs.forEach(({ id }) => notifiedEvictedTabIds.add(id));
+        store.dispatch(
+          addWarningToast(
+            t(
+              'SQL Lab is running out of browser storage, these tabs will not be restored after a reload: %s',
+              newlyEvictedTabs.map(({ id, name }) => name || id).join(', '),
+            ),
+          ),
+        );
+      }
+    };
+    const persist = throttle(() => {
+      const { sqlLab } = getPersistedSubset(
+        sqlLabPersistStateConfig.paths,
+        store.getState(),
+        INDEXEDDB_CLEAR_ENTITY_HELPERS_MAP,
+      );
+      // nothing is left to persist once the backend has saved the state
+      if (!sqlLab) {
+        return Promise.resolve();
+      }
+      return writeSqlLabState(sqlLab)
+        .then(notifyEvictedTabs)
+        .catch(() => {
+          // the state remains in memory, continue regardless of error
+        });
+    }, INDEXEDDB_PERSIST_THROTTLE_MS);
+    store.subscribe(() => {
+      if (hasLoadedPersistedState) {
+        persist();
+      }
+    });
+    return {
+      ...store,
+      dispatch: action => {
+        if (action?.type === RESET_STATE) {
+          hasLoadedPersistedState = true;
+        }
+        return store.dispatch(action);
+      },
+    };
+  };
+
 // TODO: requires redux-localstorage > 1.0 for typescript support
 /** @type {any} */
-export const persistSqlLabStateEnhancer = persistState(
-  sqlLabPersistStateConfig.paths,
-  sqlLabPersistStateConfig.config,
-);
+export const persistSqlLabStateEnhancer = isIndexedDbAvailable()
+  ? persistSqlLabStateToIndexedDb
+  : persistState(
+      sqlLabPersistStateConfig.paths,
+      sqlLabPersistStateConfig.config,
+    );
@@ -0,0 +1,104 @@
+/**
+ * Licensed to the Apache Software Foundation (ASF) under one
+ * or more contributor license agreements.  See the NOTICE file
+ * distributed with this work for additional information
+ * regarding copyright ownership.  The ASF licenses this file
+ * to you under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance
+ * with the License.  You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an
+ * "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+ * KIND, either express or implied.  See the License for the
+ * specific language governing permissions and limitations
+ * under the License.
+ */
+import { combineReducers, createStore, StoreEnhancer } from 'redux';
+import { FeatureFlag } from '@superset-ui/core';
+import { waitFor } from 'spec/helpers/testing-library';
+import { ADD_TOAST } from 'src/components/MessageToasts/actions';
+import { RESET_STATE } from 'src/SqlLab/actions/sqlLab';
+import { defaultQueryEditor, initialState } from 'src/SqlLab/fixtures';
+import { writeSqlLabState } from 'src/SqlLab/utils/indexedDbStorage';
+import { persistSqlLabStateEnhancer } from './persistSqlLabStateEnhancer';
+
+jest.mock('src/SqlLab/utils/indexedDbStorage', () => ({
+  isIndexedDbAvailable: () => true,
+  writeSqlLabState: jest.fn(),
+}));
+
+const mockWriteSqlLabState = writeSqlLabState as jest.Mock;
+
+const setup = (sqlLab: object = initialState.sqlLab) => {
+  const actions: { type: string; payload?: { text: string } }[] = [];
+  const store = createStore(
+    combineReducers({
+      sqlLab: (state = sqlLab) => state,
+      actions: (state = actions, action) => {
+        actions.push(action);
+        return state;
+      },
+    }),
+    persistSqlLabStateEnhancer as StoreEnhancer,
+  );
+  store.dispatch({ type: RESET_STATE });
+  return { store, actions };
+};
+
+beforeEach(() => {
+  mockWriteSqlLabState.mockReset();
+  mockWriteSqlLabState.mockResolvedValue([]);
+  window.featureFlags = {};
+});
+
+afterAll(() => {
+  window.featureFlags = {};
+});
+
+test('persists the SQL Lab state once it was loaded', () => {
+  const { store } = setup();
+  store.dispatch({ type: 'ANY' });
+  expect(mockWriteSqlLabState).toHaveBeenCalledWith(
+    expect.objectContaining({
+      tabHistory: initialState.sqlLab.tabHistory,
+    }),
+  );
+});
+
+test('skips the write when the backend persisted the whole state', () => {
+  window.featureFlags = { [FeatureFlag.SqllabBackendPersistence]: true };
+  const { store } = setup({
+    ...initialState.sqlLab,
+    queryEditors: [{ ...defaultQueryEditor, inLocalStorage: false }],
+    editorTabLastUpdatedAt: Date.now(),
+    lastUpdatedActiveTab: defaultQueryEditor.id,
+    tabHistory: [defaultQueryEditor.id],
+  });
+  store.dispatch({ type: 'ANY' });
+  expect(mockWriteSqlLabState).not.toHaveBeenCalled();
+});
+
+test('tells the user once which tabs were evicted', async () => {
+  mockWriteSqlLabState.mockResolvedValue([
+    { id: 'tab1', name: 'Tab 1' },
+    { id: 'tab2' },
+  ]);
+  const { store, actions } = setup();
+  const getToasts = () => actions.filter(({ type }) => type === ADD_TOAST);
+  store.dispatch({ type: 'ANY' });
+  await waitFor(() => expect(getToasts()).toHaveLength(1));
+  expect(getToasts()[0].payload?.text).toContain('Tab 1, tab2');
+
+  const writes = mockWriteSqlLabState.mock.calls.length;
+  store.dispatch({ type: 'ANY' });
+  await waitFor(
+    () =>
+      expect(mockWriteSqlLabState.mock.calls.length).toBeGreaterThan(writes),
+    { timeout: 2000 },
+  );
+  await new Promise(resolve => setTimeout(resolve));
+  expect(getToasts()).toHaveLength(1);
+});
@@ -67,6 +67,100 @@ describe('getInitialState', () => {
     ).toBeUndefined();
   });
 
+  it('should restore the queries the user queued while offline', () => {
+    const queuedQuery = { ...runningQuery, state: 'queued' };
+    localStorage.setItem(
+      'sqllab__offline_queue',
+      JSON.stringify({
+        1: [
+          { ...queuedQuery, id: 'queued', userId: 1 },
+          { ...queuedQuery, id: 'notOwned', userId: 2 },
+        ],
+        2: [{ ...queuedQuery, id: 'otherUser', userId: 2 }],
+      }),
+    );
+    const { sqlLab } = getInitialState(apiData);
+    expect(sqlLab.offlineQueue).toEqual(['queued']);
+    expect(sqlLab.queries.queued.state).toEqual('queued');
+    expect(sqlLab.queries.otherUser).toBeUndefined();
+  });
+
+  it('should not restore the offline queue without a user', () => {
+    localStorage.setItem(
+      'sqllab__offline_queue',
+      JSON.stringify({ undefined: [{ ...runningQuery, id: 'queued' }] }),
+    );
+    expect(
+      getInitialState({ ...apiData, user: undefined }).sqlLab.offlineQueue,
+    ).toEqual([]);
+  });
+
+  it('should restore the snippets of the user', () => {
+    const snippet = { id: 'a', name: 'one', sql: 'SELECT 1' };
+    localStorage.setItem('sqllab__snippets', JSON.stringify({ 1: [snippet] }));
+    expect(getInitialState(apiData).sqlLab.snippets).toEqual([snippet]);
+    expect(
+      getInitialState({ ...apiData, user: { ...apiData.user, userId: 2 } })
+        .sqlLab.snippets,
+    ).toEqual([]);
+  });
+
+  it('should restore the key bindings of the user', () => {
+    localStorage.setItem(
+      'sqllab__key_bindings',
+      JSON.stringify({
+        1: { runQuery: ['ctrl+shift+r'] },
+        2: { newTab: ['ctrl+n'] },
+      }),
+    );
+    expect(getInitialState(apiData).sqlLab.keyBindings).toEqual({
+      runQuery: ['ctrl+shift+r'],
+    });
+  });
+
+  it('should not restore the key bindings without a user', () => {
+    localStorage.setItem(
+      'sqllab__key_bindings',
+      JSON.stringify({ undefined: { runQuery: ['ctrl+shift+r'] } }),
+    );
+    expect(
+      getInitialState({ ...apiData, user: undefined }).sqlLab.keyBindings,
+    ).toEqual({});
+  });
+
+  it('should restore the state persisted in IndexedDB over localStorage', () => {
+    localStorage.setItem(
+      'redux',
+      JSON.stringify({
+        sqlLab: { queryEditors: [{ id: 'fromLocalStorage', name: 'ls' }] },
+      }),
+    );
+    const { sqlLab } = getInitialState(apiData, {
+      sqlLab: {
+        queryEditors: [{ id: 'fromIndexedDb', name: 'idb' }],
+        queries: {},
+        tables: [],
+        tabHistory: ['fromIndexedDb'],
+      },
+    } as any);
+    expect(sqlLab.queryEditors.map(({ id }) => id)).toEqual(['fromIndexedDb']);
+    expect(sqlLab.tabHistory).toEqual(['fromIndexedDb']);
+  });
+
+  it('should restore the revisions of the remaining query editors', () => {
+    const revision = { id: 'r1', sql: 'SELECT 1', timestamp: 1, source: 'run' };
+    const { sqlLab } = getInitialState(apiData, {
+      sqlLab: {
+        queryEditors: [{ id: 'tab1', name: 'Tab 1' }],
+        queries: {},
+        tables: [],
+        tabHistory: ['tab1'],
+        queryEditorRevisions: { tab1: [revision], closed: [revision] },
+      },
+    } as any);
+    expect(sqlLab.queryEditorRevisions).toEqual({ tab1: [revision] });
+  });
+
   describe('dedupeTabHistory', () => {
     it('should dedupe the tab history', () => {
       [
@@ -27,6 +27,7 @@ import {
   LatestQueryEditorVersion,
   QueryEditorVersion,
 } from 'src/SqlLab/types';
+import { getItem, LocalStorageKeys } from 'src/utils/localStorageHelpers';
 
 export function dedupeTabHistory(tabHistory: string[]) {
   return tabHistory.reduce<string[]>(
@@ -36,14 +37,17 @@ export function dedupeTabHistory(tabHistory: string[]) {
   );
 }
 
-export default function getInitialState({
-  common,
-  active_tab: activeTab,
-  tab_state_ids: tabStateIds = [],
-  databases,
-  queries: queries_,
-  ...otherBootstrapData
-}: BootstrapData & Partial<InitialState>) {
+export default function getInitialState(
+  {
+    common,
+    active_tab: activeTab,
+    tab_state_ids: tabStateIds = [],
+    databases,
+    queries: queries_,
+    ...otherBootstrapData
+  }: BootstrapData & Partial<InitialState>,
+  persistedState?: Pick<SqlLabRootState, 'sqlLab'> | null,
+) {
   /**
    * Before YYYY-MM-DD, the state for SQL Lab was stored exclusively in the
    * browser's localStorage. The feature flag `SQLLAB_BACKEND_PERSISTENCE`
@@ -149,19 +153,28 @@ export default function getInitialState({
 
   const destroyedQueryEditors: SqlLabRootState['sqlLab']['destroyedQueryEditors'] =
     {};
+  let queryEditorRevisions: SqlLabRootState['sqlLab']['queryEditorRevisions'] =
+    {};
 
   /**
    * If the `SQLLAB_BACKEND_PERSISTENCE` feature flag is off, or if the user
    * hasn't used SQL Lab after it has been turned on, the state will be stored
-   * in the browser's local storage.
+   * in the browser's IndexedDB (passed as `persistedState`) or local storage.
    */
   try {
-    const localStorageData = localStorage.getItem('redux');
-    const sqlLabCacheData = localStorageData
-      ? (JSON.parse(localStorageData) as Pick<SqlLabRootState, 'sqlLab'>)
-      : undefined;
-    if (localStorageData && sqlLabCacheData?.sqlLab) {
+    const localStorageData = persistedState
+      ? null
+      : localStorage.getItem('redux');
+    const sqlLabCacheData =
+      persistedState ??
+      (localStorageData
+        ? (JSON.parse(localStorageData) as Pick<SqlLabRootState, 'sqlLab'>)
+        : undefined);
+    if (sqlLabCacheData?.sqlLab) {
       const { sqlLab } = sqlLabCacheData;
+      // the revisions are kept in the browser even when the tabs are saved
+      // in the backend
+      queryEditorRevisions = sqlLab.queryEditorRevisions ?? {};
 
       if (sqlLab.queryEditors.length === 0) {
         // migration was successful
@@ -238,12 +251,26 @@ export default function getInitialState({
     // continue regardless of error
   }
 
+  // the queries the current user ran while offline are replayed once back
+  // online
+  const userId = otherBootstrapData.user?.userId;
+  const storedOfflineQueue = userId
+    ? (getItem(LocalStorageKeys.SqllabOfflineQueue, {})[String(userId)] ?? [])
+    : [];
+  const offlineQueue = storedOfflineQueue
+    .filter(query => query?.id && query.userId === userId)
+    .map(query => {
+      queries[query.id] = query;
+      return query.id;
+    });
+
   return {
     sqlLab: {
       activeSouthPaneTab: 'Results',
       alerts: [],
       databases,
       offline: false,
+      offlineQueue,
       queries: Object.fromEntries(
         Object.entries(queries).map(([queryId, query]) => [
           queryId,
@@ -264,9 +291,22 @@ export default function getInitialState({
       queriesLastUpdate: Date.now(),
       editorTabLastUpdatedAt,
       queryCostEstimates: {},
+      queryExplainPlans: {},
       unsavedQueryEditor,
       lastUpdatedActiveTab,
       destroyedQueryEditors,
+      editorConflicts: {},
+      snippets: userId
+        ? (getItem(LocalStorageKeys.SqllabSnippets, {})[String(userId)] ?? [])
+        : [],
+      keyBindings: otherBootstrapData.user?.userId
+        ? (getItem(LocalStorageKeys.SqllabKeyBindings, {})[
+            String(otherBootstrapData.user.userId)
+          ] ?? {})
+        : {},
+      queryEditorRevisions: Object.fromEntries(
+        Object.entries(queryEditorRevisions).filter(([id]) => queryEditors[id]),
+      ),
     },
     localStorageUsageInKilobytes: 0,
     common,
@@ -21,6 +21,7 @@ import { isEqual, omit } from 'lodash';
 import { shallowEqual } from 'react-redux';
 import * as actions from '../actions/sqlLab';
 import { now } from '../../utils/dates';
+import { EXPLAIN_MAX_RUNS, QUERY_EDITOR_MAX_REVISIONS } from '../constants';
 import {
   addToObject,
   alterInObject,
@@ -65,7 +66,10 @@ export default function sqlLabReducer(state = {}, action) {
       );
       const newState = {
         ...mergeUnsavedState,
-        tabHistory: [...state.tabHistory, action.queryEditor.id],
+        // a tab created in another browser tab doesn't become active here
+        tabHistory: action.fromOtherTab
+          ? state.tabHistory
+          : [...state.tabHistory, action.queryEditor.id],
       };
       return addToArr(newState, 'queryEditors', {
         ...action.queryEditor,
@@ -169,6 +173,8 @@ export default function sqlLabReducer(state = {}, action) {
           ...newState.destroyedQueryEditors,
           [queryEditor.id]: Date.now(),
         },
+        editorConflicts: omit(state.editorConflicts, queryEditor.id),
+        queryEditorRevisions: omit(state.queryEditorRevisions, queryEditor.id),
       };
       return newState;
     },
@@ -315,6 +321,49 @@ export default function sqlLabReducer(state = {}, action) {
         },
       };
     },
+    [actions.EXPLAIN_QUERY_STARTED]() {
+      const explainPlan = state.queryExplainPlans?.[action.query.id];
+      return {
+        ...state,
+        queryExplainPlans: {
+          ...state.queryExplainPlans,
+          [action.query.id]: {
+            runs: [],
+            ...explainPlan,
+            requesting: true,
+            error: null,
+          },
+        },
+      };
+    },
+    [actions.EXPLAIN_QUERY_RETURNED]() {
+      const { runs = [] } = state.queryExplainPlans?.[action.query.id] || {};
+      return {
+        ...state,
+        queryExplainPlans: {
+          ...state.queryExplainPlans,
+          [action.query.id]: {
+            requesting: false,
+            error: null,
+            runs: [action.run, ...runs].slice(0, EXPLAIN_MAX_RUNS),
+          },
+        },
+      };
+    },
+    [actions.EXPLAIN_QUERY_FAILED]() {
+      const { runs = [] } = state.queryExplainPlans?.[action.query.id] || {};
+      return {
+        ...state,
+        queryExplainPlans: {
+          ...state.queryExplainPlans,
+          [action.query.id]: {
+            requesting: false,
+            error: action.error,
+            runs,
+          },
+        },
+      };
+    },
     [actions.START_QUERY]() {
       let newState = { ...state };
       if (action.query.sqlEditorId) {
@@ -387,6 +436,8 @@ export default function sqlLabReducer(state = {}, action) {
         tempTable: action?.results?.query?.tempTable,
         errorMessage: null,
         cached: false,
+        nextResultsOffset: action.nextResultsOffset ?? null,
+        fetchingResultsPage: false,
       };
 
       const resultsKey = action?.results?.query?.resultsKey;
@@ -396,6 +447,59 @@ export default function sqlLabReducer(state = {}, action) {
 
       return alterInObject(state, 'queries', action.query, alts);
     },
+    [actions.SYNC_QUERY_STATUS]() {
+      // a query that succeeded in another browser tab, its results are
+      // fetched from the results key when shown here
+      if (state.queries[action.query.id]?.state === QueryState.Stopped) {
+        return state;
+      }
+      return alterInObject(state, 'queries', action.query, {
+        ...action.query,
+        results: null,
+        errorMessage: null,
+        cached: false,
+      });
+    },
+    [actions.REQUEST_QUERY_RESULTS_PAGE]() {
+      return alterInObject(state, 'queries', action.query, {
+        fetchingResultsPage: true,
+      });
+    },
+    [actions.QUERY_RESULTS_PAGE_SUCCESS]() {
+      const query = state.queries[action.query.id];
+      // the results were cleared or replaced by a newer run in the meantime
+      if (
+        !query?.results?.data ||
+        query.nextResultsOffset !== action.query.nextResultsOffset
+      ) {
+        return state;
+      }
+      return alterInObject(state, 'queries', action.query, {
+        results: {
+          ...query.results,
+          data: [...query.results.data, ...(action.results.data || [])],
+        },
+        nextResultsOffset: action.nextResultsOffset,
+        fetchingResultsPage: false,
+      });
+    },
+    [actions.QUERY_RESULTS_PAGE_FAILED]() {
+      return alterInObject(state, 'queries', action.query, {
+        fetchingResultsPage: false,
+      });
+    },
+    [actions.SET_STATEMENT_QUERY_ID]() {
+      const query = state.queries[action.query.id];
+      if (!query) {
+        return state;
+      }
+      return alterInObject(state, 'queries', action.query, {
+        statementQueryIds: {
+          ...query.statementQueryIds,
+          [action.statementIndex]: action.statementQueryId,
+        },
+      });
+    },
     [actions.QUERY_FAILED]() {
       if (action.query.state === QueryState.Stopped) {
         return state;
@@ -578,6 +682,60 @@ export default function sqlLabReducer(state = {}, action) {
         ),
       };
     },
+    [actions.SET_EDITOR_CONFLICT]() {
+      return {
+        ...state,
+        editorConflicts: {
+          ...state.editorConflicts,
+          [action.queryEditorId]: { sql: action.sql },
+        },
+      };
+    },
+    [actions.RESOLVE_EDITOR_CONFLICT]() {
+      return {
+        ...state,
+        editorConflicts: omit(state.editorConflicts, action.queryEditorId),
+      };
+    },
+    [actions.SAVE_SNIPPET]() {
+      const exists = state.snippets.some(({ id }) => id === action.snippet.id);
+      return {
+        ...state,
+        snippets: exists
+          ? state.snippets.map(snippet =>
+              snippet.id === action.snippet.id ? action.snippet : snippet,
+            )
+          : [...state.snippets, action.snippet],
+      };
+    },
+    [actions.REMOVE_SNIPPET]() {
+      return removeFromArr(state, 'snippets', action.snippet);
+    },
+    [actions.SET_KEY_BINDING]() {
+      return {
+        ...state,
+        keyBindings: { ...state.keyBindings, [action.command]: action.keys },
+      };
+    },
+    [actions.RESET_KEY_BINDINGS]() {
+      return { ...state, keyBindings: {} };
+    },
+    [actions.ADD_QUERY_EDITOR_REVISION]() {
+      const revisions =
+        state.queryEditorRevisions?.[action.queryEditorId] ?? [];
+      if (revisions[revisions.length - 1]?.sql === action.revision.sql) {
+        return state;
+      }
+      return {
+        ...state,
+        queryEditorRevisions: {
+          ...state.queryEditorRevisions,
+          [action.queryEditorId]: [...revisions, action.revision].slice(
+            -QUERY_EDITOR_MAX_REVISIONS,
+          ),
+        },
+      };
+    },
     [actions.QUERY_EDITOR_SET_CURSOR_POSITION]() {
       return {
         ...state,
@@ -762,6 +920,38 @@ export default function sqlLabReducer(state = {}, action) {
     [actions.SET_USER_OFFLINE]() {
       return { ...state, offline: action.offline };
     },
+    [actions.QUEUE_OFFLINE_QUERY]() {
+      return {
+        ...addToObject(state, 'queries', action.query),
+        offlineQueue: [...(state.offlineQueue || []), action.query.id],
+        ...alterUnsavedQueryEditorState(
+          state,
+          { latestQueryId: action.query.id },
+          action.query.sqlEditorId,
+        ),
+      };
+    },
+    [actions.REMOVE_OFFLINE_QUERY]() {
+      const newState = {
+        ...state,
+        offlineQueue: (state.offlineQueue || []).filter(
+          id => id !== action.query.id,
+        ),
+      };
+      if (!action.state || !state.queries[action.query.id]) {
+        return newState;
+      }
+      return alterInObject(newState, 'queries', action.query, {
+        state: action.state,
+      });
+    },
+    [actions.MOVE_OFFLINE_QUERY]() {
+      const offlineQueue = (state.offlineQueue || []).filter(
+        id => id !== action.query.id,
+      );
+      offlineQueue.splice(action.index, 0, action.query.id);
+      return { ...state, offlineQueue };
+    },
     [actions.CREATE_DATASOURCE_STARTED]() {
       return { ...state, isDatasourceLoading: true, errorMessage: null };
     },
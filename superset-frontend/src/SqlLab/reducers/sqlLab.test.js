@@ -19,6 +19,10 @@
 import { QueryState } from '@superset-ui/core';
 import sqlLabReducer from 'src/SqlLab/reducers/sqlLab';
 import * as actions from 'src/SqlLab/actions/sqlLab';
+import {
+  EXPLAIN_MAX_RUNS,
+  QUERY_EDITOR_MAX_REVISIONS,
+} from 'src/SqlLab/constants';
 import { table, initialState as mockState } from '../fixtures';
 
 const initialState = mockState.sqlLab;
@@ -43,6 +47,15 @@ describe('sqlLabReducer', () => {
         initialState.queryEditors.length + 1,
       );
     });
+    it('should not activate a query editor added in another tab', () => {
+      newState = sqlLabReducer(newState, {
+        type: actions.ADD_QUERY_EDITOR,
+        queryEditor: { ...initialState.queryEditors[0], id: 'remote' },
+        fromOtherTab: true,
+      });
+      expect(newState.queryEditors.slice(-1)[0].id).toEqual('remote');
+      expect(newState.tabHistory.slice(-1)[0]).toEqual('abcd');
+    });
     it('should merge the current unsaved changes when adding a query editor', () => {
       const expectedTitle = 'new updated title';
       const updateAction = {
@@ -415,6 +428,19 @@ describe('sqlLabReducer', () => {
       const q = newState.queries[Object.keys(newState.queries)[0]];
       expect(q.state).toBe('stopped');
     });
+    it('should apply the status of a query run in another tab', () => {
+      newState = sqlLabReducer(newState, { type: actions.START_QUERY, query });
+      newState = sqlLabReducer(newState, {
+        type: actions.SYNC_QUERY_STATUS,
+        query: { id: query.id, state: 'success', rows: 1, resultsKey: 'key' },
+      });
+      expect(newState.queries[query.id]).toMatchObject({
+        state: 'success',
+        rows: 1,
+        resultsKey: 'key',
+        results: null,
+      });
+    });
     it('should remove a query', () => {
       const startQueryAction = {
         type: actions.START_QUERY,
@@ -478,8 +504,74 @@ describe('sqlLabReducer', () => {
       expect(newState.queries.abcd).toBe(query);
       expect(newState.queries.def).toBe(completedQuery);
     });
+    it('should append a page of results to the query', () => {
+      newState = sqlLabReducer(
+        {
+          ...newState,
+          queries: {
+            abcd: {
+              ...query,
+              results: { data: [{ a: 1 }] },
+              nextResultsOffset: 1,
+            },
+          },
+        },
+        {
+          type: actions.REQUEST_QUERY_RESULTS_PAGE,
+          query: { id: 'abcd' },
+        },
+      );
+      expect(newState.queries.abcd.fetchingResultsPage).toBe(true);
+      newState = sqlLabReducer(newState, {
+        type: actions.QUERY_RESULTS_PAGE_SUCCESS,
+        query: { id: 'abcd', nextResultsOffset: 1 },
+        results: { data: [{ a: 2 }] },
+        nextResultsOffset: null,
+      });
+      expect(newState.queries.abcd.results.data).toEqual([{ a: 1 }, { a: 2 }]);
+      expect(newState.queries.abcd.nextResultsOffset).toBeNull();
+      expect(newState.queries.abcd.fetchingResultsPage).toBe(false);
+    });
+    it('should ignore a page of results for an outdated offset', () => {
+      const state = {
+        ...newState,
+        queries: {
+          abcd: {
+            ...query,
+            results: { data: [{ a: 1 }] },
+            nextResultsOffset: 1,
+          },
+        },
+      };
+      newState = sqlLabReducer(state, {
+        type: actions.QUERY_RESULTS_PAGE_SUCCESS,
+        query: { id: 'abcd', nextResultsOffset: 5 },
+        results: { data: [{ a: 2 }] },
+        nextResultsOffset: null,
+      });
+      expect(newState).toBe(state);
+    });
+    it('should link the queries re-running statements of a script', () => {
+      const state = {
+        ...newState,
+        queries: { abcd: { ...query, statementQueryIds: { 0: 'efgh' } } },
+      };
+      newState = sqlLabReducer(state, {
+        type: actions.SET_STATEMENT_QUERY_ID,
+        query: { id: 'abcd' },
+        statementIndex: 2,
+        statementQueryId: 'ijkl',
+      });
+      expect(newState.queries.abcd.statementQueryIds).toEqual({
+        0: 'efgh',
+        2: 'ijkl',
+      });
+    });
     it('should refresh queries when polling returns empty', () => {
+      const state = newState;
       newState = sqlLabReducer(newState, actions.refreshQueries({}));
+      expect(newState.queries).toBe(state.queries);
+      expect(newState.queriesLastUpdate).toBe(state.queriesLastUpdate);
     });
   });
   describe('CLEAR_INACTIVE_QUERIES', () => {
@@ -516,4 +608,174 @@ describe('sqlLabReducer', () => {
       expect(newState.queries.abcd.state).toBe(QueryState.Success);
     });
   });
+  describe('Editor conflicts', () => {
+    const queryEditorId = initialState.queryEditors[0].id;
+    it('should set and resolve a conflict', () => {
+      let newState = sqlLabReducer(
+        initialState,
+        actions.setEditorConflict(queryEditorId, 'SELECT 1'),
+      );
+      expect(newState.editorConflicts).toEqual({
+        [queryEditorId]: { sql: 'SELECT 1' },
+      });
+      newState = sqlLabReducer(newState, {
+        type: actions.RESOLVE_EDITOR_CONFLICT,
+        queryEditorId,
+      });
+      expect(newState.editorConflicts).toEqual({});
+    });
+  });
+  describe('Snippets', () => {
+    const snippet = { id: 's1', name: 'recent', sql: 'WHERE ds > NOW()' };
+    it('should add, update and remove a snippet', () => {
+      let newState = sqlLabReducer(initialState, {
+        type: actions.SAVE_SNIPPET,
+        snippet,
+      });
+      expect(newState.snippets).toEqual([snippet]);
+      newState = sqlLabReducer(newState, {
+        type: actions.SAVE_SNIPPET,
+        snippet: { ...snippet, name: 'renamed' },
+      });
+      expect(newState.snippets).toEqual([{ ...snippet, name: 'renamed' }]);
+      newState = sqlLabReducer(newState, {
+        type: actions.REMOVE_SNIPPET,
+        snippet,
+      });
+      expect(newState.snippets).toEqual([]);
+    });
+  });
+  describe('Explain plans', () => {
+    const query = { id: 'qe1' };
+    const run = id => ({ id, sql: 'SELECT 1', explainedAt: 0, plans: [] });
+    it('should keep the most recent runs first', () => {
+      let newState = initialState;
+      [...Array(EXPLAIN_MAX_RUNS + 1).keys()].forEach(index => {
+        newState = sqlLabReducer(newState, {
+          type: actions.EXPLAIN_QUERY_STARTED,
+          query,
+        });
+        expect(newState.queryExplainPlans.qe1.requesting).toBe(true);
+        newState = sqlLabReducer(newState, {
+          type: actions.EXPLAIN_QUERY_RETURNED,
+          query,
+          run: run(`run${index}`),
+        });
+      });
+      const { runs, requesting } = newState.queryExplainPlans.qe1;
+      expect(requesting).toBe(false);
+      expect(runs).toHaveLength(EXPLAIN_MAX_RUNS);
+      expect(runs[0].id).toEqual(`run${EXPLAIN_MAX_RUNS}`);
+    });
+    it('should keep the previous runs on failure', () => {
+      let newState = sqlLabReducer(initialState, {
+        type: actions.EXPLAIN_QUERY_RETURNED,
+        query,
+        run: run('run1'),
+      });
+      newState = sqlLabReducer(newState, {
+        type: actions.EXPLAIN_QUERY_FAILED,
+        query,
+        error: 'Syntax error',
+      });
+      expect(newState.queryExplainPlans.qe1).toEqual({
+        requesting: false,
+        error: 'Syntax error',
+        runs: [run('run1')],
+      });
+    });
+  });
+  describe('Key bindings', () => {
+    it('should set and reset the key bindings', () => {
+      let newState = sqlLabReducer(initialState, {
+        type: actions.SET_KEY_BINDING,
+        command: 'runQuery',
+        keys: ['ctrl+shift+r'],
+      });
+      expect(newState.keyBindings).toEqual({ runQuery: ['ctrl+shift+r'] });
+      newState = sqlLabReducer(newState, { type: actions.RESET_KEY_BINDINGS });
+      expect(newState.keyBindings).toEqual({});
+    });
+  });
+  describe('Revisions', () => {
+    const revision = (id, sql) => ({ id, sql, timestamp: 1, source: 'idle' });
+    const addRevision = (state, rev) =>
+      sqlLabReducer(state, {
+        type: actions.ADD_QUERY_EDITOR_REVISION,
+        queryEditorId: 'qe1',
+        revision: rev,
+      });
+    it('should add the revisions, skipping the unchanged sql', () => {
+      let newState = addRevision(initialState, revision('r1', 'SELECT 1'));
+      newState = addRevision(newState, revision('r2', 'SELECT 1'));
+      newState = addRevision(newState, revision('r3', 'SELECT 2'));
+      expect(newState.queryEditorRevisions.qe1).toEqual([
+        revision('r1', 'SELECT 1'),
+        revision('r3', 'SELECT 2'),
+      ]);
+    });
+    it('should keep the most recent revisions', () => {
+      let newState = initialState;
+      for (let i = 0; i <= QUERY_EDITOR_MAX_REVISIONS; i += 1) {
+        newState = addRevision(newState, revision(`r${i}`, `SELECT ${i}`));
+      }
+      expect(newState.queryEditorRevisions.qe1).toHaveLength(
+        QUERY_EDITOR_MAX_REVISIONS,
+      );
+      expect(newState.queryEditorRevisions.qe1[0].id).toBe('r1');
+    });
+    it('should remove the revisions with the query editor', () => {
+      const queryEditor = initialState.queryEditors[0];
+      let newState = sqlLabReducer(initialState, {
+        type: actions.ADD_QUERY_EDITOR_REVISION,
+        queryEditorId: queryEditor.id,
+        revision: revision('r1', 'SELECT 1'),
+      });
+      newState = sqlLabReducer(newState, {
+        type: actions.REMOVE_QUERY_EDITOR,
+        queryEditor,
+      });
+      expect(newState.queryEditorRevisions).toEqual({});
+    });
+  });
+  describe('Offline queue', () => {
+    const queuedQuery = id => ({
+      id,
+      sql: `SELECT ${id}`,
+      state: QueryState.Queued,
+      sqlEditorId: initialState.queryEditors[0].id,
+    });
+    let newState;
+    beforeEach(() => {
+      newState = sqlLabReducer(
+        sqlLabReducer(initialState, {
+          type: actions.QUEUE_OFFLINE_QUERY,
+          query: queuedQuery('q1'),
+        }),
+        { type: actions.QUEUE_OFFLINE_QUERY, query: queuedQuery('q2') },
+      );
+    });
+    it('should queue a query run while offline', () => {
+      expect(newState.offlineQueue).toEqual(['q1', 'q2']);
+      expect(newState.queries.q2.state).toBe(QueryState.Queued);
+      expect(newState.unsavedQueryEditor.latestQueryId).toBe('q2');
+    });
+    it('should reorder the queue', () => {
+      newState = sqlLabReducer(newState, {
+        type: actions.MOVE_OFFLINE_QUERY,
+        query: { id: 'q2' },
+        index: 0,
+      });
+      expect(newState.offlineQueue).toEqual(['q2', 'q1']);
+    });
+    it('should cancel a queued query', () => {
+      newState = sqlLabReducer(newState, {
+        type: actions.REMOVE_OFFLINE_QUERY,
+        query: { id: 'q1' },
+        state: QueryState.Stopped,
+      });
+      expect(newState.offlineQueue).toEqual(['q2']);
+      expect(newState.queries.q1.state).toBe(QueryState.Stopped);
+    });
+  });
 });
@@ -16,7 +16,7 @@
  * specific language governing permissions and limitations
  * under the License.
  */
-import { QueryResponse } from '@superset-ui/core';
+import { QueryColumn, QueryResponse, QueryState } from '@superset-ui/core';
 import {
   CommonBootstrapData,
   UserWithPermissionsAndRoles,
@@ -25,6 +25,8 @@ import { ToastType } from 'src/components/MessageToasts/types';
 import { DropdownButtonProps } from 'src/components/DropdownButton';
 import { ButtonProps } from 'src/components/Button';
 import type { TableMetaData } from 'src/hooks/apiResources';
+import type { StatementPlan } from './utils/explainPlan';
+import type { KeyBindings } from './utils/keyBindings';
 
 export type QueryButtonProps = DropdownButtonProps | ButtonProps;
 
@@ -69,6 +71,39 @@ export interface QueryEditor {
   cursorPosition?: CursorPosition;
 }
 
+// status and results of one statement of a script with several statements
+export interface StatementResult {
+  index: number;
+  sql: string;
+  state: QueryState;
+  startDttm?: number;
+  endDttm?: number;
+  rows?: number;
+  errorMessage?: string | null;
+  // intermediate results, the last statement's results are the query results
+  columns?: QueryColumn[];
+  data?: Record<string, unknown>[];
+}
+
+// reusable piece of sql, where `${name}` placeholders become tab-stops
+export interface SqlSnippet {
+  id: string;
+  name: string;
+  description?: string;
+  sql: string;
+  // shared snippets are configured on the server and can't be edited
+  shared?: boolean;
+}
+
+// sql of a query editor saved to be restored later
+export interface QueryEditorRevision {
+  id: string;
+  sql: string;
+  timestamp: number;
+  // what saved the revision, a run, an idle editor or a restore
+  source: 'run' | 'idle' | 'restore';
+}
+
 export type toastState = {
   id: string;
   toastType: ToastType;
@@ -100,7 +135,16 @@ export type SqlLabRootState = {
     databases: Record<string, any>;
     dbConnect: boolean;
     offline: boolean;
-    queries: Record<string, QueryResponse & { inLocalStorage?: boolean }>;
+    // ids of the queries run while offline, in the order to replay them
+    offlineQueue: string[];
+    queries: Record<
+      string,
+      QueryResponse & {
+        inLocalStorage?: boolean;
+        // statement index to the id of the query re-running that statement
+        statementQueryIds?: Record<number, string>;
+      }
+    >;
     queryEditors: QueryEditor[];
     tabHistory: string[]; // default is activeTab ? [activeTab.id.toString()] : []
     tables: Table[];
@@ -108,9 +152,18 @@ export type SqlLabRootState = {
     errorMessage: string | null;
     unsavedQueryEditor: UnsavedQueryEditor;
     queryCostEstimates?: Record<string, QueryCostEstimate>;
+    queryExplainPlans?: Record<string, QueryExplainPlan>;
     editorTabLastUpdatedAt: number;
     lastUpdatedActiveTab: string;
     destroyedQueryEditors: Record<string, number>;
+    // sql of the query editors edited in another browser tab in the meantime
+    editorConflicts: Record<string, { sql: string }>;
+    // personal snippets, stored in the browser
+    snippets: SqlSnippet[];
+    // keyboard shortcuts customized by the user
+    keyBindings: KeyBindings;
+    // past versions of the sql of each query editor, oldest first
+    queryEditorRevisions: Record<string, QueryEditorRevision[]>;
   };
   localStorageUsageInKilobytes: number;
   messageToasts: toastState[];
@@ -154,3 +207,17 @@ export interface QueryCostEstimate {
   cost: Record<string, any>[];
   error: string;
 }
+
+export interface ExplainPlanRun {
+  id: string;
+  sql: string;
+  explainedAt: number;
+  plans: StatementPlan[];
+}
+
+export interface QueryExplainPlan {
+  requesting: boolean;
+  error: string | null;
+  // most recent first
+  runs: ExplainPlanRun[];
+}
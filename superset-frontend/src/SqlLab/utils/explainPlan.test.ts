@@ -0,0 +1,219 @@
+/**
+ * Licensed to the Apache Software Foundation (ASF) under one
+ * or more contributor license agreements.  See the NOTICE file
+ * distributed with this work for additional information
+ * regarding copyright ownership.  The ASF licenses this file
+ * to you under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance
+ * with the License.  You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an
+ * "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+ * KIND, either express or implied.  See the License for the
+ * specific language governing permissions and limitations
+ * under the License.
+ */
+import {
+  diffPlans,
+  getExpensiveNodeIds,
+  getPlanCost,
+  parsePlan,
+} from './explainPlan';
+
+const postgresPlan = JSON.stringify([
+  {
+    Plan: {
+      'Node Type': 'Hash Join',
+      'Join Type': 'Inner',
+      'Total Cost': 100,
+      'Plan Rows': 50,
+      'Hash Cond': '(a.id = b.a_id)',
+      Plans: [
+        {
+          'Node Type': 'Seq Scan',
+          'Relation Name': 'a',
+          Alias: 'a',
+          'Total Cost': 80,
+          'Plan Rows': 1000,
+          Filter: '(a.value > 1)',
+        },
+        {
+          'Node Type': 'Hash',
+          'Total Cost': 10,
+          'Plan Rows': 10,
+          Plans: [
+            {
+              'Node Type': 'Seq Scan',
+              'Relation Name': 'b',
+              Alias: 'b',
+              'Total Cost': 10,
+              'Plan Rows': 10,
+            },
+          ],
+        },
+      ],
+    },
+  },
+]);
+
+test('parses the JSON plan of Postgres', () => {
+  const [root] = parsePlan({ format: 'postgres_json', plan: postgresPlan });
+  expect(root).toEqual(
+    expect.objectContaining({
+      id: '0',
+      operation: 'Hash Join',
+      details: ['Hash Cond: (a.id = b.a_id)'],
+      cost: 100,
+      rows: 50,
+    }),
+  );
+  expect(root.children.map(({ id, operation }) => [id, operation])).toEqual([
+    ['0.0', 'Seq Scan on a'],
+    ['0.1', 'Hash'],
+  ]);
+  expect(root.children[1].children[0].id).toEqual('0.1.0');
+  expect(root.children[0].details).toEqual(['Filter: (a.value > 1)']);
+});
+
+test('parses the distributed JSON plan of Trino', () => {
+  const plan = JSON.stringify({
+    '0': {
+      name: 'Output',
+      descriptor: { columnNames: '[id]' },
+      details: [],
+      estimates: [{ outputRowCount: 10, cpuCost: 5 }],
+      children: [
+        {
+          name: 'RemoteSource',
+          descriptor: { sourceFragmentIds: '[1]' },
+          details: [],
+          estimates: [{ outputRowCount: 10, cpuCost: 'NaN' }],
+          children: [],
+        },
+      ],
+    },
+    '1': {
+      name: 'TableScan',
+      descriptor: { table: 'hive:default:a' },
+      details: ['id := id:bigint'],
+      estimates: [{ outputRowCount: 10, cpuCost: 90 }],
+      children: [],
+    },
+  });
+  const roots = parsePlan({ format: 'trino_json', plan });
+  expect(roots).toHaveLength(1);
+  const [output] = roots;
+  expect(output.operation).toEqual('Output');
+  expect(output.details).toEqual(['columnNames: [id]']);
+  // the costs of Trino are per node, the normalized ones are cumulative
+  expect(output.cost).toEqual(95);
+  const [remoteSource] = output.children;
+  expect(remoteSource.details).toEqual([]);
+  expect(remoteSource.cost).toEqual(90);
+  expect(remoteSource.children[0]).toEqual(
+    expect.objectContaining({
+      id: '0.0.0',
+      operation: 'TableScan',
+      details: ['table: hive:default:a', 'id := id:bigint'],
+      cost: 90,
+      rows: 10,
+    }),
+  );
+});
+
+test('parses the logical JSON plan of Trino', () => {
+  const plan = JSON.stringify({
+    name: 'Output',
+    descriptor: {},
+    estimates: [],
+    children: [{ name: 'Values', descriptor: {}, children: [] }],
+  });
+  const [root] = parsePlan({ format: 'trino_json', plan });
+  expect(root.operation).toEqual('Output');
+  expect(root.cost).toBeNull();
+  expect(root.children[0].operation).toEqual('Values');
+});
+
+test('parses the text plan of Postgres', () => {
+  const plan = [
+    'Hash Join  (cost=1.23..100.00 rows=50 width=8)',
+    '  Hash Cond: (a.id = b.a_id)',
+    '  ->  Seq Scan on a  (cost=0.00..80.00 rows=1000 width=4)',
+    '        Filter: (value > 1)',
+    '  ->  Hash  (cost=10.00..10.00 rows=10 width=4)',
+    '        ->  Seq Scan on b  (cost=0.00..10.00 rows=10 width=4)',
+  ].join('\n');
+  const [root] = parsePlan({ format: 'text', plan });
+  expect(root).toEqual(
+    expect.objectContaining({
+      operation: 'Hash Join',
+      details: ['Hash Cond: (a.id = b.a_id)'],
+      cost: 100,
+      rows: 50,
+    }),
+  );
+  expect(root.children.map(({ operation }) => operation)).toEqual([
+    'Seq Scan on a',
+    'Hash',
+  ]);
+  expect(root.children[0].details).toEqual(['Filter: (value > 1)']);
+  expect(root.children[1].children[0]).toEqual(
+    expect.objectContaining({ id: '0.1.0', operation: 'Seq Scan on b' }),
+  );
+});
+
+test('parses text plans without node markers by indentation', () => {
+  const plan = 'QUERY PLAN\n  SCAN a\n  SEARCH b USING INDEX idx\n';
+  const [root] = parsePlan({ format: 'text', plan });
+  expect(root.operation).toEqual('QUERY PLAN');
+  expect(root.children.map(({ operation }) => operation)).toEqual([
+    'SCAN a',
+    'SEARCH b USING INDEX idx',
+  ]);
+});
+
+test('falls back to the text parser for unknown or invalid plans', () => {
+  expect(
+    parsePlan({ format: 'postgres_json', plan: 'Seq Scan on a' })[0].operation,
+  ).toEqual('Seq Scan on a');
+  expect(parsePlan({ format: 'other', plan: 'Scan' })[0].operation).toEqual(
+    'Scan',
+  );
+});
+
+test('returns the nodes with the highest own cost', () => {
+  const roots = parsePlan({ format: 'postgres_json', plan: postgresPlan });
+  expect(getPlanCost(roots)).toEqual(100);
+  // the scan of `a` costs 80 of 100, the join itself costs 10
+  expect(getExpensiveNodeIds(roots, 0.3)).toEqual(new Set(['0.0']));
+  expect(getExpensiveNodeIds(roots, 0.1)).toEqual(
+    new Set(['0', '0.0', '0.1.0']),
+  );
+  expect(
+    getExpensiveNodeIds(parsePlan({ format: 'text', plan: 'Scan' }), 0.1),
+  ).toEqual(new Set());
+});
+
+test('compares the nodes of two plans', () => {
+  const previous = parsePlan({ format: 'postgres_json', plan: postgresPlan });
+  const current = parsePlan({
+    format: 'text',
+    plan: [
+      'Hash Join  (cost=1.23..40.00 rows=50 width=8)',
+      '  ->  Index Scan using idx on a  (cost=0.00..20.00 rows=50 width=4)',
+      '  ->  Hash  (cost=10.00..10.00 rows=10 width=4)',
+      '        ->  Seq Scan on b  (cost=0.00..10.00 rows=10 width=4)',
+      '              ->  Result',
+    ].join('\n'),
+  });
+  expect(diffPlans(previous, current)).toEqual({
+    '0': { status: 'unchanged', costDelta: -60 },
+    '0.0': { status: 'changed', costDelta: -60 },
+    '0.1': { status: 'unchanged', costDelta: 0 },
+    '0.1.0': { status: 'unchanged', costDelta: 0 },
+    '0.1.0.0': { status: 'added', costDelta: null },
+  });
+});
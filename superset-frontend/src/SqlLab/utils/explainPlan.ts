@@ -0,0 +1,330 @@
+/**
+ * Licensed to the Apache Software Foundation (ASF) under one
+ * or more contributor license agreements.  See the NOTICE file
+ * distributed with this work for additional information
+ * regarding copyright ownership.  The ASF licenses this file
+ * to you under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance
+ * with the License.  You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an
+ * "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+ * KIND, either express or implied.  See the License for the
+ * specific language governing permissions and limitations
+ * under the License.
+ */
+
+/**
+ * Normalized model of the execution plans returned by the EXPLAIN of the
+ * different engines, so they can be rendered and compared the same way.
+ */
+export interface PlanNode {
+  // path of the node in the tree, eg, `0.1.0`, used to align two plans
+  id: string;
+  operation: string;
+  details: string[];
+  // cumulative cost estimated by the engine, including the children
+  cost: number | null;
+  rows: number | null;
+  children: PlanNode[];
+}
+
+export interface StatementPlan {
+  sql: string;
+  format: string;
+  plan: string;
+}
+
+export type PlanNodeDiffStatus = 'added' | 'changed' | 'unchanged';
+
+export interface PlanNodeDiff {
+  status: PlanNodeDiffStatus;
+  costDelta: number | null;
+}
+
+type JsonObject = Record<string, any>;
+
+const toNumber = (value: unknown): number | null => {
+  const number = typeof value === 'string' ? parseFloat(value) : value;
+  return typeof number === 'number' && Number.isFinite(number) ? number : null;
+};
+
+/**
+ * Returns the cost of a plan, the sum of the costs of its roots.
+ */
+export const getPlanCost = (nodes: PlanNode[]): number | null =>
+  nodes.reduce<number | null>(
+    (total, { cost }) => (cost === null ? total : (total ?? 0) + cost),
+    null,
+  );
+
+const assignIds = (nodes: PlanNode[], prefix = ''): PlanNode[] =>
+  nodes.map((node, index) => {
+    const id = `${prefix}${index}`;
+    return { ...node, id, children: assignIds(node.children, `${id}.`) };
+  });
+
+const POSTGRES_DETAIL_KEYS = [
+  'Index Name',
+  'Hash Cond',
+  'Merge Cond',
+  'Index Cond',
+  'Recheck Cond',
+  'Join Filter',
+  'Filter',
+  'Sort Key',
+  'Group Key',
+];
+
+const parsePostgresNode = (node: JsonObject): PlanNode => {
+  const relation = node['Relation Name']
+    ? ` on ${node['Relation Name']}${
+        node.Alias && node.Alias !== node['Relation Name']
+          ? ` ${node.Alias}`
+          : ''
+      }`
+    : '';
+  const joinType =
+    node['Join Type'] && node['Join Type'] !== 'Inner'
+      ? ` (${node['Join Type']})`
+      : '';
+  return {
+    id: '',
+    operation: `${node['Node Type']}${joinType}${relation}`,
+    details: POSTGRES_DETAIL_KEYS.filter(key => node[key] !== undefined).map(
+      key =>
+        `${key}: ${
+          Array.isArray(node[key]) ? node[key].join(', ') : node[key]
+        }`,
+    ),
+    cost: toNumber(node['Total Cost']),
+    rows: toNumber(node['Plan Rows']),
+    children: (node.Plans ?? []).map(parsePostgresNode),
+  };
+};
+
+/**
+ * Parses the output of `EXPLAIN (FORMAT JSON)` in Postgres, a list with a
+ * `Plan` per statement, whose costs already include the children.
+ */
+export const parsePostgresPlan = (plan: string): PlanNode[] =>
+  (JSON.parse(plan) as JsonObject[]).map(({ Plan }) => parsePostgresNode(Plan));
+
+const TRINO_FRAGMENT_IDS_REGEX = /\d+/g;
+
+/**
+ * Parses the output of `EXPLAIN (FORMAT JSON)` in Trino. The distributed plan
+ * is a map of fragments, the remote sources of a fragment pointing to the
+ * fragments feeding it, while the logical plan is a single tree. Trino
+ * estimates the cost of each node on its own, so the costs of the children are
+ * added to match the other engines.
+ */
+export const parseTrinoPlan = (plan: string): PlanNode[] => {
+  const json = JSON.parse(plan) as JsonObject;
+  const fragments: Record<string, JsonObject> =
+    json.name !== undefined ? { 0: json } : json;
+  const visited = new Set<string>();
+
+  const parseNode = (node: JsonObject): PlanNode => {
+    const sourceFragments =
+      node.name === 'RemoteSource' || node.name === 'RemoteMerge'
+        ? (String(node.descriptor?.sourceFragmentIds ?? '').match(
+            TRINO_FRAGMENT_IDS_REGEX,
+          ) ?? [])
+        : [];
+    const children = [
+      ...(node.children ?? []).map(parseNode),
+      ...sourceFragments
+        .filter(fragmentId => fragments[fragmentId])
+        .map(fragmentId => {
+          visited.add(fragmentId);
+          return parseNode(fragments[fragmentId]);
+        }),
+    ];
+    const [estimates = {}] = node.estimates ?? [];
+    const ownCost = toNumber(estimates.cpuCost);
+    const childrenCost = getPlanCost(children);
+    const descriptor = Object.entries(node.descriptor ?? {})
+      .filter(([key]) => key !== 'sourceFragmentIds')
+      .map(([key, value]) => `${key}: ${value}`);
+    return {
+      id: '',
+      operation: node.name,
+      details: [...descriptor, ...(node.details ?? [])],
+      cost:
+        ownCost === null && childrenCost === null
+          ? null
+          : (ownCost ?? 0) + (childrenCost ?? 0),
+      rows: toNumber(estimates.outputRowCount),
+      children,
+    };
+  };
+
+  const roots = Object.keys(fragments)
+    .sort((a, b) => Number(a) - Number(b))
+    .map(fragmentId => {
+      if (visited.has(fragmentId)) {
+        return null;
+      }
+      visited.add(fragmentId);
+      return parseNode(fragments[fragmentId]);
+    });
+  return roots.filter((node): node is PlanNode => node !== null);
+};
+
+// vertical lines linking the siblings, and the branches pointing to the nodes
+const TEXT_GUIDE_REGEX = /^([│|]\s*)+/;
+const TEXT_NODE_MARKER_REGEX = /^(->|[└├+`][─-]+)\s*/;
+const TEXT_COST_REGEX = /cost=[\d.]+\.\.([\d.]+)|cpu:\s*([\d.]+)/;
+const TEXT_ROWS_REGEX = /rows[=:]\s*([\d.]+)/;
+const TEXT_ESTIMATES_REGEX = /\s*\(cost=[^)]*\)\s*$/;
+
+const getTextCost = (text: string) => {
+  const match = text.match(TEXT_COST_REGEX);
+  return toNumber(match?.[1] ?? match?.[2]);
+};
+
+const getTextRows = (text: string) =>
+  toNumber(text.match(TEXT_ROWS_REGEX)?.[1]);
+
+/**
+ * Parses the indented text most engines return for a plain EXPLAIN. When the
+ * nodes are marked, like the `->` of Postgres, the unmarked lines are the
+ * details of the node above them; otherwise every line is a node.
+ */
+export const parseTextPlan = (plan: string): PlanNode[] => {
+  const lines = plan
+    .split('\n')
+    .filter(line => line.trim())
+    .map(line => {
+      const indent = line.length - line.trimStart().length;
+      const guides = line.trim().match(TEXT_GUIDE_REGEX)?.[0] ?? '';
+      const text = line.trim().slice(guides.length);
+      const marker = text.match(TEXT_NODE_MARKER_REGEX)?.[0] ?? '';
+      return {
+        indent: indent + guides.length + marker.length,
+        text: text.slice(marker.length),
+        marked: marker.length > 0,
+      };
+    });
+  const hasMarkers = lines.some(({ marked }) => marked);
+  const roots: PlanNode[] = [];
+  const stack: { indent: number; node: PlanNode }[] = [];
+
+  lines.forEach(({ indent, text, marked }, index) => {
+    if (hasMarkers && !marked && index > 0 && stack.length) {
+      // engines like Trino print the estimates below the node
+      const { node } = stack[stack.length - 1];
+      node.details.push(text);
+      node.cost = node.cost ?? getTextCost(text);
+      node.rows = node.rows ?? getTextRows(text);
+      return;
+    }
+    const node: PlanNode = {
+      id: '',
+      operation: text.replace(TEXT_ESTIMATES_REGEX, ''),
+      details: [],
+      cost: getTextCost(text),
+      rows: getTextRows(text),
+      children: [],
+    };
+    while (stack.length && stack[stack.length - 1].indent >= indent) {
+      stack.pop();
+    }
+    if (stack.length) {
+      stack[stack.length - 1].node.children.push(node);
+    } else {
+      roots.push(node);
+    }
+    stack.push({ indent, node });
+  });
+  return roots;
+};
+
+const PLAN_PARSERS: Record<string, (plan: string) => PlanNode[]> = {
+  postgres_json: parsePostgresPlan,
+  trino_json: parseTrinoPlan,
+  text: parseTextPlan,
+};
+
+/**
+ * Normalizes the plan of a statement into a tree, falling back to the text
+ * parser when the format is unknown or the plan can't be parsed.
+ */
+export const parsePlan = ({ format, plan }: Omit<StatementPlan, 'sql'>) => {
+  const parser = PLAN_PARSERS[format] ?? parseTextPlan;
+  try {
+    return assignIds(parser(plan));
+  } catch (error) {
+    return assignIds(parseTextPlan(plan));
+  }
+};
+
+/**
+ * Returns the ids of the nodes whose own cost, without the cost of their
+ * children, is at least the given share of the cost of the whole plan.
+ */
+export const getExpensiveNodeIds = (
+  roots: PlanNode[],
+  minCostShare: number,
+): Set<string> => {
+  const expensive = new Set<string>();
+  const totalCost = getPlanCost(roots);
+  if (!totalCost) {
+    return expensive;
+  }
+  const visit = (node: PlanNode) => {
+    if (node.cost !== null) {
+      const ownCost = Math.max(
+        node.cost - (getPlanCost(node.children) ?? 0),
+        0,
+      );
+      if (ownCost / totalCost >= minCostShare) {
+        expensive.add(node.id);
+      }
+    }
+    node.children.forEach(visit);
+  };
+  roots.forEach(visit);
+  return expensive;
+};
+
+/**
+ * Compares the nodes of a plan with the nodes at the same position in a
+ * previous plan, by id.
+ */
+export const diffPlans = (
+  previous: PlanNode[],
+  current: PlanNode[],
+): Record<string, PlanNodeDiff> => {
+  const previousNodes: Record<string, PlanNode> = {};
+  const indexNodes = (node: PlanNode) => {
+    previousNodes[node.id] = node;
+    node.children.forEach(indexNodes);
+  };
+  previous.forEach(indexNodes);
+
+  const diff: Record<string, PlanNodeDiff> = {};
+  const visit = (node: PlanNode) => {
+    const previousNode = previousNodes[node.id];
+    let status: PlanNodeDiffStatus = 'unchanged';
+    if (!previousNode) {
+      status = 'added';
+    } else if (previousNode.operation !== node.operation) {
+      status = 'changed';
+    }
+    diff[node.id] = {
+      status,
+      costDelta:
+        previousNode?.cost != null && node.cost !== null
+          ? node.cost - previousNode.cost
+          : null,
+    };
+    node.children.forEach(visit);
+  };
+  current.forEach(visit);
+  return diff;
+};
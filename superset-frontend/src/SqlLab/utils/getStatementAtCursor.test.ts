@@ -0,0 +1,41 @@
+/**
+ * Licensed to the Apache Software Foundation (ASF) under one
+ * or more contributor license agreements.  See the NOTICE file
+ * distributed with this work for additional information
+ * regarding copyright ownership.  The ASF licenses this file
+ * to you under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance
+ * with the License.  You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an
+ * "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+ * KIND, either express or implied.  See the License for the
+ * specific language governing permissions and limitations
+ * under the License.
+ */
+import getStatementAtCursor from './getStatementAtCursor';
+
+const sql = "SELECT ';' AS a;\n-- ignored; comment\nSELECT 2;\n\n";
+
+test('returns the statement under the cursor', () => {
+  expect(getStatementAtCursor(sql, { row: 0, column: 3 })).toEqual(
+    "SELECT ';' AS a",
+  );
+  expect(getStatementAtCursor(sql, { row: 2, column: 0 })).toEqual(
+    '-- ignored; comment\nSELECT 2',
+  );
+});
+
+test('returns the last statement when the cursor is after it', () => {
+  expect(getStatementAtCursor(sql, { row: 3, column: 0 })).toEqual(
+    '-- ignored; comment\nSELECT 2',
+  );
+});
+
+test('returns the whole query without cursor', () => {
+  expect(getStatementAtCursor('SELECT 1')).toEqual('SELECT 1');
+  expect(getStatementAtCursor('')).toEqual('');
+});
@@ -0,0 +1,78 @@
+/**
+ * Licensed to the Apache Software Foundation (ASF) under one
+ * or more contributor license agreements.  See the NOTICE file
+ * distributed with this work for additional information
+ * regarding copyright ownership.  The ASF licenses this file
+ * to you under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance
+ * with the License.  You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an
+ * "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+ * KIND, either express or implied.  See the License for the
+ * specific language governing permissions and limitations
+ * under the License.
+ */
+
+import { CursorPosition } from '../types';
+
+/**
+ * Splits a script in statements on the semicolons that are not in a string,
+ * a quoted identifier or a comment, keeping the offset where each one starts.
+ */
+const splitStatements = (sql: string) => {
+  const statements: { start: number; end: number }[] = [];
+  let start = 0;
+  let quote: string | null = null;
+  let comment: '--' | '/*' | null = null;
+  for (let i = 0; i < sql.length; i += 1) {
+    const char = sql[i];
+    const pair = sql.slice(i, i + 2);
+    if (comment === '--') {
+      comment = char === '\n' ? null : comment;
+    } else if (comment === '/*') {
+      if (pair === '*/') {
+        comment = null;
+        i += 1;
+      }
+    } else if (quote) {
+      quote = char === quote ? null : quote;
+    } else if (pair === '--' || pair === '/*') {
+      comment = pair;
+      i += 1;
+    } else if (char === "'" || char === '"' || char === '`') {
+      quote = char;
+    } else if (char === ';') {
+      statements.push({ start, end: i });
+      start = i + 1;
+    }
+  }
+  statements.push({ start, end: sql.length });
+  return statements;
+};
+
+/**
+ * Returns the statement of the script under the cursor. When the cursor is
+ * after the last semicolon and only blanks follow, the previous statement is
+ * returned, as it's the one just typed.
+ */
+export default function getStatementAtCursor(
+  sql: string,
+  cursorPosition?: CursorPosition,
+): string {
+  const { row = 0, column = 0 } = cursorPosition ?? {};
+  const lines = sql.split('\n');
+  const offset =
+    lines.slice(0, row).reduce((total, line) => total + line.length + 1, 0) +
+    column;
+  const statements = splitStatements(sql).filter(({ start, end }) =>
+    sql.slice(start, end).trim(),
+  );
+  const statement =
+    statements.find(({ end }) => offset <= end) ??
+    statements[statements.length - 1];
+  return statement ? sql.slice(statement.start, statement.end).trim() : '';
+}
@@ -0,0 +1,85 @@
+/**
+ * Licensed to the Apache Software Foundation (ASF) under one
+ * or more contributor license agreements.  See the NOTICE file
+ * distributed with this work for additional information
+ * regarding copyright ownership.  The ASF licenses this file
+ * to you under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance
+ * with the License.  You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an
+ * "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+ * KIND, either express or implied.  See the License for the
+ * specific language governing permissions and limitations
+ * under the License.
+ */
+
+import { QueryState } from '@superset-ui/core';
+import {
+  getStatementResults,
+  hasMultipleStatements,
+} from './getStatementResults';
+
+const statements = [
+  { index: 0, sql: 'SELECT 1', state: QueryState.Success, rows: 1 },
+  { index: 1, sql: 'SELECT 2', state: QueryState.Running },
+];
+
+describe('getStatementResults', () => {
+  it('returns no statements for a query without statements', () => {
+    expect(getStatementResults(undefined)).toEqual([]);
+    expect(getStatementResults({ extra: { progress: null } })).toEqual([]);
+  });
+
+  it('prefers the statements of the results', () => {
+    const results = [{ ...statements[1], state: QueryState.Success }];
+    expect(
+      getStatementResults({
+        results: { statements: results } as any,
+        extra: { progress: null, statements } as any,
+      }),
+    ).toEqual(results);
+  });
+
+  it('reads the statements from the query extra while running', () => {
+    expect(
+      getStatementResults({ extra: { progress: null, statements } as any }),
+    ).toEqual(statements);
+  });
+
+  it('marks the statement the errors point to as failed', () => {
+    expect(
+      getStatementResults({
+        errorMessage: 'syntax error',
+        errors: [
+          {
+            message: 'syntax error',
+            error_type: 'GENERIC_DB_ENGINE_ERROR',
+            level: 'error',
+            extra: { statement: 1 },
+          },
+        ],
+        extra: { progress: null, statements } as any,
+      }),
+    ).toEqual([
+      statements[0],
+      {
+        ...statements[1],
+        state: QueryState.Failed,
+        errorMessage: 'syntax error',
+      },
+    ]);
+  });
+});
+
+describe('hasMultipleStatements', () => {
+  it('is true for several statements or a statement past the first', () => {
+    expect(hasMultipleStatements([])).toBe(false);
+    expect(hasMultipleStatements([statements[0]])).toBe(false);
+    expect(hasMultipleStatements(statements)).toBe(true);
+    expect(hasMultipleStatements([statements[1]])).toBe(true);
+  });
+});
@@ -0,0 +1,69 @@
+/**
+ * Licensed to the Apache Software Foundation (ASF) under one
+ * or more contributor license agreements.  See the NOTICE file
+ * distributed with this work for additional information
+ * regarding copyright ownership.  The ASF licenses this file
+ * to you under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance
+ * with the License.  You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an
+ * "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+ * KIND, either express or implied.  See the License for the
+ * specific language governing permissions and limitations
+ * under the License.
+ */
+import { QueryResponse, QueryState, SupersetError } from '@superset-ui/core';
+import { StatementResult } from '../types';
+
+type StatementsHolder = { statements?: StatementResult[] } | null | undefined;
+
+/**
+ * Returns the status of each statement of a query running a script with
+ * several statements. The statements come with the results once the query
+ * succeeded, or with the query extra while it runs or after it failed.
+ */
+export const getStatementResults = (
+  query?: Partial<Pick<QueryResponse, 'results' | 'extra' | 'errors'>> & {
+    errorMessage?: string | null;
+  },
+): StatementResult[] => {
+  const statements =
+    (query?.results as StatementsHolder)?.statements ??
+    (query?.extra as StatementsHolder)?.statements ??
+    [];
+  const errors: SupersetError[] = [
+    ...(query?.errors ?? []),
+    ...(query?.extra?.errors ?? []),
+  ];
+  const failedIndex = errors
+    .map(error => error?.extra?.statement)
+    .find(index => typeof index === 'number');
+  if (
+    failedIndex === undefined ||
+    statements.some(
+      ({ index, state }) =>
+        index === failedIndex && state === QueryState.Failed,
+    )
+  ) {
+    return statements;
+  }
+  // the query failed before its statements were polled
+  const failedStatement = statements.find(({ index }) => index === failedIndex);
+  return [
+    ...statements.filter(({ index }) => index < failedIndex),
+    {
+      sql: '',
+      ...failedStatement,
+      index: failedIndex,
+      state: QueryState.Failed,
+      errorMessage: query?.errorMessage,
+    },
+  ];
+};
+
+export const hasMultipleStatements = (statements: StatementResult[]) =>
+  statements.length > 1 || statements.some(({ index }) => index > 0);
@@ -0,0 +1,106 @@
+/**
+ * Licensed to the Apache Software Foundation (ASF) under one
+ * or more contributor license agreements.  See the NOTICE file
+ * distributed with this work for additional information
+ * regarding copyright ownership.  The ASF licenses this file
+ * to you under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance
+ * with the License.  You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an
+ * "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+ * KIND, either express or implied.  See the License for the
+ * specific language governing permissions and limitations
+ * under the License.
+ */
+import {
+  evictLeastRecentlyUsedTabs,
+  joinSqlLabState,
+  splitSqlLabState,
+} from 'src/SqlLab/utils/indexedDbStorage';
+import type { PersistedTab } from 'src/SqlLab/utils/indexedDbStorage';
+import { defaultQueryEditor, successfulQuery } from '../fixtures';
+
+const sqlLab = {
+  queryEditors: [
+    { ...defaultQueryEditor, id: 'tab1', name: 'Tab 1' },
+    { ...defaultQueryEditor, id: 'tab2', name: 'Tab 2' },
+  ],
+  queries: {
+    q1: { ...successfulQuery, id: 'q1', sqlEditorId: 'tab1' },
+    q2: { ...successfulQuery, id: 'q2', sqlEditorId: 'tab2' },
+    orphan: { ...successfulQuery, id: 'orphan', sqlEditorId: 'closed' },
+  },
+  tables: [{ id: 't1', name: 'table', queryEditorId: 'tab2' }],
+  tabHistory: ['tab2', 'tab1'],
+  queryEditorRevisions: {
+    tab1: [{ id: 'r1', sql: 'SELECT 1', timestamp: 1, source: 'run' }],
+    closed: [{ id: 'r2', sql: 'SELECT 2', timestamp: 2, source: 'idle' }],
+  },
+} as any;
+
+const makeTab = (id: string, lastUsed: number, sizeInKilobytes: number) =>
+  ({
+    id,
+    order: 0,
+    lastUsed,
+    queryEditor: { id },
+    queries: { [id]: { id, results: { data: [] } } },
+    tables: [],
+    sizeInKilobytes,
+  }) as unknown as PersistedTab;
+
+describe('indexedDbStorage', () => {
+  it('splits the state into one record per tab', () => {
+    const { tabs, state } = splitSqlLabState(sqlLab);
+    expect(tabs.map(({ id, lastUsed }) => [id, lastUsed])).toEqual([
+      ['tab1', 2],
+      ['tab2', 1],
+    ]);
+    expect(Object.keys(tabs[0].queries)).toEqual(['q1']);
+    expect(tabs[1].tables).toEqual([sqlLab.tables[0]]);
+    expect(tabs[0].sizeInKilobytes).toBeGreaterThan(0);
+    expect(Object.keys(state.queries ?? {})).toEqual(['orphan']);
+    expect(state.tabHistory).toEqual(['tab2', 'tab1']);
+    expect(tabs[0].revisions).toEqual(sqlLab.queryEditorRevisions.tab1);
+    expect(tabs[1].revisions).toEqual([]);
+    expect(Object.keys(state.queryEditorRevisions ?? {})).toEqual(['closed']);
+  });
+
+  it('joins the tab records back into the state', () => {
+    const { tabs, state } = splitSqlLabState(sqlLab);
+    const joined = joinSqlLabState({ tabs: [...tabs].reverse(), state });
+    expect(joined.queryEditors).toEqual(sqlLab.queryEditors);
+    expect(joined.queries).toEqual(sqlLab.queries);
+    expect(joined.tables).toEqual(sqlLab.tables);
+    expect(joined.tabHistory).toEqual(sqlLab.tabHistory);
+    expect(joined.queryEditorRevisions).toEqual(sqlLab.queryEditorRevisions);
+  });
+
+  it('keeps all the tabs when under the limit', () => {
+    const tabs = [makeTab('a', 1, 10), makeTab('b', 2, 10)];
+    expect(evictLeastRecentlyUsedTabs(tabs, 100)).toBe(tabs);
+  });
+
+  it('empties the results of the least recently used tabs first', () => {
+    const tabs = [makeTab('a', 1, 60), makeTab('b', 2, 60)];
+    const result = evictLeastRecentlyUsedTabs(tabs, 100);
+    expect(result.map(({ id }) => id)).toEqual(['a', 'b']);
+    expect(result[0].queries.a.results).toEqual({});
+    expect(result[1]).toBe(tabs[1]);
+  });
+
+  it('evicts the least recently used tabs, never the active one', () => {
+    const tabs = [
+      makeTab('active', 3, 60),
+      makeTab('old', 1, 60),
+      makeTab('recent', 2, 60),
+    ];
+    expect(evictLeastRecentlyUsedTabs(tabs, 0.5).map(({ id }) => id)).toEqual([
+      'active',
+    ]);
+  });
+});
@@ -0,0 +1,345 @@
+/**
+ * Licensed to the Apache Software Foundation (ASF) under one
+ * or more contributor license agreements.  See the NOTICE file
+ * distributed with this work for additional information
+ * regarding copyright ownership.  The ASF licenses this file
+ * to you under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance
+ * with the License.  You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an
+ * "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+ * KIND, either express or implied.  See the License for the
+ * specific language governing permissions and limitations
+ * under the License.
+ */
+import type { SqlLabRootState } from 'src/SqlLab/types';
+import {
+  BYTES_PER_CHAR,
+  INDEXEDDB_MAX_USAGE_KB,
+  KB_STORAGE,
+} from '../constants';
+
+/**
+ * Stores the SQL Lab state in IndexedDB instead of the 5MB of localStorage.
+ * The state of each query editor tab, with its queries and cached results,
+ * is kept in its own record so that the least recently used tabs can be
+ * evicted when the storage grows over INDEXEDDB_MAX_USAGE_KB.
+ */
+
+type SqlLabState = Partial<SqlLabRootState['sqlLab']>;
+type QueryEditor = SqlLabRootState['sqlLab']['queryEditors'][number];
+type Query = SqlLabRootState['sqlLab']['queries'][string];
+type Table = SqlLabRootState['sqlLab']['tables'][number];
+type Revision =
+  SqlLabRootState['sqlLab']['queryEditorRevisions'][string][number];
+
+export type PersistedTab = {
+  id: string;
+  name?: string;
+  // position of the tab among the query editors
+  order: number;
+  // the higher, the more recently the tab was active
+  lastUsed: number;
+  queryEditor: QueryEditor;
+  queries: Record<string, Query>;
+  tables: Table[];
+  // missing from the tabs persisted by earlier versions
+  revisions?: Revision[];
+  sizeInKilobytes: number;
+};
+
+export type PersistedSqlLabState = {
+  tabs: PersistedTab[];
+  // the rest of the state, not tied to a tab
+  state: SqlLabState;
+};
+
+export type SqlLabStorageUsage = {
+  tabs: Pick<PersistedTab, 'id' | 'name' | 'lastUsed' | 'sizeInKilobytes'>[];
+  usageInKilobytes: number;
+  quotaInKilobytes: number;
+};
+
+const DB_NAME = 'superset_sqllab';
+const DB_VERSION = 1;
+const TABS_STORE = 'tabs';
+const STATE_STORE = 'state';
+const STATE_KEY = 'sqlLab';
+// localStorage key of the state persisted before IndexedDB was used
+const LEGACY_LOCALSTORAGE_KEY = 'redux';
+
+const getSizeInKilobytes = (value: unknown) =>
+  Math.round(
+    (((JSON.stringify(value)?.length || 0) * BYTES_PER_CHAR) / KB_STORAGE) *
+      100,
+  ) / 100;
+
+const getTabSizeInKilobytes = ({
+  queryEditor,
+  queries,
+  tables,
+  revisions,
+}: Omit<PersistedTab, 'sizeInKilobytes' | 'id' | 'order' | 'lastUsed'>) =>
+  getSizeInKilobytes([queryEditor, queries, tables, revisions]);
+
+export const isIndexedDbAvailable = () =>
+  typeof window !== 'undefined' && Boolean(window.indexedDB);
+
+/**
+ * Splits the persisted SQL Lab state into one record per query editor tab.
+ */
+export function splitSqlLabState({
+  queryEditors = [],
+  queries = {},
+  tables = [],
+  queryEditorRevisions = {},
+  ...state
+}: SqlLabState): PersistedSqlLabState {
+  const { tabHistory = [] } = state;
+  const editorIds = new Set(queryEditors.map(({ id }) => id));
+  const tabs = queryEditors.map((queryEditor, order) => {
+    const tabQueries = Object.fromEntries(
+      Object.entries(queries).filter(
+        ([, { sqlEditorId }]) => sqlEditorId === queryEditor.id,
+      ),
+    );
+    const tab = {
+      queryEditor,
+      queries: tabQueries,
+      tables: tables.filter(
+        ({ queryEditorId }) => queryEditorId === queryEditor.id,
+      ),
+      revisions: queryEditorRevisions[queryEditor.id] ?? [],
+    };
+    return {
+      ...tab,
+      id: queryEditor.id,
+      name: queryEditor.name,
+      order,
+      lastUsed: tabHistory.lastIndexOf(queryEditor.id) + 1,
+      sizeInKilobytes: getTabSizeInKilobytes(tab),
+    };
+  });
+  return {
+    tabs,
+    state: {
+      ...state,
+      queries: Object.fromEntries(
+        Object.entries(queries).filter(
+          ([, { sqlEditorId }]) => !editorIds.has(sqlEditorId),
+        ),
+      ),
+      tables: tables.filter(
+        ({ queryEditorId }) => !editorIds.has(queryEditorId),
+      ),
+      queryEditorRevisions: Object.fromEntries(
+        Object.entries(queryEditorRevisions).filter(
+          ([queryEditorId]) => !editorIds.has(queryEditorId),
+        ),
+      ),
+    },
+  };
+}
+
+/**
+ * Rebuilds the persisted SQL Lab state from the records of its tabs.
+ */
+export function joinSqlLabState({
+  tabs,
+  state,
+}: PersistedSqlLabState): SqlLabState {
+  const sortedTabs = [...tabs].sort((a, b) => a.order - b.order);
+  return {
+    ...state,
+    queryEditors: sortedTabs.map(({ queryEditor }) => queryEditor),
+    queries: Object.assign(
+      {},
+      state.queries,
+      ...sortedTabs.map(({ queries }) => queries),
+    ),
+    tables: [
+      ...(state.tables ?? []),
+      ...sortedTabs.flatMap(({ tables }) => tables),
+    ],
+    queryEditorRevisions: {
+      ...state.queryEditorRevisions,
+      ...Object.fromEntries(
+        sortedTabs
+          .filter(({ revisions }) => revisions?.length)
+          .map(({ id, revisions = [] }) => [id, revisions]),
+      ),
+    },
+  };
+}
+
+/**
+ * Keeps the tabs under the given size, dropping the cached results of the
+ * least recently used tabs first, then the tabs themselves. The active tab
+ * is never evicted.
+ */
+export function evictLeastRecentlyUsedTabs(
+  tabs: PersistedTab[],
+  maxSizeInKilobytes = INDEXEDDB_MAX_USAGE_KB,
+): PersistedTab[] {
+  const getTotalSize = (records: PersistedTab[]) =>
+    records.reduce((total, { sizeInKilobytes }) => total + sizeInKilobytes, 0);
+  const activeLastUsed = Math.max(0, ...tabs.map(({ lastUsed }) => lastUsed));
+  const evictable = [...tabs]
+    .filter(({ lastUsed }) => !activeLastUsed || lastUsed < activeLastUsed)
+    .sort((a, b) => a.lastUsed - b.lastUsed)
+    .map(({ id }) => id);
+
+  let result = tabs;
+  evictable.forEach(id => {
+    if (getTotalSize(result) > maxSizeInKilobytes) {
+      result = result.map(tab => {
+        if (tab.id !== id) {
+          return tab;
+        }
+        const queries = Object.fromEntries(
+          Object.entries(tab.queries).map(([queryId, query]) => [
+            queryId,
+            { ...query, results: {} } as Query,
+          ]),
+        );
+        return {
+          ...tab,
+          queries,
+          sizeInKilobytes: getTabSizeInKilobytes({ ...tab, queries }),
+        };
+      });
+    }
+  });
+  evictable.forEach(id => {
+    if (getTotalSize(result) > maxSizeInKilobytes) {
+      result = result.filter(tab => tab.id !== id);
+    }
+  });
+  return result;
+}
+
+let databasePromise: Promise<IDBDatabase> | null = null;
+
+function openDatabase(): Promise<IDBDatabase> {
+  if (!databasePromise) {
+    databasePromise = new Promise<IDBDatabase>((resolve, reject) => {
+      const request = window.indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(TABS_STORE, { keyPath: 'id' });
+        request.result.createObjectStore(STATE_STORE);
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    }).catch(error => {
+      databasePromise = null;
+      throw error;
+    });
+  }
+  return databasePromise;
+}
+
+const requestToPromise = <T>(request: IDBRequest<T>) =>
+  new Promise<T>((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+const transactionToPromise = (transaction: IDBTransaction) =>
+  new Promise<void>((resolve, reject) => {
+    transaction.addEventListener('complete', () => resolve());
+    transaction.addEventListener('error', () => reject(transaction.error));
+    transaction.addEventListener('abort', () => reject(transaction.error));
+  });
+
+async function readTabs(): Promise<PersistedTab[]> {
+  const db = await openDatabase();
+  return requestToPromise(
+    db.transaction(TABS_STORE).objectStore(TABS_STORE).getAll(),
+  );
+}
+
+/**
+ * Reads the SQL Lab state persisted in IndexedDB, resolves to null when
+ * there is none yet, or when IndexedDB cannot be used.
+ */
+export async function readSqlLabState(): Promise<Pick<
+  SqlLabRootState,
+  'sqlLab'
+> | null> {
+  if (!isIndexedDbAvailable()) {
+    return null;
+  }
+  try {
+    const db = await openDatabase();
+    const [tabs, state] = await Promise.all([
+      readTabs(),
+      requestToPromise<SqlLabState | undefined>(
+        db.transaction(STATE_STORE).objectStore(STATE_STORE).get(STATE_KEY),
+      ),
+    ]);
+    if (!state) {
+      return null;
+    }
+    return {
+      sqlLab: joinSqlLabState({ tabs, state }) as SqlLabRootState['sqlLab'],
+    };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Writes the SQL Lab state to IndexedDB, evicting the least recently used
+ * tabs when needed. The state persisted in localStorage by earlier versions
+ * is removed once it was migrated. Resolves to the tabs which were evicted.
+ */
+export async function writeSqlLabState(
+  sqlLab: SqlLabState = {},
+): Promise<Pick<PersistedTab, 'id' | 'name'>[]> {
+  const { tabs, state } = splitSqlLabState(sqlLab);
+  const keptTabs = evictLeastRecentlyUsedTabs(tabs);
+  const db = await openDatabase();
+  const transaction = db.transaction([TABS_STORE, STATE_STORE], 'readwrite');
+  const tabsStore = transaction.objectStore(TABS_STORE);
+  tabsStore.clear();
+  keptTabs.forEach(tab => tabsStore.put(tab));
+  transaction.objectStore(STATE_STORE).put(state, STATE_KEY);
+  await transactionToPromise(transaction);
+  localStorage.removeItem(LEGACY_LOCALSTORAGE_KEY);
+  const keptIds = new Set(keptTabs.map(({ id }) => id));
+  return tabs
+    .filter(({ id }) => !keptIds.has(id))
+    .map(({ id, name }) => ({ id, name }));
+}
+
+/**
+ * Returns the storage used by each persisted tab, along with the overall
+ * usage and quota of the browser storage when the browser reports them.
+ */
+export async function getSqlLabStorageUsage(): Promise<SqlLabStorageUsage> {
+  const tabs = isIndexedDbAvailable() ? await readTabs() : [];
+  const estimate = await navigator.storage?.estimate?.();
+  const tabsUsage = tabs.reduce(
+    (total, { sizeInKilobytes }) => total + sizeInKilobytes,
+    0,
+  );
+  return {
+    tabs: tabs
+      .map(({ id, name, lastUsed, sizeInKilobytes }) => ({
+        id,
+        name,
+        lastUsed,
+        sizeInKilobytes,
+      }))
+      .sort((a, b) => b.sizeInKilobytes - a.sizeInKilobytes),
+    usageInKilobytes: estimate?.usage ? estimate.usage / KB_STORAGE : tabsUsage,
+    quotaInKilobytes: Math.min(
+      INDEXEDDB_MAX_USAGE_KB,
+      estimate?.quota ? estimate.quota / KB_STORAGE : INDEXEDDB_MAX_USAGE_KB,
+    ),
+  };
+}
@@ -0,0 +1,128 @@
+/**
+ * Licensed to the Apache Software Foundation (ASF) under one
+ * or more contributor license agreements.  See the NOTICE file
+ * distributed with this work for additional information
+ * regarding copyright ownership.  The ASF licenses this file
+ * to you under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance
+ * with the License.  You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an
+ * "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+ * KIND, either express or implied.  See the License for the
+ * specific language governing permissions and limitations
+ * under the License.
+ */
+import {
+  findKeyBindingConflicts,
+  getAceKeyBindings,
+  getDefaultKeyBindings,
+  getKeyBindingFromEvent,
+  getKeyBindings,
+  normalizeKeyBinding,
+  SqlLabCommand,
+} from './keyBindings';
+
+const keyEvent = (key: string, modifiers = {}) => ({
+  key,
+  ctrlKey: false,
+  altKey: false,
+  shiftKey: false,
+  metaKey: false,
+  ...modifiers,
+});
+
+test('returns the default bindings of the OS', () => {
+  expect(getDefaultKeyBindings('MacOS')).toMatchObject({
+    [SqlLabCommand.StopQuery]: ['ctrl+x'],
+    [SqlLabCommand.NewTab]: ['ctrl+t'],
+    [SqlLabCommand.CommandPalette]: ['shift+command+p'],
+  });
+  expect(getDefaultKeyBindings('Windows')).toMatchObject({
+    [SqlLabCommand.StopQuery]: ['ctrl+e'],
+    [SqlLabCommand.NewTab]: ['ctrl+q'],
+    [SqlLabCommand.CommandPalette]: ['ctrl+shift+p'],
+  });
+});
+
+test('overrides the default bindings with the custom ones', () => {
+  const bindings = getKeyBindings(
+    { [SqlLabCommand.RunQuery]: ['ctrl+shift+r'] },
+    'Linux',
+  );
+  expect(bindings[SqlLabCommand.RunQuery]).toEqual(['ctrl+shift+r']);
+  expect(bindings[SqlLabCommand.FormatQuery]).toEqual(['ctrl+shift+f']);
+});
+
+test('normalizes the key bindings', () => {
+  expect(normalizeKeyBinding('Shift-Ctrl-F')).toBe('ctrl+shift+f');
+  expect(normalizeKeyBinding('Command-Option-F')).toBe('alt+command+f');
+  expect(normalizeKeyBinding('cmd+Return')).toBe('command+enter');
+  expect(normalizeKeyBinding('Ctrl--')).toBe('ctrl+-');
+});
+
+test('reads the key binding of a keyboard event', () => {
+  expect(getKeyBindingFromEvent(keyEvent('Shift', { shiftKey: true }))).toBe(
+    null,
+  );
+  expect(
+    getKeyBindingFromEvent(
+      keyEvent('P', { code: 'KeyP', shiftKey: true, metaKey: true }),
+    ),
+  ).toBe('shift+command+p');
+  expect(
+    getKeyBindingFromEvent(keyEvent('π', { code: 'KeyP', altKey: true })),
+  ).toBe('alt+p');
+  expect(
+    getKeyBindingFromEvent(keyEvent('Enter', { ctrlKey: true, altKey: true })),
+  ).toBe('ctrl+alt+enter');
+});
+
+test('reads the key bindings of the Ace commands for the platform', () => {
+  expect(
+    getAceKeyBindings(
+      {
+        find: { name: 'find', bindKey: { win: 'Ctrl-F', mac: 'Command-F' } },
+        replace: {
+          name: 'replace',
+          bindKey: { win: 'Ctrl-H', mac: 'Command-Option-F' },
+        },
+        blockoutdent: { name: 'blockoutdent', bindKey: 'Ctrl-[|Ctrl-,' },
+        noop: { name: 'noop', bindKey: null },
+      },
+      'mac',
+    ),
+  ).toEqual({
+    'command+f': 'find',
+    'alt+command+f': 'replace',
+    'ctrl+[': 'blockoutdent',
+    'ctrl+,': 'blockoutdent',
+  });
+});
+
+test('finds the conflicting key bindings', () => {
+  const bindings = getKeyBindings(
+    { [SqlLabCommand.FormatQuery]: ['ctrl+r', 'ctrl+h', 'ctrl+k'] },
+    'Linux',
+  );
+  expect(
+    findKeyBindingConflicts(SqlLabCommand.FormatQuery, bindings, {
+      'ctrl+h': 'replace',
+    }),
+  ).toEqual([
+    {
+      key: 'ctrl+r',
+      commands: [SqlLabCommand.RunQuery, SqlLabCommand.FormatQuery],
+      aceCommand: undefined,
+    },
+    {
+      key: 'ctrl+h',
+      commands: [SqlLabCommand.FormatQuery],
+      aceCommand: 'replace',
+    },
+  ]);
+  expect(findKeyBindingConflicts(SqlLabCommand.NewTab, bindings)).toEqual([]);
+});
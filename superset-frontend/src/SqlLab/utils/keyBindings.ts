@@ -0,0 +1,234 @@
+/**
+ * Licensed to the Apache Software Foundation (ASF) under one
+ * or more contributor license agreements.  See the NOTICE file
+ * distributed with this work for additional information
+ * regarding copyright ownership.  The ASF licenses this file
+ * to you under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance
+ * with the License.  You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an
+ * "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+ * KIND, either express or implied.  See the License for the
+ * specific language governing permissions and limitations
+ * under the License.
+ */
+import { t } from '@superset-ui/core';
+import { detectOS } from 'src/utils/common';
+
+export enum SqlLabCommand {
+  RunQuery = 'runQuery',
+  RunSelection = 'runSelection',
+  StopQuery = 'stopQuery',
+  FormatQuery = 'formatQuery',
+  NewTab = 'newTab',
+  PreviousTab = 'previousTab',
+  NextTab = 'nextTab',
+  EstimateCost = 'estimateCost',
+  ExplainQuery = 'explainQuery',
+  SaveQuery = 'saveQuery',
+  ShareQuery = 'shareQuery',
+  ScheduleQuery = 'scheduleQuery',
+  ToggleLeftBar = 'toggleLeftBar',
+  CommandPalette = 'commandPalette',
+}
+
+// the bindings customized by the user, the others keep their default
+export type KeyBindings = Partial<Record<SqlLabCommand, string[]>>;
+
+export interface KeyBindingConflict {
+  key: string;
+  // every SQL Lab command bound to the key, including the one checked
+  commands: SqlLabCommand[];
+  // the default Ace editor command the key would override
+  aceCommand?: string;
+}
+
+// Mousetrap doesn't know `cmd`, `command` works with both Mousetrap and Ace
+const MODIFIERS = ['ctrl', 'alt', 'shift', 'command'];
+
+const KEY_ALIASES: Record<string, string> = {
+  control: 'ctrl',
+  option: 'alt',
+  opt: 'alt',
+  cmd: 'command',
+  meta: 'command',
+  return: 'enter',
+  esc: 'escape',
+  ' ': 'space',
+  arrowup: 'up',
+  arrowdown: 'down',
+  arrowleft: 'left',
+  arrowright: 'right',
+};
+
+export const getCommandLabel = (command: SqlLabCommand) =>
+  ({
+    [SqlLabCommand.RunQuery]: t('Run query'),
+    [SqlLabCommand.RunSelection]: t('Run selection or current statement'),
+    [SqlLabCommand.StopQuery]: t('Stop query'),
+    [SqlLabCommand.FormatQuery]: t('Format SQL'),
+    [SqlLabCommand.NewTab]: t('New tab'),
+    [SqlLabCommand.PreviousTab]: t('Switch to the previous tab'),
+    [SqlLabCommand.NextTab]: t('Switch to the next tab'),
+    [SqlLabCommand.EstimateCost]: t('Estimate the query cost'),
+    [SqlLabCommand.ExplainQuery]: t('Explain the query plan'),
+    [SqlLabCommand.SaveQuery]: t('Save query'),
+    [SqlLabCommand.ShareQuery]: t('Copy query link'),
+    [SqlLabCommand.ScheduleQuery]: t('Schedule query'),
+    [SqlLabCommand.ToggleLeftBar]: t('Toggle the left bar'),
+    [SqlLabCommand.CommandPalette]: t('Show the command palette'),
+  })[command];
+
+export const getDefaultKeyBindings = (
+  userOS: string = detectOS(),
+): Record<SqlLabCommand, string[]> => ({
+  [SqlLabCommand.RunQuery]: ['ctrl+r', 'ctrl+enter'],
+  [SqlLabCommand.RunSelection]: ['ctrl+shift+enter'],
+  [SqlLabCommand.StopQuery]: [userOS === 'MacOS' ? 'ctrl+x' : 'ctrl+e'],
+  [SqlLabCommand.FormatQuery]: ['ctrl+shift+f'],
+  [SqlLabCommand.NewTab]: [userOS === 'Windows' ? 'ctrl+q' : 'ctrl+t'],
+  [SqlLabCommand.PreviousTab]: ['ctrl+['],
+  [SqlLabCommand.NextTab]: ['ctrl+]'],
+  [SqlLabCommand.EstimateCost]: [],
+  [SqlLabCommand.ExplainQuery]: [],
+  [SqlLabCommand.SaveQuery]: [],
+  [SqlLabCommand.ShareQuery]: [],
+  [SqlLabCommand.ScheduleQuery]: [],
+  [SqlLabCommand.ToggleLeftBar]: [],
+  [SqlLabCommand.CommandPalette]: [
+    userOS === 'MacOS' ? 'shift+command+p' : 'ctrl+shift+p',
+  ],
+});
+
+/**
+ * Merges the bindings customized by the user into the default ones.
+ */
+export const getKeyBindings = (
+  customBindings: KeyBindings = {},
+  userOS?: string,
+): Record<SqlLabCommand, string[]> => ({
+  ...getDefaultKeyBindings(userOS),
+  ...customBindings,
+});
+
+/**
+ * Writes a key combination the way both Mousetrap and Ace understand it:
+ * lower case, `+` separated, modifiers first in a fixed order.
+ */
+export function normalizeKeyBinding(binding: string) {
+  const keys = binding
+    .toLowerCase()
+    .split(/[+-](?=.)/)
+    .map(key => KEY_ALIASES[key.trim()] ?? key.trim())
+    .filter(Boolean);
+  const modifiers = MODIFIERS.filter(modifier => keys.includes(modifier));
+  const otherKeys = keys.filter(key => !MODIFIERS.includes(key));
+  return [...modifiers, ...otherKeys].join('+');
+}
+
+/**
+ * Returns the key combination of a keydown event, or null while only
+ * modifiers are pressed.
+ */
+export function getKeyBindingFromEvent(event: {
+  key: string;
+  code?: string;
+  ctrlKey: boolean;
+  altKey: boolean;
+  shiftKey: boolean;
+  metaKey: boolean;
+}) {
+  // the code of letters and digits doesn't depend on the other modifiers
+  // pressed, e.g. option+p types π on macOS
+  const [, character] = event.code?.match(/^(?:Key|Digit)(\w)$/) ?? [];
+  const key =
+    character?.toLowerCase() ??
+    KEY_ALIASES[event.key.toLowerCase()] ??
+    event.key.toLowerCase();
+  if (MODIFIERS.includes(key)) {
+    return null;
+  }
+  return [
+    event.ctrlKey && 'ctrl',
+    event.altKey && 'alt',
+    event.shiftKey && 'shift',
+    event.metaKey && 'command',
+    key,
+  ]
+    .filter(Boolean)
+    .join('+');
+}
+
+type AceCommand = {
+  name: string;
+  bindKey?: string | { win?: string | null; mac?: string | null } | null;
+};
+
+/**
+ * Maps the key combinations of the given Ace commands to their name, for the
+ * platform the editor runs on (`win` or `mac`).
+ */
+export function getAceKeyBindings(
+  commands: Record<string, AceCommand>,
+  platform: string,
+) {
+  return Object.values(commands).reduce<Record<string, string>>(
+    (acc, { name, bindKey }) => {
+      const keys =
+        typeof bindKey === 'string'
+          ? bindKey
+          : bindKey?.[platform as 'win' | 'mac'];
+      keys?.split('|').forEach(key => {
+        acc[normalizeKeyBinding(key)] = name;
+      });
+      return acc;
+    },
+    {},
+  );
+}
+
+let aceKeyBindings: Record<string, string> = {};
+
+/**
+ * Keeps the default key bindings of the Ace editor, they are only known once
+ * an editor is loaded, before SQL Lab adds its own commands.
+ */
+export function registerAceKeyBindings(commandManager: {
+  commands: Record<string, AceCommand>;
+  platform: string;
+}) {
+  aceKeyBindings = getAceKeyBindings(
+    commandManager.commands,
+    commandManager.platform,
+  );
+}
+
+export const getRegisteredAceKeyBindings = () => aceKeyBindings;
+
+/**
+ * Lists the keys of a command also bound to another SQL Lab command or
+ * overriding a default Ace editor command.
+ */
+export function findKeyBindingConflicts(
+  command: SqlLabCommand,
+  bindings: Record<SqlLabCommand, string[]>,
+  aceBindings: Record<string, string> = {},
+): KeyBindingConflict[] {
+  return (bindings[command] ?? []).reduce<KeyBindingConflict[]>(
+    (conflicts, key) => {
+      const commands = (Object.keys(bindings) as SqlLabCommand[]).filter(
+        other => bindings[other].includes(key),
+      );
+      const aceCommand = aceBindings[key];
+      if (commands.length > 1 || aceCommand) {
+        conflicts.push({ key, commands, aceCommand });
+      }
+      return conflicts;
+    },
+    [],
+  );
+}
@@ -0,0 +1,80 @@
+/**
+ * Licensed to the Apache Software Foundation (ASF) under one
+ * or more contributor license agreements.  See the NOTICE file
+ * distributed with this work for additional information
+ * regarding copyright ownership.  The ASF licenses this file
+ * to you under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance
+ * with the License.  You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an
+ * "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+ * KIND, either express or implied.  See the License for the
+ * specific language governing permissions and limitations
+ * under the License.
+ */
+import { GenericDataType } from '@superset-ui/core';
+import { BasicType, parquetWriteBuffer } from 'hyparquet-writer';
+import type { ExportColumn, ExportValue } from './xlsx';
+
+const isInteger = (value: ExportValue) =>
+  typeof value === 'bigint' ||
+  (typeof value === 'number' && Number.isSafeInteger(value));
+
+const getParquetType = (
+  column: ExportColumn,
+  values: ExportValue[],
+): BasicType => {
+  switch (column.type) {
+    case GenericDataType.Numeric:
+      return values.every(value => value === null || isInteger(value))
+        ? 'INT64'
+        : 'DOUBLE';
+    case GenericDataType.Temporal:
+      return 'TIMESTAMP';
+    case GenericDataType.Boolean:
+      return 'BOOLEAN';
+    default:
+      return 'STRING';
+  }
+};
+
+// the writer takes the INT64 values as BigInt and the timestamps as dates
+const toParquetValue = (type: BasicType, value: ExportValue) => {
+  if (value === null) {
+    return null;
+  }
+  if (type === 'INT64') {
+    return BigInt(value);
+  }
+  return type === 'TIMESTAMP' ? new Date(Number(value)) : value;
+};
+
+/**
+ * Writes the rows in optional columns. The temporal values are epoch
+ * milliseconds, written as UTC timestamps.
+ */
+export function toParquet(
+  columns: ExportColumn[],
+  rows: ExportValue[][],
+): Uint8Array {
+  const columnData = columns.map((column, index) => {
+    const values = rows.map(row => {
+      const value = row[index];
+      // numbers are written as is, the other values of the type of the column
+      return typeof value === 'number' && !Number.isFinite(value)
+        ? null
+        : value;
+    });
+    const type = getParquetType(column, values);
+    return {
+      name: column.name,
+      type,
+      data: values.map(value => toParquetValue(type, value)),
+    };
+  });
+  return new Uint8Array(parquetWriteBuffer({ columnData }));
+}
@@ -57,12 +57,15 @@ const PERSISTENT_QUERY_EDITOR_KEYS = new Set([
   'hideLeftBar',
 ]);
 
-function shouldEmptyQueryResults(query: QueryResponse) {
+function shouldEmptyQueryResults(
+  query: QueryResponse,
+  maxResultsInKilobytes: number,
+) {
   const { startDttm, results } = query;
   return (
     Date.now() - startDttm > LOCALSTORAGE_MAX_QUERY_AGE_MS ||
     ((JSON.stringify(results)?.length || 0) * BYTES_PER_CHAR) / KB_STORAGE >
-      LOCALSTORAGE_MAX_QUERY_RESULTS_KB
+      maxResultsInKilobytes
   );
 }
 
@@ -97,12 +100,15 @@ type EmptyQueryResults = Record<
 
 export function emptyQueryResults(
   queries: SqlLabRootState['sqlLab']['queries'],
+  maxResultsInKilobytes = LOCALSTORAGE_MAX_QUERY_RESULTS_KB,
 ) {
   return Object.keys(queries).reduce((accu, key) => {
     const { results } = queries[key];
     const query = {
       ...queries[key],
-      results: shouldEmptyQueryResults(queries[key]) ? {} : results,
+      results: shouldEmptyQueryResults(queries[key], maxResultsInKilobytes)
+        ? {}
+        : results,
     };
 
     const updatedQueries = {
@@ -0,0 +1,89 @@
+/**
+ * Licensed to the Apache Software Foundation (ASF) under one
+ * or more contributor license agreements.  See the NOTICE file
+ * distributed with this work for additional information
+ * regarding copyright ownership.  The ASF licenses this file
+ * to you under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance
+ * with the License.  You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an
+ * "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+ * KIND, either express or implied.  See the License for the
+ * specific language governing permissions and limitations
+ * under the License.
+ */
+
+import { diffResults, getCommonColumns } from './resultDiff';
+
+const columns = ['id', 'name', 'sales'];
+
+const previous = [
+  { id: 1, name: 'a', sales: 10 },
+  { id: 2, name: 'b', sales: 20 },
+  { id: 3, name: 'c', sales: 30 },
+];
+
+const current = [
+  { id: 1, name: 'a', sales: 10 },
+  { id: 2, name: 'b', sales: 25 },
+  { id: 4, name: 'd', sales: 40 },
+];
+
+test('lists the columns shared by both result sets', () => {
+  expect(
+    getCommonColumns(['id', 'name', 'old'], ['new', 'name', 'id']),
+  ).toEqual(['id', 'name']);
+});
+
+test('reports added, removed and changed rows keyed on the chosen columns', () => {
+  const diff = diffResults(previous, current, columns, ['id']);
+  expect(diff.added).toEqual([{ id: 4, name: 'd', sales: 40 }]);
+  expect(diff.removed).toEqual([{ id: 3, name: 'c', sales: 30 }]);
+  expect(diff.changed).toEqual([
+    {
+      previous: { id: 2, name: 'b', sales: 20 },
+      current: { id: 2, name: 'b', sales: 25 },
+      changedColumns: ['sales'],
+    },
+  ]);
+  expect(diff.unchangedCount).toBe(1);
+  expect(diff.duplicateKeyCount).toBe(0);
+});
+
+test('uses the whole row as the key when no key column is chosen', () => {
+  const diff = diffResults(previous, current, columns, []);
+  expect(diff.changed).toEqual([]);
+  expect(diff.added.map(({ id }) => id)).toEqual([2, 4]);
+  expect(diff.removed.map(({ id }) => id)).toEqual([2, 3]);
+  expect(diff.unchangedCount).toBe(1);
+});
+
+test('pairs the rows sharing a key in order and counts the duplicate keys', () => {
+  const diff = diffResults(
+    [
+      { name: 'a', sales: 1 },
+      { name: 'a', sales: 2 },
+    ],
+    [{ name: 'a', sales: 1 }],
+    ['name', 'sales'],
+    ['name'],
+  );
+  expect(diff.unchangedCount).toBe(1);
+  expect(diff.removed).toEqual([{ name: 'a', sales: 2 }]);
+  expect(diff.duplicateKeyCount).toBe(1);
+});
+
+test('treats null and undefined values as equal', () => {
+  const diff = diffResults(
+    [{ id: 1, name: null }],
+    [{ id: 1 }],
+    ['id', 'name'],
+    ['id'],
+  );
+  expect(diff.changed).toEqual([]);
+  expect(diff.unchangedCount).toBe(1);
+});
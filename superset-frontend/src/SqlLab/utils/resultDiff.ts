@@ -0,0 +1,132 @@
+/**
+ * Licensed to the Apache Software Foundation (ASF) under one
+ * or more contributor license agreements.  See the NOTICE file
+ * distributed with this work for additional information
+ * regarding copyright ownership.  The ASF licenses this file
+ * to you under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance
+ * with the License.  You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an
+ * "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+ * KIND, either express or implied.  See the License for the
+ * specific language governing permissions and limitations
+ * under the License.
+ */
+
+type Row = Record<string, unknown>;
+
+export interface ChangedRow {
+  previous: Row;
+  current: Row;
+  changedColumns: string[];
+}
+
+export interface ResultDiff {
+  added: Row[];
+  removed: Row[];
+  changed: ChangedRow[];
+  unchangedCount: number;
+  // keys matching more than one row on either side; those rows are paired
+  // in their original order, so the diff may be misleading
+  duplicateKeyCount: number;
+}
+
+const normalizeValue = (value: unknown) => {
+  if (value === null || value === undefined) {
+    return null;
+  }
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+};
+
+const getRowKey = (row: Row, keyColumns: string[]) =>
+  JSON.stringify(keyColumns.map(column => normalizeValue(row[column])));
+
+const groupByKey = (data: Row[], keyColumns: string[]) => {
+  const groups = new Map<string, Row[]>();
+  data.forEach(row => {
+    const key = getRowKey(row, keyColumns);
+    const group = groups.get(key);
+    if (group) {
+      group.push(row);
+    } else {
+      groups.set(key, [row]);
+    }
+  });
+  return groups;
+};
+
+/**
+ * Lists the columns present in both result sets, in the order of the first.
+ */
+export function getCommonColumns(previous: string[], current: string[]) {
+  const currentColumns = new Set(current);
+  return previous.filter(column => currentColumns.has(column));
+}
+
+/**
+ * Compares two result sets row by row. Rows are matched on the values of the
+ * key columns; matched rows whose other common columns differ are reported
+ * as changed. Without key columns the whole row is used as the key, so a
+ * modified row shows up as removed and added.
+ */
+export function diffResults(
+  previous: Row[],
+  current: Row[],
+  columns: string[],
+  keyColumns: string[],
+): ResultDiff {
+  const keys = keyColumns.length ? keyColumns : columns;
+  const valueColumns = columns.filter(column => !keys.includes(column));
+  const previousGroups = groupByKey(previous, keys);
+  const currentGroups = groupByKey(current, keys);
+  const diff: ResultDiff = {
+    added: [],
+    removed: [],
+    changed: [],
+    unchangedCount: 0,
+    duplicateKeyCount: 0,
+  };
+
+  previousGroups.forEach((previousRows, key) => {
+    const currentRows = currentGroups.get(key) ?? [];
+    if (previousRows.length > 1 || currentRows.length > 1) {
+      diff.duplicateKeyCount += 1;
+    }
+    previousRows.forEach((previousRow, index) => {
+      const currentRow = currentRows[index];
+      if (!currentRow) {
+        diff.removed.push(previousRow);
+        return;
+      }
+      const changedColumns = valueColumns.filter(
+        column =>
+          normalizeValue(previousRow[column]) !==
+          normalizeValue(currentRow[column]),
+      );
+      if (changedColumns.length) {
+        diff.changed.push({
+          previous: previousRow,
+          current: currentRow,
+          changedColumns,
+        });
+      } else {
+        diff.unchangedCount += 1;
+      }
+    });
+    diff.added.push(...currentRows.slice(previousRows.length));
+  });
+  currentGroups.forEach((currentRows, key) => {
+    if (!previousGroups.has(key)) {
+      if (currentRows.length > 1) {
+        diff.duplicateKeyCount += 1;
+      }
+      diff.added.push(...currentRows);
+    }
+  });
+
+  return diff;
+}
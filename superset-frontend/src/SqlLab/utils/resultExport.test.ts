@@ -0,0 +1,171 @@
+/**
+ * Licensed to the Apache Software Foundation (ASF) under one
+ * or more contributor license agreements.  See the NOTICE file
+ * distributed with this work for additional information
+ * regarding copyright ownership.  The ASF licenses this file
+ * to you under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance
+ * with the License.  You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an
+ * "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+ * KIND, either express or implied.  See the License for the
+ * specific language governing permissions and limitations
+ * under the License.
+ */
+import { GenericDataType, QueryColumn } from '@superset-ui/core';
+import { unzipSync } from 'fflate';
+import { parquetMetadata, parquetReadObjects } from 'hyparquet';
+import { handleResultExportRequest, toExportValue } from './resultExport';
+
+const column = (
+  name: string,
+  type: GenericDataType = GenericDataType.String,
+): QueryColumn => ({
+  column_name: name,
+  type: null,
+  type_generic: type,
+  is_dttm: type === GenericDataType.Temporal,
+});
+
+const columns = [
+  column('name'),
+  column('sales', GenericDataType.Numeric),
+  column('ds', GenericDataType.Temporal),
+  column('active', GenericDataType.Boolean),
+];
+
+const data = [
+  { name: 'FR', sales: 10, ds: '2021-01-01 00:00:00', active: false },
+  { name: 'US', sales: '30.5', ds: 1609459200000, active: false },
+  { name: 'UK <&>', sales: null, ds: null, active: null },
+];
+
+const BIG_INT = BigInt('9007199254740993');
+
+const decode = (bytes: Uint8Array) => new TextDecoder().decode(bytes);
+
+// reads the cells of the sheet back, as text, number or boolean
+const readSheet = (file: Uint8Array) => {
+  const entries = unzipSync(file);
+  const sheet = new DOMParser().parseFromString(
+    decode(entries['xl/worksheets/sheet1.xml']),
+    'application/xml',
+  );
+  return Array.from(sheet.getElementsByTagName('c')).reduce<
+    Record<string, unknown>
+  >((cells, cell) => {
+    const ref = cell.getAttribute('r')!;
+    const type = cell.getAttribute('t');
+    const text =
+      (type === 'inlineStr'
+        ? cell.getElementsByTagName('t')[0]
+        : cell.getElementsByTagName('v')[0]
+      )?.textContent ?? '';
+    return {
+      ...cells,
+      [ref]: type === 'inlineStr' ? text : type === 'b' ? text === '1' : +text,
+    };
+  }, {});
+};
+
+const readParquet = (file: Uint8Array) =>
+  parquetReadObjects({
+    file: file.buffer.slice(
+      file.byteOffset,
+      file.byteOffset + file.byteLength,
+    ) as ArrayBuffer,
+  });
+
+test('converts the values to the type of their column', () => {
+  expect(toExportValue(GenericDataType.Numeric, '30.5')).toBe(30.5);
+  expect(toExportValue(GenericDataType.Numeric, 'n/a')).toBeNull();
+  expect(toExportValue(GenericDataType.Temporal, '2021-01-01 12:00:00')).toBe(
+    Date.UTC(2021, 0, 1, 12),
+  );
+  expect(toExportValue(GenericDataType.Temporal, '2021-01-01')).toBe(
+    Date.UTC(2021, 0, 1),
+  );
+  expect(toExportValue(GenericDataType.Boolean, 'TRUE')).toBe(true);
+  expect(toExportValue(GenericDataType.String, { a: 1 })).toBe('{"a":1}');
+  expect(toExportValue(GenericDataType.String, undefined)).toBeNull();
+});
+
+test('keeps the integers parsed as BigInt exact', () => {
+  expect(toExportValue(GenericDataType.Numeric, BigInt(42))).toBe(42);
+  expect(toExportValue(GenericDataType.Numeric, BIG_INT)).toBe(BIG_INT);
+  expect(toExportValue(GenericDataType.String, { id: BIG_INT })).toBe(
+    '{"id":"9007199254740993"}',
+  );
+});
+
+test('exports the filtered and sorted rows to a workbook', () => {
+  const file = handleResultExportRequest({
+    format: 'xlsx',
+    columns,
+    data,
+    filterText: 'u',
+    sortModel: [{ colId: 'sales', sort: 'desc' }],
+    name: 'Query: 1',
+  });
+  expect(decode(unzipSync(file)['xl/workbook.xml'])).toContain(
+    '<sheet name="Query  1"',
+  );
+  // like in the table, the empty values come first in descending order
+  expect(readSheet(file)).toEqual({
+    A1: 'name',
+    B1: 'sales',
+    C1: 'ds',
+    D1: 'active',
+    A2: 'UK <&>',
+    A3: 'US',
+    B3: 30.5,
+    C3: 44197,
+    D3: false,
+  });
+});
+
+test('exports the BigInt values to a workbook as exact text', () => {
+  const file = handleResultExportRequest({
+    format: 'xlsx',
+    columns: [column('id', GenericDataType.Numeric)],
+    data: [{ id: BigInt(7) }, { id: BIG_INT }],
+  });
+  expect(readSheet(file)).toMatchObject({ A2: 7, A3: '9007199254740993' });
+});
+
+test('exports the rows to a parquet file', async () => {
+  const file = handleResultExportRequest({ format: 'parquet', columns, data });
+  expect(parquetMetadata(file.buffer as ArrayBuffer).num_rows).toBe(BigInt(3));
+  expect(await readParquet(file)).toEqual([
+    {
+      name: 'FR',
+      sales: 10,
+      ds: new Date(Date.UTC(2021, 0, 1)),
+      active: false,
+    },
+    {
+      name: 'US',
+      sales: 30.5,
+      ds: new Date(Date.UTC(2021, 0, 1)),
+      active: false,
+    },
+    { name: 'UK <&>', sales: null, ds: null, active: null },
+  ]);
+});
+
+test('exports the BigInt values to a parquet INT64 column', async () => {
+  const file = handleResultExportRequest({
+    format: 'parquet',
+    columns: [column('id', GenericDataType.Numeric)],
+    data: [{ id: BigInt(7) }, { id: BIG_INT }, { id: null }],
+  });
+  expect(await readParquet(file)).toEqual([
+    { id: BigInt(7) },
+    { id: BIG_INT },
+    { id: null },
+  ]);
+});
@@ -0,0 +1,145 @@
+/**
+ * Licensed to the Apache Software Foundation (ASF) under one
+ * or more contributor license agreements.  See the NOTICE file
+ * distributed with this work for additional information
+ * regarding copyright ownership.  The ASF licenses this file
+ * to you under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance
+ * with the License.  You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an
+ * "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+ * KIND, either express or implied.  See the License for the
+ * specific language governing permissions and limitations
+ * under the License.
+ */
+import { GenericDataType, QueryColumn } from '@superset-ui/core';
+import {
+  filterAndSortRows,
+  SortModel,
+} from 'src/components/FilterableTable/filterAndSort';
+import { toParquet } from './parquet';
+import { ExportColumn, ExportValue, toXlsx } from './xlsx';
+
+export type ResultExportFormat = 'xlsx' | 'parquet';
+
+export interface ResultExportRequest {
+  format: ResultExportFormat;
+  columns: QueryColumn[];
+  data: Record<string, unknown>[];
+  filterText?: string;
+  sortModel?: SortModel;
+  name?: string;
+}
+
+export const RESULT_EXPORT_MIME_TYPES: Record<ResultExportFormat, string> = {
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  parquet: 'application/vnd.apache.parquet',
+};
+
+// timestamps without a time zone are in UTC, like the results of the queries
+const ISO_DATE_WITHOUT_ZONE_REGEX =
+  /^\d{4}-\d{2}-\d{2}([T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?)?$/;
+
+// the integers parsed as BigInt stay exact unless they fit in a number
+const toNumber = (value: unknown) => {
+  if (typeof value === 'bigint') {
+    return Number.isSafeInteger(Number(value)) ? Number(value) : value;
+  }
+  const number = typeof value === 'string' ? Number(value) : value;
+  return typeof number === 'number' && !Number.isNaN(number) && value !== ''
+    ? number
+    : null;
+};
+
+const toTimestamp = (value: unknown) => {
+  if (typeof value === 'number') {
+    return Number.isFinite(value) ? Math.round(value) : null;
+  }
+  if (typeof value !== 'string') {
+    return null;
+  }
+  const timestamp = Date.parse(
+    ISO_DATE_WITHOUT_ZONE_REGEX.test(value)
+      ? `${value.replace(' ', 'T')}${value.length > 10 ? 'Z' : ''}`
+      : value,
+  );
+  return Number.isNaN(timestamp) ? null : timestamp;
+};
+
+const toBoolean = (value: unknown) => {
+  if (typeof value === 'boolean') {
+    return value;
+  }
+  if (typeof value === 'number') {
+    return value !== 0;
+  }
+  if (typeof value === 'string' && /^(true|false)$/i.test(value)) {
+    return value.toLowerCase() === 'true';
+  }
+  return null;
+};
+
+const toText = (value: unknown) => {
+  if (typeof value === 'object' && value !== null) {
+    return JSON.stringify(value, (_, item) =>
+      typeof item === 'bigint' ? item.toString() : item,
+    );
+  }
+  return String(value);
+};
+
+/**
+ * Converts a value to the type reported for its column. The values that can't
+ * be converted are exported as empty cells.
+ */
+export function toExportValue(
+  type: GenericDataType,
+  value: unknown,
+): ExportValue {
+  if (value === null || value === undefined) {
+    return null;
+  }
+  switch (type) {
+    case GenericDataType.Numeric:
+      return toNumber(value);
+    case GenericDataType.Temporal:
+      return toTimestamp(value);
+    case GenericDataType.Boolean:
+      return toBoolean(value);
+    default:
+      return toText(value);
+  }
+}
+
+const getExportColumns = (columns: QueryColumn[]): ExportColumn[] =>
+  columns.map(({ column_name, type_generic, is_dttm }) => ({
+    name: column_name,
+    type: is_dttm
+      ? GenericDataType.Temporal
+      : (type_generic ?? GenericDataType.String),
+  }));
+
+/**
+ * Exports the rows displayed in the results table, i.e. with its filter and
+ * sorts applied, to the given format.
+ */
+export function handleResultExportRequest({
+  format,
+  columns,
+  data,
+  filterText,
+  sortModel,
+  name,
+}: ResultExportRequest): Uint8Array {
+  const exportColumns = getExportColumns(columns);
+  const rows = filterAndSortRows(data, filterText, sortModel).map(row =>
+    exportColumns.map(column => toExportValue(column.type, row[column.name])),
+  );
+  return format === 'parquet'
+    ? toParquet(exportColumns, rows)
+    : toXlsx(exportColumns, rows, name);
+}
@@ -0,0 +1,157 @@
+/**
+ * Licensed to the Apache Software Foundation (ASF) under one
+ * or more contributor license agreements.  See the NOTICE file
+ * distributed with this work for additional information
+ * regarding copyright ownership.  The ASF licenses this file
+ * to you under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance
+ * with the License.  You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an
+ * "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+ * KIND, either express or implied.  See the License for the
+ * specific language governing permissions and limitations
+ * under the License.
+ */
+import { GenericDataType, QueryColumn } from '@superset-ui/core';
+import { PIVOT_MAX_COLUMNS, PROFILE_HISTOGRAM_BINS } from '../constants';
+import { pivotResults, profileResults } from './resultProfile';
+
+const column = (
+  name: string,
+  type: GenericDataType = GenericDataType.String,
+): QueryColumn => ({
+  column_name: name,
+  type: null,
+  type_generic: type,
+  is_dttm: type === GenericDataType.Temporal,
+});
+
+const data = [
+  { country: 'FR', year: 2020, sales: 10, ds: 1577836800000 },
+  { country: 'FR', year: 2021, sales: 30, ds: 1609459200000 },
+  { country: 'US', year: 2020, sales: 20, ds: null },
+  { country: 'US', year: 2021, sales: null, ds: 1609459200000 },
+  { country: null, year: 2021, sales: 100, ds: 1609459200000 },
+];
+
+test('profiles the numeric columns with a histogram', () => {
+  const [sales] = profileResults(
+    [column('sales', GenericDataType.Numeric)],
+    data,
+  );
+  expect(sales).toEqual(
+    expect.objectContaining({
+      name: 'sales',
+      count: 5,
+      nullCount: 1,
+      distinctCount: 4,
+      min: 10,
+      max: 100,
+      topValues: null,
+    }),
+  );
+  expect(sales.histogram).toHaveLength(PROFILE_HISTOGRAM_BINS);
+  expect(sales.histogram?.[0]).toEqual({ start: 10, end: 19, count: 1 });
+  expect(sales.histogram?.[PROFILE_HISTOGRAM_BINS - 1]).toEqual({
+    start: 91,
+    end: 100,
+    count: 1,
+  });
+  expect(sales.histogram?.reduce((total, { count }) => total + count, 0)).toBe(
+    4,
+  );
+});
+
+test('profiles the other columns with their top values', () => {
+  const [country, ds] = profileResults(
+    [column('country'), column('ds', GenericDataType.Temporal)],
+    data,
+  );
+  expect(country).toEqual(
+    expect.objectContaining({
+      nullCount: 1,
+      distinctCount: 2,
+      min: 'FR',
+      max: 'US',
+      histogram: null,
+      topValues: [
+        { value: 'FR', count: 2 },
+        { value: 'US', count: 2 },
+      ],
+    }),
+  );
+  expect(ds).toEqual(
+    expect.objectContaining({
+      min: 1577836800000,
+      max: 1609459200000,
+      histogram: null,
+      topValues: [
+        { value: '1609459200000', count: 3 },
+        { value: '1577836800000', count: 1 },
+      ],
+    }),
+  );
+});
+
+test('profiles a column with a single value', () => {
+  const [year] = profileResults(
+    [column('year', GenericDataType.Numeric)],
+    [{ year: 2020 }, { year: 2020 }],
+  );
+  expect(year.histogram).toEqual([{ start: 2020, end: 2020, count: 2 }]);
+});
+
+test('groups the rows by some columns', () => {
+  expect(
+    pivotResults(data, {
+      groupby: ['country'],
+      metric: 'sales',
+      aggregate: 'sum',
+    }),
+  ).toEqual({
+    columns: ['country', 'SUM(sales)'],
+    data: [
+      { country: 'FR', 'SUM(sales)': 40 },
+      { country: 'US', 'SUM(sales)': 20 },
+      { country: null, 'SUM(sales)': 100 },
+    ],
+    truncated: false,
+  });
+  expect(
+    pivotResults(data, { groupby: ['country'], aggregate: 'count' }).data[1],
+  ).toEqual({ country: 'US', 'COUNT(*)': 2 });
+});
+
+test('pivots the rows on the values of a column', () => {
+  expect(
+    pivotResults(data, {
+      groupby: ['country'],
+      pivotColumn: 'year',
+      metric: 'sales',
+      aggregate: 'avg',
+    }),
+  ).toEqual({
+    columns: ['country', '2020', '2021'],
+    data: [
+      { country: 'FR', '2020': 10, '2021': 30 },
+      { country: 'US', '2020': 20, '2021': null },
+      { country: null, '2020': null, '2021': 100 },
+    ],
+    truncated: false,
+  });
+});
+
+test('limits the number of pivoted columns', () => {
+  const rows = [...Array(PIVOT_MAX_COLUMNS + 1).keys()].map(id => ({ id }));
+  const { columns, truncated } = pivotResults(rows, {
+    groupby: [],
+    pivotColumn: 'id',
+    aggregate: 'count',
+  });
+  expect(columns).toHaveLength(PIVOT_MAX_COLUMNS);
+  expect(truncated).toBe(true);
+});
@@ -0,0 +1,262 @@
+/**
+ * Licensed to the Apache Software Foundation (ASF) under one
+ * or more contributor license agreements.  See the NOTICE file
+ * distributed with this work for additional information
+ * regarding copyright ownership.  The ASF licenses this file
+ * to you under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance
+ * with the License.  You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an
+ * "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+ * KIND, either express or implied.  See the License for the
+ * specific language governing permissions and limitations
+ * under the License.
+ */
+
+import { GenericDataType, QueryColumn } from '@superset-ui/core';
+import {
+  PIVOT_MAX_COLUMNS,
+  PROFILE_HISTOGRAM_BINS,
+  PROFILE_TOP_VALUES,
+} from '../constants';
+
+type Row = Record<string, unknown>;
+type Value = string | number;
+
+export interface HistogramBin {
+  start: number;
+  end: number;
+  count: number;
+}
+
+export interface ColumnProfile {
+  name: string;
+  type: GenericDataType | null;
+  count: number;
+  nullCount: number;
+  distinctCount: number;
+  min: Value | null;
+  max: Value | null;
+  // numeric columns come with a histogram, the others with their top values
+  histogram: HistogramBin[] | null;
+  topValues: { value: string; count: number }[] | null;
+}
+
+export type PivotAggregate = 'count' | 'sum' | 'avg' | 'min' | 'max';
+
+export interface PivotOptions {
+  groupby: string[];
+  pivotColumn?: string | null;
+  metric?: string | null;
+  aggregate: PivotAggregate;
+}
+
+export interface PivotResult {
+  columns: string[];
+  data: Row[];
+  // whether the pivot column has more values than PIVOT_MAX_COLUMNS
+  truncated: boolean;
+}
+
+export type ResultProfileRequest =
+  | { type: 'profile'; columns: QueryColumn[]; data: Row[] }
+  | { type: 'pivot'; data: Row[]; options: PivotOptions };
+
+const NULL_LABEL = 'NULL';
+
+const isNumeric = (value: unknown): value is number =>
+  typeof value === 'number' && Number.isFinite(value);
+
+const getHistogram = (values: number[], min: number, max: number) => {
+  const binCount = min === max ? 1 : PROFILE_HISTOGRAM_BINS;
+  const width = (max - min) / binCount;
+  const bins: HistogramBin[] = [...Array(binCount).keys()].map(index => ({
+    start: min + index * width,
+    end: index === binCount - 1 ? max : min + (index + 1) * width,
+    count: 0,
+  }));
+  values.forEach(value => {
+    const index =
+      width === 0
+        ? 0
+        : Math.min(Math.floor((value - min) / width), binCount - 1);
+    bins[index].count += 1;
+  });
+  return bins;
+};
+
+const getTopValues = (counts: Map<string, number>) =>
+  [...counts.entries()]
+    .sort(([, a], [, b]) => b - a)
+    .slice(0, PROFILE_TOP_VALUES)
+    .map(([value, count]) => ({ value, count }));
+
+/**
+ * Computes the null count, distinct count, min, max and the distribution of
+ * each column of a result set.
+ */
+export const profileResults = (
+  columns: QueryColumn[],
+  data: Row[],
+): ColumnProfile[] =>
+  columns.map(({ column_name: name, type_generic: type }) => {
+    const counts = new Map<string, number>();
+    const numbers: number[] = [];
+    let nullCount = 0;
+    let min: Value | null = null;
+    let max: Value | null = null;
+    let allNumeric = true;
+
+    data.forEach(row => {
+      const value = row[name];
+      if (value === null || value === undefined) {
+        nullCount += 1;
+        return;
+      }
+      const comparable: Value = isNumeric(value) ? value : String(value);
+      if (isNumeric(value)) {
+        numbers.push(value);
+      } else {
+        allNumeric = false;
+      }
+      if (min === null || comparable < min) {
+        min = comparable;
+      }
+      if (max === null || comparable > max) {
+        max = comparable;
+      }
+      const key = String(value);
+      counts.set(key, (counts.get(key) ?? 0) + 1);
+    });
+
+    const showHistogram =
+      numbers.length > 0 &&
+      allNumeric &&
+      type !== GenericDataType.Temporal &&
+      type !== GenericDataType.Boolean;
+    return {
+      name,
+      type: type ?? null,
+      count: data.length,
+      nullCount,
+      distinctCount: counts.size,
+      min,
+      max,
+      histogram: showHistogram
+        ? getHistogram(
+            numbers,
+            min as unknown as number,
+            max as unknown as number,
+          )
+        : null,
+      topValues: showHistogram ? null : getTopValues(counts),
+    };
+  });
+
+interface Accumulator {
+  count: number;
+  sum: number;
+  min: number | null;
+  max: number | null;
+}
+
+const aggregate = (
+  { count, sum, min, max }: Accumulator,
+  aggregateType: PivotAggregate,
+) => {
+  switch (aggregateType) {
+    case 'sum':
+      return sum;
+    case 'avg':
+      return count ? sum / count : null;
+    case 'min':
+      return min;
+    case 'max':
+      return max;
+    default:
+      return count;
+  }
+};
+
+export const getPivotMetricLabel = ({
+  metric,
+  aggregate: aggregateType,
+}: Pick<PivotOptions, 'metric' | 'aggregate'>) =>
+  `${aggregateType.toUpperCase()}(${metric || '*'})`;
+
+/**
+ * Groups the rows of a result set by some columns, aggregating a metric for
+ * each group and, optionally, for each value of a pivot column.
+ */
+export const pivotResults = (
+  data: Row[],
+  options: PivotOptions,
+): PivotResult => {
+  const { groupby, pivotColumn, metric } = options;
+  const groups = new Map<
+    string,
+    { values: unknown[]; cells: Map<string, Accumulator> }
+  >();
+  const pivotValues: string[] = [];
+  let truncated = false;
+
+  data.forEach(row => {
+    const values = groupby.map(column => row[column] ?? null);
+    const groupKey = JSON.stringify(values);
+    const group = groups.get(groupKey) ?? { values, cells: new Map() };
+    groups.set(groupKey, group);
+    const cellKey = pivotColumn
+      ? String(row[pivotColumn] ?? NULL_LABEL)
+      : getPivotMetricLabel(options);
+    if (!pivotValues.includes(cellKey)) {
+      if (pivotValues.length >= PIVOT_MAX_COLUMNS) {
+        truncated = true;
+        return;
+      }
+      pivotValues.push(cellKey);
+    }
+    const cell = group.cells.get(cellKey) ?? {
+      count: 0,
+      sum: 0,
+      min: null,
+      max: null,
+    };
+    const value = metric ? row[metric] : null;
+    if (!metric) {
+      cell.count += 1;
+    } else if (isNumeric(value)) {
+      cell.count += 1;
+      cell.sum += value;
+      cell.min = cell.min === null ? value : Math.min(cell.min, value);
+      cell.max = cell.max === null ? value : Math.max(cell.max, value);
+    } else if (value !== null && value !== undefined) {
+      cell.count += 1;
+    }
+    group.cells.set(cellKey, cell);
+  });
+
+  return {
+    columns: [...groupby, ...pivotValues],
+    data: [...groups.values()].map(({ values, cells }) => ({
+      ...Object.fromEntries(
+        groupby.map((column, index) => [column, values[index]]),
+      ),
+      ...Object.fromEntries(
+        pivotValues.map(pivotValue => {
+          const cell = cells.get(pivotValue);
+          return [pivotValue, cell ? aggregate(cell, options.aggregate) : null];
+        }),
+      ),
+    })),
+    truncated,
+  };
+};
+
+export const handleResultProfileRequest = (request: ResultProfileRequest) =>
+  request.type === 'profile'
+    ? profileResults(request.columns, request.data)
+    : pivotResults(request.data, request.options);
@@ -0,0 +1,127 @@
+/**
+ * Licensed to the Apache Software Foundation (ASF) under one
+ * or more contributor license agreements.  See the NOTICE file
+ * distributed with this work for additional information
+ * regarding copyright ownership.  The ASF licenses this file
+ * to you under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance
+ * with the License.  You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an
+ * "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+ * KIND, either express or implied.  See the License for the
+ * specific language governing permissions and limitations
+ * under the License.
+ */
+import { getSqlLintConfig, lintSql, SqlLintRule } from './sqlLint';
+
+const tables = [
+  { schema: 'main', name: 'orders', columns: ['id', 'user_id', 'amount'] },
+  { schema: 'main', name: 'events', columns: ['ds'], partitioned: true },
+];
+const options = {
+  schema: 'main',
+  schemaTables: ['orders', 'events', 'users'],
+  tables,
+};
+const rules = (sql: string, config = {}) =>
+  lintSql(sql, { ...options, config }).map(({ rule }) => rule);
+
+test('reports unbalanced parentheses', () => {
+  expect(
+    lintSql('SELECT COUNT(1 FROM t', {
+      config: { disabled_rules: [SqlLintRule.MissingLimit] },
+    }),
+  ).toEqual([
+    expect.objectContaining({
+      rule: SqlLintRule.UnbalancedParentheses,
+      type: 'error',
+      row: 0,
+      column: 12,
+    }),
+  ]);
+  expect(lintSql('SELECT 1)\nLIMIT 1')).toEqual([
+    expect.objectContaining({ row: 0, column: 8, type: 'error' }),
+  ]);
+  expect(lintSql("SELECT ')' -- (\nLIMIT 1")).toEqual([]);
+});
+
+test('reports the unknown tables of the current schema', () => {
+  expect(
+    lintSql('SELECT id\nFROM orders o JOIN nope n ON o.id = n.id LIMIT 1', {
+      ...options,
+    }),
+  ).toEqual([
+    expect.objectContaining({
+      rule: SqlLintRule.UnknownTable,
+      type: 'warning',
+      row: 1,
+      column: 19,
+      text: 'Unknown table "nope"',
+    }),
+  ]);
+  expect(rules('SELECT * FROM other.nope, users LIMIT 1')).toEqual([]);
+  expect(
+    rules('WITH cte AS (SELECT 1) SELECT * FROM cte, UNNEST(a) LIMIT 1'),
+  ).toEqual([]);
+  expect(rules('SELECT EXTRACT(YEAR FROM ds) FROM events LIMIT 1')).toEqual([]);
+  expect(lintSql('SELECT * FROM nope LIMIT 1')).toEqual([]);
+});
+
+test('reports the unknown columns of the fetched tables', () => {
+  expect(
+    lintSql('SELECT o.amount, o.total, orders.id FROM orders AS o LIMIT 1', {
+      ...options,
+    }),
+  ).toEqual([
+    expect.objectContaining({
+      rule: SqlLintRule.UnknownColumn,
+      column: 19,
+    }),
+  ]);
+  expect(
+    rules('SELECT u.whatever, o.* FROM users u, orders o LIMIT 1'),
+  ).toEqual([]);
+});
+
+test('reports SELECT * on large tables', () => {
+  expect(rules('SELECT * FROM events LIMIT 1')).toEqual([
+    SqlLintRule.SelectStar,
+  ]);
+  expect(
+    rules('SELECT * FROM orders LIMIT 1', { large_tables: ['orders'] }),
+  ).toEqual([SqlLintRule.SelectStar]);
+  expect(rules('SELECT * FROM orders LIMIT 1')).toEqual([]);
+});
+
+test('reports the queries without LIMIT', () => {
+  expect(rules('SELECT 1; SELECT (SELECT 1 LIMIT 1); DROP TABLE t')).toEqual([
+    SqlLintRule.MissingLimit,
+    SqlLintRule.MissingLimit,
+  ]);
+  expect(rules('SELECT TOP 10 id FROM orders')).toEqual([]);
+});
+
+test('skips the disabled rules', () => {
+  expect(
+    rules('SELECT (1', {
+      disabled_rules: [
+        SqlLintRule.UnbalancedParentheses,
+        SqlLintRule.MissingLimit,
+      ],
+    }),
+  ).toEqual([]);
+});
+
+test('reads the configuration in the database extra', () => {
+  expect(
+    getSqlLintConfig({
+      extra: '{"sql_lint": {"disabled_rules": ["missing_limit"]}}',
+    }),
+  ).toEqual({ disabled_rules: ['missing_limit'] });
+  expect(getSqlLintConfig({ extra: 'invalid' })).toEqual({});
+  expect(getSqlLintConfig()).toEqual({});
+});
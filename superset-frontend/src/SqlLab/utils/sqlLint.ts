@@ -0,0 +1,451 @@
+/**
+ * Licensed to the Apache Software Foundation (ASF) under one
+ * or more contributor license agreements.  See the NOTICE file
+ * distributed with this work for additional information
+ * regarding copyright ownership.  The ASF licenses this file
+ * to you under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance
+ * with the License.  You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an
+ * "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+ * KIND, either express or implied.  See the License for the
+ * specific language governing permissions and limitations
+ * under the License.
+ */
+import { t } from '@superset-ui/core';
+
+export enum SqlLintRule {
+  UnbalancedParentheses = 'unbalanced_parentheses',
+  UnknownTable = 'unknown_table',
+  UnknownColumn = 'unknown_column',
+  SelectStar = 'select_star',
+  MissingLimit = 'missing_limit',
+}
+
+// configured per database, in the `sql_lint` key of its extra
+export interface SqlLintConfig {
+  disabled_rules?: SqlLintRule[];
+  // tables where `SELECT *` is discouraged, besides the partitioned ones
+  large_tables?: string[];
+}
+
+export interface SqlLintTable {
+  schema: string;
+  name: string;
+  columns?: string[];
+  partitioned?: boolean;
+}
+
+export interface SqlLintOptions {
+  schema?: string;
+  // names of the tables of the current schema, undefined until fetched
+  schemaTables?: string[];
+  // tables whose metadata was fetched
+  tables?: SqlLintTable[];
+  config?: SqlLintConfig;
+}
+
+// same shape as the annotations of the Ace editor
+export interface SqlLintDiagnostic {
+  rule: SqlLintRule;
+  type: 'error' | 'warning' | 'info';
+  row: number;
+  column: number;
+  text: string;
+}
+
+type Token = {
+  type: 'word' | 'identifier' | 'string' | 'number' | 'symbol';
+  value: string;
+  offset: number;
+};
+
+type TableReference = {
+  parts: string[];
+  alias?: string;
+  offset: number;
+};
+
+// words ending a table reference, they can't be an alias
+const CLAUSE_KEYWORDS = new Set([
+  'on',
+  'using',
+  'where',
+  'group',
+  'order',
+  'having',
+  'limit',
+  'offset',
+  'fetch',
+  'union',
+  'intersect',
+  'except',
+  'join',
+  'inner',
+  'left',
+  'right',
+  'full',
+  'outer',
+  'cross',
+  'natural',
+  'lateral',
+  'window',
+  'qualify',
+  'tablesample',
+  'set',
+  'values',
+]);
+
+const ROW_LIMIT_KEYWORDS = new Set(['limit', 'top', 'fetch']);
+
+/**
+ * Splits the sql in tokens, skipping the blanks and the comments.
+ */
+function tokenize(sql: string) {
+  const tokens: Token[] = [];
+  let i = 0;
+  while (i < sql.length) {
+    const char = sql[i];
+    const pair = sql.slice(i, i + 2);
+    const start = i;
+    if (/\s/.test(char)) {
+      i += 1;
+    } else if (pair === '--') {
+      const end = sql.indexOf('\n', i);
+      i = end === -1 ? sql.length : end + 1;
+    } else if (pair === '/*') {
+      const end = sql.indexOf('*/', i + 2);
+      i = end === -1 ? sql.length : end + 2;
+    } else if (char === "'" || char === '"' || char === '`') {
+      i += 1;
+      // doubled quotes are escaped quotes
+      while (i < sql.length && !(sql[i] === char && sql[i + 1] !== char)) {
+        i += sql[i] === char ? 2 : 1;
+      }
+      i += 1;
+      tokens.push({
+        type: char === "'" ? 'string' : 'identifier',
+        value: sql.slice(start + 1, i - 1),
+        offset: start,
+      });
+    } else if (/[A-Za-z_]/.test(char)) {
+      const [word] = sql.slice(i).match(/^[\w$]+/)!;
+      i += word.length;
+      tokens.push({ type: 'word', value: word, offset: start });
+    } else if (/\d/.test(char)) {
+      const [number] = sql.slice(i).match(/^[\d.]+(e[+-]?\d+)?/i)!;
+      i += number.length;
+      tokens.push({ type: 'number', value: number, offset: start });
+    } else {
+      i += 1;
+      tokens.push({ type: 'symbol', value: char, offset: start });
+    }
+  }
+  return tokens;
+}
+
+const isWord = (token?: Token, value?: string) =>
+  token?.type === 'word' &&
+  (value === undefined || token.value.toLowerCase() === value);
+
+const isName = (token?: Token) =>
+  token?.type === 'identifier' ||
+  (isWord(token) && !CLAUSE_KEYWORDS.has(token!.value.toLowerCase()));
+
+const isSymbol = (token: Token | undefined, value: string) =>
+  token?.type === 'symbol' && token.value === value;
+
+function splitStatements(tokens: Token[]) {
+  const statements: Token[][] = [[]];
+  tokens.forEach(token => {
+    if (isSymbol(token, ';')) {
+      statements.push([]);
+    } else {
+      statements[statements.length - 1].push(token);
+    }
+  });
+  return statements.filter(statement => statement.length);
+}
+
+/**
+ * Reads the tables after the FROM and JOIN keywords of a statement. The
+ * FROM keywords not following a SELECT or a DELETE at the same depth are
+ * part of a function call, e.g. `EXTRACT(YEAR FROM ds)`.
+ */
+function getTableReferences(tokens: Token[]) {
+  const references: TableReference[] = [];
+  const clauseDepths = new Set<number>();
+  let depth = 0;
+
+  const readReference = (index: number) => {
+    const parts = [tokens[index].value];
+    let i = index + 1;
+    while (isSymbol(tokens[i], '.') && isName(tokens[i + 1])) {
+      parts.push(tokens[i + 1].value);
+      i += 2;
+    }
+    // table functions, e.g. UNNEST(array)
+    if (isSymbol(tokens[i], '(')) {
+      return i;
+    }
+    const reference: TableReference = { parts, offset: tokens[index].offset };
+    if (isWord(tokens[i], 'as')) {
+      i += 1;
+    }
+    if (isName(tokens[i])) {
+      reference.alias = tokens[i].value;
+      i += 1;
+    }
+    references.push(reference);
+    return i;
+  };
+
+  let i = 0;
+  while (i < tokens.length) {
+    const token = tokens[i];
+    if (isSymbol(token, '(')) {
+      depth += 1;
+      i += 1;
+    } else if (isSymbol(token, ')')) {
+      clauseDepths.delete(depth);
+      depth -= 1;
+      i += 1;
+    } else if (isWord(token, 'select') || isWord(token, 'delete')) {
+      clauseDepths.add(depth);
+      i += 1;
+    } else if (
+      ((isWord(token, 'from') && clauseDepths.has(depth)) ||
+        isWord(token, 'join') ||
+        isWord(token, 'update') ||
+        (isWord(token, 'into') && !clauseDepths.has(depth))) &&
+      isName(tokens[i + 1])
+    ) {
+      i = readReference(i + 1);
+      // FROM a, b
+      while (
+        isWord(token, 'from') &&
+        isSymbol(tokens[i], ',') &&
+        isName(tokens[i + 1])
+      ) {
+        i = readReference(i + 1);
+      }
+    } else {
+      i += 1;
+    }
+  }
+  return references;
+}
+
+// the names defined in the statement, e.g. `WITH name AS (...)`
+const getCommonTableExpressions = (tokens: Token[]) =>
+  tokens
+    .filter(
+      (token, i) =>
+        isName(token) &&
+        isWord(tokens[i + 1], 'as') &&
+        isSymbol(tokens[i + 2], '('),
+    )
+    .map(({ value }) => value.toLowerCase());
+
+/**
+ * Checks the sql in the browser, the diagnostics are meant as hints while
+ * typing. Only the columns qualified with a table name or an alias are
+ * checked, the other words may be aliases or functions.
+ */
+export function lintSql(
+  sql: string,
+  { schema, schemaTables, tables = [], config = {} }: SqlLintOptions = {},
+): SqlLintDiagnostic[] {
+  const disabledRules = new Set(config.disabled_rules ?? []);
+  const largeTables = new Set(
+    (config.large_tables ?? []).map(name => name.toLowerCase()),
+  );
+  const diagnostics: SqlLintDiagnostic[] = [];
+  const lineStarts = [0];
+  [...sql].forEach((char, i) => {
+    if (char === '\n') {
+      lineStarts.push(i + 1);
+    }
+  });
+  const report = (
+    rule: SqlLintRule,
+    type: SqlLintDiagnostic['type'],
+    offset: number,
+    text: string,
+  ) => {
+    if (disabledRules.has(rule)) {
+      return;
+    }
+    const row = lineStarts.filter(start => start <= offset).length - 1;
+    diagnostics.push({
+      rule,
+      type,
+      row,
+      column: offset - lineStarts[row],
+      text,
+    });
+  };
+
+  const tokens = tokenize(sql);
+  const openParentheses: Token[] = [];
+  tokens.forEach(token => {
+    if (isSymbol(token, '(')) {
+      openParentheses.push(token);
+    } else if (isSymbol(token, ')') && !openParentheses.pop()) {
+      report(
+        SqlLintRule.UnbalancedParentheses,
+        'error',
+        token.offset,
+        t('Unexpected closing parenthesis'),
+      );
+    }
+  });
+  openParentheses.forEach(token =>
+    report(
+      SqlLintRule.UnbalancedParentheses,
+      'error',
+      token.offset,
+      t('Unclosed parenthesis'),
+    ),
+  );
+
+  const currentSchema = schema?.toLowerCase();
+  const findTable = (parts: string[]) => {
+    const name = parts[parts.length - 1].toLowerCase();
+    const tableSchema = parts[parts.length - 2]?.toLowerCase() ?? currentSchema;
+    return tables.find(
+      table =>
+        table.name.toLowerCase() === name &&
+        table.schema.toLowerCase() === tableSchema,
+    );
+  };
+  const knownTables = new Set(
+    (schemaTables ?? []).map(name => name.toLowerCase()),
+  );
+
+  splitStatements(tokens).forEach(statement => {
+    const references = getTableReferences(statement);
+    const commonTableExpressions = getCommonTableExpressions(statement);
+    const aliases: Record<string, SqlLintTable | undefined> = {};
+
+    references.forEach(({ parts, alias, offset }) => {
+      const name = parts[parts.length - 1];
+      const table = findTable(parts);
+      aliases[(alias ?? name).toLowerCase()] = table;
+      const isInCurrentSchema =
+        parts.length === 1 ||
+        parts[parts.length - 2].toLowerCase() === currentSchema;
+      if (
+        schemaTables &&
+        isInCurrentSchema &&
+        !table &&
+        !knownTables.has(name.toLowerCase()) &&
+        !commonTableExpressions.includes(name.toLowerCase())
+      ) {
+        report(
+          SqlLintRule.UnknownTable,
+          'warning',
+          offset,
+          t('Unknown table "%s"', parts.join('.')),
+        );
+      }
+    });
+
+    const referenceOffsets = new Set(references.map(({ offset }) => offset));
+    statement.forEach((token, i) => {
+      const column = statement[i + 2];
+      const table = aliases[token.value.toLowerCase()];
+      if (
+        isName(token) &&
+        !referenceOffsets.has(token.offset) &&
+        !isSymbol(statement[i - 1], '.') &&
+        isSymbol(statement[i + 1], '.') &&
+        isName(column) &&
+        !isSymbol(statement[i + 3], '.') &&
+        !isSymbol(statement[i + 3], '(') &&
+        table?.columns &&
+        !table.columns.some(
+          name => name.toLowerCase() === column.value.toLowerCase(),
+        )
+      ) {
+        report(
+          SqlLintRule.UnknownColumn,
+          'warning',
+          column.offset,
+          t('Unknown column "%s" in table "%s"', column.value, table.name),
+        );
+      }
+    });
+
+    const [keyword] = statement;
+    const isSelect = isWord(keyword, 'select') || isWord(keyword, 'with');
+    if (!isSelect) {
+      return;
+    }
+    const selectIndex = statement.findIndex(token => isWord(token, 'select'));
+    const selected = isWord(statement[selectIndex + 1], 'distinct')
+      ? statement[selectIndex + 2]
+      : statement[selectIndex + 1];
+    if (isSymbol(selected, '*')) {
+      references
+        .filter(
+          ({ parts }) =>
+            largeTables.has(parts[parts.length - 1].toLowerCase()) ||
+            largeTables.has(parts.join('.').toLowerCase()) ||
+            findTable(parts)?.partitioned,
+        )
+        .forEach(({ parts }) =>
+          report(
+            SqlLintRule.SelectStar,
+            'warning',
+            selected!.offset,
+            t(
+              'SELECT * on the large table "%s", select only the needed columns',
+              parts.join('.'),
+            ),
+          ),
+        );
+    }
+
+    let depth = 0;
+    const hasRowLimit = statement.some(token => {
+      if (isSymbol(token, '(')) {
+        depth += 1;
+      } else if (isSymbol(token, ')')) {
+        depth = Math.max(depth - 1, 0);
+      }
+      return (
+        depth === 0 &&
+        token.type === 'word' &&
+        ROW_LIMIT_KEYWORDS.has(token.value.toLowerCase())
+      );
+    });
+    if (!hasRowLimit) {
+      report(
+        SqlLintRule.MissingLimit,
+        'info',
+        keyword.offset,
+        t('The query has no LIMIT, SQL Lab limits the rows it returns'),
+      );
+    }
+  });
+
+  return diagnostics;
+}
+
+/**
+ * Reads the linting configuration in the extra of a database.
+ */
+export function getSqlLintConfig(database?: {
+  extra?: string | null;
+}): SqlLintConfig {
+  try {
+    return JSON.parse(database?.extra || '{}').sql_lint ?? {};
+  } catch {
+    return {};
+  }
+}
@@ -0,0 +1,61 @@
+/**
+ * Licensed to the Apache Software Foundation (ASF) under one
+ * or more contributor license agreements.  See the NOTICE file
+ * distributed with this work for additional information
+ * regarding copyright ownership.  The ASF licenses this file
+ * to you under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance
+ * with the License.  You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an
+ * "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+ * KIND, either express or implied.  See the License for the
+ * specific language governing permissions and limitations
+ * under the License.
+ */
+/* eslint-disable no-template-curly-in-string */
+import {
+  getSharedSnippets,
+  getSnippetParameters,
+  toAceSnippet,
+} from './sqlSnippets';
+
+test('returns the unique placeholders of a snippet', () => {
+  expect(
+    getSnippetParameters('SELECT ${col} FROM ${table} WHERE ${col} > 0'),
+  ).toEqual(['col', 'table']);
+  expect(getSnippetParameters('SELECT 1')).toEqual([]);
+});
+
+test('turns the placeholders into tab-stops', () => {
+  expect(toAceSnippet('SELECT ${col} FROM ${table} WHERE ${col} > 0')).toBe(
+    'SELECT ${1:col} FROM ${2:table} WHERE ${1:col} > 0',
+  );
+});
+
+test('escapes the characters Ace interprets in snippets', () => {
+  expect(toAceSnippet("SELECT `${col}`, $1, '\\n' FROM t")).toBe(
+    "SELECT \\`${1:col}\\`, \\$1, '\\\\n' FROM t",
+  );
+});
+
+test('returns the well-formed shared snippets', () => {
+  expect(
+    getSharedSnippets([
+      { name: 'recent', description: 'Last day', sql: 'WHERE ds > ${ds}' },
+      { name: 'missing sql' },
+    ]),
+  ).toEqual([
+    {
+      id: 'shared-0',
+      name: 'recent',
+      description: 'Last day',
+      sql: 'WHERE ds > ${ds}',
+      shared: true,
+    },
+  ]);
+  expect(getSharedSnippets(undefined)).toEqual([]);
+});
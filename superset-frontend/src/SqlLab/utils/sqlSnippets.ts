@@ -0,0 +1,70 @@
+/**
+ * Licensed to the Apache Software Foundation (ASF) under one
+ * or more contributor license agreements.  See the NOTICE file
+ * distributed with this work for additional information
+ * regarding copyright ownership.  The ASF licenses this file
+ * to you under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance
+ * with the License.  You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an
+ * "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+ * KIND, either express or implied.  See the License for the
+ * specific language governing permissions and limitations
+ * under the License.
+ */
+import type { SqlSnippet } from 'src/SqlLab/types';
+
+// `${name}` placeholders, the names being valid identifiers
+const PLACEHOLDER_REGEX = /\$\{([A-Za-z_][\w]*)\}/g;
+
+/**
+ * Returns the names of the placeholders of a snippet, in order of appearance.
+ */
+export function getSnippetParameters(sql: string): string[] {
+  return [
+    ...new Set(Array.from(sql.matchAll(PLACEHOLDER_REGEX), ([, name]) => name)),
+  ];
+}
+
+/**
+ * Converts a snippet to the Ace snippet syntax, where each placeholder
+ * becomes a tab-stop. Placeholders sharing a name share a tab-stop, so they
+ * are edited together.
+ */
+export function toAceSnippet(sql: string): string {
+  const parameters = getSnippetParameters(sql);
+  return sql
+    .split(PLACEHOLDER_REGEX)
+    .map((part, index) =>
+      // the odd parts are the names captured by the regex
+      index % 2
+        ? `\${${parameters.indexOf(part) + 1}:${part}}`
+        : part.replace(/[\\$`]/g, '\\$&'),
+    )
+    .join('');
+}
+
+/**
+ * Returns the snippets shared by the administrators in the
+ * `SQLLAB_SNIPPETS` configuration, skipping the malformed ones.
+ */
+export function getSharedSnippets(configuredSnippets: unknown): SqlSnippet[] {
+  if (!Array.isArray(configuredSnippets)) {
+    return [];
+  }
+  return configuredSnippets
+    .filter(
+      (snippet: Partial<SqlSnippet> | null) => snippet?.name && snippet?.sql,
+    )
+    .map(({ name, description, sql }: SqlSnippet, index) => ({
+      id: `shared-${index}`,
+      name,
+      description,
+      sql,
+      shared: true,
+    }));
+}
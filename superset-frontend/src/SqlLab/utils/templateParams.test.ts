@@ -0,0 +1,105 @@
+/**
+ * Licensed to the Apache Software Foundation (ASF) under one
+ * or more contributor license agreements.  See the NOTICE file
+ * distributed with this work for additional information
+ * regarding copyright ownership.  The ASF licenses this file
+ * to you under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance
+ * with the License.  You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an
+ * "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+ * KIND, either express or implied.  See the License for the
+ * specific language governing permissions and limitations
+ * under the License.
+ */
+import {
+  getMissingTemplateParams,
+  getTemplateParamReferences,
+  getTemplateParamValue,
+  inferTemplateParamType,
+  parseTemplateParams,
+  setTemplateParamValue,
+} from './templateParams';
+
+describe('getTemplateParamReferences', () => {
+  it('finds the variables and filter values of the template', () => {
+    const sql = `SELECT * FROM {{ my_table }}
+      WHERE ds = '{{ ds | default('2024-01-01') }}'
+      AND action IN ({{ "'" + "','".join(filter_values('action')) + "'" }})
+      LIMIT {{- row_limit -}}`;
+    expect(getTemplateParamReferences(sql)).toEqual([
+      { name: 'my_table', isFilter: false, hasDefault: false },
+      { name: 'ds', isFilter: false, hasDefault: true },
+      { name: 'action', isFilter: true, hasDefault: true },
+      { name: 'row_limit', isFilter: false, hasDefault: false },
+    ]);
+  });
+
+  it('ignores the names of the template context', () => {
+    const sql = `SELECT * FROM {{ my_table }}
+      WHERE ds > '{{ from_dttm }}' AND ds < '{{ to_dttm }}'
+      AND ds = '{{ presto.latest_partition('logs') }}'
+      AND region = '{{ my_macro.region }}'`;
+    expect(getTemplateParamReferences(sql, ['my_macro'])).toEqual([
+      { name: 'my_table', isFilter: false, hasDefault: false },
+    ]);
+  });
+
+  it('ignores the names defined by the template and macro calls', () => {
+    const sql = `{% set cols = 'a, b' %}{% for t in tables %}
+      SELECT {{ cols }} FROM {{ t.name }}{% endfor %}
+      WHERE user = '{{ current_username() }}'
+      {% if filter_values('other', 'x') %}{% endif %}`;
+    expect(getTemplateParamReferences(sql)).toEqual([
+      { name: 'other', isFilter: true, hasDefault: true },
+    ]);
+  });
+});
+
+describe('template parameter values', () => {
+  it('parses the template parameters', () => {
+    expect(parseTemplateParams('{"a": 1}')).toEqual({ a: 1 });
+    expect(parseTemplateParams(undefined)).toEqual({});
+    expect(parseTemplateParams('[1]')).toBeNull();
+    expect(parseTemplateParams('{')).toBeNull();
+  });
+
+  it('sets variables', () => {
+    const reference = { name: 'a', isFilter: false };
+    const params = setTemplateParamValue({ b: 2 }, reference, 1);
+    expect(params).toEqual({ a: 1, b: 2 });
+    expect(getTemplateParamValue(params, reference)).toBe(1);
+    expect(setTemplateParamValue(params, reference, '')).toEqual({ b: 2 });
+  });
+
+  it('sets filter values in the SQL Lab filters', () => {
+    const reference = { name: 'a', isFilter: true };
+    const params = setTemplateParamValue({}, reference, ['x', 'y']);
+    expect(params).toEqual({
+      _filters: [{ col: 'a', op: 'IN', val: ['x', 'y'] }],
+    });
+    expect(getTemplateParamValue(params, reference)).toEqual(['x', 'y']);
+    expect(setTemplateParamValue(params, reference, [])).toEqual({});
+  });
+
+  it('returns the parameters missing a value', () => {
+    expect(
+      getMissingTemplateParams(
+        "SELECT {{ a }}, {{ b | d(1) }}, {{ d }} WHERE {{ filter_values('c') }}",
+        '{"a": 0}',
+      ),
+    ).toEqual([{ name: 'd', isFilter: false, hasDefault: false }]);
+  });
+
+  it('infers the type of a value', () => {
+    expect(inferTemplateParamType(1)).toBe('number');
+    expect(inferTemplateParamType(['a'])).toBe('list');
+    expect(inferTemplateParamType('2024-01-01')).toBe('date');
+    expect(inferTemplateParamType('foo')).toBe('text');
+    expect(inferTemplateParamType(undefined)).toBe('text');
+  });
+});
@@ -0,0 +1,232 @@
+/**
+ * Licensed to the Apache Software Foundation (ASF) under one
+ * or more contributor license agreements.  See the NOTICE file
+ * distributed with this work for additional information
+ * regarding copyright ownership.  The ASF licenses this file
+ * to you under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance
+ * with the License.  You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an
+ * "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+ * KIND, either express or implied.  See the License for the
+ * specific language governing permissions and limitations
+ * under the License.
+ */
+import { omit } from 'lodash';
+
+export type TemplateParamType = 'text' | 'number' | 'date' | 'list';
+
+export interface TemplateParamReference {
+  name: string;
+  // referenced with filter_values() instead of as a variable
+  isFilter: boolean;
+  // the template renders without a value for the parameter
+  hasDefault: boolean;
+}
+
+export type TemplateParams = Record<string, unknown>;
+
+type TemplateFilter = { col: string; op: string; val: unknown };
+
+// SQL Lab passes the values of filter_values() in this template parameter
+export const TEMPLATE_FILTERS_KEY = '_filters';
+
+const JINJA_BLOCK_REGEX = /{{([\s\S]*?)}}|{%([\s\S]*?)%}/g;
+const VARIABLE_REGEX = /^\s*([A-Za-z_]\w*)\s*(?:$|[|.[])/;
+const DEFAULT_FILTER_REGEX = /\|\s*(default|d)\b/;
+const FILTER_VALUES_REGEX = /filter_values\(\s*(['"])(.+?)\1/g;
+const LOCAL_NAMES_REGEX =
+  /^\s*-?\s*(?:set\s+([\w\s,]+?)\s*=|for\s+([\w\s,]+?)\s+in\b|macro\s+(\w+))/;
+const RESERVED_NAMES = [
+  'loop',
+  'range',
+  'dict',
+  'lipsum',
+  'cycler',
+  'joiner',
+  'namespace',
+  'true',
+  'false',
+  'none',
+  'True',
+  'False',
+  'None',
+];
+// the names the template processors of superset/jinja_context.py add to the
+// context, the ones of JINJA_CONTEXT_ADDONS come from the configuration
+const CONTEXT_NAMES = [
+  'url_param',
+  'current_user_id',
+  'current_username',
+  'current_user_email',
+  'cache_key_wrapper',
+  'filter_values',
+  'get_filters',
+  'dataset',
+  'get_time_filter',
+  'metric',
+  'from_dttm',
+  'to_dttm',
+  'presto',
+  'trino',
+  'hive',
+  'spark',
+];
+
+/**
+ * Finds the template parameters referenced in the Jinja blocks of the SQL,
+ * either as `{{ variable }}` or through `filter_values('column')`. The
+ * names of the template context, including the given `contextNames`, are
+ * not parameters.
+ */
+export function getTemplateParamReferences(
+  sql = '',
+  contextNames: string[] = [],
+): TemplateParamReference[] {
+  const references: TemplateParamReference[] = [];
+  const localNames = new Set([
+    ...RESERVED_NAMES,
+    ...CONTEXT_NAMES,
+    ...contextNames,
+  ]);
+  const addReference = (reference: TemplateParamReference) => {
+    const existing = references.find(
+      ({ name, isFilter }) =>
+        name === reference.name && isFilter === reference.isFilter,
+    );
+    if (!existing) {
+      references.push(reference);
+    } else if (!reference.hasDefault) {
+      existing.hasDefault = false;
+    }
+  };
+
+  [...sql.matchAll(JINJA_BLOCK_REGEX)].forEach(([, expression, statement]) => {
+    const block = expression ?? statement;
+    // filter_values() renders an empty list when the filter is not set
+    [...block.matchAll(FILTER_VALUES_REGEX)].forEach(([, , name]) =>
+      addReference({ name, isFilter: true, hasDefault: true }),
+    );
+    if (statement !== undefined) {
+      const [, ...names] = statement.match(LOCAL_NAMES_REGEX) ?? [];
+      names
+        .filter(Boolean)
+        .forEach(localName =>
+          localName.split(',').forEach(name => localNames.add(name.trim())),
+        );
+      return;
+    }
+    const name = expression.replace(/^-|-$/g, '').match(VARIABLE_REGEX)?.[1];
+    if (name) {
+      addReference({
+        name,
+        isFilter: false,
+        hasDefault: DEFAULT_FILTER_REGEX.test(expression),
+      });
+    }
+  });
+
+  return references.filter(
+    ({ name, isFilter }) => isFilter || !localNames.has(name),
+  );
+}
+
+/**
+ * Parses the JSON template parameters of a query editor, returns null when
+ * they are not a valid JSON object.
+ */
+export function parseTemplateParams(templateParams?: string | null) {
+  try {
+    const params = JSON.parse(templateParams || '{}');
+    return params && typeof params === 'object' && !Array.isArray(params)
+      ? (params as TemplateParams)
+      : null;
+  } catch {
+    return null;
+  }
+}
+
+const getTemplateFilters = (params: TemplateParams): TemplateFilter[] => {
+  const filters = params[TEMPLATE_FILTERS_KEY];
+  return Array.isArray(filters) ? filters : [];
+};
+
+export function getTemplateParamValue(
+  params: TemplateParams,
+  { name, isFilter }: Pick<TemplateParamReference, 'name' | 'isFilter'>,
+): unknown {
+  if (!isFilter) {
+    return params[name];
+  }
+  const values = getTemplateFilters(params)
+    .filter(({ col }) => col === name)
+    .flatMap(({ val }) => val ?? []);
+  return values.length ? values : undefined;
+}
+
+export const isEmptyTemplateParamValue = (value: unknown) =>
+  value === undefined ||
+  value === null ||
+  value === '' ||
+  (Array.isArray(value) && value.length === 0);
+
+/**
+ * Returns new template parameters with the value of the referenced
+ * parameter replaced, an empty value removes the parameter.
+ */
+export function setTemplateParamValue(
+  params: TemplateParams,
+  { name, isFilter }: Pick<TemplateParamReference, 'name' | 'isFilter'>,
+  value: unknown,
+): TemplateParams {
+  if (!isFilter) {
+    return isEmptyTemplateParamValue(value)
+      ? omit(params, name)
+      : { ...params, [name]: value };
+  }
+  const filters = getTemplateFilters(params).filter(({ col }) => col !== name);
+  if (!isEmptyTemplateParamValue(value)) {
+    filters.push({
+      col: name,
+      op: 'IN',
+      val: Array.isArray(value) ? value : [value],
+    });
+  }
+  return filters.length
+    ? { ...params, [TEMPLATE_FILTERS_KEY]: filters }
+    : omit(params, TEMPLATE_FILTERS_KEY);
+}
+
+/**
+ * Returns the parameters referenced by the SQL without a value nor a
+ * default in the template.
+ */
+export function getMissingTemplateParams(
+  sql: string | undefined,
+  templateParams?: string | null,
+  contextNames: string[] = [],
+): TemplateParamReference[] {
+  const params = parseTemplateParams(templateParams) ?? {};
+  return getTemplateParamReferences(sql, contextNames).filter(
+    reference =>
+      !reference.hasDefault &&
+      isEmptyTemplateParamValue(getTemplateParamValue(params, reference)),
+  );
+}
+
+export function inferTemplateParamType(value: unknown): TemplateParamType {
+  if (Array.isArray(value)) {
+    return 'list';
+  }
+  if (typeof value === 'number') {
+    return 'number';
+  }
+  if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}/.test(value)) {
+    return 'date';
+  }
+  return 'text';
+}
@@ -0,0 +1,146 @@
+/**
+ * Licensed to the Apache Software Foundation (ASF) under one
+ * or more contributor license agreements.  See the NOTICE file
+ * distributed with this work for additional information
+ * regarding copyright ownership.  The ASF licenses this file
+ * to you under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance
+ * with the License.  You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an
+ * "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+ * KIND, either express or implied.  See the License for the
+ * specific language governing permissions and limitations
+ * under the License.
+ */
+import { GenericDataType } from '@superset-ui/core';
+import { strToU8, zipSync } from 'fflate';
+
+export type ExportValue = string | number | bigint | boolean | null;
+
+export interface ExportColumn {
+  name: string;
+  type: GenericDataType;
+}
+
+// the maximum length of the text of a cell in Excel
+const XLSX_MAX_TEXT_LENGTH = 32767;
+// days between the 1900 epoch of Excel (with its leap year bug) and 1970-01-01
+const XLSX_EPOCH_OFFSET_DAYS = 25569;
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+const XML_HEADER = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+
+const CONTENT_TYPES = `${XML_HEADER}<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types"><Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/><Default Extension="xml" ContentType="application/xml"/><Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/><Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/><Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/></Types>`;
+
+const ROOT_RELS = `${XML_HEADER}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/></Relationships>`;
+
+const WORKBOOK_RELS = `${XML_HEADER}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/><Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/></Relationships>`;
+
+// the second cell format displays the dates
+const STYLES = `${XML_HEADER}<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><numFmts count="1"><numFmt numFmtId="164" formatCode="yyyy-mm-dd hh:mm:ss"/></numFmts><fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts><fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills><borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders><cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs><cellXfs count="3"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/><xf numFmtId="164" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/><xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs></styleSheet>`;
+
+const DATE_STYLE = 1;
+const HEADER_STYLE = 2;
+
+const escapeXml = (text: string) =>
+  text
+    // control characters aren't allowed in XML 1.0
+    // eslint-disable-next-line no-control-regex
+    .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+export const getColumnLetters = (index: number) => {
+  let letters = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    letters = String.fromCharCode(65 + ((n - 1) % 26)) + letters;
+  }
+  return letters;
+};
+
+const textCell = (ref: string, text: string, style?: number) =>
+  `<c r="${ref}" t="inlineStr"${
+    style ? ` s="${style}"` : ''
+  }><is><t xml:space="preserve">${escapeXml(
+    text.slice(0, XLSX_MAX_TEXT_LENGTH),
+  )}</t></is></c>`;
+
+const valueCell = (ref: string, type: GenericDataType, value: ExportValue) => {
+  if (value === null) {
+    return '';
+  }
+  if (type === GenericDataType.Temporal && typeof value === 'number') {
+    return `<c r="${ref}" s="${DATE_STYLE}"><v>${
+      value / MS_PER_DAY + XLSX_EPOCH_OFFSET_DAYS
+    }</v></c>`;
+  }
+  if (typeof value === 'number') {
+    return Number.isFinite(value)
+      ? `<c r="${ref}"><v>${value}</v></c>`
+      : textCell(ref, String(value));
+  }
+  if (typeof value === 'bigint') {
+    // beyond 15 digits Excel rounds the numbers, the text keeps them exact
+    return textCell(ref, value.toString());
+  }
+  if (typeof value === 'boolean') {
+    return `<c r="${ref}" t="b"><v>${value ? 1 : 0}</v></c>`;
+  }
+  return textCell(ref, value);
+};
+
+/**
+ * Writes the rows in a single sheet workbook. The temporal values are epoch
+ * milliseconds, written as dates in UTC.
+ */
+export function toXlsx(
+  columns: ExportColumn[],
+  rows: ExportValue[][],
+  sheetName = 'Results',
+): Uint8Array {
+  const letters = columns.map((_, index) => getColumnLetters(index));
+  const sheetRows = [
+    `<row r="1">${columns
+      .map(({ name }, index) =>
+        textCell(`${letters[index]}1`, name, HEADER_STYLE),
+      )
+      .join('')}</row>`,
+    ...rows.map((row, rowIndex) => {
+      const rowNumber = rowIndex + 2;
+      return `<row r="${rowNumber}">${columns
+        .map(({ type }, index) =>
+          valueCell(`${letters[index]}${rowNumber}`, type, row[index]),
+        )
+        .join('')}</row>`;
+    }),
+  ];
+  const sheet = `${XML_HEADER}<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews><sheetData>${sheetRows.join(
+    '',
+  )}</sheetData></worksheet>`;
+  // sheet names are limited to 31 characters, without []:*?/\
+  const workbook = `${XML_HEADER}<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"><sheets><sheet name="${escapeXml(
+    sheetName
+      .replace(/[[\]:*?/\\]/g, ' ')
+      .slice(0, 31)
+      .trim() || 'Results',
+  )}" sheetId="1" r:id="rId1"/></sheets></workbook>`;
+
+  return zipSync(
+    Object.fromEntries(
+      [
+        ['[Content_Types].xml', CONTENT_TYPES],
+        ['_rels/.rels', ROOT_RELS],
+        ['xl/workbook.xml', workbook],
+        ['xl/_rels/workbook.xml.rels', WORKBOOK_RELS],
+        ['xl/styles.xml', STYLES],
+        ['xl/worksheets/sheet1.xml', sheet],
+      ].map(([name, content]) => [name, strToU8(content)]),
+    ),
+  );
+}
@@ -0,0 +1,39 @@
+/**
+ * Licensed to the Apache Software Foundation (ASF) under one
+ * or more contributor license agreements.  See the NOTICE file
+ * distributed with this work for additional information
+ * regarding copyright ownership.  The ASF licenses this file
+ * to you under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance
+ * with the License.  You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an
+ * "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+ * KIND, either express or implied.  See the License for the
+ * specific language governing permissions and limitations
+ * under the License.
+ */
+
+export type WorkerName = 'resultProfile' | 'resultExport';
+
+/**
+ * Starts one of the web workers of SQL Lab. Webpack bundles each worker as a
+ * separate chunk from the static URL passed to `Worker`, hence one case per
+ * worker. Returns null where workers aren't supported.
+ */
+export default function createWorker(name: WorkerName): Worker | null {
+  if (typeof Worker === 'undefined') {
+    return null;
+  }
+  switch (name) {
+    case 'resultProfile':
+      return new Worker(new URL('./resultProfile.worker.ts', import.meta.url));
+    case 'resultExport':
+      return new Worker(new URL('./resultExport.worker.ts', import.meta.url));
+    default:
+      return null;
+  }
+}
@@ -0,0 +1,35 @@
+/**
+ * Licensed to the Apache Software Foundation (ASF) under one
+ * or more contributor license agreements.  See the NOTICE file
+ * distributed with this work for additional information
+ * regarding copyright ownership.  The ASF licenses this file
+ * to you under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance
+ * with the License.  You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an
+ * "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+ * KIND, either express or implied.  See the License for the
+ * specific language governing permissions and limitations
+ * under the License.
+ */
+import {
+  handleResultExportRequest,
+  ResultExportRequest,
+} from '../utils/resultExport';
+
+// eslint-disable-next-line no-restricted-globals
+const scope = self as unknown as Worker;
+
+scope.onmessage = ({ data }: MessageEvent<ResultExportRequest>) => {
+  try {
+    const result = handleResultExportRequest(data);
+    // hands the buffer over to the main thread instead of copying it
+    scope.postMessage({ result }, [result.buffer]);
+  } catch (error) {
+    scope.postMessage({ error: String(error?.message ?? error) });
+  }
+};
@@ -0,0 +1,61 @@
+/**
+ * Licensed to the Apache Software Foundation (ASF) under one
+ * or more contributor license agreements.  See the NOTICE file
+ * distributed with this work for additional information
+ * regarding copyright ownership.  The ASF licenses this file
+ * to you under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance
+ * with the License.  You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an
+ * "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+ * KIND, either express or implied.  See the License for the
+ * specific language governing permissions and limitations
+ * under the License.
+ */
+
+import createWorker, { WorkerName } from './createWorker';
+
+export type WorkerResponse<T> = { result: T } | { error: string };
+
+/**
+ * Sends a request to a new instance of a web worker and resolves with its
+ * response, terminating the worker. Where workers aren't supported, the
+ * request is handled on the main thread by the given fallback instead.
+ */
+export default function runInWorker<Request, Response>(
+  name: WorkerName,
+  request: Request,
+  fallback: (request: Request) => Response,
+): Promise<Response> {
+  let worker: Worker | null = null;
+  try {
+    worker = createWorker(name);
+  } catch (error) {
+    worker = null;
+  }
+  if (!worker) {
+    return new Promise(resolve => resolve(fallback(request)));
+  }
+  const activeWorker = worker;
+  return new Promise((resolve, reject) => {
+    activeWorker.onmessage = ({
+      data,
+    }: MessageEvent<WorkerResponse<Response>>) => {
+      activeWorker.terminate();
+      if ('error' in data) {
+        reject(new Error(data.error));
+      } else {
+        resolve(data.result);
+      }
+    };
+    activeWorker.onerror = event => {
+      activeWorker.terminate();
+      reject(new Error(event.message));
+    };
+    activeWorker.postMessage(request);
+  });
+}
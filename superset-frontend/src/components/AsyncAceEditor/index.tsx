@@ -43,6 +43,8 @@ export interface AceCompleterKeywordData {
   meta: string;
   docText?: string;
   docHTML?: string;
+  // inserted instead of the value, with tab-stops on its placeholders
+  snippet?: string;
 }
 
 export type TextMode = OrigTextMode & { $id: string };
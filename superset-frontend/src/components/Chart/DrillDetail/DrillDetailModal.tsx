@@ -17,7 +17,7 @@
  * under the License.
  */
 
-import { useCallback, useContext, useMemo } from 'react';
+import { useCallback, useContext, useEffect, useMemo } from 'react';
 import { useHistory } from 'react-router-dom';
 import {
   BinaryQueryObjectFilterClause,
@@ -33,6 +33,8 @@ import { DashboardPageIdContext } from 'src/dashboard/containers/DashboardPage';
 import { Slice } from 'src/types/Chart';
 import { RootState } from 'src/dashboard/types';
 import { findPermission } from 'src/utils/findPermission';
+import { emitEmbeddedEvent } from 'src/embedded/embeddedEventsMiddleware';
+import getBootstrapData from 'src/utils/getBootstrapData';
 import DrillDetailPane from './DrillDetailPane';
 
 interface ModalFooterProps {
@@ -113,6 +115,12 @@ export default function DrillDetailModal({
     history.push(exploreUrl);
   }, [exploreUrl, history]);
 
+  useEffect(() => {
+    if (showModal && getBootstrapData().embedded) {
+      emitEmbeddedEvent('drill', { chartId, drillType: 'drillToDetail' });
+    }
+  }, [chartId, showModal]);
+
   return (
     <Modal
       show={showModal}
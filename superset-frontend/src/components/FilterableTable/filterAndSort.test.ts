@@ -0,0 +1,54 @@
+/**
+ * Licensed to the Apache Software Foundation (ASF) under one
+ * or more contributor license agreements.  See the NOTICE file
+ * distributed with this work for additional information
+ * regarding copyright ownership.  The ASF licenses this file
+ * to you under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance
+ * with the License.  You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an
+ * "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+ * KIND, either express or implied.  See the License for the
+ * specific language governing permissions and limitations
+ * under the License.
+ */
+import { filterAndSortRows, hasMatch, sortResults } from './filterAndSort';
+
+const data = [
+  { name: 'b', value: '10' },
+  { name: 'a', value: null },
+  { name: 'c', value: '9' },
+  { name: 'a', value: '2' },
+];
+
+test('sorts numeric strings as numbers and nulls last', () => {
+  expect(sortResults('10', '9')).toBe(1);
+  expect(sortResults(null as unknown as string, '9')).toBe(1);
+  expect(sortResults('a', 'a')).toBe(0);
+});
+
+test('matches the keyword in any cell', () => {
+  expect(hasMatch('B', { name: 'b', value: null })).toBe(true);
+  expect(hasMatch('10', { name: 'b', value: 10 })).toBe(true);
+  expect(hasMatch('x', { name: 'b', value: 10 })).toBe(false);
+});
+
+test('filters and sorts the rows like the table', () => {
+  expect(filterAndSortRows(data)).toEqual(data);
+  expect(filterAndSortRows(data, 'a')).toEqual([data[1], data[3]]);
+  expect(
+    filterAndSortRows(data, '', [
+      { colId: 'name', sort: 'asc' },
+      { colId: 'value', sort: 'desc' },
+    ]).map(({ value }) => value),
+  ).toEqual([null, '2', '10', '9']);
+  expect(
+    filterAndSortRows(data, '', [{ colId: 'value', sort: 'asc' }]).map(
+      ({ value }) => value,
+    ),
+  ).toEqual(['2', '9', '10', null]);
+});
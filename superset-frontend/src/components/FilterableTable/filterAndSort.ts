@@ -0,0 +1,107 @@
+/**
+ * Licensed to the Apache Software Foundation (ASF) under one
+ * or more contributor license agreements.  See the NOTICE file
+ * distributed with this work for additional information
+ * regarding copyright ownership.  The ASF licenses this file
+ * to you under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance
+ * with the License.  You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an
+ * "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+ * KIND, either express or implied.  See the License for the
+ * specific language governing permissions and limitations
+ * under the License.
+ */
+
+// This regex handles all possible number formats in javascript, including ints, floats,
+// exponential notation, NaN, and Infinity.
+// See https://stackoverflow.com/a/30987109 for more details
+const ONLY_NUMBER_REGEX = /^(NaN|-?((\d*\.\d+|\d+)([Ee][+-]?\d+)?|Infinity))$/;
+
+export type CellDataType = string | number | null;
+export type Datum = Record<string, CellDataType>;
+
+export type SortModel = { colId: string; sort: 'asc' | 'desc' }[];
+
+const parseNumberFromString = (value: string | number | null) => {
+  if (typeof value === 'string' && ONLY_NUMBER_REGEX.test(value)) {
+    return parseFloat(value);
+  }
+  return value;
+};
+
+export const sortResults = (
+  valueA: string | number,
+  valueB: string | number,
+) => {
+  const aValue = parseNumberFromString(valueA);
+  const bValue = parseNumberFromString(valueB);
+
+  // equal items sort equally
+  if (aValue === bValue) {
+    return 0;
+  }
+
+  // nulls sort after anything else
+  if (aValue === null) {
+    return 1;
+  }
+  if (bValue === null) {
+    return -1;
+  }
+
+  return aValue < bValue ? -1 : 1;
+};
+
+export const hasMatch = (text: string, row: Datum) => {
+  const values: string[] = [];
+  Object.keys(row).forEach(key => {
+    if (row.hasOwnProperty(key)) {
+      const cellValue = row[key];
+      if (typeof cellValue === 'string') {
+        values.push(cellValue.toLowerCase());
+      } else if (
+        cellValue !== null &&
+        typeof cellValue.toString === 'function'
+      ) {
+        values.push(cellValue.toString());
+      }
+    }
+  });
+  const lowerCaseText = text.toLowerCase();
+  return values.some(v => v.includes(lowerCaseText));
+};
+
+/**
+ * Applies the keyword filter and the column sorts of the table to its rows,
+ * e.g. to export the rows the way they are displayed.
+ */
+export function filterAndSortRows<T extends Record<string, unknown>>(
+  data: T[],
+  filterText = '',
+  sortModel: SortModel = [],
+): T[] {
+  const rows = filterText
+    ? data.filter(row => hasMatch(filterText, row as Datum))
+    : [...data];
+  if (sortModel.length) {
+    rows.sort((a, b) => {
+      for (let i = 0; i < sortModel.length; i += 1) {
+        const { colId, sort } = sortModel[i];
+        const result = sortResults(
+          a[colId] as string | number,
+          b[colId] as string | number,
+        );
+        if (result !== 0) {
+          return sort === 'desc' ? -result : result;
+        }
+      }
+      return 0;
+    });
+  }
+  return rows;
+}
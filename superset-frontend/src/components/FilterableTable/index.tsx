@@ -20,21 +20,19 @@ import { useMemo, useRef, useCallback } from 'react';
 import { styled } from '@superset-ui/core';
 import { useCellContentParser } from './useCellContentParser';
 import { renderResultCell } from './utils';
+import {
+  CellDataType,
+  hasMatch,
+  SortModel,
+  sortResults,
+} from './filterAndSort';
 import GridTable, { GridSize, ColDef } from '../GridTable';
 
-// This regex handles all possible number formats in javascript, including ints, floats,
-// exponential notation, NaN, and Infinity.
-// See https://stackoverflow.com/a/30987109 for more details
-const ONLY_NUMBER_REGEX = /^(NaN|-?((\d*\.\d+|\d+)([Ee][+-]?\d+)?|Infinity))$/;
-
 const StyledFilterableTable = styled.div`
   height: 100%;
   overflow: hidden;
 `;
 
-type CellDataType = string | number | null;
-type Datum = Record<string, CellDataType>;
-
 export interface FilterableTableProps {
   orderedColumnKeys: string[];
   data: Record<string, unknown>[];
@@ -47,35 +45,10 @@ export interface FilterableTableProps {
   striped?: boolean;
   expandedColumns?: string[];
   allowHTML?: boolean;
+  onScrollToEnd?: () => void;
+  onSortChange?: (sortModel: SortModel) => void;
 }
 
-const parseNumberFromString = (value: string | number | null) => {
-  if (typeof value === 'string' && ONLY_NUMBER_REGEX.test(value)) {
-    return parseFloat(value);
-  }
-  return value;
-};
-
-const sortResults = (valueA: string | number, valueB: string | number) => {
-  const aValue = parseNumberFromString(valueA);
-  const bValue = parseNumberFromString(valueB);
-
-  // equal items sort equally
-  if (aValue === bValue) {
-    return 0;
-  }
-
-  // nulls sort after anything else
-  if (aValue === null) {
-    return 1;
-  }
-  if (bValue === null) {
-    return -1;
-  }
-
-  return aValue < bValue ? -1 : 1;
-};
-
 const FilterableTable = ({
   orderedColumnKeys,
   data,
@@ -84,31 +57,14 @@ const FilterableTable = ({
   expandedColumns = [],
   allowHTML = true,
   striped,
+  onScrollToEnd,
+  onSortChange,
 }: FilterableTableProps) => {
   const getCellContent = useCellContentParser({
     columnKeys: orderedColumnKeys,
     expandedColumns,
   });
 
-  const hasMatch = (text: string, row: Datum) => {
-    const values: string[] = [];
-    Object.keys(row).forEach(key => {
-      if (row.hasOwnProperty(key)) {
-        const cellValue = row[key];
-        if (typeof cellValue === 'string') {
-          values.push(cellValue.toLowerCase());
-        } else if (
-          cellValue !== null &&
-          typeof cellValue.toString === 'function'
-        ) {
-          values.push(cellValue.toString());
-        }
-      }
-    });
-    const lowerCaseText = text.toLowerCase();
-    return values.some(v => v.includes(lowerCaseText));
-  };
-
   const columns = useMemo(
     () =>
       orderedColumnKeys.map(key => ({
@@ -154,6 +110,8 @@ const FilterableTable = ({
         striped={striped}
         enableActions
         columnReorderable
+        onScrollToEnd={onScrollToEnd}
+        onSortChange={onSortChange}
       />
     </StyledFilterableTable>
   );
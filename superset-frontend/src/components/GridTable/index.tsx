@@ -20,7 +20,7 @@ import { useCallback, useMemo } from 'react';
 import { Global } from '@emotion/react';
 import { css, useTheme } from '@superset-ui/core';
 
-import type { Column } from 'ag-grid-community';
+import type { Column, ColumnState } from 'ag-grid-community';
 import { AgGridReact, type AgGridReactProps } from 'ag-grid-react';
 
 import 'ag-grid-community/styles/ag-grid.css';
@@ -76,10 +76,16 @@ export interface TableProps<RecordType> {
   usePagination?: boolean;
 
   striped?: boolean;
-}
 
-const onSortChanged: AgGridReactProps['onSortChanged'] = ({ api }) =>
-  api.refreshCells();
+  /**
+   * Called when the grid is scrolled to its last rows, e.g. to load more data.
+   */
+  onScrollToEnd?: () => void;
+  /**
+   * Called with the sorted columns, by sort priority, when the sort changes.
+   */
+  onSortChange?: (sortModel: { colId: string; sort: 'asc' | 'desc' }[]) => void;
+}
 
 function GridTable<RecordType extends object>({
   data,
@@ -92,6 +98,8 @@ function GridTable<RecordType extends object>({
   enableActions,
   size = GridSize.Middle,
   striped,
+  onScrollToEnd,
+  onSortChange,
 }: TableProps<RecordType>) {
   const theme = useTheme();
   const isExternalFilterPresent = useCallback(
@@ -168,6 +176,38 @@ function GridTable<RecordType extends object>({
 
   const rowHeight = theme.gridUnit * (size === GridSize.Middle ? 9 : 7);
 
+  const onSortChanged: AgGridReactProps['onSortChanged'] = useCallback(
+    ({ api }) => {
+      api.refreshCells();
+      onSortChange?.(
+        api
+          .getColumnState()
+          .filter(({ sort }: ColumnState) => sort)
+          .sort(
+            (a: ColumnState, b: ColumnState) =>
+              (a.sortIndex ?? 0) - (b.sortIndex ?? 0),
+          )
+          .map(({ colId, sort }: ColumnState) => ({
+            colId,
+            sort: sort as 'asc' | 'desc',
+          })),
+      );
+    },
+    [onSortChange],
+  );
+
+  const onBodyScrollEnd: AgGridReactProps['onBodyScrollEnd'] = useCallback(
+    ({ api }) => {
+      if (
+        onScrollToEnd &&
+        api.getLastDisplayedRowIndex() >= api.getDisplayedRowCount() - 1
+      ) {
+        onScrollToEnd();
+      }
+    },
+    [onScrollToEnd],
+  );
+
   return (
     <ErrorBoundary>
       <Global
@@ -232,6 +272,7 @@ function GridTable<RecordType extends object>({
             rowHeight,
           }}
           onCellKeyDown={onKeyDown}
+          onBodyScrollEnd={onBodyScrollEnd}
         />
       </div>
     </ErrorBoundary>
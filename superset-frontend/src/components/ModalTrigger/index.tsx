@@ -78,8 +78,8 @@ const ModalTrigger = forwardRef(
       onExit?.();
     };
 
-    const open = (e: MouseEvent) => {
-      e.preventDefault();
+    const open = (e?: MouseEvent) => {
+      e?.preventDefault();
       beforeOpen?.();
       setShowModal(true);
     };
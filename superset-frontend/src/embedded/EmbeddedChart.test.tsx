@@ -0,0 +1,60 @@
+/**
+ * Licensed to the Apache Software Foundation (ASF) under one
+ * or more contributor license agreements.  See the NOTICE file
+ * distributed with this work for additional information
+ * regarding copyright ownership.  The ASF licenses this file
+ * to you under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance
+ * with the License.  You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an
+ * "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+ * KIND, either express or implied.  See the License for the
+ * specific language governing permissions and limitations
+ * under the License.
+ */
+import fetchMock from 'fetch-mock';
+import { render, screen, waitFor } from 'spec/helpers/testing-library';
+import EmbeddedChart, { fetchChartFormData } from './EmbeddedChart';
+import { emitEmbeddedEvent } from './embeddedEventsMiddleware';
+
+jest.mock('./embeddedEventsMiddleware', () => ({
+  emitEmbeddedEvent: jest.fn(),
+}));
+
+const CHART_ENDPOINT = 'glob:*/api/v1/chart/12';
+
+afterEach(() => {
+  fetchMock.restore();
+  jest.clearAllMocks();
+});
+
+test('fetches the saved form data of the chart', async () => {
+  fetchMock.get(CHART_ENDPOINT, {
+    result: {
+      params: '{"datasource": "3__table", "metrics": ["count"]}',
+      viz_type: 'table',
+    },
+  });
+  expect(await fetchChartFormData(12)).toEqual({
+    datasource: '3__table',
+    metrics: ['count'],
+    slice_id: 12,
+    viz_type: 'table',
+  });
+});
+
+test('shows an error and tells the host app when the chart fails to load', async () => {
+  fetchMock.get(CHART_ENDPOINT, { status: 404 });
+  render(<EmbeddedChart chartId={12} />, { useRedux: true });
+  expect(await screen.findByText('Data error')).toBeInTheDocument();
+  await waitFor(() =>
+    expect(emitEmbeddedEvent).toHaveBeenCalledWith('chartFailed', {
+      chartId: 12,
+      error: 'Not Found',
+    }),
+  );
+});
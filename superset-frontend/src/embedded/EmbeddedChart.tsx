@@ -0,0 +1,143 @@
+/**
+ * Licensed to the Apache Software Foundation (ASF) under one
+ * or more contributor license agreements.  See the NOTICE file
+ * distributed with this work for additional information
+ * regarding copyright ownership.  The ASF licenses this file
+ * to you under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance
+ * with the License.  You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an
+ * "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+ * KIND, either express or implied.  See the License for the
+ * specific language governing permissions and limitations
+ * under the License.
+ */
+import { useCallback, useEffect, useState } from 'react';
+import {
+  css,
+  getClientErrorObject,
+  QueryData,
+  QueryFormData,
+  SuperChart,
+  SupersetClient,
+  SupersetError,
+  t,
+} from '@superset-ui/core';
+import Loading from 'src/components/Loading';
+import ErrorMessageWithStackTrace from 'src/components/ErrorMessage/ErrorMessageWithStackTrace';
+import {
+  getChartDataRequest,
+  handleChartDataResponse,
+} from 'src/components/Chart/chartAction';
+import { getQuerySettings } from 'src/explore/exploreUtils';
+import { emitEmbeddedEvent } from './embeddedEventsMiddleware';
+
+/**
+ * Fetches the saved form data of the embedded chart. The guest token grants
+ * access to this chart only, so the chart id is added back to the form data
+ * for the backend to authorize the data requests against it.
+ */
+export async function fetchChartFormData(
+  chartId: number,
+): Promise<QueryFormData> {
+  const { json } = await SupersetClient.get({
+    endpoint: `/api/v1/chart/${chartId}`,
+  });
+  const { params, viz_type } = json.result;
+  return {
+    ...JSON.parse(params || '{}'),
+    slice_id: chartId,
+    viz_type,
+  };
+}
+
+type ChartError = {
+  message: string;
+  error?: SupersetError;
+};
+
+export default function EmbeddedChart({ chartId }: { chartId: number }) {
+  const [formData, setFormData] = useState<QueryFormData>();
+  const [queriesData, setQueriesData] = useState<QueryData[]>();
+  const [chartError, setChartError] = useState<ChartError>();
+
+  const onError = useCallback(
+    (message: string, error?: SupersetError) => {
+      setChartError({ message, error });
+      emitEmbeddedEvent('chartFailed', { chartId, error: message });
+    },
+    [chartId],
+  );
+
+  useEffect(() => {
+    fetchChartFormData(chartId)
+      .then(async chartFormData => {
+        setFormData(chartFormData);
+        const [useLegacyApi] = getQuerySettings(chartFormData);
+        const { response, json } = await getChartDataRequest({
+          formData: chartFormData,
+        });
+        setQueriesData(
+          await handleChartDataResponse(response, json, useLegacyApi),
+        );
+      })
+      .catch(async response => {
+        const { error, errors, message } = await getClientErrorObject(response);
+        onError(
+          message || error || t('Failed to load chart data.'),
+          errors?.[0],
+        );
+      });
+  }, [chartId, onError]);
+
+  const onRenderSuccess = useCallback(
+    () => emitEmbeddedEvent('chartLoaded', { chartId }),
+    [chartId],
+  );
+
+  const onRenderFailure = useCallback(
+    (error: Error) => onError(error.message),
+    [onError],
+  );
+
+  if (chartError) {
+    return (
+      <ErrorMessageWithStackTrace
+        title={t('Data error')}
+        subtitle={chartError.message}
+        error={chartError.error}
+        source="dashboard"
+      />
+    );
+  }
+
+  if (!formData || !queriesData) {
+    return <Loading />;
+  }
+
+  return (
+    <div
+      css={css`
+        width: 100%;
+        height: 100vh;
+      `}
+      data-test="embedded-chart"
+    >
+      <SuperChart
+        disableErrorBoundary
+        chartType={formData.viz_type}
+        enableNoResults
+        formData={formData}
+        queriesData={queriesData}
+        onRenderSuccess={onRenderSuccess}
+        onRenderFailure={onRenderFailure}
+        height="100%"
+        width="100%"
+      />
+    </div>
+  );
+}
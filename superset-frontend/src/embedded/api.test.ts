@@ -0,0 +1,111 @@
+/**
+ * Licensed to the Apache Software Foundation (ASF) under one
+ * or more contributor license agreements.  See the NOTICE file
+ * distributed with this work for additional information
+ * regarding copyright ownership.  The ASF licenses this file
+ * to you under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance
+ * with the License.  You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an
+ * "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+ * KIND, either express or implied.  See the License for the
+ * specific language governing permissions and limitations
+ * under the License.
+ */
+import { UPDATE_DATA_MASK } from 'src/dataMask/actions';
+import { embeddedApi, validateDataMask } from './api';
+
+jest.mock('src/utils/getBootstrapData', () => () => ({
+  common: { feature_flags: {}, conf: {} },
+}));
+jest.mock('../views/store', () => ({
+  store: {
+    getState: jest.fn(() => ({
+      nativeFilters: {
+        filters: { 'NATIVE_FILTER-1': {}, 'NATIVE_FILTER-2': {} },
+      },
+      dataMask: {
+        'NATIVE_FILTER-1': {
+          id: 'NATIVE_FILTER-1',
+          filterState: { value: ['a'] },
+        },
+      },
+    })),
+    dispatch: jest.fn(),
+  },
+}));
+
+const { store } = jest.requireMock('../views/store');
+
+beforeEach(() => {
+  store.dispatch.mockClear();
+});
+
+test('validateDataMask accepts masks for known native filters', () => {
+  const dataMask = {
+    'NATIVE_FILTER-1': {
+      filterState: { value: ['a'] },
+      extraFormData: { filters: [{ col: 'x', op: 'IN', val: ['a'] }] },
+    },
+  };
+  expect(validateDataMask(dataMask)).toBe(dataMask);
+});
+
+test('validateDataMask rejects malformed payloads', () => {
+  expect(() => validateDataMask(null)).toThrow('dataMask must be an object');
+  expect(() => validateDataMask({ 'NATIVE_FILTER-3': {} })).toThrow(
+    'Unknown native filter: NATIVE_FILTER-3',
+  );
+  expect(() => validateDataMask({ 'NATIVE_FILTER-1': 'a' })).toThrow(
+    'dataMask for NATIVE_FILTER-1 must be an object',
+  );
+  expect(() => validateDataMask({ 'NATIVE_FILTER-1': { foo: {} } })).toThrow(
+    'Unsupported dataMask key for NATIVE_FILTER-1: foo',
+  );
+  expect(() =>
+    validateDataMask({ 'NATIVE_FILTER-1': { filterState: [] } }),
+  ).toThrow('dataMask.filterState for NATIVE_FILTER-1 must be an object');
+});
+
+test('setNativeFilters dispatches a data mask update per filter', () => {
+  embeddedApi.setNativeFilters({
+    dataMask: {
+      'NATIVE_FILTER-1': { filterState: { value: ['a'] } },
+      'NATIVE_FILTER-2': { filterState: { value: ['b'] } },
+    },
+  });
+  expect(store.dispatch).toHaveBeenCalledTimes(2);
+  expect(store.dispatch).toHaveBeenCalledWith({
+    type: UPDATE_DATA_MASK,
+    filterId: 'NATIVE_FILTER-2',
+    dataMask: { filterState: { value: ['b'] } },
+  });
+});
+
+test('getDataMask returns the dashboard data mask state', () => {
+  expect(embeddedApi.getDataMask()).toEqual({
+    'NATIVE_FILTER-1': { id: 'NATIVE_FILTER-1', filterState: { value: ['a'] } },
+  });
+});
+
+test('clearFilters clears the given or all native filters', () => {
+  embeddedApi.clearFilters({ filterIds: ['NATIVE_FILTER-2'] });
+  expect(store.dispatch).toHaveBeenCalledTimes(1);
+  expect(store.dispatch.mock.calls[0][0].filterId).toBe('NATIVE_FILTER-2');
+
+  embeddedApi.clearFilters({});
+  expect(store.dispatch).toHaveBeenCalledTimes(3);
+  expect(() =>
+    embeddedApi.clearFilters({ filterIds: ['NATIVE_FILTER-3'] }),
+  ).toThrow('Unknown native filter: NATIVE_FILTER-3');
+});
+
+test('exportChartData only works for embedded charts', async () => {
+  await expect(embeddedApi.exportChartData({ format: 'csv' })).rejects.toThrow(
+    'Chart data can only be exported from an embedded chart',
+  );
+});
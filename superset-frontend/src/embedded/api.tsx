@@ -16,7 +16,11 @@
  * specific language governing permissions and limitations
  * under the License.
  */
+import { DataMaskState, SupersetClient } from '@superset-ui/core';
 import getBootstrapData from 'src/utils/getBootstrapData';
+import { clearDataMask, updateDataMask } from 'src/dataMask/actions';
+import { buildV1ChartDataPayload } from 'src/explore/exploreUtils';
+import { fetchChartFormData } from './EmbeddedChart';
 import { store } from '../views/store';
 import { getDashboardPermalink as getDashboardPermalinkUtil } from '../utils/urlUtils';
 
@@ -27,10 +31,61 @@ type Size = {
   height: number;
 };
 
+type ChartDataFormat = 'csv' | 'xlsx' | 'json';
+
+const CHART_DATA_FORMATS: ChartDataFormat[] = ['csv', 'xlsx', 'json'];
+
 type EmbeddedSupersetApi = {
   getScrollSize: () => Size;
   getDashboardPermalink: ({ anchor }: { anchor: string }) => Promise<string>;
   getActiveTabs: () => string[];
+  setNativeFilters: ({ dataMask }: { dataMask: DataMaskState }) => void;
+  getDataMask: () => DataMaskState;
+  clearFilters: ({ filterIds }: { filterIds?: string[] }) => void;
+  exportChartData: ({ format }: { format: ChartDataFormat }) => Promise<Blob>;
+};
+
+const DATA_MASK_KEYS = ['extraFormData', 'filterState', 'ownState'];
+
+const isPlainObject = (value: unknown): value is Record<string, unknown> =>
+  typeof value === 'object' && value !== null && !Array.isArray(value);
+
+const getNativeFilterIds = (): string[] =>
+  Object.keys(store?.getState()?.nativeFilters?.filters || {});
+
+const assertNativeFilterIds = (filterIds: string[]) => {
+  const nativeFilterIds = new Set(getNativeFilterIds());
+  filterIds.forEach(filterId => {
+    if (!nativeFilterIds.has(filterId)) {
+      throw new Error(`Unknown native filter: ${filterId}`);
+    }
+  });
+};
+
+/**
+ * Checks a data mask payload sent by the host app before it reaches the
+ * store: every key must be a native filter of this dashboard and every
+ * value may only carry extraFormData, filterState and ownState objects.
+ */
+export const validateDataMask = (dataMask: unknown): DataMaskState => {
+  if (!isPlainObject(dataMask)) {
+    throw new Error('dataMask must be an object keyed by native filter id');
+  }
+  assertNativeFilterIds(Object.keys(dataMask));
+  Object.entries(dataMask).forEach(([filterId, mask]) => {
+    if (!isPlainObject(mask)) {
+      throw new Error(`dataMask for ${filterId} must be an object`);
+    }
+    Object.entries(mask).forEach(([key, value]) => {
+      if (!DATA_MASK_KEYS.includes(key)) {
+        throw new Error(`Unsupported dataMask key for ${filterId}: ${key}`);
+      }
+      if (value !== undefined && !isPlainObject(value)) {
+        throw new Error(`dataMask.${key} for ${filterId} must be an object`);
+      }
+    });
+  });
+  return dataMask as DataMaskState;
 };
 
 const getScrollSize = (): Size => ({
@@ -46,10 +101,15 @@ const getDashboardPermalink = async ({
   const state = store?.getState();
   const { dashboardId, dataMask, activeTabs } = {
     dashboardId:
-      state?.dashboardInfo?.id || bootstrapData?.embedded!.dashboard_id,
+      state?.dashboardInfo?.id || bootstrapData?.embedded?.dashboard_id,
     dataMask: state?.dataMask,
     activeTabs: state.dashboardState?.activeTabs,
   };
+  if (!dashboardId) {
+    throw new Error(
+      'A permalink can only be created for an embedded dashboard',
+    );
+  }
 
   return getDashboardPermalinkUtil({
     dashboardId,
@@ -61,8 +121,66 @@ const getDashboardPermalink = async ({
 
 const getActiveTabs = () => store?.getState()?.dashboardState?.activeTabs || [];
 
+const setNativeFilters = ({ dataMask }: { dataMask: DataMaskState }) => {
+  Object.entries(validateDataMask(dataMask)).forEach(([filterId, mask]) => {
+    store.dispatch(updateDataMask(filterId, mask));
+  });
+};
+
+const getDataMask = (): DataMaskState => store?.getState()?.dataMask || {};
+
+const clearFilters = ({ filterIds }: { filterIds?: string[] } = {}) => {
+  if (filterIds !== undefined) {
+    if (
+      !Array.isArray(filterIds) ||
+      !filterIds.every(filterId => typeof filterId === 'string')
+    ) {
+      throw new Error('filterIds must be an array of native filter ids');
+    }
+    assertNativeFilterIds(filterIds);
+  }
+  (filterIds ?? getNativeFilterIds()).forEach(filterId => {
+    store.dispatch(clearDataMask(filterId));
+  });
+};
+
+/**
+ * Exports the full results of the embedded chart, in the same format as the
+ * chart's download menu would.
+ */
+const exportChartData = async ({
+  format,
+}: {
+  format: ChartDataFormat;
+}): Promise<Blob> => {
+  const chartId = bootstrapData?.embedded?.chart_id;
+  if (!chartId) {
+    throw new Error('Chart data can only be exported from an embedded chart');
+  }
+  if (!CHART_DATA_FORMATS.includes(format)) {
+    throw new Error(`Unsupported chart data format: ${format}`);
+  }
+  const formData = await fetchChartFormData(chartId);
+  return SupersetClient.post({
+    endpoint: '/api/v1/chart/data',
+    jsonPayload: buildV1ChartDataPayload({
+      formData,
+      force: false,
+      resultFormat: format,
+      resultType: 'full',
+      setDataMask: null,
+      ownState: null,
+    }),
+    parseMethod: 'raw',
+  }).then((response: Response) => response.blob());
+};
+
 export const embeddedApi: EmbeddedSupersetApi = {
   getScrollSize,
   getDashboardPermalink,
   getActiveTabs,
+  setNativeFilters,
+  getDataMask,
+  clearFilters,
+  exportChartData,
 };
@@ -0,0 +1,144 @@
+/**
+ * Licensed to the Apache Software Foundation (ASF) under one
+ * or more contributor license agreements.  See the NOTICE file
+ * distributed with this work for additional information
+ * regarding copyright ownership.  The ASF licenses this file
+ * to you under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance
+ * with the License.  You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an
+ * "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+ * KIND, either express or implied.  See the License for the
+ * specific language governing permissions and limitations
+ * under the License.
+ */
+import type { AnyAction } from 'redux';
+import Switchboard from '@superset-ui/switchboard';
+import {
+  CHART_RENDERING_SUCCEEDED,
+  CHART_UPDATE_FAILED,
+} from 'src/components/Chart/chartAction';
+import { SET_ACTIVE_TAB } from 'src/dashboard/actions/dashboardState';
+import { UPDATE_DATA_MASK } from 'src/dataMask/actions';
+import { LOG_EVENT, logEvent } from 'src/logger/actions';
+import {
+  LOG_ACTIONS_DRILL_BY_MODAL_OPENED,
+  LOG_ACTIONS_MOUNT_DASHBOARD,
+} from 'src/logger/LogUtils';
+import { setupStore } from 'src/views/store';
+import {
+  createEmbeddedEventsMiddleware,
+  EMBEDDED_EVENT_METHOD,
+} from './embeddedEventsMiddleware';
+
+jest.mock('src/utils/getBootstrapData', () => () => ({
+  common: { feature_flags: {}, conf: {} },
+  embedded: { dashboard_id: 'abc' },
+}));
+
+const setup = (nextState: Record<string, any> = {}) => {
+  let state: Record<string, any> = {
+    nativeFilters: { filters: { 'NATIVE_FILTER-1': {} } },
+    dataMask: {},
+    dashboardState: { activeTabs: ['TAB-1'] },
+  };
+  const store = { getState: () => state, dispatch: jest.fn() };
+  const next = jest.fn().mockImplementation((action: AnyAction) => {
+    state = { ...state, ...nextState };
+    return action;
+  });
+  const emit = jest.fn();
+  const dispatch = createEmbeddedEventsMiddleware(emit)(store as any)(next);
+  return { dispatch, next, emit };
+};
+
+test('emits native filter changes', () => {
+  const dataMask = { filterState: { value: ['a'] } };
+  const { dispatch, next, emit } = setup({
+    dataMask: { 'NATIVE_FILTER-1': dataMask },
+  });
+  const action = {
+    type: UPDATE_DATA_MASK,
+    filterId: 'NATIVE_FILTER-1',
+    dataMask,
+  };
+  dispatch(action);
+  expect(next).toHaveBeenCalledWith(action);
+  expect(emit).toHaveBeenCalledWith('filterChange', {
+    filterId: 'NATIVE_FILTER-1',
+    dataMask,
+  });
+});
+
+test('emits cross-filters set from a chart', () => {
+  const dataMask = { filterState: { value: ['b'] } };
+  const { dispatch, emit } = setup({ dataMask: { 12: dataMask } });
+  dispatch({ type: UPDATE_DATA_MASK, filterId: 12, dataMask });
+  expect(emit).toHaveBeenCalledWith('crossFilter', { chartId: 12, dataMask });
+});
+
+test('does not emit data mask updates that change nothing', () => {
+  const { dispatch, emit } = setup();
+  dispatch({ type: UPDATE_DATA_MASK, filterId: 'NATIVE_FILTER-1' });
+  expect(emit).not.toHaveBeenCalled();
+});
+
+test('emits tab changes', () => {
+  const { dispatch, emit } = setup({
+    dashboardState: { activeTabs: ['TAB-2'] },
+  });
+  dispatch({ type: SET_ACTIVE_TAB });
+  expect(emit).toHaveBeenCalledWith('tabChange', { activeTabs: ['TAB-2'] });
+});
+
+test('emits chart loads and failures', () => {
+  const { dispatch, emit } = setup();
+  dispatch({ type: CHART_RENDERING_SUCCEEDED, key: 12 });
+  dispatch({
+    type: CHART_UPDATE_FAILED,
+    key: 13,
+    queriesResponse: [{ error: 'Column not found' }],
+  });
+  expect(emit).toHaveBeenNthCalledWith(1, 'chartLoaded', { chartId: 12 });
+  expect(emit).toHaveBeenNthCalledWith(2, 'chartFailed', {
+    chartId: 13,
+    error: 'Column not found',
+  });
+});
+
+test('emits drill actions only', () => {
+  const { dispatch, emit } = setup();
+  dispatch({
+    type: LOG_EVENT,
+    payload: { eventName: LOG_ACTIONS_MOUNT_DASHBOARD, eventData: {} },
+  });
+  dispatch({
+    type: LOG_EVENT,
+    payload: {
+      eventName: LOG_ACTIONS_DRILL_BY_MODAL_OPENED,
+      eventData: { slice_id: 12 },
+    },
+  });
+  expect(emit).toHaveBeenCalledTimes(1);
+  expect(emit).toHaveBeenCalledWith('drill', {
+    chartId: 12,
+    drillType: 'drillBy',
+  });
+});
+
+test('sees drill events in the store middleware chain', () => {
+  const emitSpy = jest.spyOn(Switchboard, 'emit').mockImplementation();
+  const store = setupStore({ disableDebugger: true, initialState: {} });
+  store.dispatch(
+    logEvent(LOG_ACTIONS_DRILL_BY_MODAL_OPENED, { slice_id: 12 }) as any,
+  );
+  expect(emitSpy).toHaveBeenCalledWith(EMBEDDED_EVENT_METHOD, {
+    event: 'drill',
+    payload: { chartId: 12, drillType: 'drillBy' },
+  });
+  emitSpy.mockRestore();
+});
@@ -0,0 +1,128 @@
+/**
+ * Licensed to the Apache Software Foundation (ASF) under one
+ * or more contributor license agreements.  See the NOTICE file
+ * distributed with this work for additional information
+ * regarding copyright ownership.  The ASF licenses this file
+ * to you under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance
+ * with the License.  You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an
+ * "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+ * KIND, either express or implied.  See the License for the
+ * specific language governing permissions and limitations
+ * under the License.
+ */
+import type { AnyAction, Middleware } from 'redux';
+import { isEqual } from 'lodash';
+import Switchboard from '@superset-ui/switchboard';
+import {
+  CHART_RENDERING_FAILED,
+  CHART_RENDERING_SUCCEEDED,
+  CHART_UPDATE_FAILED,
+} from 'src/components/Chart/chartAction';
+import {
+  SET_ACTIVE_TAB,
+  SET_ACTIVE_TABS,
+} from 'src/dashboard/actions/dashboardState';
+import { UPDATE_DATA_MASK } from 'src/dataMask/actions';
+import { LOG_EVENT } from 'src/logger/actions';
+import {
+  LOG_ACTIONS_DRILL_BY_MODAL_OPENED,
+  LOG_ACTIONS_FURTHER_DRILL_BY,
+} from 'src/logger/LogUtils';
+
+/** Name of the Switchboard method the embedded SDK listens on */
+export const EMBEDDED_EVENT_METHOD = 'embeddedEvent';
+
+export type EmbeddedEventType =
+  | 'filterChange'
+  | 'crossFilter'
+  | 'tabChange'
+  | 'chartLoaded'
+  | 'chartFailed'
+  | 'drill';
+
+export type EmbeddedEventEmitter = (
+  event: EmbeddedEventType,
+  payload: Record<string, unknown>,
+) => void;
+
+const DRILL_TYPES: Record<string, string> = {
+  [LOG_ACTIONS_DRILL_BY_MODAL_OPENED]: 'drillBy',
+  [LOG_ACTIONS_FURTHER_DRILL_BY]: 'drillBy',
+};
+
+const getChartError = (action: AnyAction) =>
+  action.type === CHART_UPDATE_FAILED
+    ? (action.queriesResponse?.[0]?.error ?? null)
+    : String(action.error ?? '') || null;
+
+/**
+ * Turns dashboard interactions into events for the host app of an embedded
+ * dashboard: native filter and cross-filter changes, tab changes, chart
+ * loads and failures, and drill actions.
+ */
+export function createEmbeddedEventsMiddleware(
+  emit: EmbeddedEventEmitter,
+): Middleware {
+  return store => next => (action: AnyAction) => {
+    const prevState = store.getState();
+    const result = next(action);
+    const state = store.getState();
+    switch (action?.type) {
+      case UPDATE_DATA_MASK: {
+        const { filterId } = action;
+        const dataMask = state.dataMask?.[filterId];
+        if (isEqual(prevState.dataMask?.[filterId], dataMask)) {
+          break;
+        }
+        if (filterId in (state.nativeFilters?.filters || {})) {
+          emit('filterChange', { filterId, dataMask });
+        } else {
+          emit('crossFilter', { chartId: filterId, dataMask });
+        }
+        break;
+      }
+      case SET_ACTIVE_TAB:
+      case SET_ACTIVE_TABS: {
+        const { activeTabs } = state.dashboardState || {};
+        if (!isEqual(prevState.dashboardState?.activeTabs, activeTabs)) {
+          emit('tabChange', { activeTabs });
+        }
+        break;
+      }
+      case CHART_RENDERING_SUCCEEDED:
+        emit('chartLoaded', { chartId: action.key });
+        break;
+      case CHART_UPDATE_FAILED:
+      case CHART_RENDERING_FAILED:
+        emit('chartFailed', {
+          chartId: action.key,
+          error: getChartError(action),
+        });
+        break;
+      case LOG_EVENT: {
+        const { eventName, eventData } = action.payload || {};
+        if (eventName in DRILL_TYPES) {
+          emit('drill', {
+            chartId: eventData?.slice_id,
+            drillType: DRILL_TYPES[eventName],
+          });
+        }
+        break;
+      }
+      default:
+    }
+    return result;
+  };
+}
+
+export const emitEmbeddedEvent: EmbeddedEventEmitter = (event, payload) =>
+  Switchboard.emit(EMBEDDED_EVENT_METHOD, { event, payload });
+
+export const embeddedEventsMiddleware =
+  createEmbeddedEventsMiddleware(emitEmbeddedEvent);
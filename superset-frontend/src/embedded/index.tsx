@@ -18,7 +18,7 @@
  */
 import { lazy, Suspense } from 'react';
 import ReactDOM from 'react-dom';
-import { BrowserRouter as Router, Route } from 'react-router-dom';
+import { BrowserRouter as Router, Route, Switch } from 'react-router-dom';
 import { makeApi, t, logging } from '@superset-ui/core';
 import Switchboard from '@superset-ui/switchboard';
 import getBootstrapData from 'src/utils/getBootstrapData';
@@ -32,6 +32,7 @@ import { addDangerToast } from 'src/components/MessageToasts/actions';
 import ToastContainer from 'src/components/MessageToasts/ToastContainer';
 import { UserWithPermissionsAndRoles } from 'src/types/bootstrapTypes';
 import { embeddedApi } from './api';
+import EmbeddedChart from './EmbeddedChart';
 
 setupPlugins();
 
@@ -55,18 +56,29 @@ const EmbeddedRoute = () => (
   <Suspense fallback={<Loading />}>
     <RootContextProviders>
       <ErrorBoundary>
-        <LazyDashboardPage idOrSlug={bootstrapData.embedded!.dashboard_id} />
+        <LazyDashboardPage idOrSlug={bootstrapData.embedded!.dashboard_id!} />
       </ErrorBoundary>
       <ToastContainer position="top" />
     </RootContextProviders>
   </Suspense>
 );
 
+const EmbeddedChartRoute = () => (
+  <RootContextProviders>
+    <ErrorBoundary>
+      <EmbeddedChart chartId={bootstrapData.embedded!.chart_id!} />
+    </ErrorBoundary>
+  </RootContextProviders>
+);
+
 const EmbeddedApp = () => (
   <Router>
-    {/* todo (embedded) remove this line after uuids are deployed */}
-    <Route path="/dashboard/:idOrSlug/embedded/" component={EmbeddedRoute} />
-    <Route path="/embedded/:uuid/" component={EmbeddedRoute} />
+    <Switch>
+      <Route path="/embedded/chart/:chartId/" component={EmbeddedChartRoute} />
+      {/* todo (embedded) remove this line after uuids are deployed */}
+      <Route path="/dashboard/:idOrSlug/embedded/" component={EmbeddedRoute} />
+      <Route path="/embedded/:uuid/" component={EmbeddedRoute} />
+    </Switch>
   </Router>
 );
 
@@ -204,11 +216,21 @@ window.addEventListener('message', function embeddedPageInitializer(event) {
     );
 
     Switchboard.defineMethod('getScrollSize', embeddedApi.getScrollSize);
-    Switchboard.defineMethod(
-      'getDashboardPermalink',
-      embeddedApi.getDashboardPermalink,
-    );
-    Switchboard.defineMethod('getActiveTabs', embeddedApi.getActiveTabs);
+    if (bootstrapData.embedded?.chart_id) {
+      Switchboard.defineMethod('exportChartData', embeddedApi.exportChartData);
+    } else {
+      Switchboard.defineMethod(
+        'getDashboardPermalink',
+        embeddedApi.getDashboardPermalink,
+      );
+      Switchboard.defineMethod('getActiveTabs', embeddedApi.getActiveTabs);
+      Switchboard.defineMethod(
+        'setNativeFilters',
+        embeddedApi.setNativeFilters,
+      );
+      Switchboard.defineMethod('getDataMask', embeddedApi.getDataMask);
+      Switchboard.defineMethod('clearFilters', embeddedApi.clearFilters);
+    }
     Switchboard.start();
   }
 });
@@ -163,6 +163,25 @@ describe('ExtraOptions Component', () => {
     });
   });
 
+  it('calls onExtraEditorChange when sql_lint json editor changes', async () => {
+    renderComponent();
+    fireEvent.click(screen.getByText(t('SQL Lab')));
+
+    await waitFor(() => {
+      expect(document.querySelector('#sql_lint')).toBeInTheDocument();
+    });
+
+    const editorInstance = ace.edit('sql_lint');
+    act(() => {
+      editorInstance.setValue('{"disabled_rules":["missing_limit"]}');
+    });
+
+    expect(onExtraEditorChange).toHaveBeenCalledWith({
+      json: '{"disabled_rules":["missing_limit"]}',
+      name: 'sql_lint',
+    });
+  });
+
   it('calls onTextChange when server certificate textarea is changed', () => {
     renderComponent();
     // Click to open the security tab/section
@@ -250,6 +250,35 @@ const ExtraOptions = ({
             </StyledInputContainer>
           </StyledExpandableForm>
         </StyledInputContainer>
+        <StyledInputContainer>
+          <div className="control-label">{t('SQL linting')}</div>
+          <div className="input-container">
+            <StyledJsonEditor
+              name="sql_lint"
+              placeholder={t('SQL linting')}
+              onChange={(json: string) =>
+                onExtraEditorChange({ json, name: 'sql_lint' })
+              }
+              width="100%"
+              height="160px"
+              value={
+                !Object.keys(extraJson?.sql_lint || {}).length
+                  ? ''
+                  : typeof extraJson?.sql_lint === 'string'
+                    ? extraJson?.sql_lint
+                    : JSON.stringify(extraJson?.sql_lint)
+              }
+            />
+          </div>
+          <div className="helper">
+            <div>
+              {t(
+                'Configures the checks of the SQL Lab editor, e.g. {"disabled_rules": ["missing_limit"], "large_tables": ["events"]}. ' +
+                  'The rules are unbalanced_parentheses, unknown_table, unknown_column, select_star and missing_limit.',
+              )}
+            </div>
+          </div>
+        </StyledInputContainer>
       </Collapse.Panel>
       <Collapse.Panel
         header={
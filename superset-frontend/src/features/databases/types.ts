@@ -20,6 +20,8 @@ import { ChangeEvent, EventHandler, FormEvent } from 'react';
  * specific language governing permissions and limitations
  * under the License.
  */
+import type { SqlLintConfig } from 'src/SqlLab/utils/sqlLint';
+
 type DatabaseUser = {
   first_name: string;
   last_name: string;
@@ -261,6 +263,7 @@ export interface ExtraJson {
   schema_options?: {
     expand_rows?: boolean;
   };
+  sql_lint?: SqlLintConfig; // in SQL Lab
   version?: string;
 }
 
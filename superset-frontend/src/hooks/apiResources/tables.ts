@@ -95,6 +95,36 @@ type TableMetadataResponse = {
 
 export type TableExtendedMetadata = Record<string, string>;
 
+export type ColumnSearchResult = {
+  catalog?: string | null;
+  schema: string;
+  table: string;
+  name: string;
+  type: string;
+  comment?: string | null;
+};
+
+export type ColumnSearchData = {
+  result: ColumnSearchResult[];
+  hasMore: boolean;
+};
+
+export type FetchColumnSearchQueryParams = {
+  dbId: string | number;
+  catalog?: string | null;
+  search: string;
+  forceRefresh?: boolean;
+};
+
+type ColumnSearchResponse = {
+  json: {
+    count: number;
+    has_more: boolean;
+    result: ColumnSearchResult[];
+  };
+  response: Response;
+};
+
 type Params = Omit<FetchTablesQueryParams, 'forceRefresh'>;
 
 const tableApi = api.injectEndpoints({
@@ -150,6 +180,22 @@ const tableApi = api.injectEndpoints({
         { type: 'TableMetadatas', id: table },
       ],
     }),
+    columnSearch: builder.query<ColumnSearchData, FetchColumnSearchQueryParams>(
+      {
+        query: ({ dbId, catalog, search, forceRefresh }) => ({
+          endpoint: `/api/v1/database/${dbId}/column_search/`,
+          urlParams: {
+            search,
+            ...(forceRefresh && { force: forceRefresh }),
+            ...(catalog && { catalog_name: catalog }),
+          },
+          transformResponse: ({ json }: ColumnSearchResponse) => ({
+            result: json.result,
+            hasMore: json.has_more,
+          }),
+        }),
+      },
+    ),
   }),
 });
 
@@ -160,6 +206,7 @@ export const {
   useLazyTableExtendedMetadataQuery,
   useTableMetadataQuery,
   useTableExtendedMetadataQuery,
+  useColumnSearchQuery,
   endpoints: tableEndpoints,
   util: tableApiUtil,
 } = tableApi;
@@ -76,11 +76,13 @@ export const LOG_ACTIONS_SQLLAB_RUN_QUERY = 'sqllab_run_query';
 export const LOG_ACTIONS_SQLLAB_STOP_QUERY = 'sqllab_stop_query';
 export const LOG_ACTIONS_SQLLAB_ESTIMATE_QUERY_COST =
   'sqllab_estimate_query_cost';
+export const LOG_ACTIONS_SQLLAB_EXPLAIN_QUERY = 'sqllab_explain_query';
 export const LOG_ACTIONS_SQLLAB_SAVE_QUERY = 'sqllab_save_query';
 export const LOG_ACTIONS_SQLLAB_SAVE_DATASET = 'sqllab_save_dataset';
 export const LOG_ACTIONS_SQLLAB_COPY_LINK = 'sqllab_copy_link';
 export const LOG_ACTIONS_SQLLAB_FORMAT_SQL = 'sqllab_format_sql';
 export const LOG_ACTIONS_SQLLAB_DOWNLOAD_CSV = 'sqllab_download_csv';
+export const LOG_ACTIONS_SQLLAB_DOWNLOAD_RESULTS = 'sqllab_download_results';
 export const LOG_ACTIONS_SQLLAB_COPY_RESULT_TO_CLIPBOARD =
   'sqllab_copy_result_to_clipboard';
 export const LOG_ACTIONS_SQLLAB_CREATE_CHART = 'sqllab_create_chart';
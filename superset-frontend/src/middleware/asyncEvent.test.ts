@@ -19,6 +19,7 @@
 import fetchMock from 'fetch-mock';
 import WS from 'jest-websocket-mock';
 import { parseErrorJson, isFeatureEnabled } from '@superset-ui/core';
+import { waitFor } from 'spec/helpers/testing-library';
 import * as asyncEvent from 'src/middleware/asyncEvent';
 
 jest.mock('@superset-ui/core', () => ({
@@ -86,6 +87,7 @@ describe('asyncEvent middleware', () => {
 
   const EVENTS_ENDPOINT = 'glob:*/api/v1/async_event/*';
   const CACHED_DATA_ENDPOINT = 'glob:*/api/v1/chart/data/*';
+  const TOKEN_ENDPOINT = 'glob:*/api/v1/async_event/token';
 
   beforeEach(async () => {
     mockedIsFeatureEnabled.mockImplementation(
@@ -237,6 +239,150 @@ describe('asyncEvent middleware', () => {
       expect(fetchMock.calls(EVENTS_ENDPOINT)).toHaveLength(0);
     });
 
+    it('broadcasts typed events to their subscribers', async () => {
+      await wsServer.connected;
+      const listener = jest.fn();
+      const removeListener = asyncEvent.addEventTypeListener(
+        'sqllab_query',
+        listener,
+      );
+      const queryEvent = {
+        ...asyncDoneEvent,
+        type: 'sqllab_query',
+        query: { id: 'foo123', state: 'success' },
+      };
+
+      wsServer.send(JSON.stringify(queryEvent));
+      removeListener();
+      wsServer.send(JSON.stringify(queryEvent));
+
+      expect(listener).toHaveBeenCalledTimes(1);
+      expect(listener).toHaveBeenCalledWith(queryEvent);
+      expect(fetchMock.calls(CACHED_DATA_ENDPOINT)).toHaveLength(0);
+    });
+
+    it('notifies the connection listeners', async () => {
+      const listener = jest.fn();
+      asyncEvent.addConnectionListener(listener);
+      await wsServer.connected;
+      expect(asyncEvent.isConnected()).toBe(true);
+
+      wsServer.close();
+      await wsServer.closed;
+
+      expect(asyncEvent.isConnected()).toBe(false);
+      expect(listener).toHaveBeenLastCalledWith(false);
+    });
+
+    it('reconnects after the delay hinted by the server', async () => {
+      const setTimeoutSpy = jest.spyOn(window, 'setTimeout');
+      await wsServer.connected;
+
+      wsServer.close({
+        code: 1012,
+        reason: JSON.stringify({ reconnect_after_ms: 7000 }),
+        wasClean: true,
+      });
+      await wsServer.closed;
+
+      expect(setTimeoutSpy).toHaveBeenCalledWith(expect.any(Function), 7000);
+      setTimeoutSpy.mockRestore();
+    });
+
+    it('reconnects after the default delay without a hint', async () => {
+      const setTimeoutSpy = jest.spyOn(window, 'setTimeout');
+      await wsServer.connected;
+
+      wsServer.close({ code: 1006, reason: '', wasClean: false });
+      await wsServer.closed;
+
+      expect(setTimeoutSpy).toHaveBeenCalledWith(expect.any(Function), 2500);
+      setTimeoutSpy.mockRestore();
+    });
+
+    it('reconnects with a refreshed token when the server asks for it', async () => {
+      const setTimeoutSpy = jest.spyOn(window, 'setTimeout');
+      fetchMock.post(TOKEN_ENDPOINT, {
+        status: 200,
+        body: { result: { expires_at: 1700000000 } },
+      });
+      const listener = jest.fn();
+      const removeListener = asyncEvent.addEventTypeListener(
+        'sqllab_query',
+        listener,
+      );
+      const queryEvent = {
+        ...asyncDoneEvent,
+        type: 'sqllab_query',
+        query: { id: 'foo123', state: 'success' },
+      };
+      await wsServer.connected;
+
+      wsServer.send(
+        JSON.stringify([
+          queryEvent,
+          { type: 'auth_required', expires_at: 1700000000000 },
+        ]),
+      );
+
+      await waitFor(() => expect(asyncEvent.isConnected()).toBe(false));
+      removeListener();
+      expect(listener).toHaveBeenCalledTimes(1);
+      expect(listener).toHaveBeenCalledWith(queryEvent);
+      await waitFor(() =>
+        expect(setTimeoutSpy).toHaveBeenCalledWith(expect.any(Function), 0),
+      );
+      expect(fetchMock.calls(TOKEN_ENDPOINT)).toHaveLength(1);
+      setTimeoutSpy.mockRestore();
+    });
+
+    it('refreshes the token before reconnecting when it expired', async () => {
+      fetchMock.post(
+        TOKEN_ENDPOINT,
+        () =>
+          new Promise(resolve =>
+            setTimeout(
+              () =>
+                resolve({
+                  status: 200,
+                  body: { result: { expires_at: 1700000000 } },
+                }),
+              50,
+            ),
+          ),
+      );
+      await wsServer.connected;
+
+      wsServer.close({ code: 4001, reason: 'Token expired', wasClean: true });
+      await wsServer.closed;
+      wsServer = new WS(config.GLOBAL_ASYNC_QUERIES_WEBSOCKET_URL);
+
+      await wsServer.connected;
+      expect(fetchMock.calls(TOKEN_ENDPOINT)).toHaveLength(1);
+    });
+
+    it('processes batches of events', async () => {
+      await wsServer.connected;
+      const listener = jest.fn();
+      const removeListener = asyncEvent.addEventTypeListener(
+        'sqllab_query',
+        listener,
+      );
+      const queryEvents = [1, 2].map(i => ({
+        ...asyncDoneEvent,
+        id: `151895148010${i}-0`,
+        type: 'sqllab_query',
+        query: { id: `query${i}`, state: 'success' },
+      }));
+
+      wsServer.send(JSON.stringify(queryEvents));
+      removeListener();
+
+      expect(listener).toHaveBeenCalledTimes(2);
+      expect(listener).toHaveBeenNthCalledWith(1, queryEvents[0]);
+      expect(listener).toHaveBeenNthCalledWith(2, queryEvents[1]);
+    });
+
     it('resolves when events are received before listener', async () => {
       await wsServer.connected;
 
@@ -37,6 +37,9 @@ type AsyncEvent = {
   status: string;
   errors?: SupersetError[];
   result_url: string | null;
+  // typed events are broadcast to their subscribers instead of a job listener
+  type?: string;
+  query?: Record<string, any>;
 };
 
 type CachedDataResponse = {
@@ -45,6 +48,8 @@ type CachedDataResponse = {
 };
 type AppConfig = Record<string, any>;
 type ListenerFn = (asyncEvent: AsyncEvent) => Promise<any>;
+type EventTypeListenerFn = (asyncEvent: AsyncEvent) => void;
+type ConnectionListenerFn = (connected: boolean) => void;
 
 const TRANSPORT_POLLING = 'polling';
 const TRANSPORT_WS = 'ws';
@@ -56,6 +61,7 @@ const JOB_STATUS = {
 };
 const LOCALSTORAGE_KEY = 'last_async_event_id';
 const POLLING_URL = '/api/v1/async_event/';
+const TOKEN_URL = '/api/v1/async_event/token';
 const MAX_RETRIES = 6;
 const RETRY_DELAY = 100;
 
@@ -66,6 +72,9 @@ let pollingTimeoutId: number;
 let listenersByJobId: Record<string, ListenerFn>;
 let retriesByJobId: Record<string, number>;
 let lastReceivedEventId: string | null | undefined;
+const listenersByEventType: Record<string, Set<EventTypeListenerFn>> = {};
+const connectionListeners = new Set<ConnectionListenerFn>();
+let wsConnected = false;
 
 const addListener = (id: string, fn: any) => {
   listenersByJobId[id] = fn;
@@ -76,6 +85,40 @@ const removeListener = (id: string) => {
   delete listenersByJobId[id];
 };
 
+/**
+ * Subscribes to the events of the given type, e.g. the SQL Lab query updates.
+ * Returns a function removing the subscription.
+ */
+export const addEventTypeListener = (type: string, fn: EventTypeListenerFn) => {
+  if (!listenersByEventType[type]) listenersByEventType[type] = new Set();
+  listenersByEventType[type].add(fn);
+  return () => {
+    listenersByEventType[type].delete(fn);
+  };
+};
+
+/**
+ * Returns whether events are currently pushed over the WebSocket transport.
+ */
+export const isConnected = () => wsConnected;
+
+/**
+ * Subscribes to the WebSocket connection going up or down.
+ * Returns a function removing the subscription.
+ */
+export const addConnectionListener = (fn: ConnectionListenerFn) => {
+  connectionListeners.add(fn);
+  return () => {
+    connectionListeners.delete(fn);
+  };
+};
+
+const setConnected = (connected: boolean) => {
+  if (wsConnected === connected) return;
+  wsConnected = connected;
+  connectionListeners.forEach(listener => listener(connected));
+};
+
 const fetchCachedData = async (
   asyncEvent: AsyncEvent,
 ): Promise<CachedDataResponse> => {
@@ -142,6 +185,15 @@ const setLastId = (asyncEvent: AsyncEvent) => {
 
 export const processEvents = async (events: AsyncEvent[]) => {
   events.forEach((asyncEvent: AsyncEvent) => {
+    if (asyncEvent.type) {
+      // the channel is shared by every page of the session, the events of a
+      // type nobody subscribed to on this page are simply skipped
+      listenersByEventType[asyncEvent.type]?.forEach(listener =>
+        listener(asyncEvent),
+      );
+      setLastId(asyncEvent);
+      return;
+    }
     const jobId = asyncEvent.job_id;
     const listener = listenersByJobId[jobId];
     if (listener) {
@@ -184,10 +236,54 @@ const loadEventsFromApi = async () => {
 
 const wsConnectMaxRetries = 6;
 const wsConnectErrorDelay = 2500;
+// sent by the WebSocket server when shutting down, with the delay after which
+// to reconnect in the close reason
+const WS_SERVICE_RESTART_CODE = 1012;
+// sent by the WebSocket server when the token expired without a refresh
+const WS_TOKEN_EXPIRED_CODE = 4001;
+// sent to the WebSocket server to reconnect with a refreshed token cookie
+const WS_TOKEN_REFRESHED_CODE = 4000;
+// sent by the WebSocket server when the token is about to expire
+const WS_AUTH_REQUIRED_MESSAGE = 'auth_required';
 let wsConnectRetries = 0;
 let wsConnectTimeout: any;
 let ws: WebSocket;
 
+/**
+ * Returns the reconnect delay hinted by the server in a close event, if any.
+ * The hint is spread by the server so that its clients do not all reconnect
+ * at once.
+ */
+const getReconnectDelay = (event: CloseEvent): number | null => {
+  if (event.code === WS_TOKEN_REFRESHED_CODE) return 0;
+  if (event.code !== WS_SERVICE_RESTART_CODE) return null;
+  try {
+    const delay = Number(JSON.parse(event.reason).reconnect_after_ms);
+    return Number.isFinite(delay) && delay >= 0 ? delay : null;
+  } catch (err) {
+    return null;
+  }
+};
+
+const fetchToken = makeApi<void, { result: { expires_at: number | null } }>({
+  method: 'POST',
+  endpoint: TOKEN_URL,
+});
+
+/**
+ * Rotates the token cookie, which the WebSocket server reads when connecting.
+ * Returns whether the token was refreshed.
+ */
+const refreshToken = async (): Promise<boolean> => {
+  try {
+    await fetchToken();
+    return true;
+  } catch (err) {
+    logging.warn('Failed to refresh the async events token', err);
+    return false;
+  }
+};
+
 const wsConnect = (): void => {
   let url = config.GLOBAL_ASYNC_QUERIES_WEBSOCKET_URL;
   if (lastReceivedEventId) url += `?last_id=${lastReceivedEventId}`;
@@ -197,18 +293,25 @@ const wsConnect = (): void => {
     logging.log('WebSocket connected');
     clearTimeout(wsConnectTimeout);
     wsConnectRetries = 0;
+    setConnected(true);
   });
 
-  ws.addEventListener('close', () => {
+  ws.addEventListener('close', async event => {
+    setConnected(false);
+    let reconnectDelay = getReconnectDelay(event);
+    if (event.code === WS_TOKEN_EXPIRED_CODE && (await refreshToken())) {
+      reconnectDelay = 0;
+    }
     wsConnectTimeout = setTimeout(() => {
-      wsConnectRetries += 1;
+      // a server restart is not a failure to connect
+      if (reconnectDelay === null) wsConnectRetries += 1;
       if (wsConnectRetries <= wsConnectMaxRetries) {
         wsConnect();
       } else {
         logging.warn('WebSocket not available, falling back to async polling');
         loadEventsFromApi();
       }
-    }, wsConnectErrorDelay);
+    }, reconnectDelay ?? wsConnectErrorDelay);
   });
 
   ws.addEventListener('error', () => {
@@ -217,10 +320,22 @@ const wsConnect = (): void => {
   });
 
   ws.addEventListener('message', async event => {
-    let events: AsyncEvent[] = [];
     try {
-      events = [JSON.parse(event.data)];
+      // the server may batch the events arriving close together, along with
+      // its request to re-authenticate
+      const messages = ensureIsArray(JSON.parse(event.data));
+      const events: AsyncEvent[] = messages.filter(
+        message => message?.type !== WS_AUTH_REQUIRED_MESSAGE,
+      );
       await processEvents(events);
+      // reconnects with the new token, from the last received event
+      if (
+        events.length < messages.length &&
+        (await refreshToken()) &&
+        ws.readyState === WebSocket.OPEN
+      ) {
+        ws.close(WS_TOKEN_REFRESHED_CODE, 'Token refreshed');
+      }
     } catch (err) {
       logging.warn(err);
     }
@@ -77,7 +77,7 @@ test('is valid', () => {
 test('fetches initial data and renders', async () => {
   expect(fetchMock.calls(sqlLabInitialStateApiRoute).length).toBe(0);
   const storeWithSqlLab = createStore({}, reducers);
-  const { getByTestId } = render(<SqlLab />, {
+  const { findByTestId } = render(<SqlLab />, {
     useRedux: true,
     useRouter: true,
     store: storeWithSqlLab,
@@ -87,7 +87,8 @@ test('fetches initial data and renders', async () => {
     expect(fetchMock.calls(sqlLabInitialStateApiRoute).length).toBe(1),
   );
 
-  expect(getByTestId('mock-sqllab-app')).toBeInTheDocument();
+  // the state persisted in the browser is loaded asynchronously
+  expect(await findByTestId('mock-sqllab-app')).toBeInTheDocument();
   const { sqlLab } = getInitialState(expectedResult);
   expect(storeWithSqlLab.getState()).toEqual(
     expect.objectContaining({
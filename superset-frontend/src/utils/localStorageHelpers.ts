@@ -17,6 +17,9 @@
  * under the License.
  */
 
+import type { QueryResponse } from '@superset-ui/core';
+import type { SqlSnippet } from 'src/SqlLab/types';
+import type { KeyBindings } from 'src/SqlLab/utils/keyBindings';
 import { TableTab } from 'src/views/CRUD/types';
 import { DashboardContextForExplore } from 'src/types/DashboardContextForExplore';
 
@@ -51,6 +54,9 @@ export enum LocalStorageKeys {
    */
   SqllabIsAutocompleteEnabled = 'sqllab__is_autocomplete_enabled',
   SqllabIsRenderHtmlEnabled = 'sqllab__is_render_html_enabled',
+  SqllabOfflineQueue = 'sqllab__offline_queue',
+  SqllabSnippets = 'sqllab__snippets',
+  SqllabKeyBindings = 'sqllab__key_bindings',
   ExploreDataTableOriginalFormattedTimeColumns = 'explore__data_table_original_formatted_time_columns',
   DashboardCustomFilterBarWidths = 'dashboard__custom_filter_bar_widths',
   DashboardExploreContext = 'dashboard__explore_context',
@@ -71,6 +77,9 @@ export type LocalStorageValues = {
   homepage_activity_filter: TableTab | null;
   sqllab__is_autocomplete_enabled: boolean;
   sqllab__is_render_html_enabled: boolean;
+  sqllab__offline_queue: Record<string, QueryResponse[]>;
+  sqllab__snippets: Record<string, SqlSnippet[]>;
+  sqllab__key_bindings: Record<string, KeyBindings>;
   explore__data_table_original_formatted_time_columns: Record<string, string[]>;
   dashboard__custom_filter_bar_widths: Record<string, number>;
   dashboard__explore_context: Record<string, DashboardContextForExplore>;
@@ -35,11 +35,13 @@ import dashboardDatasources from 'src/dashboard/reducers/datasources';
 import sliceEntities from 'src/dashboard/reducers/sliceEntities';
 import dashboardLayout from 'src/dashboard/reducers/undoableDashboardLayout';
 import logger from 'src/middleware/loggerMiddleware';
+import { embeddedEventsMiddleware } from 'src/embedded/embeddedEventsMiddleware';
 import saveModal from 'src/explore/reducers/saveModalReducer';
 import explore from 'src/explore/reducers/exploreReducer';
 import exploreDatasources from 'src/explore/reducers/datasourcesReducer';
 
 import { persistSqlLabStateEnhancer } from 'src/SqlLab/middlewares/persistSqlLabStateEnhancer';
+import { crossTabSyncMiddleware } from 'src/SqlLab/middlewares/crossTabSyncMiddleware';
 import sqlLabReducer from 'src/SqlLab/reducers/sqlLab';
 import getInitialState from 'src/SqlLab/reducers/getInitialState';
 import { DatasourcesState } from 'src/dashboard/types';
@@ -84,6 +86,10 @@ export const userReducer = (
   return user;
 };
 
+// the host app of an embedded dashboard is told about its interactions. This
+// runs ahead of the logger, which swallows LOG_EVENT actions.
+const embedded = bootstrapData.embedded ? [embeddedEventsMiddleware] : [];
+
 const getMiddleware: ConfigureStoreOptions['middleware'] =
   getDefaultMiddleware =>
     process.env.REDUX_DEFAULT_MIDDLEWARE
@@ -97,8 +103,8 @@ const getMiddleware: ConfigureStoreOptions['middleware'] =
             ignoredPaths: [/queryController/g],
             warnAfter: 200,
           },
-        }).concat(logger, api.middleware)
-      : [thunk, logger, api.middleware];
+        }).concat(...embedded, logger, api.middleware, crossTabSyncMiddleware)
+      : [thunk, ...embedded, logger, api.middleware, crossTabSyncMiddleware];
 
 // TODO: This reducer is a combination of the Dashboard and Explore reducers.
 // The correct way of handling this is to unify the actions and reducers from both
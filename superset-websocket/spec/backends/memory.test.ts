@@ -0,0 +1,113 @@
+/**
+ * Licensed to the Apache Software Foundation (ASF) under one
+ * or more contributor license agreements.  See the NOTICE file
+ * distributed with this work for additional information
+ * regarding copyright ownership.  The ASF licenses this file
+ * to you under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance
+ * with the License.  You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an
+ * "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+ * KIND, either express or implied.  See the License for the
+ * specific language governing permissions and limitations
+ * under the License.
+ */
+import { describe, expect, test } from '@jest/globals';
+import { MemoryEventBackend } from '../../src/backends';
+
+const event = (channel_id: string, job_id: string) => ({ channel_id, job_id });
+
+describe('MemoryEventBackend', () => {
+  test('fetchRange returns the events of a channel within the range', async () => {
+    const backend = new MemoryEventBackend();
+    const first = backend.publish(event('a', '1'));
+    backend.publish(event('b', '2'));
+    const third = backend.publish(event('a', '3'));
+
+    const all = await backend.fetchRange('a', '-', '+');
+    expect(all.map(([id]) => id)).toEqual([first, third]);
+    expect(all[1][1]).toEqual(['data', JSON.stringify(event('a', '3'))]);
+
+    const fromThird = await backend.fetchRange('a', third, '+');
+    expect(fromThird.map(([id]) => id)).toEqual([third]);
+
+    const untilFirst = await backend.fetchRange('a', '-', first);
+    expect(untilFirst.map(([id]) => id)).toEqual([first]);
+
+    expect(await backend.fetchRange('c', '-', '+')).toEqual([]);
+  });
+
+  test('fetchRange accepts incomplete IDs', async () => {
+    const backend = new MemoryEventBackend();
+    const id = backend.publish(event('a', '1'));
+    const [ms] = id.split('-');
+
+    expect(await backend.fetchRange('a', ms, ms)).toHaveLength(1);
+    expect(await backend.fetchRange('a', String(Number(ms) + 1), '+')).toEqual(
+      [],
+    );
+  });
+
+  test('generates increasing IDs', () => {
+    const backend = new MemoryEventBackend();
+    const ids = [1, 2, 3].map(i => backend.publish(event('a', String(i))));
+    const parsed = ids.map(id => id.split('-').map(Number));
+    for (let i = 1; i < parsed.length; i += 1) {
+      const [ms, seq] = parsed[i];
+      const [prevMs, prevSeq] = parsed[i - 1];
+      expect(ms > prevMs || (ms === prevMs && seq > prevSeq)).toBe(true);
+    }
+  });
+
+  test('readGlobal returns the events after the last ID', async () => {
+    const backend = new MemoryEventBackend();
+    const first = backend.publish(event('a', '1'));
+    const second = backend.publish(event('b', '2'));
+    const third = backend.publish(event('a', '3'));
+
+    const results = await backend.readGlobal('0', 10, 100);
+    expect(results.map(([id]) => id)).toEqual([first, second, third]);
+
+    const after = await backend.readGlobal(first, 1, 100);
+    expect(after.map(([id]) => id)).toEqual([second]);
+  });
+
+  test('readGlobal waits for new events', async () => {
+    const backend = new MemoryEventBackend();
+    backend.publish(event('a', '1'));
+
+    const pending = backend.readGlobal('$', 10, 5000);
+    const id = backend.publish(event('a', '2'));
+
+    const results = await pending;
+    expect(results.map(([resultId]) => resultId)).toEqual([id]);
+  });
+
+  test('readGlobal times out without new events', async () => {
+    const backend = new MemoryEventBackend();
+    expect(await backend.readGlobal('$', 10, 10)).toEqual([]);
+  });
+
+  test('close releases pending reads', async () => {
+    const backend = new MemoryEventBackend();
+    const pending = backend.readGlobal('$', 10, 5000);
+    await backend.close();
+    expect(await pending).toEqual([]);
+  });
+
+  test('keeps the last events of each stream', async () => {
+    const backend = new MemoryEventBackend(2);
+    backend.publish(event('a', '1'));
+    const second = backend.publish(event('a', '2'));
+    const third = backend.publish(event('a', '3'));
+
+    const channel = await backend.fetchRange('a', '-', '+');
+    expect(channel.map(([id]) => id)).toEqual([second, third]);
+    const global = await backend.readGlobal('0', 10, 10);
+    expect(global.map(([id]) => id)).toEqual([second, third]);
+  });
+});
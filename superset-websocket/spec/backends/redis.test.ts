@@ -0,0 +1,140 @@
+/**
+ * Licensed to the Apache Software Foundation (ASF) under one
+ * or more contributor license agreements.  See the NOTICE file
+ * distributed with this work for additional information
+ * regarding copyright ownership.  The ASF licenses this file
+ * to you under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance
+ * with the License.  You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an
+ * "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+ * KIND, either express or implied.  See the License for the
+ * specific language governing permissions and limitations
+ * under the License.
+ */
+import { describe, expect, test, beforeEach } from '@jest/globals';
+
+const mockRedis = jest.fn();
+const mockCluster = jest.fn();
+
+jest.mock('ioredis', () => {
+  const Redis = jest.fn().mockImplementation((...args) => mockRedis(...args));
+  Object.assign(Redis, {
+    Cluster: jest.fn().mockImplementation((...args) => mockCluster(...args)),
+  });
+  return Redis;
+});
+
+import { createRedisClient, RedisEventBackend } from '../../src/backends/redis';
+import { RedisConfig } from '../../src/config';
+
+const baseConfig: RedisConfig = {
+  port: 6379,
+  host: '127.0.0.1',
+  username: 'user',
+  password: 'secret',
+  db: 1,
+  ssl: false,
+  validateHostname: false,
+};
+
+describe('createRedisClient', () => {
+  beforeEach(() => {
+    mockRedis.mockReset();
+    mockCluster.mockReset();
+  });
+
+  test('standalone', () => {
+    createRedisClient({ ...baseConfig, mode: 'standalone' });
+    expect(mockRedis).toHaveBeenCalledWith({
+      port: 6379,
+      host: '127.0.0.1',
+      db: 1,
+      username: 'user',
+      password: 'secret',
+    });
+    expect(mockCluster).not.toHaveBeenCalled();
+  });
+
+  test('sentinel', () => {
+    const sentinels = [{ host: '10.0.0.1', port: 26379 }];
+    createRedisClient({
+      ...baseConfig,
+      mode: 'sentinel',
+      sentinels,
+      sentinelName: 'mymaster',
+      sentinelPassword: '',
+    });
+    expect(mockRedis).toHaveBeenCalledWith(
+      expect.objectContaining({
+        sentinels,
+        name: 'mymaster',
+        sentinelPassword: undefined,
+        password: 'secret',
+        db: 1,
+      }),
+    );
+  });
+
+  test('cluster', () => {
+    const clusterNodes = [
+      { host: '10.0.0.1', port: 6379 },
+      { host: '10.0.0.2', port: 6379 },
+    ];
+    createRedisClient({ ...baseConfig, mode: 'cluster', clusterNodes });
+    expect(mockCluster).toHaveBeenCalledWith(clusterNodes, {
+      redisOptions: { username: 'user', password: 'secret' },
+    });
+    expect(mockRedis).not.toHaveBeenCalled();
+  });
+});
+
+describe('RedisEventBackend', () => {
+  const xrange = jest.fn();
+  const xread = jest.fn();
+  const quit = jest.fn();
+  const client = { xrange, xread, quit };
+  // eslint-disable-next-line @typescript-eslint/no-explicit-any
+  const backend = new RedisEventBackend(client as any, 'prefix-');
+
+  beforeEach(() => {
+    xrange.mockReset();
+    xread.mockReset();
+  });
+
+  test('fetchRange reads the channel stream', async () => {
+    xrange.mockResolvedValueOnce([['1-0', ['data', '{}']]]);
+    expect(await backend.fetchRange('abc', '-', '+')).toEqual([
+      ['1-0', ['data', '{}']],
+    ]);
+    expect(xrange).toHaveBeenCalledWith('prefix-abc', '-', '+');
+  });
+
+  test('readGlobal reads the global stream', async () => {
+    xread.mockResolvedValueOnce([['prefix-full', [['1-0', ['data', '{}']]]]]);
+    expect(await backend.readGlobal('$', 10, 5000)).toEqual([
+      ['1-0', ['data', '{}']],
+    ]);
+    expect(xread).toHaveBeenCalledWith(
+      'BLOCK',
+      5000,
+      'COUNT',
+      10,
+      'STREAMS',
+      'prefix-full',
+      '$',
+    );
+
+    xread.mockResolvedValueOnce(null);
+    expect(await backend.readGlobal('1-0', 10, 5000)).toEqual([]);
+  });
+
+  test('close quits the client', async () => {
+    await backend.close();
+    expect(quit).toHaveBeenCalled();
+  });
+});
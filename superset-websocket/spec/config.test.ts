@@ -73,3 +73,42 @@ test('buildConfig() performs deep merge between configs', () => {
   // We overrode the pwd
   expect(config.redis.password).toEqual('some pwd');
 });
+
+test('buildConfig() applies event backend and Redis topology overrides', () => {
+  let config = buildConfig();
+
+  expect(config.eventBackend).toEqual('redis');
+  expect(config.redis.mode).toEqual('standalone');
+
+  process.env.EVENT_BACKEND = 'memory';
+  process.env.MEMORY_BACKEND_INGEST_TOKEN = 'ingest-secret';
+  process.env.REDIS_MODE = 'sentinel';
+  process.env.REDIS_SENTINELS = '10.0.0.1,10.0.0.2:26380';
+  process.env.REDIS_SENTINEL_NAME = 'primary';
+  process.env.REDIS_SENTINEL_PASSWORD = 'sentinel pwd';
+  process.env.REDIS_CLUSTER_NODES = '10.0.1.1:7000, 10.0.1.2';
+
+  config = buildConfig();
+
+  expect(config.eventBackend).toEqual('memory');
+  expect(config.memoryBackend.ingestToken).toEqual('ingest-secret');
+  expect(config.redis.mode).toEqual('sentinel');
+  expect(config.redis.sentinels).toEqual([
+    { host: '10.0.0.1', port: 26379 },
+    { host: '10.0.0.2', port: 26380 },
+  ]);
+  expect(config.redis.sentinelName).toEqual('primary');
+  expect(config.redis.sentinelPassword).toEqual('sentinel pwd');
+  expect(config.redis.clusterNodes).toEqual([
+    { host: '10.0.1.1', port: 7000 },
+    { host: '10.0.1.2', port: 6379 },
+  ]);
+
+  delete process.env.EVENT_BACKEND;
+  delete process.env.MEMORY_BACKEND_INGEST_TOKEN;
+  delete process.env.REDIS_MODE;
+  delete process.env.REDIS_SENTINELS;
+  delete process.env.REDIS_SENTINEL_NAME;
+  delete process.env.REDIS_SENTINEL_PASSWORD;
+  delete process.env.REDIS_CLUSTER_NODES;
+});
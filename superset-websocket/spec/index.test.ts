@@ -22,6 +22,7 @@ const config = require('../config.test.json');
 import { describe, expect, test, beforeEach, afterEach } from '@jest/globals';
 import * as http from 'http';
 import * as net from 'net';
+import { Readable } from 'stream';
 import { WebSocket } from 'ws';
 
 // NOTE: these mock variables needs to start with "mock" due to
@@ -57,6 +58,7 @@ const streamReturnValue: server.StreamResult[] = [
 
 import * as server from '../src/index';
 import { statsd } from '../src/index';
+import { MemoryEventBackend } from '../src/backends';
 
 describe('server', () => {
   let statsdIncrementMock: jest.SpyInstance;
@@ -129,6 +131,215 @@ describe('server', () => {
       expect(endMock).toHaveBeenCalledTimes(1);
       expect(endMock).toHaveBeenLastCalledWith('Not Found');
     });
+
+    const sendRequest = (url: string, headers: Record<string, string> = {}) => {
+      const endMock = jest.fn();
+      const writeHeadMock = jest.fn();
+      const request = {
+        url,
+        method: 'GET',
+        headers: { host: 'example.com', ...headers },
+      };
+      const response = { writeHead: writeHeadMock, end: endMock };
+
+      server.httpRequest(
+        request as unknown as http.IncomingMessage,
+        response as unknown as http.ServerResponse<http.IncomingMessage>,
+      );
+      return { endMock, writeHeadMock };
+    };
+
+    describe('metrics', () => {
+      beforeEach(() => {
+        server.opts.statusToken = 'status-secret';
+      });
+
+      afterEach(() => {
+        server.opts.statusToken = '';
+      });
+
+      test('exposes Prometheus metrics', () => {
+        const ws = new wsMock('localhost');
+        const sendMock = jest.spyOn(ws, 'send');
+        server.trackClient(channelId, { ws, channel: channelId, pongTs: 0 });
+        server.sendToChannel(channelId, {
+          id: '1615426152415-0',
+          channel_id: channelId,
+          job_id: 'abc',
+          status: 'done',
+        });
+
+        const { endMock, writeHeadMock } = sendRequest('/metrics', {
+          authorization: 'Bearer status-secret',
+        });
+
+        expect(sendMock).toHaveBeenCalled();
+        expect(writeHeadMock).toHaveBeenLastCalledWith(200, {
+          'Content-Type': 'text/plain; version=0.0.4; charset=utf-8',
+        });
+        const body = endMock.mock.calls[0][0];
+        expect(body).toContain('superset_ws_sockets 1');
+        expect(body).toContain('superset_ws_channels 1');
+        expect(body).toContain('superset_ws_messages_sent_total 1');
+        expect(body).not.toContain(channelId);
+        expect(body).toContain('# TYPE superset_ws_stream_lag_seconds gauge');
+      });
+
+      test('requires the status token', () => {
+        const { writeHeadMock } = sendRequest('/metrics', {
+          authorization: 'Bearer wrong',
+        });
+        expect(writeHeadMock).toHaveBeenLastCalledWith(401, {
+          'WWW-Authenticate': 'Bearer',
+        });
+      });
+
+      test('is disabled without a status token', () => {
+        server.opts.statusToken = '';
+        const { writeHeadMock } = sendRequest('/metrics');
+        expect(writeHeadMock).toHaveBeenLastCalledWith(404);
+      });
+    });
+
+    describe('status', () => {
+      beforeEach(() => {
+        server.opts.statusToken = 'status-secret';
+      });
+
+      afterEach(() => {
+        server.opts.statusToken = '';
+      });
+
+      test('lists the live channels', () => {
+        const ws = new wsMock('localhost');
+        server.trackClient(channelId, { ws, channel: channelId, pongTs: 0 });
+        server.trackClient(channelId, { ws, channel: channelId, pongTs: 0 });
+        server.sendToChannel(channelId, {
+          id: '1615426152415-0',
+          channel_id: channelId,
+          job_id: 'abc',
+          status: 'done',
+        });
+
+        const { endMock, writeHeadMock } = sendRequest('/status', {
+          authorization: 'Bearer status-secret',
+        });
+
+        expect(writeHeadMock).toHaveBeenLastCalledWith(200, {
+          'Content-Type': 'application/json',
+        });
+        expect(JSON.parse(endMock.mock.calls[0][0])).toEqual({
+          socketCount: 2,
+          channelCount: 1,
+          lastFirehoseId: '$',
+          channels: [{ id: channelId, socketCount: 2, messagesSent: 2 }],
+        });
+      });
+
+      test('requires the status token', () => {
+        const missing = sendRequest('/status');
+        expect(missing.writeHeadMock).toHaveBeenLastCalledWith(401, {
+          'WWW-Authenticate': 'Bearer',
+        });
+
+        const invalid = sendRequest('/status', {
+          authorization: 'Bearer wrong',
+        });
+        expect(invalid.writeHeadMock).toHaveBeenLastCalledWith(401, {
+          'WWW-Authenticate': 'Bearer',
+        });
+      });
+
+      test('is disabled without a status token', () => {
+        server.opts.statusToken = '';
+        const { writeHeadMock } = sendRequest('/status', {
+          authorization: 'Bearer ',
+        });
+        expect(writeHeadMock).toHaveBeenLastCalledWith(404);
+      });
+    });
+
+    describe('events ingest', () => {
+      let redisBackend: typeof server.eventBackend;
+      let backend: MemoryEventBackend;
+
+      const postEvent = (body: string, token = 'ingest-secret') =>
+        new Promise<{ writeHeadMock: jest.Mock; endMock: jest.Mock }>(
+          resolve => {
+            const writeHeadMock = jest.fn();
+            const endMock: jest.Mock = jest.fn(() =>
+              resolve({ writeHeadMock, endMock }),
+            );
+            const request = Object.assign(Readable.from([Buffer.from(body)]), {
+              url: '/events',
+              method: 'POST',
+              headers: {
+                host: 'example.com',
+                authorization: `Bearer ${token}`,
+              },
+            });
+            server.httpRequest(
+              request as unknown as http.IncomingMessage,
+              {
+                writeHead: writeHeadMock,
+                end: endMock,
+              } as unknown as http.ServerResponse<http.IncomingMessage>,
+            );
+          },
+        );
+
+      beforeEach(() => {
+        redisBackend = server.eventBackend;
+        backend = new MemoryEventBackend();
+        server.setEventBackend(backend);
+        server.opts.memoryBackend.ingestToken = 'ingest-secret';
+      });
+
+      afterEach(() => {
+        server.setEventBackend(redisBackend);
+        server.opts.memoryBackend.ingestToken = '';
+      });
+
+      test('publishes the event to the memory backend', async () => {
+        const event = { channel_id: channelId, job_id: 'abc', status: 'done' };
+
+        const { writeHeadMock, endMock } = await postEvent(
+          JSON.stringify(event),
+        );
+
+        expect(writeHeadMock).toHaveBeenLastCalledWith(201, {
+          'Content-Type': 'application/json',
+        });
+        const { id } = JSON.parse(endMock.mock.calls[0][0]);
+        expect(await backend.fetchRange(channelId, '-', '+')).toEqual([
+          [id, ['data', JSON.stringify(event)]],
+        ]);
+      });
+
+      test('requires a channel_id', async () => {
+        const { writeHeadMock } = await postEvent('{"job_id": "abc"}');
+        expect(writeHeadMock).toHaveBeenLastCalledWith(400);
+        expect(await backend.fetchRange(channelId, '-', '+')).toEqual([]);
+      });
+
+      test('requires the ingest token', async () => {
+        const { writeHeadMock } = await postEvent(
+          JSON.stringify({ channel_id: channelId }),
+          'wrong',
+        );
+        expect(writeHeadMock).toHaveBeenLastCalledWith(401, {
+          'WWW-Authenticate': 'Bearer',
+        });
+      });
+
+      test('is disabled with the Redis backend', async () => {
+        server.setEventBackend(redisBackend);
+        const { writeHeadMock } = await postEvent(
+          JSON.stringify({ channel_id: channelId }),
+        );
+        expect(writeHeadMock).toHaveBeenLastCalledWith(404);
+      });
+    });
   });
 
   describe('incrementId', () => {
@@ -258,6 +469,137 @@ describe('server', () => {
     });
   });
 
+  describe('subscriptions', () => {
+    test('sends the events the sockets subscribed to', () => {
+      const ws = new wsMock('localhost');
+      const sendMock = jest.spyOn(ws, 'send');
+      const ws2 = new wsMock('localhost');
+      const sendMock2 = jest.spyOn(ws2, 'send');
+      server.trackClient(channelId, { ws, channel: channelId, pongTs: 0 });
+      server.trackClient(channelId, {
+        ws: ws2,
+        channel: channelId,
+        pongTs: 0,
+        subscriptions: {
+          eventTypes: new Set(['sqllab_query']),
+          jobIds: new Set(['f1e5bb1f-f2f1-4f21-9b2f-c9b91dcc9b59']),
+        },
+      });
+
+      server.processStreamResults(streamReturnValue);
+      server.sendToChannel(channelId, {
+        id: '1615426152617-0',
+        channel_id: channelId,
+        job_id: 'abc',
+        status: 'done',
+        type: 'sqllab_query',
+        query: { id: 'abc', state: 'success' },
+      });
+
+      expect(sendMock).toHaveBeenCalledTimes(3);
+      expect(sendMock2).toHaveBeenCalledTimes(2);
+      expect(JSON.parse(String(sendMock2.mock.calls[0][0])).job_id).toBe(
+        'f1e5bb1f-f2f1-4f21-9b2f-c9b91dcc9b59',
+      );
+      expect(JSON.parse(String(sendMock2.mock.calls[1][0])).type).toBe(
+        'sqllab_query',
+      );
+      expect(server.metrics.render()).toContain(
+        'superset_ws_messages_filtered_total 1',
+      );
+    });
+  });
+
+  describe('send queues', () => {
+    const event = (id: string) => ({
+      id,
+      channel_id: channelId,
+      job_id: 'abc',
+      status: 'done',
+    });
+    let ws: WebSocket;
+    let sendMock: jest.SpyInstance;
+    let bufferedAmount: number;
+    const { sendBatchWindowMs, socketMaxQueuedEvents } = server.opts;
+
+    beforeEach(() => {
+      jest.useFakeTimers();
+      ws = new wsMock('localhost');
+      sendMock = jest.spyOn(ws, 'send');
+      bufferedAmount = 0;
+      Object.defineProperty(ws, 'bufferedAmount', {
+        configurable: true,
+        get: () => bufferedAmount,
+      });
+      server.trackClient(channelId, { ws, channel: channelId, pongTs: 0 });
+    });
+
+    afterEach(() => {
+      server.resetState();
+      server.opts.sendBatchWindowMs = sendBatchWindowMs;
+      server.opts.socketMaxQueuedEvents = socketMaxQueuedEvents;
+      jest.useRealTimers();
+    });
+
+    test('batches the events arriving within the window', () => {
+      server.opts.sendBatchWindowMs = 20;
+
+      server.sendToChannel(channelId, event('1-0'));
+      server.sendToChannel(channelId, event('2-0'));
+      expect(sendMock).not.toHaveBeenCalled();
+
+      jest.advanceTimersByTime(20);
+      expect(sendMock).toHaveBeenCalledTimes(1);
+      expect(JSON.parse(sendMock.mock.calls[0][0])).toEqual([
+        event('1-0'),
+        event('2-0'),
+      ]);
+      expect(server.metrics.render()).toContain(
+        'superset_ws_messages_sent_total 2',
+      );
+    });
+
+    test('defers the events while the socket buffer is full', () => {
+      bufferedAmount = server.opts.socketMaxBufferedBytes;
+
+      server.sendToChannel(channelId, event('1-0'));
+      jest.advanceTimersByTime(100);
+      expect(sendMock).not.toHaveBeenCalled();
+      expect(server.metrics.render()).toContain(
+        'superset_ws_messages_deferred_total 1',
+      );
+
+      bufferedAmount = 0;
+      jest.advanceTimersByTime(100);
+      expect(sendMock).toHaveBeenCalledWith(JSON.stringify(event('1-0')));
+    });
+
+    test('disconnects slow consumers', () => {
+      server.opts.socketMaxQueuedEvents = 2;
+      const closeSpy = jest.spyOn(ws, 'close');
+      bufferedAmount = server.opts.socketMaxBufferedBytes;
+
+      server.sendToChannel(channelId, event('1-0'));
+      server.sendToChannel(channelId, event('2-0'));
+      expect(closeSpy).not.toHaveBeenCalled();
+      server.sendToChannel(channelId, event('3-0'));
+
+      expect(closeSpy).toHaveBeenCalledWith(
+        server.SLOW_CONSUMER_CLOSE_CODE,
+        'Slow consumer',
+      );
+      const metrics = server.metrics.render();
+      expect(metrics).toContain(
+        'superset_ws_slow_consumers_disconnected_total 1',
+      );
+      expect(metrics).toContain('superset_ws_messages_dropped_total 3');
+      expect(server.sendQueues).toEqual({});
+
+      jest.advanceTimersByTime(100);
+      expect(sendMock).not.toHaveBeenCalled();
+    });
+  });
+
   describe('fetchRangeFromStream', () => {
     beforeEach(() => {
       mockRedisXrange.mockClear();
@@ -315,6 +657,31 @@ describe('server', () => {
       );
       expect(cb).not.toHaveBeenCalled();
     });
+
+    test('reads from the configured event backend', async () => {
+      const redisBackend = server.eventBackend;
+      const backend = new MemoryEventBackend();
+      server.setEventBackend(backend);
+      const id = backend.publish({ channel_id: channelId, job_id: 'abc' });
+      backend.publish({ channel_id: 'other-channel', job_id: 'def' });
+
+      const cb = jest.fn();
+      await server.fetchRangeFromStream({
+        sessionId: channelId,
+        startId: '-',
+        endId: '+',
+        listener: cb,
+      });
+      server.setEventBackend(redisBackend);
+
+      expect(mockRedisXrange).not.toHaveBeenCalled();
+      expect(cb).toHaveBeenCalledWith([
+        [
+          id,
+          ['data', JSON.stringify({ channel_id: channelId, job_id: 'abc' })],
+        ],
+      ]);
+    });
   });
 
   describe('wsConnection', () => {
@@ -378,6 +745,41 @@ describe('server', () => {
       );
       expect(fetchRangeFromStreamSpy).not.toHaveBeenCalled();
       expect(wsEventMock).toHaveBeenCalledWith('pong', expect.any(Function));
+      expect(wsEventMock).toHaveBeenCalledWith('message', expect.any(Function));
+    });
+
+    test('valid JWT with subscriptions', async () => {
+      const validToken = jwt.sign({ channel: channelId }, config.jwtSecret);
+      const request = getRequest(
+        validToken,
+        'http://localhost?event_types=sqllab_query&job_ids=abc,def',
+      );
+
+      server.wsConnection(ws, request);
+
+      expect(trackClientSpy).toHaveBeenCalledWith(channelId, {
+        ...socketInstanceExpected,
+        subscriptions: {
+          eventTypes: new Set(['sqllab_query']),
+          jobIds: new Set(['abc', 'def']),
+        },
+      });
+    });
+
+    test('valid JWT with an expiry', async () => {
+      const exp = Math.floor(Date.now() / 1000) + 3600;
+      const validToken = jwt.sign(
+        { channel: channelId, exp },
+        config.jwtSecret,
+      );
+      const request = getRequest(validToken, 'http://localhost');
+
+      server.wsConnection(ws, request);
+
+      expect(trackClientSpy).toHaveBeenCalledWith(channelId, {
+        ...socketInstanceExpected,
+        expiresAt: exp * 1000,
+      });
     });
 
     test('valid JWT, with lastId', async () => {
@@ -471,6 +873,34 @@ describe('server', () => {
       expect(wssUpgradeSpy).not.toHaveBeenCalled();
     });
 
+    test('expired JWT', async () => {
+      const expiredToken = jwt.sign(
+        { channel: channelId, exp: Math.floor(Date.now() / 1000) - 60 },
+        config.jwtSecret,
+      );
+      const request = getRequest(expiredToken, 'http://localhost');
+      const ws = new wsMock('localhost');
+      const closeSpy = jest.spyOn(ws, 'close');
+      const emitSpy = jest.spyOn(server.wss, 'emit');
+      wssUpgradeSpy.mockImplementation((request, socket, head, cb) =>
+        cb(ws, request),
+      );
+
+      server.httpUpgrade(request, socket, Buffer.alloc(5));
+
+      expect(socketDestroySpy).not.toHaveBeenCalled();
+      expect(closeSpy).toHaveBeenCalledWith(
+        server.TOKEN_EXPIRED_CLOSE_CODE,
+        'Token expired',
+      );
+      expect(emitSpy).not.toHaveBeenCalledWith(
+        'connection',
+        expect.anything(),
+        expect.anything(),
+      );
+      emitSpy.mockRestore();
+    });
+
     test('valid upgrade', async () => {
       const validToken = jwt.sign({ channel: channelId }, config.jwtSecret);
       const request = getRequest(validToken, 'http://localhost');
@@ -528,6 +958,9 @@ describe('server', () => {
       expect(pingSpy).not.toHaveBeenCalled();
       expect(terminateSpy).toHaveBeenCalled();
       expect(Object.keys(server.sockets).length).toBe(0);
+      expect(server.metrics.render()).toContain(
+        'superset_ws_dead_sockets_terminated_total 1',
+      );
     });
 
     test('closed sockets', () => {
@@ -545,6 +978,191 @@ describe('server', () => {
       // don't error
       server.checkSockets();
     });
+
+    test('sockets with an expired token', () => {
+      setReadyState(ws, WebSocket.OPEN);
+      const closeSpy = jest.spyOn(ws, 'close');
+      socketInstance.expiresAt = Date.now() - 1000;
+      server.trackClient(channelId, socketInstance);
+
+      server.checkSockets();
+
+      expect(closeSpy).toHaveBeenCalledWith(
+        server.TOKEN_EXPIRED_CLOSE_CODE,
+        'Token expired',
+      );
+      expect(pingSpy).not.toHaveBeenCalled();
+      expect(Object.keys(server.sockets).length).toBe(0);
+    });
+
+    test('sockets with a token about to expire', () => {
+      setReadyState(ws, WebSocket.OPEN);
+      const sendSpy = jest.spyOn(ws, 'send');
+      socketInstance.expiresAt = Date.now() + 60 * 1000;
+      server.trackClient(channelId, socketInstance);
+
+      server.checkSockets();
+      server.checkSockets();
+
+      expect(sendSpy).toHaveBeenCalledTimes(1);
+      expect(JSON.parse(String(sendSpy.mock.calls[0][0]))).toEqual({
+        type: 'auth_required',
+        expires_at: socketInstance.expiresAt,
+      });
+      expect(pingSpy).toHaveBeenCalled();
+    });
+
+    test('queues the refresh request behind the pending events', () => {
+      jest.useFakeTimers();
+      const { sendBatchWindowMs } = server.opts;
+      server.opts.sendBatchWindowMs = 20;
+      setReadyState(ws, WebSocket.OPEN);
+      const sendSpy = jest.spyOn(ws, 'send');
+      socketInstance.expiresAt = Date.now() + 60 * 1000;
+      server.trackClient(channelId, socketInstance);
+      const event = {
+        id: '1-0',
+        channel_id: channelId,
+        job_id: 'abc',
+        status: 'done',
+      };
+
+      server.sendToChannel(channelId, event);
+      server.checkSockets();
+      expect(sendSpy).not.toHaveBeenCalled();
+
+      jest.advanceTimersByTime(20);
+      expect(JSON.parse(String(sendSpy.mock.calls[0][0]))).toEqual([
+        event,
+        { type: 'auth_required', expires_at: socketInstance.expiresAt },
+      ]);
+      server.resetState();
+      server.opts.sendBatchWindowMs = sendBatchWindowMs;
+      jest.useRealTimers();
+    });
+  });
+
+  describe('handleClientMessage', () => {
+    let ws: WebSocket;
+    let closeSpy: jest.SpyInstance;
+    let socketInstance: server.SocketInstance;
+    let socketId: string;
+
+    beforeEach(() => {
+      ws = new wsMock('localhost');
+      closeSpy = jest.spyOn(ws, 'close');
+      socketInstance = {
+        ws,
+        channel: channelId,
+        pongTs: Date.now(),
+        expiresAt: Date.now() + 1000,
+        refreshRequested: true,
+      };
+      socketId = server.trackClient(channelId, socketInstance);
+    });
+
+    test('re-authenticates with a refreshed token', () => {
+      const exp = Math.floor(Date.now() / 1000) + 3600;
+      const token = jwt.sign({ channel: channelId, exp }, config.jwtSecret);
+
+      server.handleClientMessage(
+        socketId,
+        JSON.stringify({ type: 'auth', token }),
+      );
+
+      expect(socketInstance.expiresAt).toBe(exp * 1000);
+      expect(socketInstance.refreshRequested).toBe(false);
+      expect(closeSpy).not.toHaveBeenCalled();
+    });
+
+    test('closes the socket on a token for another channel', () => {
+      const token = jwt.sign({ channel: 'other-channel' }, config.jwtSecret);
+
+      server.handleClientMessage(
+        socketId,
+        JSON.stringify({ type: 'auth', token }),
+      );
+
+      expect(closeSpy).toHaveBeenCalledWith(
+        server.AUTH_FAILED_CLOSE_CODE,
+        'Authentication failed',
+      );
+    });
+
+    test('closes the socket on an invalid token', () => {
+      const token = jwt.sign({ channel: channelId }, 'invalid secret');
+
+      server.handleClientMessage(
+        socketId,
+        JSON.stringify({ type: 'auth', token }),
+      );
+
+      expect(closeSpy).toHaveBeenCalledWith(
+        server.AUTH_FAILED_CLOSE_CODE,
+        'Authentication failed',
+      );
+    });
+
+    test('updates the subscriptions', () => {
+      server.handleClientMessage(
+        socketId,
+        JSON.stringify({
+          type: 'subscribe',
+          event_types: ['sqllab_query'],
+          job_ids: ['abc', 'def'],
+        }),
+      );
+      server.handleClientMessage(
+        socketId,
+        JSON.stringify({ type: 'unsubscribe', job_ids: ['abc'] }),
+      );
+
+      expect(socketInstance.subscriptions).toEqual({
+        eventTypes: new Set(['sqllab_query']),
+        jobIds: new Set(['def']),
+      });
+    });
+
+    test('replays the events matching new subscriptions', async () => {
+      const redisBackend = server.eventBackend;
+      const backend = new MemoryEventBackend();
+      server.setEventBackend(backend);
+      const sendMock = jest.spyOn(ws, 'send');
+      const lastId = backend.publish({ channel_id: channelId, job_id: 'abc' });
+      backend.publish({ channel_id: channelId, job_id: 'def' });
+      const jobId = backend.publish({ channel_id: channelId, job_id: 'ghi' });
+      socketInstance.subscriptions = {
+        eventTypes: new Set(),
+        jobIds: new Set(['def']),
+      };
+
+      server.handleClientMessage(
+        socketId,
+        JSON.stringify({
+          type: 'subscribe',
+          job_ids: ['abc', 'ghi'],
+          last_id: lastId,
+        }),
+      );
+      await new Promise(resolve => setImmediate(resolve));
+      server.setEventBackend(redisBackend);
+
+      // `abc` is before `last_id`, and `def` was already sent
+      expect(sendMock).toHaveBeenCalledTimes(1);
+      expect(JSON.parse(String(sendMock.mock.calls[0][0]))).toEqual({
+        id: jobId,
+        channel_id: channelId,
+        job_id: 'ghi',
+      });
+    });
+
+    test('ignores other messages', () => {
+      server.handleClientMessage(socketId, 'not json');
+      server.handleClientMessage(socketId, JSON.stringify({ type: 'other' }));
+
+      expect(closeSpy).not.toHaveBeenCalled();
+      expect(socketInstance.refreshRequested).toBe(true);
+    });
   });
 
   describe('cleanChannel', () => {
@@ -602,4 +1220,111 @@ describe('server', () => {
       server.cleanChannel(channelId);
     });
   });
+
+  describe('shutdown', () => {
+    let randomSpy: jest.SpyInstance;
+    let redisBackend: typeof server.eventBackend;
+    let backend: MemoryEventBackend;
+
+    beforeEach(() => {
+      randomSpy = jest.spyOn(Math, 'random').mockReturnValue(0.5);
+      redisBackend = server.eventBackend;
+      backend = new MemoryEventBackend();
+      server.setEventBackend(backend);
+    });
+
+    afterEach(() => {
+      randomSpy.mockRestore();
+      server.setEventBackend(redisBackend);
+    });
+
+    test('closes the sockets with a reconnect hint', async () => {
+      const ws = new wsMock('localhost');
+      setReadyState(ws, WebSocket.OPEN);
+      const closeSpy = jest
+        .spyOn(ws, 'close')
+        .mockImplementation(() => setReadyState(ws, WebSocket.CLOSED));
+      const terminateSpy = jest.spyOn(ws, 'terminate');
+      const backendCloseSpy = jest.spyOn(backend, 'close');
+      server.trackClient(channelId, { ws, channel: channelId, pongTs: 0 });
+
+      await server.shutdown();
+
+      expect(closeSpy).toHaveBeenCalledWith(
+        server.SERVICE_RESTART_CLOSE_CODE,
+        JSON.stringify({ reconnect_after_ms: 6000 }),
+      );
+      expect(terminateSpy).not.toHaveBeenCalled();
+      expect(backendCloseSpy).toHaveBeenCalled();
+    });
+
+    test('waits for the pending writes before closing', async () => {
+      const ws = new wsMock('localhost');
+      setReadyState(ws, WebSocket.OPEN);
+      let bufferedAmount = 10;
+      Object.defineProperty(ws, 'bufferedAmount', {
+        configurable: true,
+        get: () => bufferedAmount,
+      });
+      const closeSpy = jest
+        .spyOn(ws, 'close')
+        .mockImplementation(() => setReadyState(ws, WebSocket.CLOSED));
+      server.trackClient(channelId, { ws, channel: channelId, pongTs: 0 });
+
+      const done = server.shutdown();
+      await new Promise(resolve => setTimeout(resolve, 100));
+      expect(closeSpy).not.toHaveBeenCalled();
+
+      bufferedAmount = 0;
+      await done;
+      expect(closeSpy).toHaveBeenCalled();
+    });
+
+    test('terminates the sockets not closed in time', async () => {
+      const { shutdownTimeoutMs } = server.opts;
+      server.opts.shutdownTimeoutMs = 100;
+      const ws = new wsMock('localhost');
+      setReadyState(ws, WebSocket.OPEN);
+      const terminateSpy = jest.spyOn(ws, 'terminate');
+      server.trackClient(channelId, { ws, channel: channelId, pongTs: 0 });
+
+      await server.shutdown();
+      server.opts.shutdownTimeoutMs = shutdownTimeoutMs;
+
+      expect(terminateSpy).toHaveBeenCalled();
+    });
+
+    test('refuses upgrades and fails health checks', async () => {
+      await server.shutdown();
+
+      const socket = new net.Socket();
+      const socketEndSpy = jest.spyOn(socket, 'end').mockReturnValue(socket);
+      const wssUpgradeSpy = jest.spyOn(server.wss, 'handleUpgrade');
+      const validToken = jwt.sign({ channel: channelId }, config.jwtSecret);
+      const request = new http.IncomingMessage(new net.Socket());
+      request.headers = { cookie: `${config.jwtCookieName}=${validToken}` };
+
+      server.httpUpgrade(request, socket, Buffer.alloc(5));
+
+      expect(socketEndSpy).toHaveBeenCalledWith(
+        expect.stringContaining('503 Service Unavailable'),
+      );
+      expect(wssUpgradeSpy).not.toHaveBeenCalled();
+      wssUpgradeSpy.mockRestore();
+
+      const writeHeadMock = jest.fn();
+      server.httpRequest(
+        {
+          url: '/health',
+          method: 'GET',
+          headers: { host: 'example.com' },
+        } as unknown as http.IncomingMessage,
+        {
+          writeHead: writeHeadMock,
+          end: jest.fn(),
+        } as unknown as http.ServerResponse<http.IncomingMessage>,
+      );
+      expect(writeHeadMock).toHaveBeenLastCalledWith(503);
+    });
+  });
 });
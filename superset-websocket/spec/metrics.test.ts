@@ -0,0 +1,81 @@
+/**
+ * Licensed to the Apache Software Foundation (ASF) under one
+ * or more contributor license agreements.  See the NOTICE file
+ * distributed with this work for additional information
+ * regarding copyright ownership.  The ASF licenses this file
+ * to you under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance
+ * with the License.  You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an
+ * "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+ * KIND, either express or implied.  See the License for the
+ * specific language governing permissions and limitations
+ * under the License.
+ */
+import { describe, expect, test } from '@jest/globals';
+import { MetricsRegistry } from '../src/metrics';
+
+describe('MetricsRegistry', () => {
+  test('renders counters and gauges in the Prometheus format', () => {
+    const registry = new MetricsRegistry();
+    const counter = registry.counter('test_events_total', 'Events.');
+    const gauge = registry.gauge('test_sockets', 'Sockets.');
+    counter.inc({ channel: 'a' });
+    counter.inc({ channel: 'a' }, 2);
+    counter.inc({ channel: 'b' });
+    gauge.set(5);
+
+    expect(registry.render()).toEqual(
+      [
+        '# HELP test_events_total Events.',
+        '# TYPE test_events_total counter',
+        'test_events_total{channel="a"} 3',
+        'test_events_total{channel="b"} 1',
+        '# HELP test_sockets Sockets.',
+        '# TYPE test_sockets gauge',
+        'test_sockets 5',
+        '',
+      ].join('\n'),
+    );
+  });
+
+  test('escapes and sorts labels', () => {
+    const registry = new MetricsRegistry();
+    const counter = registry.counter('test_total', 'Test.');
+    counter.inc({ z: 'last', a: 'say "hi"\\\n' });
+
+    expect(registry.render()).toContain(
+      'test_total{a="say \\"hi\\"\\\\\\n",z="last"} 1',
+    );
+    expect(counter.get({ z: 'last', a: 'say "hi"\\\n' })).toEqual(1);
+  });
+
+  test('calls the collectors before rendering', () => {
+    const registry = new MetricsRegistry();
+    const gauge = registry.gauge('test_value', 'Value.');
+    let value = 1;
+    registry.onCollect(() => gauge.set(value));
+
+    expect(registry.render()).toContain('test_value 1');
+    value = 2;
+    expect(registry.render()).toContain('test_value 2');
+  });
+
+  test('removes and resets values', () => {
+    const registry = new MetricsRegistry();
+    const counter = registry.counter('test_total', 'Test.');
+    counter.inc({ channel: 'a' });
+    counter.inc({ channel: 'b' });
+
+    counter.remove({ channel: 'a' });
+    expect(counter.get({ channel: 'a' })).toBeUndefined();
+    expect(counter.get({ channel: 'b' })).toEqual(1);
+
+    registry.reset();
+    expect(counter.get({ channel: 'b' })).toBeUndefined();
+  });
+});
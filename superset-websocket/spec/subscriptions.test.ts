@@ -0,0 +1,98 @@
+/**
+ * Licensed to the Apache Software Foundation (ASF) under one
+ * or more contributor license agreements.  See the NOTICE file
+ * distributed with this work for additional information
+ * regarding copyright ownership.  The ASF licenses this file
+ * to you under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance
+ * with the License.  You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an
+ * "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+ * KIND, either express or implied.  See the License for the
+ * specific language governing permissions and limitations
+ * under the License.
+ */
+import { describe, expect, test } from '@jest/globals';
+import {
+  addSubscriptions,
+  matchesSubscriptions,
+  MAX_SUBSCRIPTIONS,
+  parseSubscriptionParams,
+  removeSubscriptions,
+} from '../src/subscriptions';
+
+describe('subscriptions', () => {
+  test('parseSubscriptionParams', () => {
+    expect(parseSubscriptionParams(new URLSearchParams('last_id=1-0'))).toBe(
+      undefined,
+    );
+    expect(
+      parseSubscriptionParams(
+        new URLSearchParams('event_types=sqllab_query,job&job_ids=abc'),
+      ),
+    ).toEqual({
+      eventTypes: new Set(['sqllab_query', 'job']),
+      jobIds: new Set(['abc']),
+    });
+    expect(parseSubscriptionParams(new URLSearchParams('job_ids='))).toEqual({
+      eventTypes: new Set(),
+      jobIds: new Set(),
+    });
+  });
+
+  test('matchesSubscriptions', () => {
+    const subscriptions = {
+      eventTypes: new Set(['sqllab_query']),
+      jobIds: new Set(['abc']),
+    };
+    expect(matchesSubscriptions(undefined, { job_id: 'def' })).toBe(true);
+    expect(matchesSubscriptions(subscriptions, { type: 'sqllab_query' })).toBe(
+      true,
+    );
+    expect(matchesSubscriptions(subscriptions, { job_id: 'abc' })).toBe(true);
+    expect(matchesSubscriptions(subscriptions, { job_id: 'def' })).toBe(false);
+    expect(matchesSubscriptions(subscriptions, { type: 'other' })).toBe(false);
+    expect(
+      matchesSubscriptions(
+        { eventTypes: new Set(['job']), jobIds: new Set() },
+        { job_id: 'def' },
+      ),
+    ).toBe(true);
+  });
+
+  test('addSubscriptions and removeSubscriptions', () => {
+    let subscriptions = addSubscriptions(undefined, {
+      event_types: ['sqllab_query', 1],
+      job_ids: 'abc',
+    });
+    expect(subscriptions).toEqual({
+      eventTypes: new Set(['sqllab_query']),
+      jobIds: new Set(),
+    });
+
+    subscriptions = addSubscriptions(subscriptions, { job_ids: ['abc'] });
+    expect(subscriptions.jobIds).toEqual(new Set(['abc']));
+
+    subscriptions = removeSubscriptions(subscriptions, {
+      event_types: ['sqllab_query'],
+    });
+    expect(subscriptions).toEqual({
+      eventTypes: new Set(),
+      jobIds: new Set(['abc']),
+    });
+  });
+
+  test('caps the number of subscriptions', () => {
+    const jobIds = Array.from(
+      { length: MAX_SUBSCRIPTIONS + 10 },
+      (_, i) => `job-${i}`,
+    );
+    expect(addSubscriptions(undefined, { job_ids: jobIds }).jobIds.size).toBe(
+      MAX_SUBSCRIPTIONS,
+    );
+  });
+});
@@ -0,0 +1,72 @@
+/**
+ * Licensed to the Apache Software Foundation (ASF) under one
+ * or more contributor license agreements.  See the NOTICE file
+ * distributed with this work for additional information
+ * regarding copyright ownership.  The ASF licenses this file
+ * to you under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance
+ * with the License.  You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an
+ * "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+ * KIND, either express or implied.  See the License for the
+ * specific language governing permissions and limitations
+ * under the License.
+ */
+import { ConfigType } from '../config';
+import { MemoryEventBackend } from './memory';
+import { createRedisClient, RedisEventBackend } from './redis';
+
+export type StreamResult = [
+  recordId: string,
+  record: [label: 'data', data: string],
+];
+
+/**
+ * Source of the async events. Events are appended to a global stream holding
+ * the events of every channel, and to a stream per channel from which a
+ * reconnecting client can catch up. Event IDs are ordered like Redis stream
+ * IDs, e.g. `1607477697866-0`.
+ */
+export interface EventBackend {
+  /**
+   * Reads the events of a channel between two event IDs, both inclusive.
+   * `-` and `+` stand for the first and the last event of the stream.
+   */
+  fetchRange(
+    channel: string,
+    startId: string,
+    endId: string,
+  ): Promise<StreamResult[]>;
+  /**
+   * Reads up to `count` events of the global stream after `lastId`, waiting up
+   * to `blockMs` for new events. `$` stands for the last event of the stream.
+   */
+  readGlobal(
+    lastId: string,
+    count: number,
+    blockMs: number,
+  ): Promise<StreamResult[]>;
+  close(): Promise<void>;
+}
+
+export type EventBackendType = 'redis' | 'memory';
+
+export const createEventBackend = (config: ConfigType): EventBackend => {
+  switch (config.eventBackend) {
+    case 'memory':
+      return new MemoryEventBackend(config.memoryBackend.maxStreamLength);
+    case 'redis':
+      return new RedisEventBackend(
+        createRedisClient(config.redis),
+        config.redisStreamPrefix,
+      );
+    default:
+      throw new Error(`Unknown event backend: ${config.eventBackend}`);
+  }
+};
+
+export { MemoryEventBackend, RedisEventBackend };
@@ -0,0 +1,131 @@
+/**
+ * Licensed to the Apache Software Foundation (ASF) under one
+ * or more contributor license agreements.  See the NOTICE file
+ * distributed with this work for additional information
+ * regarding copyright ownership.  The ASF licenses this file
+ * to you under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance
+ * with the License.  You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an
+ * "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+ * KIND, either express or implied.  See the License for the
+ * specific language governing permissions and limitations
+ * under the License.
+ */
+import type { EventBackend, StreamResult } from './index';
+
+type ParsedId = [ms: number, seq: number];
+
+const MIN_ID: ParsedId = [0, 0];
+const MAX_ID: ParsedId = [Infinity, Infinity];
+
+/**
+ * Parses a stream ID, where the sequence number of an incomplete ID defaults
+ * to the start or to the end of the millisecond, like in Redis.
+ */
+const parseId = (id: string, isEnd = false): ParsedId => {
+  if (id === '-') return MIN_ID;
+  if (id === '+') return MAX_ID;
+  const [ms, seq] = id.split('-');
+  return [Number(ms), seq === undefined ? (isEnd ? Infinity : 0) : Number(seq)];
+};
+
+const compareIds = (a: ParsedId, b: ParsedId) => a[0] - b[0] || a[1] - b[1];
+
+/**
+ * In-process event backend, for local development and tests without Redis.
+ * Only the events published on the instance are available, and the streams
+ * keep their last `maxStreamLength` events.
+ */
+export class MemoryEventBackend implements EventBackend {
+  private globalStream: StreamResult[] = [];
+
+  private channelStreams: Record<string, StreamResult[]> = {};
+
+  private lastId: ParsedId = MIN_ID;
+
+  private waiters = new Set<() => void>();
+
+  constructor(private maxStreamLength = 1000) {}
+
+  private nextId(): string {
+    const now = Date.now();
+    this.lastId =
+      now > this.lastId[0] ? [now, 0] : [this.lastId[0], this.lastId[1] + 1];
+    return this.lastId.join('-');
+  }
+
+  private append(stream: StreamResult[], record: StreamResult) {
+    stream.push(record);
+    if (stream.length > this.maxStreamLength) {
+      stream.splice(0, stream.length - this.maxStreamLength);
+    }
+  }
+
+  /**
+   * Appends an event to the global stream and to the stream of its channel,
+   * returning the ID of the event.
+   */
+  publish(event: { channel_id: string; [key: string]: unknown }): string {
+    const id = this.nextId();
+    const record: StreamResult = [id, ['data', JSON.stringify(event)]];
+    this.append(this.globalStream, record);
+    this.channelStreams[event.channel_id] ??= [];
+    this.append(this.channelStreams[event.channel_id], record);
+
+    const waiters = [...this.waiters];
+    this.waiters.clear();
+    waiters.forEach(wake => wake());
+    return id;
+  }
+
+  async fetchRange(
+    channel: string,
+    startId: string,
+    endId: string,
+  ): Promise<StreamResult[]> {
+    const start = parseId(startId);
+    const end = parseId(endId, true);
+    return (this.channelStreams[channel] || []).filter(([id]) => {
+      const parsedId = parseId(id);
+      return compareIds(parsedId, start) >= 0 && compareIds(parsedId, end) <= 0;
+    });
+  }
+
+  readGlobal(
+    lastId: string,
+    count: number,
+    blockMs: number,
+  ): Promise<StreamResult[]> {
+    const after = lastId === '$' ? this.lastId : parseId(lastId);
+    const read = () =>
+      this.globalStream
+        .filter(([id]) => compareIds(parseId(id), after) > 0)
+        .slice(0, count);
+
+    const results = read();
+    if (results.length) return Promise.resolve(results);
+
+    return new Promise(resolve => {
+      const wake = () => {
+        clearTimeout(timer);
+        resolve(read());
+      };
+      const timer = setTimeout(() => {
+        this.waiters.delete(wake);
+        resolve([]);
+      }, blockMs);
+      this.waiters.add(wake);
+    });
+  }
+
+  async close() {
+    const waiters = [...this.waiters];
+    this.waiters.clear();
+    waiters.forEach(wake => wake());
+  }
+}
@@ -0,0 +1,129 @@
+/**
+ * Licensed to the Apache Software Foundation (ASF) under one
+ * or more contributor license agreements.  See the NOTICE file
+ * distributed with this work for additional information
+ * regarding copyright ownership.  The ASF licenses this file
+ * to you under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance
+ * with the License.  You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an
+ * "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+ * KIND, either express or implied.  See the License for the
+ * specific language governing permissions and limitations
+ * under the License.
+ */
+import Redis, { RedisOptions } from 'ioredis';
+import { checkServerIdentity, PeerCertificate } from 'tls';
+
+import { RedisConfig } from '../config';
+import type { EventBackend, StreamResult } from './index';
+
+export const GLOBAL_EVENT_STREAM_SUFFIX = 'full';
+
+export const buildRedisOpts = (baseConfig: RedisConfig) => {
+  const redisOpts: RedisOptions = {
+    port: baseConfig.port,
+    host: baseConfig.host,
+    db: baseConfig.db,
+  };
+
+  const passwd = baseConfig.password;
+  if (passwd !== '') {
+    redisOpts.username = baseConfig.username;
+    redisOpts.password = baseConfig.password;
+  }
+
+  if (baseConfig.ssl) {
+    redisOpts.tls = {
+      checkServerIdentity: (
+        hostname: string,
+        cert: PeerCertificate,
+      ): Error | undefined => {
+        // Note, the cert chain will have been verified already. the role of this method is to
+        // validate that at least one of the SAN's (or subject) of the server's cert matches the provided hostname
+        if (baseConfig.validateHostname) {
+          return checkServerIdentity(hostname, cert);
+        }
+      },
+    };
+  }
+
+  return redisOpts;
+};
+
+/**
+ * Creates a client for a standalone Redis server, for the master of a Redis
+ * Sentinel deployment, or for a Redis Cluster, depending on `mode`.
+ */
+export const createRedisClient = (
+  config: RedisConfig,
+): Redis.Redis | Redis.Cluster => {
+  const redisOpts = buildRedisOpts(config);
+  switch (config.mode) {
+    case 'sentinel':
+      return new Redis({
+        ...redisOpts,
+        sentinels: config.sentinels,
+        name: config.sentinelName,
+        sentinelPassword: config.sentinelPassword || undefined,
+        enableTLSForSentinelMode: config.ssl,
+      });
+    case 'cluster': {
+      // the servers of the cluster are reached from their announced addresses,
+      // and only have the database 0
+      // eslint-disable-next-line @typescript-eslint/no-unused-vars
+      const { host, port, db, ...redisOptions } = redisOpts;
+      return new Redis.Cluster(config.clusterNodes || [], { redisOptions });
+    }
+    default:
+      return new Redis(redisOpts);
+  }
+};
+
+/**
+ * Reads the events from the Redis streams written by the Superset app.
+ */
+export class RedisEventBackend implements EventBackend {
+  constructor(
+    private client: Redis.Redis | Redis.Cluster,
+    private streamPrefix: string,
+  ) {}
+
+  async fetchRange(
+    channel: string,
+    startId: string,
+    endId: string,
+  ): Promise<StreamResult[]> {
+    const reply = await this.client.xrange(
+      `${this.streamPrefix}${channel}`,
+      startId,
+      endId,
+    );
+    return (reply || []) as StreamResult[];
+  }
+
+  async readGlobal(
+    lastId: string,
+    count: number,
+    blockMs: number,
+  ): Promise<StreamResult[]> {
+    const reply = await this.client.xread(
+      'BLOCK',
+      blockMs,
+      'COUNT',
+      count,
+      'STREAMS',
+      `${this.streamPrefix}${GLOBAL_EVENT_STREAM_SUFFIX}`,
+      lastId,
+    );
+    return (reply ? reply[0][1] : []) as StreamResult[];
+  }
+
+  async close() {
+    await this.client.quit();
+  }
+}
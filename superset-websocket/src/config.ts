@@ -19,6 +19,11 @@
 
 import { merge as _merge } from 'lodash';
 
+export interface HostConfig {
+  host: string;
+  port: number;
+}
+
 export interface RedisConfig {
   port: number;
   host: string;
@@ -27,9 +32,16 @@ export interface RedisConfig {
   db: number;
   ssl: boolean;
   validateHostname: boolean;
+  // `sentinel` connects to the master `sentinelName` known by the sentinels,
+  // `cluster` to the cluster of the given nodes
+  mode?: 'standalone' | 'sentinel' | 'cluster';
+  sentinels?: HostConfig[];
+  sentinelName?: string;
+  sentinelPassword?: string;
+  clusterNodes?: HostConfig[];
 }
 
-type ConfigType = {
+export type ConfigType = {
   port: number;
   logLevel: string;
   logToFile: boolean;
@@ -39,6 +51,13 @@ type ConfigType = {
     port: number;
     globalTags: Array<string>;
   };
+  eventBackend: 'redis' | 'memory';
+  memoryBackend: {
+    maxStreamLength: number;
+    // bearer token required to publish events with `POST /events`, which is
+    // disabled when empty
+    ingestToken: string;
+  };
   redis: RedisConfig;
   redisStreamPrefix: string;
   redisStreamReadCount: number;
@@ -47,9 +66,29 @@ type ConfigType = {
   jwtSecret: string;
   jwtCookieName: string;
   jwtChannelIdKey: string;
+  // the clients are asked to re-authenticate when their token expires within
+  // the window
+  tokenRefreshWindowMs: number;
   socketResponseTimeoutMs: number;
   pingSocketsIntervalMs: number;
   gcChannelsIntervalMs: number;
+  // events are queued while a socket has more than `socketMaxBufferedBytes`
+  // of unsent data, and the socket is disconnected past
+  // `socketMaxQueuedEvents` queued events
+  socketMaxBufferedBytes: number;
+  socketMaxQueuedEvents: number;
+  // events arriving within the window are sent in a single frame, disabled
+  // when 0
+  sendBatchWindowMs: number;
+  perMessageDeflate: boolean;
+  // on shutdown, the clients are told to reconnect after the delay plus a
+  // random jitter, so that they do not all reconnect at once
+  shutdownReconnectDelayMs: number;
+  shutdownReconnectJitterMs: number;
+  shutdownTimeoutMs: number;
+  // bearer token required by the `/status` and `/metrics` endpoints, which
+  // are disabled when empty
+  statusToken: string;
 };
 
 function defaultConfig(): ConfigType {
@@ -65,14 +104,28 @@ function defaultConfig(): ConfigType {
     jwtSecret: '',
     jwtCookieName: 'async-token',
     jwtChannelIdKey: 'channel',
+    tokenRefreshWindowMs: 5 * 60 * 1000,
     socketResponseTimeoutMs: 60 * 1000,
     pingSocketsIntervalMs: 20 * 1000,
     gcChannelsIntervalMs: 120 * 1000,
+    socketMaxBufferedBytes: 1024 * 1024,
+    socketMaxQueuedEvents: 1000,
+    sendBatchWindowMs: 0,
+    perMessageDeflate: false,
+    shutdownReconnectDelayMs: 1000,
+    shutdownReconnectJitterMs: 10 * 1000,
+    shutdownTimeoutMs: 10 * 1000,
+    statusToken: '',
     statsd: {
       host: '127.0.0.1',
       port: 8125,
       globalTags: [],
     },
+    eventBackend: 'redis',
+    memoryBackend: {
+      maxStreamLength: 1000,
+      ingestToken: '',
+    },
     redis: {
       host: '127.0.0.1',
       port: 6379,
@@ -81,6 +134,11 @@ function defaultConfig(): ConfigType {
       db: 0,
       ssl: false,
       validateHostname: true,
+      mode: 'standalone',
+      sentinels: [],
+      sentinelName: 'mymaster',
+      sentinelPassword: '',
+      clusterNodes: [],
     },
   };
 }
@@ -100,6 +158,11 @@ const isPresent = (s: string) => /\S+/.test(s);
 const toNumber = Number;
 const toBoolean = (s: string) => s.toLowerCase() === 'true';
 const toStringArray = (s: string) => s.split(',');
+const toHostArray = (s: string, defaultPort: number) =>
+  toStringArray(s).map(address => {
+    const [host, port] = address.trim().split(':');
+    return { host, port: port ? toNumber(port) : defaultPort };
+  });
 
 function applyEnvOverrides(config: ConfigType): ConfigType {
   const envVarConfigSetter: { [envVar: string]: (val: string) => void } = {
@@ -114,18 +177,43 @@ function applyEnvOverrides(config: ConfigType): ConfigType {
       (config.redisStreamReadBlockMs = toNumber(val)),
     JWT_SECRET: val => (config.jwtSecret = val),
     JWT_COOKIE_NAME: val => (config.jwtCookieName = val),
+    TOKEN_REFRESH_WINDOW_MS: val =>
+      (config.tokenRefreshWindowMs = toNumber(val)),
     SOCKET_RESPONSE_TIMEOUT_MS: val =>
       (config.socketResponseTimeoutMs = toNumber(val)),
     PING_SOCKETS_INTERVAL_MS: val =>
       (config.pingSocketsIntervalMs = toNumber(val)),
     GC_CHANNELS_INTERVAL_MS: val =>
       (config.gcChannelsIntervalMs = toNumber(val)),
+    SOCKET_MAX_BUFFERED_BYTES: val =>
+      (config.socketMaxBufferedBytes = toNumber(val)),
+    SOCKET_MAX_QUEUED_EVENTS: val =>
+      (config.socketMaxQueuedEvents = toNumber(val)),
+    SEND_BATCH_WINDOW_MS: val => (config.sendBatchWindowMs = toNumber(val)),
+    PER_MESSAGE_DEFLATE: val => (config.perMessageDeflate = toBoolean(val)),
+    SHUTDOWN_RECONNECT_DELAY_MS: val =>
+      (config.shutdownReconnectDelayMs = toNumber(val)),
+    SHUTDOWN_RECONNECT_JITTER_MS: val =>
+      (config.shutdownReconnectJitterMs = toNumber(val)),
+    SHUTDOWN_TIMEOUT_MS: val => (config.shutdownTimeoutMs = toNumber(val)),
+    STATUS_TOKEN: val => (config.statusToken = val),
     REDIS_HOST: val => (config.redis.host = val),
     REDIS_PORT: val => (config.redis.port = toNumber(val)),
     REDIS_PASSWORD: val => (config.redis.password = val),
     REDIS_USERNAME: val => (config.redis.username = val),
     REDIS_DB: val => (config.redis.db = toNumber(val)),
     REDIS_SSL: val => (config.redis.ssl = toBoolean(val)),
+    REDIS_MODE: val =>
+      (config.redis.mode = val as NonNullable<RedisConfig['mode']>),
+    REDIS_SENTINELS: val => (config.redis.sentinels = toHostArray(val, 26379)),
+    REDIS_SENTINEL_NAME: val => (config.redis.sentinelName = val),
+    REDIS_SENTINEL_PASSWORD: val => (config.redis.sentinelPassword = val),
+    REDIS_CLUSTER_NODES: val =>
+      (config.redis.clusterNodes = toHostArray(val, 6379)),
+    EVENT_BACKEND: val =>
+      (config.eventBackend = val as ConfigType['eventBackend']),
+    MEMORY_BACKEND_INGEST_TOKEN: val =>
+      (config.memoryBackend.ingestToken = val),
     STATSD_HOST: val => (config.statsd.host = val),
     STATSD_PORT: val => (config.statsd.port = toNumber(val)),
     STATSD_GLOBAL_TAGS: val => (config.statsd.globalTags = toStringArray(val)),
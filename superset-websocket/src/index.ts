@@ -18,21 +18,32 @@
  */
 import * as http from 'http';
 import * as net from 'net';
+import { createHash, timingSafeEqual } from 'crypto';
 import WebSocket from 'ws';
 import { v4 as uuidv4 } from 'uuid';
 import jwt, { Algorithm } from 'jsonwebtoken';
 import cookie from 'cookie';
-import Redis, { RedisOptions } from 'ioredis';
 import StatsD from 'hot-shots';
 
 import { createLogger } from './logger';
-import { buildConfig, RedisConfig } from './config';
-import { checkServerIdentity, PeerCertificate } from 'tls';
+import { MetricsRegistry, PROMETHEUS_CONTENT_TYPE } from './metrics';
+import {
+  addSubscriptions,
+  matchesSubscriptions,
+  parseSubscriptionParams,
+  removeSubscriptions,
+  Subscriptions,
+} from './subscriptions';
+import { buildConfig } from './config';
+import {
+  createEventBackend,
+  EventBackend,
+  MemoryEventBackend,
+  StreamResult,
+} from './backends';
 
-export type StreamResult = [
-  recordId: string,
-  record: [label: 'data', data: string],
-];
+export type { StreamResult };
+export { buildRedisOpts } from './backends/redis';
 
 // sync with superset-frontend/src/components/ErrorMessage/types
 export type ErrorLevel = 'info' | 'warning' | 'error';
@@ -53,9 +64,18 @@ interface EventValue {
   status: string;
   errors?: SupersetError[];
   result_url?: string;
+  // typed events are not tied to a job, e.g. the SQL Lab query updates
+  type?: string;
+  query?: Record<string, unknown>;
 }
 interface JwtPayload {
-  [key: string]: string;
+  exp?: number;
+  [key: string]: string | number | undefined;
+}
+interface TokenClaims {
+  channel: string;
+  // in milliseconds, for tokens that expire
+  expiresAt?: number;
 }
 interface FetchRangeFromStreamParams {
   sessionId: string;
@@ -67,10 +87,20 @@ export interface SocketInstance {
   ws: WebSocket;
   channel: string;
   pongTs: number;
+  expiresAt?: number;
+  refreshRequested?: boolean;
+  subscriptions?: Subscriptions;
 }
 
 interface ChannelValue {
   sockets: Array<string>;
+  // number of events sent to the sockets of the channel, listed by /status
+  messagesSent: number;
+}
+
+interface SendQueue {
+  events: string[];
+  timer?: ReturnType<typeof setTimeout>;
 }
 
 const environment = process.env.NODE_ENV;
@@ -94,6 +124,56 @@ export const statsd = new StatsD({
   },
 });
 
+export const metrics = new MetricsRegistry();
+const socketsGauge = metrics.gauge(
+  'superset_ws_sockets',
+  'Number of tracked WebSocket connections.',
+);
+const channelsGauge = metrics.gauge(
+  'superset_ws_channels',
+  'Number of channels with at least one tracked connection.',
+);
+const messagesSentCounter = metrics.counter(
+  'superset_ws_messages_sent_total',
+  'Number of events sent to sockets.',
+);
+const reconnectReplaysCounter = metrics.counter(
+  'superset_ws_reconnect_replays_total',
+  'Number of reconnections replaying events from a channel stream.',
+);
+const streamLagGauge = metrics.gauge(
+  'superset_ws_stream_lag_seconds',
+  'Delay between the last event read from the global stream being published and read.',
+);
+const deadSocketsCounter = metrics.counter(
+  'superset_ws_dead_sockets_terminated_total',
+  'Number of sockets terminated for not answering pings.',
+);
+const messagesDeferredCounter = metrics.counter(
+  'superset_ws_messages_deferred_total',
+  'Number of events queued while the socket buffer was full.',
+);
+const messagesDroppedCounter = metrics.counter(
+  'superset_ws_messages_dropped_total',
+  'Number of queued events dropped when their socket went away.',
+);
+const tokenRefreshesCounter = metrics.counter(
+  'superset_ws_token_refreshes_total',
+  'Number of sockets re-authenticated with a refreshed token.',
+);
+const expiredTokensCounter = metrics.counter(
+  'superset_ws_expired_tokens_total',
+  'Number of sockets closed for their token expiring without a refresh.',
+);
+const messagesFilteredCounter = metrics.counter(
+  'superset_ws_messages_filtered_total',
+  'Number of events not sent to a socket not subscribed to them.',
+);
+const slowConsumersCounter = metrics.counter(
+  'superset_ws_slow_consumers_disconnected_total',
+  'Number of sockets disconnected for not keeping up with their events.',
+);
+
 // enforce JWT secret length
 if (startServer && opts.jwtSecret.length < 32) {
   console.error('ERROR: Please provide a JWT secret at least 32 bytes long');
@@ -107,58 +187,44 @@ if (startServer && opts.jwtSecret.startsWith('CHANGE-ME')) {
   console.warn('DO NOT USE IN PRODUCTION');
 }
 
-export const buildRedisOpts = (baseConfig: RedisConfig) => {
-  const redisOpts: RedisOptions = {
-    port: baseConfig.port,
-    host: baseConfig.host,
-    db: baseConfig.db,
-  };
-
-  const passwd = baseConfig.password;
-  if (passwd !== '') {
-    redisOpts.username = baseConfig.username;
-    redisOpts.password = baseConfig.password;
-  }
-
-  if (baseConfig.ssl) {
-    redisOpts.tls = {
-      checkServerIdentity: (
-        hostname: string,
-        cert: PeerCertificate,
-      ): Error | undefined => {
-        // Note, the cert chain will have been verified already. the role of this method is to
-        // validate that at least one of the SAN's (or subject) of the server's cert matches the provided hostname
-        if (baseConfig.validateHostname) {
-          return checkServerIdentity(hostname, cert);
-        }
-      },
-    };
-  }
-
-  return redisOpts;
-};
-
 // initialize servers
-const redis = new Redis(buildRedisOpts(opts.redis));
+export let eventBackend: EventBackend = createEventBackend(opts);
 const httpServer = http.createServer();
 export const wss = new WebSocket.Server({
   noServer: true,
   clientTracking: false,
+  perMessageDeflate: opts.perMessageDeflate,
 });
 
 const SOCKET_ACTIVE_STATES: number[] = [WebSocket.OPEN, WebSocket.CONNECTING];
-const GLOBAL_EVENT_STREAM_NAME = `${opts.redisStreamPrefix}full`;
 const DEFAULT_STREAM_LAST_ID = '$';
+// "Service Restart", the clients reconnect after the delay in the close reason
+export const SERVICE_RESTART_CLOSE_CODE = 1012;
+const SHUTDOWN_POLL_INTERVAL_MS = 50;
+// sent to the sockets disconnected for not keeping up with their events
+export const SLOW_CONSUMER_CLOSE_CODE = 4008;
+const SEND_RETRY_INTERVAL_MS = 50;
+// sent to the sockets whose token expired without being refreshed
+export const TOKEN_EXPIRED_CLOSE_CODE = 4001;
+// sent to the sockets re-authenticating with an invalid token
+export const AUTH_FAILED_CLOSE_CODE = 4003;
 
 // initialize internal registries
 export let channels: Record<string, ChannelValue> = {};
 export let sockets: Record<string, SocketInstance> = {};
+export let sendQueues: Record<string, SendQueue> = {};
 let lastFirehoseId: string = DEFAULT_STREAM_LAST_ID;
+let shuttingDown = false;
 
 export const setLastFirehoseId = (id: string): void => {
   lastFirehoseId = id;
 };
 
+metrics.onCollect(() => {
+  socketsGauge.set(Object.keys(sockets).length);
+  channelsGauge.set(Object.keys(channels).length);
+});
+
 /**
  * Adds the passed channel and socket instance to the internal registries.
  */
@@ -174,16 +240,137 @@ export const trackClient = (
   if (channel in channels) {
     channels[channel].sockets.push(socketId);
   } else {
-    channels[channel] = { sockets: [socketId] };
+    channels[channel] = { sockets: [socketId], messagesSent: 0 };
   }
 
   return socketId;
 };
 
+const isBackedUp = (ws: WebSocket) =>
+  ws.bufferedAmount >= opts.socketMaxBufferedBytes;
+
+/**
+ * Sends events to a socket in a single frame, a batch of events being sent
+ * as a JSON array.
+ */
+const sendEvents = (socketInstance: SocketInstance, events: string[]) => {
+  socketInstance.ws.send(
+    events.length === 1 ? events[0] : `[${events.join(',')}]`,
+  );
+  messagesSentCounter.inc({}, events.length);
+  const channel = channels[socketInstance.channel];
+  if (channel) channel.messagesSent += events.length;
+};
+
+/**
+ * Forgets the send queue of a socket, counting its events as dropped.
+ */
+const dropSendQueue = (socketId: string) => {
+  const queue = sendQueues[socketId];
+  if (!queue) return;
+  clearTimeout(queue.timer);
+  if (queue.events.length) messagesDroppedCounter.inc({}, queue.events.length);
+  delete sendQueues[socketId];
+};
+
+const disconnectSlowConsumer = (
+  socketId: string,
+  socketInstance: SocketInstance,
+) => {
+  logger.warn(
+    `disconnecting slow consumer: ${socketId}, channel: ${socketInstance.channel}`,
+  );
+  slowConsumersCounter.inc();
+  dropSendQueue(socketId);
+  socketInstance.ws.close(SLOW_CONSUMER_CLOSE_CODE, 'Slow consumer');
+};
+
+/**
+ * Sends the queued events of a socket, unless its buffer is still full,
+ * in which case the queue is flushed again later.
+ */
+const flushSendQueue = (socketId: string) => {
+  const queue = sendQueues[socketId];
+  const socketInstance = sockets[socketId];
+  if (!queue) return;
+  if (!socketInstance) return dropSendQueue(socketId);
+  if (!queue.events.length) return;
+  if (isBackedUp(socketInstance.ws)) {
+    scheduleFlush(socketId, SEND_RETRY_INTERVAL_MS);
+    return;
+  }
+
+  const { events } = queue;
+  queue.events = [];
+  try {
+    sendEvents(socketInstance, events);
+  } catch (err) {
+    statsd.increment('ws_client_send_error');
+    logger.debug(`Error sending to socket: ${err}`);
+    // check that the connection is still active
+    cleanChannel(socketInstance.channel);
+  }
+};
+
+const scheduleFlush = (socketId: string, delayMs: number) => {
+  const queue = sendQueues[socketId];
+  if (!queue || queue.timer) return;
+  queue.timer = setTimeout(() => {
+    queue.timer = undefined;
+    flushSendQueue(socketId);
+  }, delayMs);
+};
+
+/**
+ * Sends an event to a socket, right away unless events are batched or the
+ * socket has too much unsent data. Otherwise the event is queued, and the
+ * socket is disconnected when it has more than `socketMaxQueuedEvents`
+ * queued events, rather than holding them in memory.
+ */
+const enqueueEvent = (
+  socketId: string,
+  socketInstance: SocketInstance,
+  data: string,
+) => {
+  const { ws } = socketInstance;
+  if (ws.readyState === WebSocket.CLOSING || ws.readyState === WebSocket.CLOSED)
+    return;
+  const queue = (sendQueues[socketId] ??= { events: [] });
+  const backedUp = isBackedUp(ws);
+  if (!queue.events.length && !opts.sendBatchWindowMs && !backedUp) {
+    sendEvents(socketInstance, [data]);
+    return;
+  }
+
+  if (backedUp) messagesDeferredCounter.inc();
+  queue.events.push(data);
+  if (queue.events.length > opts.socketMaxQueuedEvents) {
+    disconnectSlowConsumer(socketId, socketInstance);
+    return;
+  }
+  scheduleFlush(socketId, opts.sendBatchWindowMs || SEND_RETRY_INTERVAL_MS);
+};
+
+const sendToSocket = (
+  socketId: string,
+  socketInstance: SocketInstance,
+  data: string,
+) => {
+  try {
+    enqueueEvent(socketId, socketInstance, data);
+  } catch (err) {
+    statsd.increment('ws_client_send_error');
+    logger.debug(`Error sending to socket: ${err}`);
+    // check that the connection is still active
+    cleanChannel(socketInstance.channel);
+  }
+};
+
 /**
  * Sends a single async event payload to a single channel.
  * A channel may have multiple connected sockets, this emits
- * the event to all connected sockets within a channel.
+ * the event to all connected sockets within a channel
+ * subscribed to the event.
  */
 export const sendToChannel = (channel: string, value: EventValue): void => {
   const strData = JSON.stringify(value);
@@ -194,19 +381,16 @@ export const sendToChannel = (channel: string, value: EventValue): void => {
   channels[channel].sockets.forEach(socketId => {
     const socketInstance: SocketInstance = sockets[socketId];
     if (!socketInstance) return cleanChannel(channel);
-    try {
-      socketInstance.ws.send(strData);
-    } catch (err) {
-      statsd.increment('ws_client_send_error');
-      logger.debug(`Error sending to socket: ${err}`);
-      // check that the connection is still active
-      cleanChannel(channel);
+    if (!matchesSubscriptions(socketInstance.subscriptions, value)) {
+      messagesFilteredCounter.inc();
+      return;
     }
+    sendToSocket(socketId, socketInstance, strData);
   });
 };
 
 /**
- * Reads a range of events from a channel-specific Redis event stream.
+ * Reads a range of events from a channel-specific event stream.
  * Invoked in the client re-connection flow.
  */
 export const fetchRangeFromStream = async ({
@@ -215,47 +399,38 @@ export const fetchRangeFromStream = async ({
   endId,
   listener,
 }: FetchRangeFromStreamParams) => {
-  const streamName = `${opts.redisStreamPrefix}${sessionId}`;
   try {
-    const reply = await redis.xrange(streamName, startId, endId);
-    if (!reply || !reply.length) return;
-    listener(reply as StreamResult[]);
+    const results = await eventBackend.fetchRange(sessionId, startId, endId);
+    if (!results.length) return;
+    listener(results);
   } catch (e) {
     logger.error(e);
   }
 };
 
 /**
- * Reads from the global Redis event stream continuously.
- * Utilizes a blocking connection to Redis to wait for data to
+ * Reads from the global event stream continuously.
+ * Utilizes a blocking read of the event backend to wait for data to
  * be returned from the stream.
  */
-export const subscribeToGlobalStream = async (
-  stream: string,
-  listener: ListenerFunction,
-) => {
-  /*eslint no-constant-condition: ["error", { "checkLoops": false }]*/
-  while (true) {
+export const subscribeToGlobalStream = async (listener: ListenerFunction) => {
+  while (!shuttingDown) {
     try {
-      const reply = await redis.xread(
-        'BLOCK',
-        opts.redisStreamReadBlockMs,
-        'COUNT',
-        opts.redisStreamReadCount,
-        'STREAMS',
-        stream,
+      const results = await eventBackend.readGlobal(
         lastFirehoseId,
+        opts.redisStreamReadCount,
+        opts.redisStreamReadBlockMs,
       );
-      if (!reply) {
-        continue;
-      }
-      const results = reply[0][1];
       const { length } = results;
-      if (!results.length) {
+      if (!length) {
         continue;
       }
-      listener(results as StreamResult[]);
-      setLastFirehoseId(results[length - 1][0]);
+      listener(results);
+      const lastId = results[length - 1][0];
+      setLastFirehoseId(lastId);
+      // stream IDs start with the millisecond timestamp of the event
+      const publishedTs = Number(lastId.split('-')[0]);
+      streamLagGauge.set(Math.max(0, Date.now() - publishedTs) / 1000);
     } catch (e) {
       logger.error(e);
       continue;
@@ -280,15 +455,43 @@ export const processStreamResults = (results: StreamResult[]): void => {
 };
 
 /**
- * Verify and parse a JWT cookie from an HTTP request.
- * Returns the channelId from the JWT payload found in the cookie
- * configured via 'jwtCookieName' in the config.
+ * Replays to a socket the events of its channel stream matching its
+ * subscriptions that did not match its previous ones, and so were not sent.
  */
-const readChannelId = (request: http.IncomingMessage): string => {
-  const cookies = cookie.parse(request.headers.cookie || '');
-  const token = cookies[opts.jwtCookieName];
+const replayToSocket = (
+  socketId: string,
+  previousSubscriptions: Subscriptions | undefined,
+  results: StreamResult[],
+) => {
+  const socketInstance = sockets[socketId];
+  if (!socketInstance) return;
+  results.forEach(([id, [, data]]) => {
+    try {
+      const value: EventValue = { id, ...JSON.parse(data) };
+      if (
+        matchesSubscriptions(socketInstance.subscriptions, value) &&
+        !matchesSubscriptions(previousSubscriptions, value)
+      ) {
+        sendToSocket(socketId, socketInstance, JSON.stringify(value));
+      }
+    } catch (err) {
+      logger.error(err);
+    }
+  });
+};
 
-  if (!token) throw new Error('JWT not present');
+/**
+ * Returns the ID of the last event sent from the global stream, as the end
+ * of the range of a replay from a channel stream.
+ */
+const getReplayEndId = () =>
+  lastFirehoseId === DEFAULT_STREAM_LAST_ID ? '+' : lastFirehoseId;
+
+/**
+ * Verify and parse a JWT.
+ * Returns the channelId from the JWT payload, and the expiry of the JWT.
+ */
+const verifyToken = (token: string): TokenClaims => {
   const jwtPayload = jwt.verify(token, opts.jwtSecret, {
     algorithms: opts.jwtAlgorithms as Algorithm[],
     complete: false,
@@ -297,7 +500,126 @@ const readChannelId = (request: http.IncomingMessage): string => {
 
   if (!channelId) throw new Error('Channel ID not present in JWT');
 
-  return channelId;
+  return {
+    channel: String(channelId),
+    expiresAt: jwtPayload.exp ? jwtPayload.exp * 1000 : undefined,
+  };
+};
+
+/**
+ * Verify and parse a JWT cookie from an HTTP request.
+ * Returns the claims of the JWT found in the cookie
+ * configured via 'jwtCookieName' in the config.
+ */
+const readToken = (request: http.IncomingMessage): TokenClaims => {
+  const cookies = cookie.parse(request.headers.cookie || '');
+  const token = cookies[opts.jwtCookieName];
+
+  if (!token) throw new Error('JWT not present');
+
+  return verifyToken(token);
+};
+
+/**
+ * Updates the subscriptions of a socket from a `subscribe` or `unsubscribe`
+ * message. A `last_id` in a `subscribe` message replays the events after it
+ * that the socket was not subscribed to, e.g. for a job that completed
+ * before the client subscribed to it.
+ */
+const handleSubscriptionMessage = (
+  socketId: string,
+  socketInstance: SocketInstance,
+  // eslint-disable-next-line @typescript-eslint/no-explicit-any
+  message: Record<string, any>,
+) => {
+  const previousSubscriptions = socketInstance.subscriptions;
+  if (message.type === 'unsubscribe') {
+    socketInstance.subscriptions = removeSubscriptions(
+      previousSubscriptions,
+      message,
+    );
+    return;
+  }
+
+  socketInstance.subscriptions = addSubscriptions(
+    previousSubscriptions,
+    message,
+  );
+  if (typeof message.last_id === 'string' && message.last_id) {
+    fetchRangeFromStream({
+      sessionId: socketInstance.channel,
+      startId: incrementId(message.last_id),
+      endId: getReplayEndId(),
+      listener: results =>
+        replayToSocket(socketId, previousSubscriptions, results),
+    });
+  }
+};
+
+/**
+ * Handles the messages sent by a client:
+ * - `{"type": "auth", "token": "<JWT>"}` re-authenticates the socket before
+ *   its token expires. A token that is invalid or for another channel closes
+ *   the socket.
+ * - `{"type": "subscribe" | "unsubscribe", "event_types": [], "job_ids": []}`
+ *   changes the events sent to the socket.
+ */
+export const handleClientMessage = (socketId: string, data: string) => {
+  const socketInstance = sockets[socketId];
+  if (!socketInstance) return;
+
+  let message;
+  try {
+    message = JSON.parse(data);
+  } catch {
+    logger.debug(`invalid message from socket ${socketId}`);
+    return;
+  }
+  if (message?.type === 'subscribe' || message?.type === 'unsubscribe') {
+    handleSubscriptionMessage(socketId, socketInstance, message);
+    return;
+  }
+  if (message?.type !== 'auth') {
+    logger.debug(`unexpected message from socket ${socketId}`);
+    return;
+  }
+
+  try {
+    const { channel, expiresAt } = verifyToken(String(message.token));
+    if (channel !== socketInstance.channel) {
+      throw new Error('Channel ID does not match the socket channel');
+    }
+    socketInstance.expiresAt = expiresAt;
+    socketInstance.refreshRequested = false;
+    tokenRefreshesCounter.inc();
+  } catch (err) {
+    logger.debug(`re-authentication failed for socket ${socketId}: ${err}`);
+    socketInstance.ws.close(AUTH_FAILED_CLOSE_CODE, 'Authentication failed');
+  }
+};
+
+/**
+ * Asks the client of a socket to re-authenticate, once, when its token
+ * expires within `tokenRefreshWindowMs`. The request is queued behind the
+ * events not sent yet.
+ */
+const requestTokenRefresh = (
+  socketId: string,
+  socketInstance: SocketInstance,
+) => {
+  const { expiresAt } = socketInstance;
+  if (
+    !expiresAt ||
+    socketInstance.refreshRequested ||
+    expiresAt - Date.now() > opts.tokenRefreshWindowMs
+  )
+    return;
+  socketInstance.refreshRequested = true;
+  sendToSocket(
+    socketId,
+    socketInstance,
+    JSON.stringify({ type: 'auth_required', expires_at: expiresAt }),
+  );
 };
 
 /**
@@ -310,10 +632,20 @@ const getLastId = (request: http.IncomingMessage): string | null => {
 };
 
 /**
- * Increments a Redis Stream ID
+ * Extracts the subscriptions from the query params of an HTTP request
+ */
+const getSubscriptions = (
+  request: http.IncomingMessage,
+): Subscriptions | undefined => {
+  const url = new URL(String(request.url), 'http://0.0.0.0');
+  return parseSubscriptionParams(url.searchParams);
+};
+
+/**
+ * Increments a stream ID
  */
 export const incrementId = (id: string): string => {
-  // redis stream IDs are in this format: '1607477697866-0'
+  // stream IDs are in this format: '1607477697866-0'
   const parts = id.split('-');
   if (parts.length < 2) return id;
   return parts[0] + '-' + (Number(parts[1]) + 1);
@@ -323,8 +655,14 @@ export const incrementId = (id: string): string => {
  * WebSocket `connection` event handler, called via wss
  */
 export const wsConnection = (ws: WebSocket, request: http.IncomingMessage) => {
-  const channel: string = readChannelId(request);
-  const socketInstance: SocketInstance = { ws, channel, pongTs: Date.now() };
+  const { channel, expiresAt } = readToken(request);
+  const socketInstance: SocketInstance = {
+    ws,
+    channel,
+    pongTs: Date.now(),
+    expiresAt,
+    subscriptions: getSubscriptions(request),
+  };
 
   // add this ws instance to the internal registry
   const socketId = trackClient(channel, socketInstance);
@@ -333,18 +671,22 @@ export const wsConnection = (ws: WebSocket, request: http.IncomingMessage) => {
   // reconnection logic
   const lastId = getLastId(request);
   if (lastId) {
+    reconnectReplaysCounter.inc();
     // fetch range of events from lastId to most recent event received on
-    // via global event stream
-    const endId =
-      lastFirehoseId === DEFAULT_STREAM_LAST_ID ? '+' : lastFirehoseId;
+    // via global event stream, sent according to the subscriptions
     fetchRangeFromStream({
       sessionId: channel,
       startId: incrementId(lastId), // inclusive
-      endId, // inclusive
+      endId: getReplayEndId(), // inclusive
       listener: processStreamResults,
     });
   }
 
+  // init event handler for `message` events (re-authentication, subscriptions)
+  ws.on('message', function message(data: WebSocket.RawData) {
+    handleClientMessage(socketId, data.toString());
+  });
+
   // init event handler for `pong` events (connection management)
   ws.on('pong', function pong(data: Buffer) {
     const socketId = data.toString();
@@ -357,6 +699,79 @@ export const wsConnection = (ws: WebSocket, request: http.IncomingMessage) => {
   });
 };
 
+/**
+ * Checks the bearer token of a request against the expected token, e.g.
+ * `statusToken`, comparing digests to take the same time whatever the token
+ * length.
+ */
+const isAuthorized = (
+  request: http.IncomingMessage,
+  expectedToken: string,
+): boolean => {
+  const [scheme, token] = (request.headers.authorization || '').split(' ');
+  if (scheme !== 'Bearer' || !token) return false;
+  const digest = (value: string) => createHash('sha256').update(value).digest();
+  return timingSafeEqual(digest(token), digest(expectedToken));
+};
+
+// larger `POST /events` bodies are rejected
+const MAX_INGEST_BODY_BYTES = 1024 * 1024;
+
+/**
+ * Publishes the event sent in the body of a `POST /events` request to the
+ * in-memory event backend, so that it can be used without Superset
+ * publishing to Redis, e.g. for local development.
+ */
+const ingestEvent = (
+  backend: MemoryEventBackend,
+  request: http.IncomingMessage,
+  response: http.ServerResponse,
+) => {
+  const chunks: Buffer[] = [];
+  let size = 0;
+  request.on('data', (chunk: Buffer) => {
+    size += chunk.length;
+    if (size > MAX_INGEST_BODY_BYTES) {
+      response.writeHead(413);
+      response.end('Payload Too Large');
+      request.destroy();
+      return;
+    }
+    chunks.push(chunk);
+  });
+  request.on('end', () => {
+    let event;
+    try {
+      event = JSON.parse(Buffer.concat(chunks).toString());
+    } catch {
+      event = null;
+    }
+    if (typeof event?.channel_id !== 'string' || !event.channel_id) {
+      response.writeHead(400);
+      response.end('Invalid event, a channel_id is required');
+      return;
+    }
+    const id = backend.publish(event);
+    response.writeHead(201, { 'Content-Type': 'application/json' });
+    response.end(JSON.stringify({ id }));
+  });
+};
+
+/**
+ * Lists the live channels and the state of the global stream subscription,
+ * for debugging.
+ */
+export const getStatus = () => ({
+  socketCount: Object.keys(sockets).length,
+  channelCount: Object.keys(channels).length,
+  lastFirehoseId,
+  channels: Object.entries(channels).map(([id, channel]) => ({
+    id,
+    socketCount: channel.sockets.length,
+    messagesSent: channel.messagesSent,
+  })),
+});
+
 /**
  * HTTP `request` event handler, called via httpServer
  */
@@ -369,8 +784,49 @@ export const httpRequest = (
   const headers = request.headers || {};
   const url = new URL(rawUrl as string, `http://${headers.host}`);
   if (url.pathname === '/health' && ['GET', 'HEAD'].includes(method)) {
+    if (shuttingDown) {
+      response.writeHead(503);
+      response.end('Shutting down');
+      return;
+    }
     response.writeHead(200);
     response.end('OK');
+  } else if (
+    url.pathname === '/metrics' &&
+    ['GET', 'HEAD'].includes(method) &&
+    opts.statusToken
+  ) {
+    if (!isAuthorized(request, opts.statusToken)) {
+      response.writeHead(401, { 'WWW-Authenticate': 'Bearer' });
+      response.end('Unauthorized');
+      return;
+    }
+    response.writeHead(200, { 'Content-Type': PROMETHEUS_CONTENT_TYPE });
+    response.end(metrics.render());
+  } else if (
+    url.pathname === '/status' &&
+    method === 'GET' &&
+    opts.statusToken
+  ) {
+    if (!isAuthorized(request, opts.statusToken)) {
+      response.writeHead(401, { 'WWW-Authenticate': 'Bearer' });
+      response.end('Unauthorized');
+      return;
+    }
+    response.writeHead(200, { 'Content-Type': 'application/json' });
+    response.end(JSON.stringify(getStatus()));
+  } else if (
+    url.pathname === '/events' &&
+    method === 'POST' &&
+    eventBackend instanceof MemoryEventBackend &&
+    opts.memoryBackend.ingestToken
+  ) {
+    if (!isAuthorized(request, opts.memoryBackend.ingestToken)) {
+      response.writeHead(401, { 'WWW-Authenticate': 'Bearer' });
+      response.end('Unauthorized');
+      return;
+    }
+    ingestEvent(eventBackend, request, response);
   } else {
     logger.info(`Received unexpected request: ${method} ${rawUrl}`);
     response.writeHead(404);
@@ -386,13 +842,24 @@ export const httpUpgrade = (
   socket: net.Socket,
   head: Buffer,
 ) => {
+  if (shuttingDown) {
+    // let the load balancer route the client to another server
+    socket.end('HTTP/1.1 503 Service Unavailable\r\nConnection: close\r\n\r\n');
+    return;
+  }
+
+  let tokenExpired = false;
   try {
-    readChannelId(request);
+    readToken(request);
   } catch (err) {
-    // JWT invalid, do not establish a WebSocket connection
-    logger.error(err);
-    socket.destroy();
-    return;
+    if (!(err instanceof jwt.TokenExpiredError)) {
+      // JWT invalid, do not establish a WebSocket connection
+      logger.error(err);
+      socket.destroy();
+      return;
+    }
+    // the client is told to refresh its token cookie before reconnecting
+    tokenExpired = true;
   }
 
   // upgrade the HTTP request into a WebSocket connection
@@ -401,6 +868,11 @@ export const httpUpgrade = (
     socket,
     head,
     function cb(ws: WebSocket, request: http.IncomingMessage) {
+      if (tokenExpired) {
+        expiredTokensCounter.inc();
+        ws.close(TOKEN_EXPIRED_CLOSE_CODE, 'Token expired');
+        return;
+      }
       wss.emit('connection', ws, request);
     },
   );
@@ -411,6 +883,8 @@ export const httpUpgrade = (
 /**
  * Iterate over all tracked sockets, terminating and removing references to
  * connections that have not responded with a _pong_ within the timeout window.
+ * Closes the connections whose token expired, and asks the ones whose token
+ * is about to expire to re-authenticate.
  * Sends a _ping_ to all active connections.
  */
 export const checkSockets = () => {
@@ -426,15 +900,28 @@ export const checkSockets = () => {
         `terminating unresponsive socket: ${socketId}, channel: ${socketInstance.channel}`,
       );
       socketInstance.ws.terminate();
+      deadSocketsCounter.inc();
       isActive = false;
     } else if (!SOCKET_ACTIVE_STATES.includes(socketInstance.ws.readyState)) {
       isActive = false;
+    } else if (
+      socketInstance.expiresAt &&
+      socketInstance.expiresAt <= Date.now()
+    ) {
+      logger.debug(
+        `closing socket with an expired token: ${socketId}, channel: ${socketInstance.channel}`,
+      );
+      socketInstance.ws.close(TOKEN_EXPIRED_CLOSE_CODE, 'Token expired');
+      expiredTokensCounter.inc();
+      isActive = false;
     }
 
     if (isActive) {
+      requestTokenRefresh(socketId, socketInstance);
       socketInstance.ws.ping(socketId);
     } else {
       delete sockets[socketId];
+      dropSendQueue(socketId);
       logger.debug(`forgetting socket ${socketId}`);
     }
   }
@@ -462,6 +949,72 @@ export const cleanChannel = (channel: string) => {
   }
 };
 
+// graceful shutdown
+
+const waitFor = async (predicate: () => boolean, timeoutMs: number) => {
+  const deadline = Date.now() + timeoutMs;
+  while (!predicate() && Date.now() < deadline) {
+    await new Promise(resolve =>
+      setTimeout(resolve, SHUTDOWN_POLL_INTERVAL_MS),
+    );
+  }
+  return predicate();
+};
+
+/**
+ * Returns the delay after which a client should reconnect, spread by a random
+ * jitter so that the clients of a server do not all reconnect at once.
+ */
+export const getReconnectDelay = (): number =>
+  opts.shutdownReconnectDelayMs +
+  Math.floor(Math.random() * opts.shutdownReconnectJitterMs);
+
+/**
+ * Drains the connections: stops accepting upgrades and reading the global
+ * stream, waits for the pending writes to be flushed, then closes the sockets
+ * with a reconnect hint. Sockets still open after `shutdownTimeoutMs` are
+ * terminated.
+ */
+export const shutdown = async () => {
+  shuttingDown = true;
+  const deadline = Date.now() + opts.shutdownTimeoutMs;
+  const remainingMs = () => Math.max(0, deadline - Date.now());
+  const socketInstances = () => Object.values(sockets);
+  logger.info(`Shutting down, draining ${socketInstances().length} sockets`);
+
+  const flushed = await waitFor(
+    () =>
+      Object.values(sendQueues).every(({ events }) => !events.length) &&
+      socketInstances().every(({ ws }) => !ws.bufferedAmount),
+    remainingMs(),
+  );
+  if (!flushed) logger.warn('Timed out flushing the pending writes');
+
+  socketInstances().forEach(({ ws }) => {
+    ws.close(
+      SERVICE_RESTART_CLOSE_CODE,
+      JSON.stringify({ reconnect_after_ms: getReconnectDelay() }),
+    );
+  });
+
+  const closed = await waitFor(
+    () =>
+      socketInstances().every(({ ws }) => ws.readyState === WebSocket.CLOSED),
+    remainingMs(),
+  );
+  if (!closed) {
+    socketInstances().forEach(({ ws }) => {
+      if (ws.readyState !== WebSocket.CLOSED) ws.terminate();
+    });
+  }
+
+  try {
+    await eventBackend.close();
+  } catch (e) {
+    logger.error(e);
+  }
+};
+
 // server startup
 
 if (startServer) {
@@ -476,22 +1029,47 @@ if (startServer) {
   logger.info(`Server started on port ${opts.port}`);
 
   // start reading from event stream
-  subscribeToGlobalStream(GLOBAL_EVENT_STREAM_NAME, processStreamResults);
+  subscribeToGlobalStream(processStreamResults);
 
   // init garbage collection routines
-  setInterval(checkSockets, opts.pingSocketsIntervalMs);
-  setInterval(function gc() {
+  const checkSocketsInterval = setInterval(
+    checkSockets,
+    opts.pingSocketsIntervalMs,
+  );
+  const gcInterval = setInterval(function gc() {
     // clean all channels
     for (const channel in channels) {
       cleanChannel(channel);
     }
   }, opts.gcChannelsIntervalMs);
+
+  const onSignal = async (signal: NodeJS.Signals) => {
+    if (shuttingDown) return;
+    logger.info(`Received ${signal}`);
+    clearInterval(checkSocketsInterval);
+    clearInterval(gcInterval);
+    // the server keeps answering health checks and upgrades with a 503
+    // while draining
+    await shutdown();
+    httpServer.close();
+    process.exit(0);
+  };
+  process.on('SIGTERM', onSignal);
+  process.on('SIGINT', onSignal);
 }
 
 // test utilities
 
 export const resetState = () => {
+  Object.values(sendQueues).forEach(({ timer }) => clearTimeout(timer));
   channels = {};
   sockets = {};
+  sendQueues = {};
   lastFirehoseId = DEFAULT_STREAM_LAST_ID;
+  shuttingDown = false;
+  metrics.reset();
+};
+
+export const setEventBackend = (backend: EventBackend) => {
+  eventBackend = backend;
 };
@@ -0,0 +1,124 @@
+/**
+ * Licensed to the Apache Software Foundation (ASF) under one
+ * or more contributor license agreements.  See the NOTICE file
+ * distributed with this work for additional information
+ * regarding copyright ownership.  The ASF licenses this file
+ * to you under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance
+ * with the License.  You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an
+ * "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+ * KIND, either express or implied.  See the License for the
+ * specific language governing permissions and limitations
+ * under the License.
+ */
+export type Labels = Record<string, string>;
+
+type MetricType = 'counter' | 'gauge';
+
+const escapeLabelValue = (value: string) =>
+  value.replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+
+const serializeLabels = (labels: Labels) => {
+  const entries = Object.entries(labels).sort(([a], [b]) =>
+    a < b ? -1 : a > b ? 1 : 0,
+  );
+  if (!entries.length) return '';
+  const pairs = entries.map(
+    ([name, value]) => `${name}="${escapeLabelValue(value)}"`,
+  );
+  return `{${pairs.join(',')}}`;
+};
+
+/**
+ * A counter or a gauge, with one value per combination of labels.
+ */
+export class Metric {
+  private values = new Map<string, number>();
+
+  constructor(
+    readonly name: string,
+    readonly help: string,
+    readonly type: MetricType,
+  ) {}
+
+  inc(labels: Labels = {}, value = 1) {
+    const key = serializeLabels(labels);
+    this.values.set(key, (this.values.get(key) || 0) + value);
+  }
+
+  set(value: number, labels: Labels = {}) {
+    this.values.set(serializeLabels(labels), value);
+  }
+
+  get(labels: Labels = {}): number | undefined {
+    return this.values.get(serializeLabels(labels));
+  }
+
+  /**
+   * Forgets the value of a combination of labels, e.g. of a closed channel,
+   * so that the number of series does not grow unbounded.
+   */
+  remove(labels: Labels) {
+    this.values.delete(serializeLabels(labels));
+  }
+
+  reset() {
+    this.values.clear();
+  }
+
+  render(): string {
+    const lines = [
+      `# HELP ${this.name} ${this.help}`,
+      `# TYPE ${this.name} ${this.type}`,
+    ];
+    this.values.forEach((value, labels) => {
+      lines.push(`${this.name}${labels} ${value}`);
+    });
+    return lines.join('\n');
+  }
+}
+
+/**
+ * Holds the metrics of the server, rendered in the Prometheus text exposition
+ * format. Collectors are called before rendering, to update the gauges that
+ * are computed from the state of the server.
+ */
+export class MetricsRegistry {
+  private metrics: Metric[] = [];
+
+  private collectors: Array<() => void> = [];
+
+  counter(name: string, help: string): Metric {
+    return this.register(new Metric(name, help, 'counter'));
+  }
+
+  gauge(name: string, help: string): Metric {
+    return this.register(new Metric(name, help, 'gauge'));
+  }
+
+  onCollect(collector: () => void) {
+    this.collectors.push(collector);
+  }
+
+  render(): string {
+    this.collectors.forEach(collect => collect());
+    return `${this.metrics.map(metric => metric.render()).join('\n')}\n`;
+  }
+
+  reset() {
+    this.metrics.forEach(metric => metric.reset());
+  }
+
+  private register(metric: Metric): Metric {
+    this.metrics.push(metric);
+    return metric;
+  }
+}
+
+export const PROMETHEUS_CONTENT_TYPE =
+  'text/plain; version=0.0.4; charset=utf-8';
@@ -0,0 +1,107 @@
+/**
+ * Licensed to the Apache Software Foundation (ASF) under one
+ * or more contributor license agreements.  See the NOTICE file
+ * distributed with this work for additional information
+ * regarding copyright ownership.  The ASF licenses this file
+ * to you under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance
+ * with the License.  You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an
+ * "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+ * KIND, either express or implied.  See the License for the
+ * specific language governing permissions and limitations
+ * under the License.
+ */
+/**
+ * The event types and job IDs a socket subscribed to. A socket without
+ * subscriptions receives all the events of its channel.
+ */
+export interface Subscriptions {
+  eventTypes: Set<string>;
+  jobIds: Set<string>;
+}
+
+export interface SubscriptionChange {
+  event_types?: unknown;
+  job_ids?: unknown;
+}
+
+// the type matching the events of async jobs, which have no `type`
+export const JOB_EVENT_TYPE = 'job';
+export const MAX_SUBSCRIPTIONS = 1000;
+
+const toStrings = (value: unknown): string[] =>
+  Array.isArray(value)
+    ? value.filter((item): item is string => typeof item === 'string')
+    : [];
+
+/**
+ * Reads the initial subscriptions of a socket from the `event_types` and
+ * `job_ids` comma-separated query params of its connection URL.
+ */
+export const parseSubscriptionParams = (
+  params: URLSearchParams,
+): Subscriptions | undefined => {
+  const eventTypes = params.get('event_types');
+  const jobIds = params.get('job_ids');
+  if (eventTypes === null && jobIds === null) return undefined;
+  return addSubscriptions(undefined, {
+    event_types: eventTypes ? eventTypes.split(',') : [],
+    job_ids: jobIds ? jobIds.split(',') : [],
+  });
+};
+
+/**
+ * Returns whether an event is sent to a socket with the given subscriptions.
+ */
+export const matchesSubscriptions = (
+  subscriptions: Subscriptions | undefined,
+  event: { type?: string; job_id?: string },
+): boolean =>
+  !subscriptions ||
+  subscriptions.eventTypes.has(event.type || JOB_EVENT_TYPE) ||
+  (!!event.job_id && subscriptions.jobIds.has(event.job_id));
+
+/**
+ * Returns new subscriptions with the event types and job IDs of the change
+ * added, up to `MAX_SUBSCRIPTIONS` of each.
+ */
+export const addSubscriptions = (
+  subscriptions: Subscriptions | undefined,
+  change: SubscriptionChange,
+): Subscriptions => {
+  const add = (values: Set<string> | undefined, added: unknown) => {
+    const result = new Set(values);
+    toStrings(added).forEach(value => {
+      if (result.size < MAX_SUBSCRIPTIONS) result.add(value);
+    });
+    return result;
+  };
+  return {
+    eventTypes: add(subscriptions?.eventTypes, change.event_types),
+    jobIds: add(subscriptions?.jobIds, change.job_ids),
+  };
+};
+
+/**
+ * Returns new subscriptions without the event types and job IDs of the
+ * change. Removing everything leaves a socket receiving no events.
+ */
+export const removeSubscriptions = (
+  subscriptions: Subscriptions | undefined,
+  change: SubscriptionChange,
+): Subscriptions => {
+  const remove = (values: Set<string> | undefined, removed: unknown) => {
+    const result = new Set(values);
+    toStrings(removed).forEach(value => result.delete(value));
+    return result;
+  };
+  return {
+    eventTypes: remove(subscriptions?.eventTypes, change.event_types),
+    jobIds: remove(subscriptions?.jobIds, change.job_ids),
+  };
+};
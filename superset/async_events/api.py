@@ -23,6 +23,7 @@ from flask_appbuilder.security.decorators import permission_name, protect
 
 from superset.async_events.async_query_manager import AsyncQueryTokenException
 from superset.extensions import async_query_manager, event_logger
+from superset.utils.core import get_user_id
 from superset.views.base_api import BaseSupersetApi, statsd_metrics
 
 logger = logging.getLogger(__name__)
@@ -99,3 +100,52 @@ class AsyncEventsRestApi(BaseSupersetApi):
             return self.response_401()
 
         return self.response(200, result=events)
+
+    @expose("/token", methods=("POST",))
+    @event_logger.log_this
+    @protect()
+    @safe
+    @statsd_metrics
+    @permission_name("list")
+    def token(self) -> Response:
+        """
+        Refresh the JWT cookie of the user's async event channel, for WebSocket
+        clients to reconnect with before their token expires.
+        ---
+        post:
+          summary: Refresh the async events JWT cookie
+          description: >-
+            Sets a new JWT cookie for the async event channel of the user, for
+            WebSocket clients to reconnect with before their token expires.
+          responses:
+            200:
+              description: The expiry of the new JWT
+              content:
+                application/json:
+                  schema:
+                    type: object
+                    properties:
+                        result:
+                            type: object
+                            properties:
+                              expires_at:
+                                type: integer
+                                nullable: true
+            401:
+              $ref: '#/components/responses/401'
+            500:
+              $ref: '#/components/responses/500'
+        """
+        try:
+            async_channel_id = async_query_manager.parse_channel_id_from_request(
+                request
+            )
+        except AsyncQueryTokenException:
+            return self.response_401()
+
+        token, expires_at = async_query_manager.generate_token(
+            async_channel_id, get_user_id()
+        )
+        response = self.response(200, result={"expires_at": expires_at})
+        async_query_manager.set_token_cookie(response, token)
+        return response
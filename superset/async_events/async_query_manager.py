@@ -17,6 +17,7 @@
 from __future__ import annotations
 
 import logging
+import time
 import uuid
 from typing import Any, Literal, Optional
 
@@ -112,6 +113,7 @@ class AsyncQueryManager:
         self._jwt_cookie_domain: Optional[str]
         self._jwt_cookie_samesite: Optional[Literal["None", "Lax", "Strict"]] = None
         self._jwt_secret: str
+        self._jwt_expiration: Optional[int] = None
         self._load_chart_data_into_cache_job: Any = None
         # pylint: disable=invalid-name
         self._load_explore_json_into_cache_job: Any = None
@@ -146,6 +148,7 @@ class AsyncQueryManager:
         self._jwt_cookie_samesite = config["GLOBAL_ASYNC_QUERIES_JWT_COOKIE_SAMESITE"]
         self._jwt_cookie_domain = config["GLOBAL_ASYNC_QUERIES_JWT_COOKIE_DOMAIN"]
         self._jwt_secret = config["GLOBAL_ASYNC_QUERIES_JWT_SECRET"]
+        self._jwt_expiration = config["GLOBAL_ASYNC_QUERIES_JWT_EXPIRATION"]
 
         if config["GLOBAL_ASYNC_QUERIES_REGISTER_REQUEST_HANDLERS"]:
             self.register_request_handlers(app)
@@ -176,31 +179,82 @@ class AsyncQueryManager:
                 session["async_channel_id"] = async_channel_id
                 session["async_user_id"] = user_id
 
-                sub = str(user_id) if user_id else None
-                token = jwt.encode(
-                    {"channel": async_channel_id, "sub": sub},
-                    self._jwt_secret,
-                    algorithm="HS256",
-                )
-
-                response.set_cookie(
-                    self._jwt_cookie_name,
-                    value=token,
-                    httponly=True,
-                    secure=self._jwt_cookie_secure,
-                    domain=self._jwt_cookie_domain,
-                    samesite=self._jwt_cookie_samesite,
-                )
+                token, _ = self.generate_token(async_channel_id, user_id)
+                self.set_token_cookie(response, token)
+            elif self._token_needs_rotation(request.cookies[self._jwt_cookie_name]):
+                # the channel is kept, so that the open WebSocket connections
+                # can re-authenticate with the new token
+                token, _ = self.generate_token(session["async_channel_id"], user_id)
+                self.set_token_cookie(response, token)
 
             return response
 
+    def generate_token(
+        self, channel_id: str, user_id: Optional[int]
+    ) -> tuple[str, Optional[int]]:
+        """
+        Returns a JWT granting access to the events of the channel, along with
+        its expiry as a UNIX timestamp, when the tokens expire.
+        """
+        payload: dict[str, Any] = {
+            "channel": channel_id,
+            "sub": str(user_id) if user_id else None,
+        }
+        expires_at = None
+        if self._jwt_expiration:
+            expires_at = int(time.time()) + self._jwt_expiration
+            payload["exp"] = expires_at
+
+        token = jwt.encode(payload, self._jwt_secret, algorithm="HS256")
+        return token, expires_at
+
+    def set_token_cookie(self, response: Response, token: str) -> None:
+        response.set_cookie(
+            self._jwt_cookie_name,
+            value=token,
+            httponly=True,
+            secure=self._jwt_cookie_secure,
+            domain=self._jwt_cookie_domain,
+            samesite=self._jwt_cookie_samesite,
+        )
+
+    def _token_needs_rotation(self, token: str) -> bool:
+        """
+        Whether the token is past half of its lifetime, or was issued before
+        the tokens were set to expire.
+        """
+        if not self._jwt_expiration:
+            return False
+
+        try:
+            payload = jwt.decode(
+                token,
+                self._jwt_secret,
+                algorithms=["HS256"],
+                options={"verify_exp": False},
+            )
+        except jwt.PyJWTError:
+            return True
+
+        expires_at = payload.get("exp")
+        return expires_at is None or expires_at - time.time() < (
+            self._jwt_expiration / 2
+        )
+
     def parse_channel_id_from_request(self, req: Request) -> str:
         token = req.cookies.get(self._jwt_cookie_name)
         if not token:
             raise AsyncQueryTokenException("Token not preset")
 
         try:
-            return jwt.decode(token, self._jwt_secret, algorithms=["HS256"])["channel"]
+            # the request is authenticated by the session, the token only
+            # identifies its channel, and is rotated after the request if expired
+            return jwt.decode(
+                token,
+                self._jwt_secret,
+                algorithms=["HS256"],
+                options={"verify_exp": False},
+            )["channel"]
         except Exception as ex:
             logger.warning("Parse jwt failed", exc_info=True)
             raise AsyncQueryTokenException("Failed to parse token") from ex
@@ -0,0 +1,169 @@
+# Licensed to the Apache Software Foundation (ASF) under one
+# or more contributor license agreements.  See the NOTICE file
+# distributed with this work for additional information
+# regarding copyright ownership.  The ASF licenses this file
+# to you under the Apache License, Version 2.0 (the
+# "License"); you may not use this file except in compliance
+# with the License.  You may obtain a copy of the License at
+#
+#   http://www.apache.org/licenses/LICENSE-2.0
+#
+# Unless required by applicable law or agreed to in writing,
+# software distributed under the License is distributed on an
+# "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+# KIND, either express or implied.  See the License for the
+# specific language governing permissions and limitations
+# under the License.
+from __future__ import annotations
+
+import logging
+import time
+from collections.abc import Iterator
+from typing import Any, cast
+
+from flask import current_app
+
+from superset.commands.base import BaseCommand
+from superset.commands.database.exceptions import (
+    DatabaseColumnSearchUnexpectedError,
+    DatabaseNotFoundError,
+)
+from superset.daos.database import DatabaseDAO
+from superset.exceptions import SupersetException
+from superset.extensions import security_manager
+from superset.models.core import Database
+from superset.utils.core import DatasourceName
+
+logger = logging.getLogger(__name__)
+
+
+class SearchColumnsDatabaseCommand(BaseCommand):
+    """
+    Search the columns of all the tables accessible by the user in a database,
+    by column name, type or comment. The number of tables read and the time spent
+    are bounded, see SQLLAB_COLUMN_SEARCH_MAX_TABLES and
+    SQLLAB_COLUMN_SEARCH_TIMEOUT.
+    """
+
+    _model: Database
+
+    def __init__(
+        self,
+        db_id: int,
+        catalog_name: str | None,
+        search: str,
+        force: bool,
+    ):
+        self._db_id = db_id
+        self._catalog_name = catalog_name
+        self._search = search.strip().lower()
+        self._force = force
+
+    def _matches(self, column: dict[str, Any]) -> bool:
+        return any(
+            self._search in (column.get(key) or "").lower()
+            for key in ("name", "type", "comment")
+        )
+
+    def _get_accessible_tables(self, schema: str) -> list[str]:
+        """
+        List the tables and views of the schema accessible by the user, their
+        columns are only read once the access is checked.
+        """
+        cache_kwargs = {
+            "force": self._force,
+            "cache": self._model.table_cache_enabled,
+            "cache_timeout": self._model.table_cache_timeout,
+        }
+        datasource_names = self._model.get_all_table_names_in_schema(
+            catalog=self._catalog_name,
+            schema=schema,
+            **cache_kwargs,
+        ) | self._model.get_all_view_names_in_schema(
+            catalog=self._catalog_name,
+            schema=schema,
+            **cache_kwargs,
+        )
+        return sorted(
+            datasource_name.table
+            for datasource_name in security_manager.get_datasources_accessible_by_user(
+                database=self._model,
+                catalog=self._catalog_name,
+                schema=schema,
+                # the cached names may be raw tuples
+                datasource_names=sorted(
+                    DatasourceName(*datasource_name)
+                    for datasource_name in datasource_names
+                ),
+            )
+        )
+
+    def _get_columns(self, schema: str, table_name: str) -> list[dict[str, Any]]:
+        try:
+            return self._model.get_all_columns_in_table(
+                catalog=self._catalog_name,
+                schema=schema,
+                table_name=table_name,
+                force=self._force,
+                cache=self._model.table_cache_enabled,
+                cache_timeout=self._model.table_cache_timeout,
+            )
+        except Exception:  # pylint: disable=broad-except
+            logger.warning("Unable to read the columns of %s.%s", schema, table_name)
+            return []
+
+    def _iter_tables(self) -> Iterator[tuple[str, str]]:
+        schemas = security_manager.get_schemas_accessible_by_user(
+            self._model,
+            self._catalog_name,
+            self._model.get_all_schema_names(
+                catalog=self._catalog_name,
+                cache=self._model.schema_cache_enabled,
+                cache_timeout=self._model.schema_cache_timeout or None,
+                force=self._force,
+            ),
+        )
+        for schema in sorted(schemas):
+            for table_name in self._get_accessible_tables(schema):
+                yield schema, table_name
+
+    def run(self) -> dict[str, Any]:
+        self.validate()
+        max_results = current_app.config["SQLLAB_COLUMN_SEARCH_MAX_RESULTS"]
+        max_tables = current_app.config["SQLLAB_COLUMN_SEARCH_MAX_TABLES"]
+        deadline = time.monotonic() + current_app.config["SQLLAB_COLUMN_SEARCH_TIMEOUT"]
+        try:
+            results: list[dict[str, Any]] = []
+            # the search stops early on large databases, the results are partial
+            partial = False
+            for searched_tables, (schema, table_name) in enumerate(self._iter_tables()):
+                if len(results) > max_results:
+                    break
+                if searched_tables >= max_tables or time.monotonic() > deadline:
+                    partial = True
+                    break
+                results.extend(
+                    {
+                        "catalog": self._catalog_name,
+                        "schema": schema,
+                        "table": table_name,
+                        **column,
+                    }
+                    for column in self._get_columns(schema, table_name)
+                    if self._matches(column)
+                )
+
+            return {
+                "count": min(len(results), max_results),
+                "has_more": partial or len(results) > max_results,
+                "result": results[:max_results],
+            }
+        except SupersetException:
+            raise
+        except Exception as ex:
+            raise DatabaseColumnSearchUnexpectedError(str(ex)) from ex
+
+    def validate(self) -> None:
+        self._model = cast(Database, DatabaseDAO.find_by_id(self._db_id))
+        if not self._model:
+            raise DatabaseNotFoundError()
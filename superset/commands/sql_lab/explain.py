@@ -0,0 +1,159 @@
+# Licensed to the Apache Software Foundation (ASF) under one
+# or more contributor license agreements.  See the NOTICE file
+# distributed with this work for additional information
+# regarding copyright ownership.  The ASF licenses this file
+# to you under the Apache License, Version 2.0 (the
+# "License"); you may not use this file except in compliance
+# with the License.  You may obtain a copy of the License at
+#
+#   http://www.apache.org/licenses/LICENSE-2.0
+#
+# Unless required by applicable law or agreed to in writing,
+# software distributed under the License is distributed on an
+# "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+# KIND, either express or implied.  See the License for the
+# specific language governing permissions and limitations
+# under the License.
+from __future__ import annotations
+
+import logging
+from typing import Any, TypedDict
+
+from flask_babel import gettext as __
+
+from superset import app, db, security_manager
+from superset.commands.base import BaseCommand
+from superset.errors import ErrorLevel, SupersetError, SupersetErrorType
+from superset.exceptions import SupersetErrorException, SupersetTimeoutException
+from superset.jinja_context import get_template_processor
+from superset.models.core import Database
+from superset.sql.parse import SQLScript
+from superset.sql_parse import ParsedQuery
+from superset.utils import core as utils
+
+config = app.config
+SQLLAB_QUERY_COST_ESTIMATE_TIMEOUT = config["SQLLAB_QUERY_COST_ESTIMATE_TIMEOUT"]
+
+logger = logging.getLogger(__name__)
+
+
+class ExplainQueryType(TypedDict):
+    database_id: int
+    sql: str
+    template_params: dict[str, Any]
+    catalog: str | None
+    schema: str | None
+
+
+class QueryExplainCommand(BaseCommand):
+    """
+    Return the execution plan of each statement of a query, as reported by the
+    database's EXPLAIN.
+    """
+
+    _database_id: int
+    _sql: str
+    _template_params: dict[str, Any]
+    _schema: str
+    _database: Database
+    _catalog: str | None
+    _rendered_sql: str
+
+    def __init__(self, params: ExplainQueryType) -> None:
+        self._database_id = params["database_id"]
+        self._sql = params.get("sql", "")
+        self._template_params = params.get("template_params", {})
+        self._schema = params.get("schema") or ""
+        self._catalog = params.get("catalog")
+
+    def validate(self) -> None:
+        self._database = db.session.query(Database).get(self._database_id)
+        if not self._database:
+            raise SupersetErrorException(
+                SupersetError(
+                    message=__("The database could not be found"),
+                    error_type=SupersetErrorType.RESULTS_BACKEND_ERROR,
+                    level=ErrorLevel.ERROR,
+                ),
+                status=404,
+            )
+
+        self._rendered_sql = self._sql
+        if self._template_params:
+            template_processor = get_template_processor(self._database)
+            self._rendered_sql = template_processor.process_template(
+                self._sql, **self._template_params
+            )
+
+        security_manager.raise_for_access(
+            database=self._database,
+            sql=self._rendered_sql,
+            catalog=self._catalog,
+            schema=self._schema,
+        )
+        self._validate_statements()
+
+    def _validate_statements(self) -> None:
+        """
+        Only SELECT statements are explained: some databases run the statement to
+        get its plan, eg `EXPLAIN ANALYZE` in Postgres.
+        """
+        db_engine_spec = self._database.db_engine_spec
+        for statement in SQLScript(
+            self._rendered_sql, engine=db_engine_spec.engine
+        ).statements:
+            if statement.is_mutating():
+                raise SupersetErrorException(
+                    SupersetError(
+                        message=__(
+                            "The query plan of a statement that changes data or "
+                            "the database structure can't be shown."
+                        ),
+                        error_type=SupersetErrorType.DML_NOT_ALLOWED_ERROR,
+                        level=ErrorLevel.ERROR,
+                    ),
+                    status=400,
+                )
+            if not db_engine_spec.is_select_query(
+                ParsedQuery(str(statement), engine=db_engine_spec.engine)
+            ):
+                raise SupersetErrorException(
+                    SupersetError(
+                        message=__("Only the query plan of a SELECT can be shown."),
+                        error_type=SupersetErrorType.INVALID_SQL_ERROR,
+                        level=ErrorLevel.ERROR,
+                    ),
+                    status=400,
+                )
+
+    def run(
+        self,
+    ) -> list[dict[str, str]]:
+        self.validate()
+
+        timeout = SQLLAB_QUERY_COST_ESTIMATE_TIMEOUT
+        timeout_msg = f"The query plan exceeded the {timeout} seconds timeout."
+        try:
+            with utils.timeout(seconds=timeout, error_message=timeout_msg):
+                return self._database.db_engine_spec.explain_query(
+                    self._database,
+                    self._catalog,
+                    self._schema,
+                    self._rendered_sql,
+                    utils.QuerySource.SQL_LAB,
+                )
+        except SupersetTimeoutException as ex:
+            logger.exception(ex)
+            raise SupersetErrorException(
+                SupersetError(
+                    message=__(
+                        "The query plan was killed after %(sqllab_timeout)s "
+                        "seconds. It might be too complex, or the database might be "
+                        "under heavy load.",
+                        sqllab_timeout=SQLLAB_QUERY_COST_ESTIMATE_TIMEOUT,
+                    ),
+                    error_type=SupersetErrorType.SQLLAB_TIMEOUT_ERROR,
+                    level=ErrorLevel.ERROR,
+                ),
+                status=500,
+            ) from ex
@@ -26,6 +26,7 @@ from superset.commands.base import BaseCommand
 from superset.errors import ErrorLevel, SupersetError, SupersetErrorType
 from superset.exceptions import SerializationError, SupersetErrorException
 from superset.models.sql_lab import Query
+from superset.sql_lab import get_statements_summary
 from superset.sqllab.utils import apply_display_max_row_configuration_if_require
 from superset.utils import core as utils
 from superset.utils.dates import now_as_float
@@ -41,6 +42,7 @@ logger = logging.getLogger(__name__)
 class SqlExecutionResultsCommand(BaseCommand):
     _key: str
     _rows: int | None
+    _offset: int
     _blob: Any
     _query: Query
 
@@ -48,9 +50,11 @@ class SqlExecutionResultsCommand(BaseCommand):
         self,
         key: str,
         rows: int | None = None,
+        offset: int = 0,
     ) -> None:
         self._key = key
         self._rows = rows
+        self._offset = offset
 
     def validate(self) -> None:
         if not results_backend:
@@ -124,6 +128,13 @@ class SqlExecutionResultsCommand(BaseCommand):
                 status=404,
             ) from ex
 
+        if self._offset:
+            # skip the rows the client already has when results are paginated
+            obj["data"] = obj["data"][self._offset :]
+            # the client got the intermediate result sets with the first page
+            if obj.get("statements"):
+                obj["statements"] = get_statements_summary(obj["statements"])
+
         if self._rows:
             obj = apply_display_max_row_configuration_if_require(obj, self._rows)
 
@@ -1085,6 +1085,29 @@ SQLLAB_QUERY_COST_ESTIMATE_TIMEOUT = int(timedelta(seconds=10).total_seconds())
 # 0 means no timeout.
 SQLLAB_QUERY_RESULT_TIMEOUT = 0
 
+# SQL snippets shared with all SQL Lab users, offered as completions in the editor
+# next to the personal snippets of each user. The shared snippets are only managed
+# here, users cannot share their personal snippets, which are kept in the storage of
+# their browser. Each snippet has a `name`, an optional `description` and its `sql`,
+# where `${name}` placeholders become tab-stops, e.g.:
+# SQLLAB_SNIPPETS = [
+#     {
+#         "name": "last_7_days",
+#         "description": "Filter on the last 7 days",
+#         "sql": "WHERE ${column} >= CURRENT_DATE - INTERVAL '7' DAY",
+#     },
+# ]
+SQLLAB_SNIPPETS: list[dict[str, str]] = []
+
+# Maximum number of columns returned by the column search of the SQL Lab left bar.
+# The columns of each table are read once, then cached like the table lists.
+SQLLAB_COLUMN_SEARCH_MAX_RESULTS = 200
+# The column search only reads the columns of the tables the user can access, and
+# stops after reading this many tables or spending this many seconds, the results
+# are then partial.
+SQLLAB_COLUMN_SEARCH_MAX_TABLES = 500
+SQLLAB_COLUMN_SEARCH_TIMEOUT = 30
+
 # The cost returned by the databases is a relative value; in order to map the cost to
 # a tangible value you need to define a custom formatter that takes into consideration
 # your specific infrastructure. For example, you could analyze queries a posteriori by
@@ -1752,6 +1775,11 @@ GLOBAL_ASYNC_QUERIES_JWT_COOKIE_SAMESITE: None | (Literal["None", "Lax", "Strict
 )
 GLOBAL_ASYNC_QUERIES_JWT_COOKIE_DOMAIN = None
 GLOBAL_ASYNC_QUERIES_JWT_SECRET = "test-secret-change-me"  # noqa: S105
+# Lifetime of the async JWT, in seconds, eg `int(timedelta(hours=1).total_seconds())`.
+# The WebSocket server closes the connections of expired tokens, the frontend
+# refreshing the token cookie and reconnecting before that. The cookie is also
+# rotated once past half of its lifetime. Tokens never expire when set to None.
+GLOBAL_ASYNC_QUERIES_JWT_EXPIRATION: int | None = None
 GLOBAL_ASYNC_QUERIES_TRANSPORT: Literal["polling", "ws"] = "polling"
 GLOBAL_ASYNC_QUERIES_POLLING_DELAY = int(
     timedelta(milliseconds=500).total_seconds() * 1000
@@ -38,6 +38,11 @@ NO_TIME_RANGE = "No filter"
 
 QUERY_CANCEL_KEY = "cancel_query"
 QUERY_EARLY_CANCEL_KEY = "early_cancel_query"
+# async event channel of the SQL Lab session that ran a query
+QUERY_ASYNC_CHANNEL_KEY = "async_channel_id"
+QUERY_ASYNC_EVENT_TYPE = "sqllab_query"
+# exposed in place of the channel, telling that the query status is pushed
+QUERY_ASYNC_PUSHED_KEY = "status_pushed"
 
 LRU_CACHE_MAX_SIZE = 256
 
@@ -131,6 +136,7 @@ MODEL_API_RW_METHOD_PERMISSION_MAP = {
     "related": "read",
     "related_objects": "read",
     "tables": "read",
+    "column_search": "read",
     "schemas": "read",
     "catalogs": "read",
     "select_star": "read",
@@ -454,6 +454,20 @@ class EmbeddedDashboardDAO(BaseDAO[EmbeddedDashboard]):
         dashboard.embedded = [embedded]
         return embedded
 
+    @staticmethod
+    def find_by_chart_id(chart_id: int) -> list[EmbeddedDashboard]:
+        """
+        Returns the embedded configurations of the dashboards containing the chart.
+        A chart can only be embedded on its own if one of them is embedded.
+        """
+        return (
+            db.session.query(EmbeddedDashboard)
+            .join(Dashboard, EmbeddedDashboard.dashboard_id == Dashboard.id)
+            .join(Dashboard.slices)
+            .filter(Slice.id == chart_id)
+            .all()
+        )
+
     @classmethod
     def create(
         cls,
@@ -32,6 +32,7 @@ from marshmallow import ValidationError
 from sqlalchemy.exc import NoSuchTableError, OperationalError, SQLAlchemyError
 
 from superset import app, event_logger
+from superset.commands.database.column_search import SearchColumnsDatabaseCommand
 from superset.commands.database.create import CreateDatabaseCommand
 from superset.commands.database.delete import DeleteDatabaseCommand
 from superset.commands.database.exceptions import (
@@ -77,8 +78,10 @@ from superset.databases.filters import DatabaseFilter, DatabaseUploadEnabledFilt
 from superset.databases.schemas import (
     CatalogsResponseSchema,
     database_catalogs_query_schema,
+    database_column_search_query_schema,
     database_schemas_query_schema,
     database_tables_query_schema,
+    DatabaseColumnSearchResponse,
     DatabaseConnectionSchema,
     DatabaseFunctionNamesResponse,
     DatabasePostSchema,
@@ -146,6 +149,7 @@ class DatabaseRestApi(BaseSupersetModelRestApi):
         RouteMethod.IMPORT,
         RouteMethod.RELATED,
         "tables",
+        "column_search",
         "table_metadata",
         "table_metadata_deprecated",
         "table_extra_metadata",
@@ -272,12 +276,14 @@ class DatabaseRestApi(BaseSupersetModelRestApi):
         "database_catalogs_query_schema": database_catalogs_query_schema,
         "database_schemas_query_schema": database_schemas_query_schema,
         "database_tables_query_schema": database_tables_query_schema,
+        "database_column_search_query_schema": database_column_search_query_schema,
         "get_export_ids_schema": get_export_ids_schema,
     }
 
     openapi_spec_tag = "Database"
     openapi_spec_component_schemas = (
         CatalogsResponseSchema,
+        DatabaseColumnSearchResponse,
         DatabaseConnectionSchema,
         DatabaseFunctionNamesResponse,
         DatabaseSchemaAccessForFileUploadResponse,
@@ -806,6 +812,71 @@ class DatabaseRestApi(BaseSupersetModelRestApi):
         payload = command.run()
         return self.response(200, **payload)
 
+    @expose("/<int:pk>/column_search/")
+    @protect()
+    @rison(database_column_search_query_schema)
+    @statsd_metrics
+    @handle_api_exception
+    @event_logger.log_this_with_context(
+        action=lambda self, *args, **kwargs: f"{self.__class__.__name__}"
+        f".column_search",
+        log_to_statsd=False,
+    )
+    def column_search(self, pk: int, **kwargs: Any) -> FlaskResponse:
+        """Search the columns of all the tables in a given database.
+        ---
+        get:
+          summary: Search columns by name, type or comment across schemas
+          parameters:
+          - in: path
+            schema:
+              type: integer
+            name: pk
+            description: The database id
+          - in: query
+            name: q
+            content:
+              application/json:
+                schema:
+                  $ref: '#/components/schemas/database_column_search_query_schema'
+          responses:
+            200:
+              description: Matching columns
+              content:
+                application/json:
+                  schema:
+                    type: object
+                    properties:
+                      count:
+                        type: integer
+                      has_more:
+                        type: boolean
+                      result:
+                        description: >-
+                          A List of columns of the tables accessible by the user
+                        type: array
+                        items:
+                          $ref: '#/components/schemas/DatabaseColumnSearchResponse'
+            400:
+              $ref: '#/components/responses/400'
+            401:
+              $ref: '#/components/responses/401'
+            404:
+              $ref: '#/components/responses/404'
+            422:
+              $ref: '#/components/responses/422'
+            500:
+              $ref: '#/components/responses/500'
+        """
+        command = SearchColumnsDatabaseCommand(
+            pk,
+            kwargs["rison"].get("catalog_name"),
+            kwargs["rison"]["search"],
+            kwargs["rison"].get("force", False),
+        )
+        payload = command.run()
+        return self.response(200, **payload)
+
     @expose("/<int:pk>/table/<path:table_name>/<schema_name>/", methods=("GET",))
     @protect()
     @check_table_access
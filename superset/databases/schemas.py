@@ -83,6 +83,16 @@ database_tables_query_schema = {
     "required": ["schema_name"],
 }
 
+database_column_search_query_schema = {
+    "type": "object",
+    "properties": {
+        "force": {"type": "boolean"},
+        "search": {"type": "string", "minLength": 1},
+        "catalog_name": {"type": "string"},
+    },
+    "required": ["search"],
+}
+
 database_name_description = "A database name to identify this connection."
 port_description = "Port number for the database connection."
 cache_timeout_description = (
@@ -742,6 +752,19 @@ class DatabaseTablesResponse(Schema):
     value = fields.String(metadata={"description": "The table or view name"})
 
 
+class DatabaseColumnSearchResponse(Schema):
+    catalog = fields.String(
+        allow_none=True, metadata={"description": "The catalog of the table"}
+    )
+    schema = fields.String(metadata={"description": "The schema of the table"})
+    table = fields.String(metadata={"description": "The table or view name"})
+    name = fields.String(metadata={"description": "The column name"})
+    type = fields.String(metadata={"description": "The column type"})
+    comment = fields.String(
+        allow_none=True, metadata={"description": "The column comment"}
+    )
+
+
 class ValidateSQLRequest(Schema):
     sql = fields.String(
         required=True, metadata={"description": "SQL statement to validate"}
@@ -835,6 +858,7 @@ class ImportV1DatabaseExtraSchema(Schema):
     allow_multi_catalog = fields.Boolean(required=False)
     version = fields.String(required=False, allow_none=True)
     schema_options = fields.Dict(keys=fields.Str(), values=fields.Raw())
+    sql_lint = fields.Dict(keys=fields.Str(), values=fields.Raw())
 
 
 class ImportV1DatabaseSchema(Schema):
@@ -446,6 +446,11 @@ class BaseEngineSpec:  # pylint: disable=too-many-public-methods
     # the `cancel_query` value in the `extra` field of the `query` object
     has_query_id_before_execute = True
 
+    # Format of the plans returned by `explain_statement`. SQL Lab uses it to pick the
+    # parser that normalizes the plan into a tree; "text" is the indented output most
+    # databases return for a plain `EXPLAIN`.
+    explain_plan_format = "text"
+
     @classmethod
     def is_oauth2_enabled(cls) -> bool:
         return (
@@ -1791,6 +1796,69 @@ class BaseEngineSpec:  # pylint: disable=too-many-public-methods
                 for statement in parsed_script.statements
             ]
 
+    @classmethod
+    def get_explain_sql(cls, statement: str) -> str:
+        """
+        Generate the SQL that returns the execution plan of a given statement.
+
+        :param statement: A single SQL statement
+        :return: The EXPLAIN query
+        """
+        return f"EXPLAIN {statement}"
+
+    @classmethod
+    def explain_statement(cls, statement: str, cursor: Any) -> str:
+        """
+        Run the EXPLAIN of a given statement and return the raw plan.
+
+        Databases return the plan either as a single cell or as one row per line, so
+        the first column of all rows is joined.
+
+        :param statement: A single SQL statement
+        :param cursor: Cursor instance
+        :return: The plan, in the format described by `explain_plan_format`
+        """
+        cursor.execute(cls.get_explain_sql(statement))
+        return "\n".join(str(row[0]) for row in cursor.fetchall())
+
+    @classmethod
+    def explain_query(  # pylint: disable=too-many-arguments
+        cls,
+        database: Database,
+        catalog: str | None,
+        schema: str,
+        sql: str,
+        source: utils.QuerySource | None = None,
+    ) -> list[dict[str, str]]:
+        """
+        Return the execution plan of a multiple statement SQL query.
+
+        :param database: Database instance
+        :param schema: Database schema
+        :param sql: SQL query with possibly multiple statements
+        :param source: Source of the query (eg, "sql_lab")
+        :return: One plan per statement, with its format
+        """
+        parsed_script = SQLScript(sql, engine=cls.engine)
+
+        with database.get_raw_connection(
+            catalog=catalog,
+            schema=schema,
+            source=source,
+        ) as conn:
+            cursor = conn.cursor()
+            return [
+                {
+                    "sql": str(statement),
+                    "format": cls.explain_plan_format,
+                    "plan": cls.explain_statement(
+                        cls.process_statement(statement, database),
+                        cursor,
+                    ),
+                }
+                for statement in parsed_script.statements
+            ]
+
     @classmethod
     def get_url_for_impersonation(
         cls,
@@ -73,12 +73,17 @@ class TrinoEngineSpec(PrestoBaseEngineSpec):
     engine = "trino"
     engine_name = "Trino"
     allows_alias_to_source_column = False
+    explain_plan_format = "trino_json"
 
     # OAuth 2.0
     supports_oauth2 = True
     oauth2_exception = TrinoAuthError
     oauth2_token_request_type = "data"  # noqa: S105
 
+    @classmethod
+    def get_explain_sql(cls, statement: str) -> str:
+        return f"EXPLAIN (FORMAT JSON) {statement}"
+
     @classmethod
     def get_extra_table_metadata(
         cls,
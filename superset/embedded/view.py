@@ -14,7 +14,7 @@
 # KIND, either express or implied.  See the License for the
 # specific language governing permissions and limitations
 # under the License.
-from typing import Callable
+from typing import Any, Callable
 
 from flask import abort, current_app, request
 from flask_appbuilder import expose
@@ -28,6 +28,16 @@ from superset.utils import json
 from superset.views.base import BaseSupersetView, common_bootstrap_payload
 
 
+def is_referrer_allowed(allowed_domains: list[str]) -> bool:
+    """
+    Validates the request referrer against the allowed domains of an embedded
+    resource, any referrer is allowed when no domain is set.
+    """
+    return not allowed_domains or any(
+        same_origin(request.referrer, domain) for domain in allowed_domains
+    )
+
+
 class EmbeddedView(BaseSupersetView):
     """The views for embedded resources to be rendered in an iframe"""
 
@@ -56,34 +66,62 @@ class EmbeddedView(BaseSupersetView):
 
         assert embedded is not None
 
-        # validate request referrer in allowed domains
-        is_referrer_allowed = not embedded.allowed_domains
-        for domain in embedded.allowed_domains:
-            if same_origin(request.referrer, domain):
-                is_referrer_allowed = True
-                break
+        if not is_referrer_allowed(embedded.allowed_domains):
+            abort(403)
+
+        add_extra_log_payload(
+            embedded_dashboard_id=uuid,
+            dashboard_version="v2",
+        )
+
+        return self.render_embedded_page({"dashboard_id": embedded.dashboard_id})
+
+    @expose("/chart/<int:chart_id>")
+    @event_logger.log_this_with_extra_payload
+    def embedded_chart(
+        self,
+        chart_id: int,
+        add_extra_log_payload: Callable[..., None] = lambda **kwargs: None,
+    ) -> FlaskResponse:
+        """
+        Server side rendering for the embedded chart page. The chart must be part
+        of an embedded dashboard, whose allowed domains apply to the chart.
+        Access to the chart itself is granted by the guest token the host app
+        sends to the page.
+        :param chart_id: identifier for embedded chart
+        :param add_extra_log_payload: added by `log_this_with_manual_updates`, set a
+            default value to appease pylint
+        """
+        if not is_feature_enabled("EMBEDDED_SUPERSET"):
+            abort(404)
+
+        # a missing chart is not told apart from a chart that is not embedded
+        embedded_dashboards = EmbeddedDashboardDAO.find_by_chart_id(chart_id)
+        if not embedded_dashboards:
+            abort(404)
 
-        if not is_referrer_allowed:
+        if not any(
+            is_referrer_allowed(embedded.allowed_domains)
+            for embedded in embedded_dashboards
+        ):
             abort(403)
 
+        add_extra_log_payload(embedded_chart_id=chart_id)
+
+        return self.render_embedded_page({"chart_id": chart_id})
+
+    def render_embedded_page(self, embedded: dict[str, Any]) -> FlaskResponse:
         # Log in as an anonymous user, just for this view.
         # This view needs to be visible to all users,
         # and building the page fails if g.user and/or ctx.user aren't present.
         login_user(AnonymousUserMixin(), force=True)
 
-        add_extra_log_payload(
-            embedded_dashboard_id=uuid,
-            dashboard_version="v2",
-        )
-
         bootstrap_data = {
             "config": {
                 "GUEST_TOKEN_HEADER_NAME": current_app.config["GUEST_TOKEN_HEADER_NAME"]
             },
             "common": common_bootstrap_payload(),
-            "embedded": {
-                "dashboard_id": embedded.dashboard_id,
-            },
+            "embedded": embedded,
         }
 
         return self.render_template(
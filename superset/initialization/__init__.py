@@ -22,6 +22,7 @@ import os
 import sys
 from typing import Any, Callable, TYPE_CHECKING
 
+import sqlalchemy as sqla
 import wtforms_json
 from deprecation import deprecated
 from flask import abort, Flask, redirect, request, session
@@ -671,9 +672,27 @@ class SupersetAppInitializer:  # pylint: disable=too-many-public-methods
                 csrf.exempt(ex)
 
     def configure_async_queries(self) -> None:
+        # pylint: disable=import-outside-toplevel
+        from superset.models.sql_lab import (
+            collect_changed_queries,
+            discard_query_events,
+            prepare_query_events,
+            publish_query_events,
+        )
+
         if feature_flag_manager.is_feature_enabled("GLOBAL_ASYNC_QUERIES"):
             async_query_manager_factory.init_app(self.superset_app)
 
+        # the listeners check the feature flag themselves, as it can change at runtime
+        for identifier, listener in (
+            ("after_flush", collect_changed_queries),
+            ("after_flush_postexec", prepare_query_events),
+            ("after_commit", publish_query_events),
+            ("after_rollback", discard_query_events),
+        ):
+            if not sqla.event.contains(sqla.orm.Session, identifier, listener):
+                sqla.event.listen(sqla.orm.Session, identifier, listener)
+
     def register_blueprints(self) -> None:
         for bp in self.config["BLUEPRINTS"]:
             try:
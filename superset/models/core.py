@@ -857,6 +857,44 @@ class Database(Model, AuditMixinNullable, ImportExportMixin):  # pylint: disable
         except Exception as ex:
             raise self.db_engine_spec.get_dbapi_mapped_exception(ex) from ex
 
+    @cache_util.memoized_func(
+        key=(
+            "db:{self.id}:catalog:{catalog}:schema:{schema}"
+            ":table:{table_name}:column_list"
+        ),
+        cache=cache_manager.cache,
+    )
+    def get_all_columns_in_table(
+        self,
+        catalog: str | None,
+        schema: str,
+        table_name: str,
+    ) -> list[dict[str, Any]]:
+        """Parameters need to be passed as keyword arguments.
+
+        For unused parameters, they are referenced in
+        cache_util.memoized_func decorator.
+
+        :param catalog: optional catalog name
+        :param schema: schema name
+        :param table_name: table or view name
+        :param cache: whether cache is enabled for the function
+        :param cache_timeout: timeout in seconds for the cache
+        :param force: whether to force refresh the cache
+        :return: the name, type and comment of the columns
+        """
+        try:
+            return [
+                {
+                    "name": column["column_name"],
+                    "type": str(column["type"]),
+                    "comment": column.get("comment"),
+                }
+                for column in self.get_columns(Table(table_name, schema, catalog))
+            ]
+        except Exception as ex:
+            raise self.db_engine_spec.get_dbapi_mapped_exception(ex) from ex
+
     @contextmanager
     def get_inspector(
         self,
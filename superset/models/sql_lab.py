@@ -44,10 +44,15 @@ from sqlalchemy import (
     Text,
 )
 from sqlalchemy.engine.url import URL
-from sqlalchemy.orm import backref, relationship
+from sqlalchemy.orm import backref, relationship, Session
 from sqlalchemy.sql.elements import ColumnElement, literal_column
 
-from superset import security_manager
+from superset import is_feature_enabled, security_manager
+from superset.constants import (
+    QUERY_ASYNC_CHANNEL_KEY,
+    QUERY_ASYNC_EVENT_TYPE,
+    QUERY_ASYNC_PUSHED_KEY,
+)
 from superset.exceptions import SupersetSecurityException
 from superset.jinja_context import BaseTemplateProcessor, get_template_processor
 from superset.models.helpers import (
@@ -190,9 +195,20 @@ class Query(
             "user": user_label(self.user),
             "resultsKey": self.results_key,
             "trackingUrl": self.tracking_url,
-            "extra": self.extra,
+            "extra": self.public_extra,
         }
 
+    @property
+    def public_extra(self) -> dict[str, Any]:
+        """
+        The extra of the query without the id of its async event channel, a secret of
+        the session which ran it, only telling whether its status is pushed.
+        """
+        extra = {**self.extra}
+        if extra.pop(QUERY_ASYNC_CHANNEL_KEY, None):
+            extra[QUERY_ASYNC_PUSHED_KEY] = True
+        return extra
+
     @property
     def name(self) -> str:
         """Name property"""
@@ -574,3 +590,91 @@ class TableSchema(AuditMixinNullable, ExtraJSONMixin, Model):
             "description": description,
             "expanded": self.expanded,
         }
+
+
+# changes to these attributes are pushed to SQL Lab over the async event channel
+QUERY_EVENT_ATTRIBUTES = (
+    "status",
+    "progress",
+    "extra_json",
+    "results_key",
+    "error_message",
+    "tracking_url",
+)
+
+# keys of the session info holding the queries to publish, by client id
+CHANGED_QUERIES_KEY = "changed_queries"
+QUERY_EVENTS_KEY = "query_events"
+
+
+def collect_changed_queries(session: Session, _flush_context: Any) -> None:
+    """
+    Collects the SQL Lab queries whose state changed in the flush, they are
+    published once the transaction is committed.
+    """
+    if not is_feature_enabled("GLOBAL_ASYNC_QUERIES"):
+        return
+
+    for target in session.dirty:
+        if not isinstance(target, Query) or not target.extra.get(
+            QUERY_ASYNC_CHANNEL_KEY
+        ):
+            continue
+        state = sqla.inspect(target)
+        if any(
+            state.attrs[attr].history.has_changes() for attr in QUERY_EVENT_ATTRIBUTES
+        ):
+            session.info.setdefault(CHANGED_QUERIES_KEY, {})[target.client_id] = target
+
+
+def prepare_query_events(session: Session, _flush_context: Any) -> None:
+    """
+    Serializes the changed queries once flushed, while the session can still load
+    their relationships.
+    """
+    # pylint: disable=import-outside-toplevel
+    from superset.async_events.async_query_manager import build_job_metadata
+
+    for client_id, target in session.info.pop(CHANGED_QUERIES_KEY, {}).items():
+        session.info.setdefault(QUERY_EVENTS_KEY, {})[client_id] = (
+            build_job_metadata(
+                target.extra[QUERY_ASYNC_CHANNEL_KEY],
+                client_id,
+                target.user_id,
+            ),
+            target.status,
+            target.to_dict(),
+        )
+
+
+def publish_query_events(session: Session) -> None:
+    """
+    Publishes the state of the SQL Lab queries changed by the committed transaction
+    to the async event channel of the session which ran them, sparing SQL Lab from
+    polling for their progress.
+    """
+    # pylint: disable=import-outside-toplevel
+    from superset.extensions import async_query_manager
+
+    for client_id, (job_metadata, status, payload) in session.info.pop(
+        QUERY_EVENTS_KEY, {}
+    ).items():
+        try:
+            async_query_manager.update_job(
+                job_metadata,
+                status,
+                type=QUERY_ASYNC_EVENT_TYPE,
+                query=payload,
+            )
+        except Exception:  # pylint: disable=broad-except
+            logger.warning(
+                "Failed to publish the status of query %s", client_id, exc_info=True
+            )
+
+
+def discard_query_events(session: Session) -> None:
+    """
+    Discards the state of the queries changed by the rolled back transaction.
+    """
+    session.info.pop(CHANGED_QUERIES_KEY, None)
+    session.info.pop(QUERY_EVENTS_KEY, None)
@@ -24,6 +24,7 @@ from flask_appbuilder.security.decorators import permission_name, protect
 from flask_wtf.csrf import generate_csrf
 from marshmallow import EXCLUDE, fields, post_load, Schema, ValidationError
 
+from superset.commands.chart.exceptions import ChartNotFoundError
 from superset.commands.dashboard.embedded.exceptions import (
     EmbeddedDashboardNotFoundError,
 )
@@ -168,7 +169,7 @@ class SecurityRestApi(BaseSupersetApi):
                 body["user"], body["resources"], body["rls"]
             )
             return self.response(200, token=token)
-        except EmbeddedDashboardNotFoundError as error:
+        except (ChartNotFoundError, EmbeddedDashboardNotFoundError) as error:
             return self.response_400(message=error.message)
         except ValidationError as error:
             return self.response_400(message=error.messages)
@@ -2349,6 +2349,21 @@ class SupersetSecurityManager(  # pylint: disable=too-many-public-methods
                     )
                     and self.can_access_dashboard(dashboard_)
                 )
+                or (
+                    # Grant access to the datasource of an embedded chart the guest
+                    # user has access to.
+                    form_data
+                    and form_data.get("type") != "NATIVE_FILTER"
+                    and self.is_guest_user()
+                    and (slice_id := form_data.get("slice_id"))
+                    and (
+                        slc := self.get_session.query(Slice)
+                        .filter(Slice.id == slice_id)
+                        .one_or_none()
+                    )
+                    and slc.datasource == datasource
+                    and self.has_guest_chart_access(slc)
+                )
             ):
                 raise SupersetSecurityException(
                     self.get_datasource_access_error_object(datasource)
@@ -2400,6 +2415,9 @@ class SupersetSecurityManager(  # pylint: disable=too-many-public-methods
             if self.is_admin() or self.is_owner(chart):
                 return
 
+            if self.has_guest_chart_access(chart):
+                return
+
             if chart.datasource and self.can_access_datasource(chart.datasource):
                 return
 
@@ -2549,6 +2567,7 @@ class SupersetSecurityManager(  # pylint: disable=too-many-public-methods
     @staticmethod
     def validate_guest_token_resources(resources: GuestTokenResources) -> None:
         # pylint: disable=import-outside-toplevel
+        from superset.commands.chart.exceptions import ChartNotFoundError
         from superset.commands.dashboard.embedded.exceptions import (
             EmbeddedDashboardNotFoundError,
         )
@@ -2563,6 +2582,13 @@ class SupersetSecurityManager(  # pylint: disable=too-many-public-methods
                     embedded = EmbeddedDashboardDAO.find_by_id(str(resource["id"]))
                     if not embedded:
                         raise EmbeddedDashboardNotFoundError()
+            elif resource["type"] == GuestTokenResourceType.CHART.value:
+                # only the charts of an embedded dashboard can be embedded
+                chart_id = str(resource["id"])
+                if not chart_id.isdigit() or not EmbeddedDashboardDAO.find_by_chart_id(
+                    int(chart_id)
+                ):
+                    raise ChartNotFoundError()
 
     def create_guest_access_token(
         self,
@@ -2681,6 +2707,24 @@ class SupersetSecurityManager(  # pylint: disable=too-many-public-methods
                 return True
         return False
 
+    def has_guest_chart_access(self, chart: "Slice") -> bool:
+        """
+        Return True if the current user is a guest user whose token grants access
+        to the specified embedded chart, False otherwise.
+
+        :param chart: The chart
+        :returns: Whether the guest user can access the chart
+        """
+        user = self.get_current_guest_user_if_guest()
+        if not user:
+            return False
+
+        return any(
+            r["type"] == GuestTokenResourceType.CHART
+            and str(r["id"]) == str(chart.id)
+            for r in user.resources
+        )
+
     def raise_for_ownership(self, resource: Model) -> None:
         """
         Raise an exception if the user does not own the resource.
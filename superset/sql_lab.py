@@ -408,6 +408,16 @@ def _serialize_and_expand_data(
     return (data, selected_columns, all_columns, expanded_columns)
 
 
+def get_statements_summary(
+    statement_results: list[dict[str, Any]],
+) -> list[dict[str, Any]]:
+    """Strips the intermediate data from the statement results, to store in extra"""
+    return [
+        {key: value for key, value in result.items() if key not in ("columns", "data")}
+        for result in statement_results
+    ]
+
+
 def execute_sql_statements(  # noqa: C901
     # pylint: disable=too-many-arguments, too-many-locals, too-many-statements, too-many-branches
     query_id: int,
@@ -505,6 +515,9 @@ def execute_sql_statements(  # noqa: C901
             query.set_extra_json_key(QUERY_CANCEL_KEY, cancel_query_id)
             db.session.commit()
         statement_count = len(statements)
+        # per-statement status, timing and intermediate results, so scripts with
+        # several statements can be inspected one statement at a time
+        statement_results: list[dict[str, Any]] = []
         for i, statement in enumerate(statements):
             # Check if stopped
             db.session.refresh(query)
@@ -525,6 +538,13 @@ def execute_sql_statements(  # noqa: C901
             logger.info("Query %s: %s", str(query_id), msg)
             query.set_extra_json_key("progress", msg)
             db.session.commit()
+            statement_result: dict[str, Any] = {
+                "index": i,
+                "sql": statement,
+                "state": QueryStatus.RUNNING,
+                "startDttm": now_as_float(),
+            }
+            statement_results.append(statement_result)
             try:
                 result_set = execute_sql_statement(
                     statement,
@@ -533,6 +553,23 @@ def execute_sql_statements(  # noqa: C901
                     log_params,
                     apply_ctas,
                 )
+                statement_result.update(
+                    {
+                        "state": QueryStatus.SUCCESS,
+                        "endDttm": now_as_float(),
+                        "rows": result_set.size,
+                    }
+                )
+                if statement_count > 1:
+                    query.set_extra_json_key(
+                        "statements", get_statements_summary(statement_results)
+                    )
+                    # the result of the last statement is the result of the query
+                    if i < statement_count - 1 and result_set.columns:
+                        statement_result["columns"] = result_set.columns
+                        statement_result["data"] = (
+                            df_to_records(result_set.to_pandas_df()) or []
+                        )
 
             except SqlLabQueryStoppedException:
                 payload.update({"status": QueryStatus.STOPPED})
@@ -548,7 +585,22 @@ def execute_sql_statements(  # noqa: C901
                     if statement_count > 1
                     else ""
                 )
+                if statement_count > 1:
+                    statement_result.update(
+                        {
+                            "state": QueryStatus.FAILED,
+                            "endDttm": now_as_float(),
+                            "errorMessage": msg,
+                        }
+                    )
+                    query.set_extra_json_key(
+                        "statements", get_statements_summary(statement_results)
+                    )
                 payload = handle_query_error(ex, query, payload, prefix_message)
+                if statement_count > 1:
+                    for error in payload["errors"]:
+                        error["extra"] = {**(error["extra"] or {}), "statement": i}
+                    payload["statements"] = statement_results
                 return payload
 
         # Commit the connection so CTA queries will create the table and any DML.
@@ -590,6 +642,8 @@ def execute_sql_statements(  # noqa: C901
         }
     )
     payload["query"]["state"] = QueryStatus.SUCCESS
+    if statement_count > 1:
+        payload["statements"] = statement_results
 
     if store_results and results_backend:
         key = str(uuid.uuid4())
@@ -27,6 +27,7 @@ from marshmallow import ValidationError
 from superset import app, is_feature_enabled
 from superset.commands.sql_lab.estimate import QueryEstimationCommand
 from superset.commands.sql_lab.execute import CommandResult, ExecuteSqlCommand
+from superset.commands.sql_lab.explain import QueryExplainCommand
 from superset.commands.sql_lab.export import SqlResultExportCommand
 from superset.commands.sql_lab.results import SqlExecutionResultsCommand
 from superset.constants import MODEL_API_RW_METHOD_PERMISSION_MAP
@@ -47,6 +48,8 @@ from superset.sqllab.query_render import SqlQueryRenderImpl
 from superset.sqllab.schemas import (
     EstimateQueryCostSchema,
     ExecutePayloadSchema,
+    ExplainQueryResponseSchema,
+    ExplainQuerySchema,
     FormatQueryPayloadSchema,
     QueryExecutionResponseSchema,
     sql_lab_get_results_schema,
@@ -80,6 +83,7 @@ class SqlLabRestApi(BaseSupersetApi):
 
     estimate_model_schema = EstimateQueryCostSchema()
     execute_model_schema = ExecutePayloadSchema()
+    explain_model_schema = ExplainQuerySchema()
     format_model_schema = FormatQueryPayloadSchema()
 
     apispec_parameter_schemas = {
@@ -89,6 +93,8 @@ class SqlLabRestApi(BaseSupersetApi):
     openapi_spec_component_schemas = (
         EstimateQueryCostSchema,
         ExecutePayloadSchema,
+        ExplainQueryResponseSchema,
+        ExplainQuerySchema,
         QueryExecutionResponseSchema,
         SQLLabBootstrapSchema,
     )
@@ -188,6 +194,63 @@ class SqlLabRestApi(BaseSupersetApi):
         result = command.run()
         return self.response(200, result=result)
 
+    @expose("/explain/", methods=("POST",))
+    @protect()
+    @statsd_metrics
+    @requires_json
+    @permission_name("estimate_query_cost")
+    @event_logger.log_this_with_context(
+        action=lambda self, *args, **kwargs: f"{self.__class__.__name__}"
+        f".explain_query",
+        log_to_statsd=False,
+    )
+    def explain_query(self) -> Response:
+        """Get the execution plan of a SQL query.
+        ---
+        post:
+          summary: Get the execution plan of a SQL query
+          description: >-
+            Runs the database EXPLAIN for each statement of the query and returns
+            the raw plans, along with their format.
+          requestBody:
+            description: SQL query and params
+            required: true
+            content:
+              application/json:
+                schema:
+                  $ref: '#/components/schemas/ExplainQuerySchema'
+          responses:
+            200:
+              description: Execution plan of each statement
+              content:
+                application/json:
+                  schema:
+                    type: object
+                    properties:
+                      result:
+                        type: array
+                        items:
+                          $ref: '#/components/schemas/ExplainQueryResponseSchema'
+            400:
+              $ref: '#/components/responses/400'
+            401:
+              $ref: '#/components/responses/401'
+            403:
+              $ref: '#/components/responses/403'
+            404:
+              $ref: '#/components/responses/404'
+            500:
+              $ref: '#/components/responses/500'
+        """
+        try:
+            model = self.explain_model_schema.load(request.json)
+        except ValidationError as error:
+            return self.response_400(message=error.messages)
+
+        command = QueryExplainCommand(model)
+        result = command.run()
+        return self.response(200, result=result)
+
     @expose("/format_sql/", methods=("POST",))
     @statsd_metrics
     @protect()
@@ -339,7 +402,8 @@ class SqlLabRestApi(BaseSupersetApi):
         params = kwargs["rison"]
         key = params.get("key")
         rows = params.get("rows")
-        result = SqlExecutionResultsCommand(key=key, rows=rows).run()
+        offset = params.get("offset", 0)
+        result = SqlExecutionResultsCommand(key=key, rows=rows, offset=offset).run()
 
         # Using pessimistic json serialization since some database drivers can return
         # unserializeable types at times
@@ -22,6 +22,7 @@ sql_lab_get_results_schema = {
     "type": "object",
     "properties": {
         "key": {"type": "string"},
+        "offset": {"type": "integer", "minimum": 0},
     },
     "required": ["key"],
 }
@@ -45,6 +46,34 @@ class EstimateQueryCostSchema(Schema):
     )
 
 
+class ExplainQuerySchema(Schema):
+    database_id = fields.Integer(
+        required=True, metadata={"description": "The database id"}
+    )
+    sql = fields.String(
+        required=True, metadata={"description": "The SQL query to explain"}
+    )
+    template_params = fields.Dict(
+        keys=fields.String(), metadata={"description": "The SQL query template params"}
+    )
+    catalog = fields.String(
+        allow_none=True, metadata={"description": "The database catalog"}
+    )
+    schema = fields.String(
+        allow_none=True, metadata={"description": "The database schema"}
+    )
+
+
+class ExplainQueryResponseSchema(Schema):
+    sql = fields.String(metadata={"description": "The explained statement"})
+    format = fields.String(
+        metadata={
+            "description": "The format of the plan, eg, `text` or `postgres_json`"
+        }
+    )
+    plan = fields.String(metadata={"description": "The raw execution plan"})
+
+
 class FormatQueryPayloadSchema(Schema):
     sql = fields.String(required=True)
     engine = fields.String(required=False, allow_none=True)
@@ -21,10 +21,13 @@ import logging
 from dataclasses import dataclass
 from typing import Any, cast, TYPE_CHECKING
 
-from flask import g
+from flask import g, has_request_context, request
 from sqlalchemy.orm.exc import DetachedInstanceError
 
 from superset import is_feature_enabled
+from superset.async_events.async_query_manager import AsyncQueryTokenException
+from superset.constants import QUERY_ASYNC_CHANNEL_KEY
+from superset.extensions import async_query_manager
 from superset.models.sql_lab import Query
 from superset.sql_parse import CtasMethod
 from superset.utils import core as utils, json
@@ -55,6 +58,7 @@ class SqlJsonExecutionContext:  # pylint: disable=too-many-instance-attributes
     sql_editor_id: str
     tab_name: str
     user_id: int | None
+    async_channel_id: str | None
     expand_data: bool
     create_table_as_select: CreateTableAsSelect | None
     database: Database | None
@@ -66,6 +70,7 @@ class SqlJsonExecutionContext:  # pylint: disable=too-many-instance-attributes
         self.database = None
         self._init_from_query_params(query_params)
         self.user_id = get_user_id()
+        self.async_channel_id = self._get_async_channel_id()
         self.client_id_or_short_id = cast(str, self.client_id or utils.shortid()[:10])
 
     def set_query(self, query: Query) -> None:
@@ -105,6 +110,15 @@ class SqlJsonExecutionContext:  # pylint: disable=too-many-instance-attributes
             template_params = {}
         return template_params
 
+    @staticmethod
+    def _get_async_channel_id() -> str | None:
+        if not is_feature_enabled("GLOBAL_ASYNC_QUERIES") or not has_request_context():
+            return None
+        try:
+            return async_query_manager.parse_channel_id_from_request(request)
+        except AsyncQueryTokenException:
+            return None
+
     @staticmethod
     def _get_limit_param(query_params: dict[str, Any]) -> int:
         limit = apply_max_row_limit(query_params.get("queryLimit") or 0)
@@ -147,6 +161,13 @@ class SqlJsonExecutionContext:  # pylint: disable=too-many-instance-attributes
         self._sql_result = sql_result
 
     def create_query(self) -> Query:
+        query = self._create_query()
+        if self.async_channel_id:
+            # lets the query status be pushed to SQL Lab instead of polled
+            query.set_extra_json_key(QUERY_ASYNC_CHANNEL_KEY, self.async_channel_id)
+        return query
+
+    def _create_query(self) -> Query:
         start_time = now_as_float()
         if self.select_as_cta:
             return Query(
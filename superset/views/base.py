@@ -107,6 +107,7 @@ FRONTEND_CONF_KEYS = (
     "PREVENT_UNSAFE_DEFAULT_URLS_ON_DATASET",
     "JWT_ACCESS_CSRF_COOKIE_NAME",
     "SQLLAB_QUERY_RESULT_TIMEOUT",
+    "SQLLAB_SNIPPETS",
 )
 
 logger = logging.getLogger(__name__)
@@ -316,6 +317,12 @@ def cached_common_bootstrap_data(  # pylint: disable=unused-argument
             ReportRecipientType.EMAIL,
         ]
 
+    # SQL Lab does not prompt for a value of the names the configuration adds
+    # to the Jinja context
+    frontend_config["JINJA_CONTEXT_ADDON_NAMES"] = list(
+        conf.get("JINJA_CONTEXT_ADDONS") or {}
+    )
+
     # verify client has google sheets installed
     available_specs = get_available_engine_specs()
     frontend_config["HAS_GSHEETS_INSTALLED"] = (
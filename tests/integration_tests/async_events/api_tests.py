@@ -17,6 +17,8 @@
 from typing import Any, Optional, Type
 from unittest import mock
 
+import jwt
+
 from superset.async_events.cache_backend import (
     RedisCacheBackend,
     RedisSentinelCacheBackend,
@@ -136,3 +138,31 @@ class TestAsyncEventApi(SupersetTestCase):
         self.client.set_cookie(app.config["GLOBAL_ASYNC_QUERIES_JWT_COOKIE_NAME"], "")
         rv = self.fetch_events()
         assert rv.status_code == 401
+
+    @mock.patch("uuid.uuid4", return_value=UUID)
+    def test_token(self, mock_uuid4):
+        app._got_first_request = False
+        async_query_manager_factory.init_app(app)
+        self.login(ADMIN_USERNAME)
+
+        rv = self.client.post("api/v1/async_event/token")
+        response = json.loads(rv.data.decode("utf-8"))
+
+        assert rv.status_code == 200
+        assert "token" not in response["result"]
+        cookie = self.client.get_cookie(
+            app.config["GLOBAL_ASYNC_QUERIES_JWT_COOKIE_NAME"]
+        )
+        payload = jwt.decode(
+            cookie.value,
+            app.config["GLOBAL_ASYNC_QUERIES_JWT_SECRET"],
+            algorithms=["HS256"],
+        )
+        assert payload["channel"] == self.UUID
+        assert payload.get("exp") == response["result"]["expires_at"]
+
+    def test_token_no_token(self):
+        self.login(ADMIN_USERNAME)
+        self.client.set_cookie(app.config["GLOBAL_ASYNC_QUERIES_JWT_COOKIE_NAME"], "")
+        rv = self.client.post("api/v1/async_event/token")
+        assert rv.status_code == 401
@@ -24,6 +24,7 @@ import pytest
 from superset import db
 from superset.daos.dashboard import EmbeddedDashboardDAO
 from superset.models.dashboard import Dashboard
+from superset.models.slice import Slice
 from tests.integration_tests.fixtures.birth_names_dashboard import (
     load_birth_names_dashboard_with_slices,  # noqa: F401
     load_birth_names_data,  # noqa: F401
@@ -72,3 +73,58 @@ def test_get_embedded_dashboard_non_found(client: FlaskClient[Any]):  # noqa: F8
     uri = "embedded/bad-uuid"  # noqa: F541
     response = client.get(uri)
     assert response.status_code == 404
+
+
+@pytest.mark.usefixtures("load_birth_names_dashboard_with_slices")
+@mock.patch.dict(
+    "superset.extensions.feature_flag_manager._feature_flags",
+    EMBEDDED_SUPERSET=True,
+)
+def test_get_embedded_chart(client: FlaskClient[Any]):  # noqa: F811
+    chart = db.session.query(Slice).filter_by(slice_name="Girls").first()
+    dash = db.session.query(Dashboard).filter_by(slug="births").first()
+    EmbeddedDashboardDAO.upsert(dash, [])
+    db.session.flush()
+    response = client.get(f"embedded/chart/{chart.id}")
+    assert response.status_code == 200
+
+
+@pytest.mark.usefixtures("load_birth_names_dashboard_with_slices")
+@mock.patch.dict(
+    "superset.extensions.feature_flag_manager._feature_flags",
+    EMBEDDED_SUPERSET=True,
+)
+def test_get_embedded_chart_referrer_not_allowed(client: FlaskClient[Any]):  # noqa: F811
+    chart = db.session.query(Slice).filter_by(slice_name="Girls").first()
+    dash = db.session.query(Dashboard).filter_by(slug="births").first()
+    EmbeddedDashboardDAO.upsert(dash, ["test.example.com"])
+    db.session.flush()
+    response = client.get(f"embedded/chart/{chart.id}")
+    assert response.status_code == 403
+
+
+@pytest.mark.usefixtures("load_birth_names_dashboard_with_slices")
+@mock.patch.dict(
+    "superset.extensions.feature_flag_manager._feature_flags",
+    EMBEDDED_SUPERSET=True,
+)
+def test_get_embedded_chart_not_embedded(client: FlaskClient[Any]):  # noqa: F811
+    chart = db.session.query(Slice).filter_by(slice_name="Girls").first()
+    response = client.get(f"embedded/chart/{chart.id}")
+    assert response.status_code == 404
+
+
+@mock.patch.dict(
+    "superset.extensions.feature_flag_manager._feature_flags",
+    EMBEDDED_SUPERSET=True,
+)
+def test_get_embedded_chart_not_found(client: FlaskClient[Any]):  # noqa: F811
+    response = client.get("embedded/chart/0")
+    assert response.status_code == 404
+
+
+@pytest.mark.usefixtures("load_birth_names_dashboard_with_slices")
+def test_get_embedded_chart_feature_flag_off(client: FlaskClient[Any]):  # noqa: F811
+    chart = db.session.query(Slice).filter_by(slice_name="Girls").first()
+    response = client.get(f"embedded/chart/{chart.id}")
+    assert response.status_code == 404
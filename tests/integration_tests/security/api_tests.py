@@ -24,6 +24,7 @@ from flask_wtf.csrf import generate_csrf
 from superset import db
 from superset.daos.dashboard import EmbeddedDashboardDAO
 from superset.models.dashboard import Dashboard
+from superset.models.slice import Slice
 from superset.utils.urls import get_url_host
 from superset.utils import json
 from tests.integration_tests.conftest import with_config
@@ -137,6 +138,63 @@ class TestSecurityGuestTokenApi(SupersetTestCase):
 
         self.assert400(response)
 
+    @pytest.mark.usefixtures("load_birth_names_dashboard_with_slices")
+    def test_post_guest_token_chart_resource(self):
+        chart = db.session.query(Slice).filter_by(slice_name="Girls").first()
+        dash = db.session.query(Dashboard).filter_by(slug="births").first()
+        EmbeddedDashboardDAO.upsert(dash, [])
+        db.session.flush()
+        self.login(ADMIN_USERNAME)
+        user = {"username": "bob", "first_name": "Bob", "last_name": "Also Bob"}
+        resource = {"type": "chart", "id": str(chart.id)}
+        params = {"user": user, "resources": [resource], "rls": []}
+
+        response = self.client.post(
+            self.uri, data=json.dumps(params), content_type="application/json"
+        )
+
+        self.assert200(response)
+        token = json.loads(response.data)["token"]
+        decoded_token = jwt.decode(
+            token,
+            self.app.config["GUEST_TOKEN_JWT_SECRET"],
+            audience=get_url_host(),
+            algorithms=["HS256"],
+        )
+        assert resource == decoded_token["resources"][0]
+
+    @pytest.mark.usefixtures("load_birth_names_dashboard_with_slices")
+    def test_post_guest_token_chart_resource_not_embedded(self):
+        chart = db.session.query(Slice).filter_by(slice_name="Girls").first()
+        self.login(ADMIN_USERNAME)
+        user = {"username": "bob", "first_name": "Bob", "last_name": "Also Bob"}
+        params = {
+            "user": user,
+            "resources": [{"type": "chart", "id": str(chart.id)}],
+            "rls": [],
+        }
+
+        response = self.client.post(
+            self.uri, data=json.dumps(params), content_type="application/json"
+        )
+
+        self.assert400(response)
+
+    def test_post_guest_token_bad_chart_resource(self):
+        self.login(ADMIN_USERNAME)
+        user = {"username": "bob", "first_name": "Bob", "last_name": "Also Bob"}
+        params = {
+            "user": user,
+            "resources": [{"type": "chart", "id": "0"}],
+            "rls": [],
+        }
+
+        response = self.client.post(
+            self.uri, data=json.dumps(params), content_type="application/json"
+        )
+
+        self.assert400(response)
+
 
 @pytest.mark.usefixtures("load_birth_names_dashboard_with_slices", scope="class")
 class TestSecurityGuestTokenApiTokenValidator(SupersetTestCase):
@@ -480,3 +480,85 @@ class TestGuestUserDatasourceAccess(SupersetTestCase):
                         )
                     }
                 )
+
+
+@patch.dict(
+    "superset.extensions.feature_flag_manager._feature_flags",
+    EMBEDDED_SUPERSET=True,
+)
+@pytest.mark.usefixtures("load_birth_names_dashboard_with_slices_class_scope")
+class TestGuestUserChartAccess(SupersetTestCase):
+    """
+    Guest users with a chart resource should only have access to that chart and
+    the datasource it queries
+    """
+
+    def setUp(self) -> None:
+        self.chart = self.get_slice("Girls")
+        self.other_chart = self.get_slice("Trends")
+        self.authorized_guest = security_manager.get_guest_user_from_token(
+            {
+                "user": {},
+                "resources": [
+                    {"type": GuestTokenResourceType.CHART, "id": str(self.chart.id)}
+                ],
+                "iat": 10,
+                "exp": 20,
+                "rls_rules": [],
+            }
+        )
+
+    def test_has_guest_chart_access__regular_user(self):
+        g.user = security_manager.find_user("admin")
+        assert not security_manager.has_guest_chart_access(self.chart)
+
+    def test_has_guest_chart_access__authorized_guest_user(self):
+        g.user = self.authorized_guest
+        assert security_manager.has_guest_chart_access(self.chart)
+
+    def test_has_guest_chart_access__other_chart(self):
+        g.user = self.authorized_guest
+        assert not security_manager.has_guest_chart_access(self.other_chart)
+
+    def test_has_guest_chart_access__dashboard_resource(self):
+        g.user = security_manager.get_guest_user_from_token(
+            {
+                "user": {},
+                "resources": [{"type": "dashboard", "id": str(self.chart.id)}],
+            }
+        )
+        assert not security_manager.has_guest_chart_access(self.chart)
+
+    def test_raise_for_access__chart(self):
+        g.user = self.authorized_guest
+        security_manager.raise_for_access(chart=self.chart)
+
+    def test_raise_for_access__chart_datasource(self):
+        g.user = self.authorized_guest
+        for kwarg in ["viz", "query_context"]:
+            security_manager.raise_for_access(
+                **{
+                    kwarg: Mock(
+                        datasource=self.chart.datasource,
+                        form_data={
+                            "slice_id": self.chart.id,
+                            "metrics": self.chart.params_dict["metrics"],
+                        },
+                        slice_=self.chart,
+                        queries=[],
+                    )
+                }
+            )
+
+    def test_raise_for_access__other_chart(self):
+        g.user = self.authorized_guest
+        for kwarg in ["viz", "query_context"]:
+            with self.assertRaises(SupersetSecurityException):  # noqa: PT027
+                security_manager.raise_for_access(
+                    **{
+                        kwarg: Mock(
+                            datasource=self.other_chart.datasource,
+                            form_data={"slice_id": self.other_chart.id},
+                        )
+                    }
+                )
@@ -22,7 +22,7 @@ import pytest
 from flask_babel import gettext as __
 
 from superset import app, db, sql_lab
-from superset.commands.sql_lab import estimate, export, results
+from superset.commands.sql_lab import estimate, explain, export, results
 from superset.common.db_query_status import QueryStatus
 from superset.errors import ErrorLevel, SupersetError, SupersetErrorType
 from superset.exceptions import (
@@ -34,7 +34,7 @@ from superset.exceptions import (
 from superset.models.core import Database  # noqa: F401
 from superset.models.sql_lab import Query
 from superset.sqllab.limiting_factor import LimitingFactor
-from superset.sqllab.schemas import EstimateQueryCostSchema
+from superset.sqllab.schemas import EstimateQueryCostSchema, ExplainQuerySchema
 from superset.utils import core as utils
 from superset.utils.database import get_example_database
 from tests.integration_tests.base_tests import SupersetTestCase
@@ -114,6 +114,145 @@ class TestQueryEstimationCommand(SupersetTestCase):
             assert result == payload
 
 
+class TestQueryExplainCommand(SupersetTestCase):
+    def test_validation_no_database(self) -> None:
+        params = {"database_id": 1, "sql": "SELECT 1"}
+        schema = ExplainQuerySchema()
+        data: ExplainQuerySchema = schema.dump(params)
+        command = explain.QueryExplainCommand(data)
+
+        with mock.patch("superset.commands.sql_lab.explain.db") as mock_superset_db:
+            mock_superset_db.session.query().get.return_value = None
+            with pytest.raises(SupersetErrorException) as ex_info:
+                command.validate()
+            assert (
+                ex_info.value.error.error_type
+                == SupersetErrorType.RESULTS_BACKEND_ERROR
+            )
+
+    def test_run_timeout(self) -> None:
+        params = {"database_id": 1, "sql": "SELECT 1"}
+        schema = ExplainQuerySchema()
+        data: ExplainQuerySchema = schema.dump(params)
+        command = explain.QueryExplainCommand(data)
+
+        db_mock = mock.Mock()
+        db_mock.db_engine_spec = mock.Mock(engine="base")
+        db_mock.db_engine_spec.explain_query = mock.Mock(
+            side_effect=SupersetTimeoutException(
+                error_type=SupersetErrorType.CONNECTION_DATABASE_TIMEOUT,
+                message="timeout",
+                level=ErrorLevel.ERROR,
+            )
+        )
+
+        with (
+            mock.patch("superset.commands.sql_lab.explain.db") as mock_superset_db,
+            mock.patch("superset.commands.sql_lab.explain.security_manager"),
+        ):
+            mock_superset_db.session.query().get.return_value = db_mock
+            with pytest.raises(SupersetErrorException) as ex_info:
+                command.run()
+            assert (
+                ex_info.value.error.error_type == SupersetErrorType.SQLLAB_TIMEOUT_ERROR
+            )
+
+    def test_run_success(self) -> None:
+        params = {
+            "database_id": 1,
+            "sql": "SELECT {{ value }}",
+            "template_params": {"value": 1},
+        }
+        schema = ExplainQuerySchema()
+        data: ExplainQuerySchema = schema.dump(params)
+        command = explain.QueryExplainCommand(data)
+
+        payload = [{"sql": "SELECT 1", "format": "text", "plan": "Result"}]
+
+        db_mock = mock.Mock()
+        db_mock.db_engine_spec = mock.Mock(engine="base")
+        db_mock.db_engine_spec.explain_query = mock.Mock(return_value=payload)
+
+        with (
+            mock.patch("superset.commands.sql_lab.explain.db") as mock_superset_db,
+            mock.patch(
+                "superset.commands.sql_lab.explain.get_template_processor"
+            ) as mock_get_template_processor,
+            mock.patch(
+                "superset.commands.sql_lab.explain.security_manager"
+            ) as mock_security_manager,
+        ):
+            mock_superset_db.session.query().get.return_value = db_mock
+            mock_get_template_processor().process_template.return_value = "SELECT 1"
+            result = command.run()
+            assert result == payload
+            assert db_mock.db_engine_spec.explain_query.call_args[0][3] == "SELECT 1"
+            mock_security_manager.raise_for_access.assert_called_once_with(
+                database=db_mock,
+                sql="SELECT 1",
+                catalog=None,
+                schema="",
+            )
+
+    def test_validation_no_access(self) -> None:
+        params = {"database_id": 1, "sql": "SELECT * FROM secret"}
+        schema = ExplainQuerySchema()
+        data: ExplainQuerySchema = schema.dump(params)
+        command = explain.QueryExplainCommand(data)
+
+        db_mock = mock.Mock()
+        db_mock.db_engine_spec = mock.Mock(engine="base")
+
+        with (
+            mock.patch("superset.commands.sql_lab.explain.db") as mock_superset_db,
+            mock.patch(
+                "superset.commands.sql_lab.explain.security_manager"
+            ) as mock_security_manager,
+        ):
+            mock_superset_db.session.query().get.return_value = db_mock
+            mock_security_manager.raise_for_access.side_effect = (
+                SupersetSecurityException(
+                    SupersetError(
+                        message="denied",
+                        error_type=SupersetErrorType.TABLE_SECURITY_ACCESS_ERROR,
+                        level=ErrorLevel.ERROR,
+                    )
+                )
+            )
+            with pytest.raises(SupersetSecurityException):
+                command.run()
+            db_mock.db_engine_spec.explain_query.assert_not_called()
+
+    def test_validation_not_select(self) -> None:
+        db_mock = mock.Mock()
+        db_mock.db_engine_spec = mock.Mock(engine="base")
+        db_mock.db_engine_spec.is_select_query.side_effect = lambda parsed_query: (
+            parsed_query.is_select()
+        )
+
+        for sql, error_type in [
+            ("DELETE FROM birth_names", SupersetErrorType.DML_NOT_ALLOWED_ERROR),
+            (
+                "SELECT 1; DROP TABLE birth_names",
+                SupersetErrorType.DML_NOT_ALLOWED_ERROR,
+            ),
+            ("SHOW TABLES", SupersetErrorType.INVALID_SQL_ERROR),
+        ]:
+            schema = ExplainQuerySchema()
+            data: ExplainQuerySchema = schema.dump({"database_id": 1, "sql": sql})
+            command = explain.QueryExplainCommand(data)
+
+            with (
+                mock.patch("superset.commands.sql_lab.explain.db") as mock_superset_db,
+                mock.patch("superset.commands.sql_lab.explain.security_manager"),
+            ):
+                mock_superset_db.session.query().get.return_value = db_mock
+                with pytest.raises(SupersetErrorException) as ex_info:
+                    command.run()
+                assert ex_info.value.error.error_type == error_type
+            db_mock.db_engine_spec.explain_query.assert_not_called()
+
+
 class TestSqlResultExportCommand(SupersetTestCase):
     @pytest.fixture
     def create_database_and_query(self):
@@ -367,3 +506,56 @@ class TestSqlExecutionResultsCommand(SupersetTestCase):
         assert result.get("status") == "success"
         assert result["query"].get("rows") == 104
         assert result.get("data") == data
+
+    @pytest.mark.usefixtures("create_database_and_query")
+    @patch("superset.commands.sql_lab.results.results_backend_use_msgpack", False)
+    def test_run_with_offset(self) -> None:
+        data = [{"col_0": i} for i in range(104)]
+        payload = {
+            "status": QueryStatus.SUCCESS,
+            "query": {"rows": 104},
+            "data": data,
+        }
+        serialized_payload = sql_lab._serialize_payload(payload, False)
+        compressed = utils.zlib_compress(serialized_payload)
+
+        results.results_backend = mock.Mock()
+        results.results_backend.get.return_value = compressed
+
+        command = results.SqlExecutionResultsCommand("abc_query", 50, 100)
+        result = command.run()
+
+        assert result.get("status") == "success"
+        assert result["query"].get("rows") == 104
+        assert result.get("data") == data[100:]
+
+    @pytest.mark.usefixtures("create_database_and_query")
+    @patch("superset.commands.sql_lab.results.results_backend_use_msgpack", False)
+    def test_run_with_offset_drops_statements_data(self) -> None:
+        data = [{"col_0": i} for i in range(104)]
+        statement = {
+            "sql": "SELECT 1 AS col_0",
+            "status": QueryStatus.SUCCESS,
+            "rows": 1,
+            "columns": [{"column_name": "col_0"}],
+            "data": [{"col_0": 1}],
+        }
+        payload = {
+            "status": QueryStatus.SUCCESS,
+            "query": {"rows": 104},
+            "data": data,
+            "statements": [statement],
+        }
+        serialized_payload = sql_lab._serialize_payload(payload, False)
+        compressed = utils.zlib_compress(serialized_payload)
+
+        results.results_backend = mock.Mock()
+        results.results_backend.get.return_value = compressed
+
+        first_page = results.SqlExecutionResultsCommand("abc_query", 50).run()
+        assert first_page["statements"] == [statement]
+
+        next_page = results.SqlExecutionResultsCommand("abc_query", 50, 100).run()
+        assert next_page["statements"] == [
+            {"sql": "SELECT 1 AS col_0", "status": QueryStatus.SUCCESS, "rows": 1}
+        ]
@@ -14,12 +14,13 @@
 # KIND, either express or implied.  See the License for the
 # specific language governing permissions and limitations
 # under the License.
+import time
 from unittest import mock
 from unittest.mock import ANY, Mock
 
 from flask import g
-from jwt import encode
-from pytest import fixture, mark, raises  # noqa: PT013
+from jwt import decode, encode
+from pytest import approx, fixture, mark, raises  # noqa: PT013
 
 from superset import security_manager
 from superset.async_events.async_query_manager import (
@@ -78,6 +79,62 @@ def test_parse_channel_id_from_request_bad_jwt(async_query_manager):
         async_query_manager.parse_channel_id_from_request(request)
 
 
+def test_parse_channel_id_from_request_expired_jwt(async_query_manager):
+    encoded_token = encode(
+        {"channel": "test_channel_id", "exp": int(time.time()) - 60},
+        JWT_TOKEN_SECRET,
+        algorithm="HS256",
+    )
+
+    request = Mock()
+    request.cookies = {"superset_async_jwt": encoded_token}
+
+    assert (
+        async_query_manager.parse_channel_id_from_request(request) == "test_channel_id"
+    )
+
+
+def test_generate_token(async_query_manager):
+    async_query_manager._jwt_expiration = 3600
+
+    token, expires_at = async_query_manager.generate_token("test_channel_id", 1)
+
+    payload = decode(token, JWT_TOKEN_SECRET, algorithms=["HS256"])
+    assert payload == {"channel": "test_channel_id", "sub": "1", "exp": expires_at}
+    assert expires_at - time.time() == approx(3600, abs=5)
+
+
+def test_generate_token_without_expiration(async_query_manager):
+    token, expires_at = async_query_manager.generate_token("test_channel_id", None)
+
+    payload = decode(token, JWT_TOKEN_SECRET, algorithms=["HS256"])
+    assert payload == {"channel": "test_channel_id", "sub": None}
+    assert expires_at is None
+
+
+@mark.parametrize(
+    "expires_in, needs_rotation",
+    [
+        (None, True),
+        (3000, False),
+        (1000, True),
+        (-60, True),
+    ],
+)
+def test_token_needs_rotation(async_query_manager, expires_in, needs_rotation):
+    async_query_manager._jwt_expiration = 3600
+    payload = {"channel": "test_channel_id"}
+    if expires_in is not None:
+        payload["exp"] = int(time.time()) + expires_in
+    token = encode(payload, JWT_TOKEN_SECRET, algorithm="HS256")
+
+    assert async_query_manager._token_needs_rotation(token) is needs_rotation
+    assert async_query_manager._token_needs_rotation("bad_jwt") is True
+
+    async_query_manager._jwt_expiration = None
+    assert async_query_manager._token_needs_rotation(token) is False
+
+
 @mark.parametrize(
     "cache_type, cache_backend",
     [
@@ -0,0 +1,270 @@
+# Licensed to the Apache Software Foundation (ASF) under one
+# or more contributor license agreements.  See the NOTICE file
+# distributed with this work for additional information
+# regarding copyright ownership.  The ASF licenses this file
+# to you under the Apache License, Version 2.0 (the
+# "License"); you may not use this file except in compliance
+# with the License.  You may obtain a copy of the License at
+#
+#   http://www.apache.org/licenses/LICENSE-2.0
+#
+# Unless required by applicable law or agreed to in writing,
+# software distributed under the License is distributed on an
+# "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+# KIND, either express or implied.  See the License for the
+# specific language governing permissions and limitations
+# under the License.
+from typing import Any
+from unittest.mock import MagicMock
+
+import pytest
+from pytest_mock import MockerFixture
+
+from superset.commands.database.column_search import SearchColumnsDatabaseCommand
+from superset.commands.database.exceptions import (
+    DatabaseColumnSearchUnexpectedError,
+    DatabaseNotFoundError,
+)
+from superset.extensions import security_manager
+from superset.utils.core import DatasourceName
+
+TABLES = {
+    "schema1": {"orders", "secret"},
+    "schema2": {"users"},
+}
+
+COLUMNS = {
+    ("schema1", "orders"): [
+        {"name": "customer_id", "type": "INTEGER", "comment": None},
+        {"name": "amount", "type": "DECIMAL", "comment": None},
+    ],
+    ("schema1", "secret"): [
+        {"name": "customer_ssn", "type": "VARCHAR", "comment": None},
+    ],
+    ("schema2", "users"): [
+        {"name": "id", "type": "INTEGER", "comment": "The customer id"},
+    ],
+}
+
+CONFIG = {
+    "SQLLAB_COLUMN_SEARCH_MAX_RESULTS": 200,
+    "SQLLAB_COLUMN_SEARCH_MAX_TABLES": 500,
+    "SQLLAB_COLUMN_SEARCH_TIMEOUT": 30,
+}
+
+
+@pytest.fixture
+def current_app(mocker: MockerFixture) -> MagicMock:
+    current_app = mocker.patch("superset.commands.database.column_search.current_app")
+    current_app.config = dict(CONFIG)
+    return current_app
+
+
+@pytest.fixture
+def database(mocker: MockerFixture, current_app: MagicMock) -> MagicMock:
+    """
+    Mock a database with two schemas.
+    """
+    database = mocker.MagicMock()
+    database.get_all_schema_names.return_value = {"schema1", "schema2"}
+    database.get_all_table_names_in_schema.side_effect = (
+        lambda schema, **kwargs: {(table, schema, None) for table in TABLES[schema]}
+    )
+    database.get_all_view_names_in_schema.return_value = set()
+    database.get_all_columns_in_table.side_effect = (
+        lambda schema, table_name, **kwargs: COLUMNS[(schema, table_name)]
+    )
+
+    DatabaseDAO = mocker.patch("superset.commands.database.column_search.DatabaseDAO")  # noqa: N806
+    DatabaseDAO.find_by_id.return_value = database
+
+    mocker.patch.object(
+        security_manager,
+        "get_schemas_accessible_by_user",
+        side_effect=lambda database, catalog, schemas: schemas,
+    )
+
+    return database
+
+
+def get_read_tables(database: MagicMock) -> list[str]:
+    return [
+        call.kwargs["table_name"]
+        for call in database.get_all_columns_in_table.call_args_list
+    ]
+
+
+def test_column_search(mocker: MockerFixture, database: MagicMock) -> None:
+    """
+    Test that columns are matched by name or comment, and that only the columns of
+    the tables accessible by the user are read.
+    """
+    get_datasources_accessible_by_user = mocker.patch.object(
+        security_manager,
+        "get_datasources_accessible_by_user",
+        side_effect=[
+            [DatasourceName("orders", "schema1")],
+            [DatasourceName("users", "schema2")],
+        ],
+    )
+
+    payload = SearchColumnsDatabaseCommand(1, None, " Customer", False).run()
+    assert payload == {
+        "count": 2,
+        "has_more": False,
+        "result": [
+            {
+                "catalog": None,
+                "schema": "schema1",
+                "table": "orders",
+                "name": "customer_id",
+                "type": "INTEGER",
+                "comment": None,
+            },
+            {
+                "catalog": None,
+                "schema": "schema2",
+                "table": "users",
+                "name": "id",
+                "type": "INTEGER",
+                "comment": "The customer id",
+            },
+        ],
+    }
+
+    get_datasources_accessible_by_user.assert_has_calls(
+        [
+            mocker.call(
+                database=database,
+                catalog=None,
+                schema="schema1",
+                datasource_names=[
+                    DatasourceName("orders", "schema1"),
+                    DatasourceName("secret", "schema1"),
+                ],
+            ),
+            mocker.call(
+                database=database,
+                catalog=None,
+                schema="schema2",
+                datasource_names=[DatasourceName("users", "schema2")],
+            ),
+        ],
+    )
+    assert get_read_tables(database) == ["orders", "users"]
+    database.get_all_columns_in_table.assert_called_with(
+        catalog=None,
+        schema="schema2",
+        table_name="users",
+        force=False,
+        cache=database.table_cache_enabled,
+        cache_timeout=database.table_cache_timeout,
+    )
+
+
+@pytest.fixture
+def all_accessible(mocker: MockerFixture) -> None:
+    mocker.patch.object(
+        security_manager,
+        "get_datasources_accessible_by_user",
+        side_effect=lambda datasource_names, **kwargs: datasource_names,
+    )
+
+
+@pytest.mark.usefixtures("all_accessible")
+def test_column_search_by_type_max_results(
+    current_app: MagicMock,
+    database: MagicMock,
+) -> None:
+    """
+    Test that the results are capped, and that the remaining tables are skipped.
+    """
+    current_app.config["SQLLAB_COLUMN_SEARCH_MAX_RESULTS"] = 1
+
+    payload = SearchColumnsDatabaseCommand(1, None, "integer", False).run()
+    assert payload["count"] == 1
+    assert payload["has_more"] is True
+    assert payload["result"][0]["name"] == "customer_id"
+    assert get_read_tables(database) == ["orders", "secret", "users"]
+
+
+@pytest.mark.usefixtures("all_accessible")
+def test_column_search_max_tables(
+    current_app: MagicMock,
+    database: MagicMock,
+) -> None:
+    """
+    Test that the search stops after reading the maximum number of tables.
+    """
+    current_app.config["SQLLAB_COLUMN_SEARCH_MAX_TABLES"] = 1
+
+    payload = SearchColumnsDatabaseCommand(1, None, "id", False).run()
+    assert payload == {
+        "count": 1,
+        "has_more": True,
+        "result": [
+            {
+                "catalog": None,
+                "schema": "schema1",
+                "table": "orders",
+                "name": "customer_id",
+                "type": "INTEGER",
+                "comment": None,
+            },
+        ],
+    }
+    assert get_read_tables(database) == ["orders"]
+
+
+@pytest.mark.usefixtures("all_accessible")
+def test_column_search_timeout(mocker: MockerFixture, database: MagicMock) -> None:
+    """
+    Test that the search stops once it runs out of time.
+    """
+    time = mocker.patch("superset.commands.database.column_search.time")
+    time.monotonic.side_effect = [0, 10, 31]
+
+    payload = SearchColumnsDatabaseCommand(1, None, "id", False).run()
+    assert payload["has_more"] is True
+    assert get_read_tables(database) == ["orders"]
+
+
+@pytest.mark.usefixtures("all_accessible")
+def test_column_search_unreadable_table(database: MagicMock) -> None:
+    """
+    Test that the tables whose columns can't be read are skipped.
+    """
+
+    def get_all_columns_in_table(
+        schema: str, table_name: str, **kwargs: Any
+    ) -> list[dict[str, Any]]:
+        if table_name == "orders":
+            raise ValueError("boom")
+        return COLUMNS[(schema, table_name)]
+
+    database.get_all_columns_in_table.side_effect = get_all_columns_in_table
+
+    payload = SearchColumnsDatabaseCommand(1, None, "id", False).run()
+    assert [column["table"] for column in payload["result"]] == ["users"]
+    assert get_read_tables(database) == ["orders", "secret", "users"]
+
+
+def test_column_search_database_not_found(mocker: MockerFixture) -> None:
+    """
+    Test that an error is raised when the database does not exist.
+    """
+    DatabaseDAO = mocker.patch("superset.commands.database.column_search.DatabaseDAO")  # noqa: N806
+    DatabaseDAO.find_by_id.return_value = None
+
+    with pytest.raises(DatabaseNotFoundError):
+        SearchColumnsDatabaseCommand(1, None, "id", False).run()
+
+
+def test_column_search_unexpected_error(database: MagicMock) -> None:
+    """
+    Test that unexpected errors are wrapped.
+    """
+    database.get_all_schema_names.side_effect = ValueError("boom")
+
+    with pytest.raises(DatabaseColumnSearchUnexpectedError):
+        SearchColumnsDatabaseCommand(1, None, "id", False).run()
@@ -382,3 +382,37 @@ def test_unmask_encrypted_extra() -> None:
             },
         }
     )
+
+
+def test_explain_query(mocker: MockerFixture) -> None:
+    """
+    Test that the plan of each statement is returned with its format.
+    """
+    from superset.db_engine_specs.base import BaseEngineSpec
+
+    database = mocker.MagicMock()
+    database.mutate_sql_based_on_config.side_effect = lambda sql, is_split: sql
+    cursor = database.get_raw_connection().__enter__().cursor()
+    cursor.fetchall.side_effect = [
+        [("Scan table a",), ("  Filter",)],
+        [("Scan table b",)],
+    ]
+
+    assert BaseEngineSpec.explain_query(
+        database,
+        None,
+        "public",
+        "SELECT * FROM a; SELECT * FROM b",
+    ) == [
+        {
+            "sql": "SELECT\n  *\nFROM a",
+            "format": "text",
+            "plan": "Scan table a\n  Filter",
+        },
+        {
+            "sql": "SELECT\n  *\nFROM b",
+            "format": "text",
+            "plan": "Scan table b",
+        },
+    ]
+    cursor.execute.assert_any_call("EXPLAIN SELECT\n  *\nFROM a")
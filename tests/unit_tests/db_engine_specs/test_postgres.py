@@ -243,3 +243,17 @@ def test_timegrain_expressions(time_grain: str, expected_result: str) -> None:
         spec.get_timestamp_expr(col=column("col"), pdf=None, time_grain=time_grain)
     )
     assert actual == expected_result
+
+
+def test_explain_statement(mocker: MockerFixture) -> None:
+    """
+    Test that the decoded JSON plan is serialized again.
+    """
+    cursor = mocker.MagicMock()
+    cursor.fetchone.return_value = ([{"Plan": {"Node Type": "Seq Scan"}}],)
+
+    assert (
+        spec.explain_statement("SELECT * FROM a", cursor)
+        == '[{"Plan": {"Node Type": "Seq Scan"}}]'
+    )
+    cursor.execute.assert_called_with("EXPLAIN (FORMAT JSON) SELECT * FROM a")
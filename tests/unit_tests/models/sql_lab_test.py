@@ -23,7 +23,14 @@ from pytest_mock import MockerFixture
 
 from superset.errors import ErrorLevel, SupersetError, SupersetErrorType
 from superset.exceptions import SupersetSecurityException
-from superset.models.sql_lab import Query, SavedQuery
+from superset.models.sql_lab import (
+    collect_changed_queries,
+    discard_query_events,
+    prepare_query_events,
+    publish_query_events,
+    Query,
+    SavedQuery,
+)
 
 
 @pytest.mark.parametrize(
@@ -57,3 +64,109 @@ def test_sql_tables_mixin_sql_tables_exception(
     )
 
     assert klass(sql="SELECT 1", database=MagicMock()).sql_tables == []
+
+
+def flush(session: MagicMock) -> None:
+    collect_changed_queries(session, MagicMock())
+    prepare_query_events(session, MagicMock())
+
+
+def test_publish_query_events(mocker: MockerFixture) -> None:
+    """
+    Test that status changes of a query are published to its async event channel
+    once committed.
+    """
+    mocker.patch("superset.models.sql_lab.is_feature_enabled", return_value=True)
+    async_query_manager = mocker.patch("superset.extensions.async_query_manager")
+    query = Query(
+        client_id="abc",
+        user_id=1,
+        status="running",
+        progress=50,
+        extra_json='{"async_channel_id": "channel"}',
+    )
+    mocker.patch.object(query, "to_dict", return_value={"id": "abc"})
+    session = MagicMock(info={}, dirty=[query])
+
+    flush(session)
+    async_query_manager.update_job.assert_not_called()
+
+    publish_query_events(session)
+    async_query_manager.update_job.assert_called_once_with(
+        {
+            "channel_id": "channel",
+            "job_id": "abc",
+            "user_id": 1,
+            "status": None,
+            "errors": [],
+            "result_url": None,
+        },
+        "running",
+        type="sqllab_query",
+        query={"id": "abc"},
+    )
+    assert session.info == {}
+
+
+def test_discard_query_events(mocker: MockerFixture) -> None:
+    """
+    Test that status changes of a query are not published when rolled back.
+    """
+    mocker.patch("superset.models.sql_lab.is_feature_enabled", return_value=True)
+    async_query_manager = mocker.patch("superset.extensions.async_query_manager")
+    query = Query(
+        client_id="abc",
+        status="running",
+        extra_json='{"async_channel_id": "channel"}',
+    )
+    mocker.patch.object(query, "to_dict", return_value={"id": "abc"})
+    session = MagicMock(info={}, dirty=[query])
+
+    flush(session)
+    discard_query_events(session)
+    publish_query_events(session)
+
+    async_query_manager.update_job.assert_not_called()
+
+
+def test_publish_query_events_without_channel(mocker: MockerFixture) -> None:
+    """
+    Test that queries which were not run from a SQL Lab session are not published.
+    """
+    mocker.patch("superset.models.sql_lab.is_feature_enabled", return_value=True)
+    async_query_manager = mocker.patch("superset.extensions.async_query_manager")
+    session = MagicMock(info={}, dirty=[Query(client_id="abc", status="running")])
+
+    flush(session)
+    publish_query_events(session)
+
+    async_query_manager.update_job.assert_not_called()
+
+
+def test_publish_query_events_feature_disabled(mocker: MockerFixture) -> None:
+    """
+    Test that nothing is published when async queries are disabled.
+    """
+    mocker.patch("superset.models.sql_lab.is_feature_enabled", return_value=False)
+    async_query_manager = mocker.patch("superset.extensions.async_query_manager")
+    query = Query(
+        client_id="abc",
+        status="running",
+        extra_json='{"async_channel_id": "channel"}',
+    )
+    session = MagicMock(info={}, dirty=[query])
+
+    flush(session)
+    publish_query_events(session)
+
+    async_query_manager.update_job.assert_not_called()
+
+
+def test_query_public_extra() -> None:
+    """
+    Test that the async event channel of a query is not exposed.
+    """
+    query = Query(extra_json='{"async_channel_id": "channel", "progress": "1/2"}')
+
+    assert query.public_extra == {"status_pushed": True, "progress": "1/2"}
+    assert Query(extra_json='{"progress": "1/2"}').public_extra == {"progress": "1/2"}
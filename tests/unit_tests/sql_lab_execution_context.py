@@ -100,3 +100,24 @@ def test_create_table_as_select():
     assert ctas.ctas_method == "TABLE"
     assert ctas.target_schema_name == "public"
     assert ctas.target_table_name == "temp_table"
+
+
+@with_feature_flags(GLOBAL_ASYNC_QUERIES=True)
+def test_create_query_keeps_the_async_channel(mocker, query_params):
+    mocker.patch(
+        "superset.sqllab.sqllab_execution_context.has_request_context",
+        return_value=True,
+    )
+    mocker.patch(
+        "superset.sqllab.sqllab_execution_context.async_query_manager"
+    ).parse_channel_id_from_request.return_value = "channel123"
+    context = SqlJsonExecutionContext(query_params)
+    assert context.async_channel_id == "channel123"
+    assert context.create_query().extra == {"async_channel_id": "channel123"}
+
+
+@with_feature_flags(GLOBAL_ASYNC_QUERIES=False)
+def test_create_query_without_async_channel(query_params):
+    context = SqlJsonExecutionContext(query_params)
+    assert context.async_channel_id is None
+    assert context.create_query().extra == {}
@@ -20,6 +20,7 @@ import json
 from unittest import mock
 from uuid import UUID
 
+import pandas as pd
 import pytest
 import sqlparse
 from freezegun import freeze_time
@@ -28,7 +29,7 @@ from sqlalchemy.orm.session import Session
 
 from superset import db
 from superset.common.db_query_status import QueryStatus
-from superset.errors import ErrorLevel, SupersetErrorType
+from superset.errors import ErrorLevel, SupersetError, SupersetErrorType
 from superset.exceptions import OAuth2Error, SupersetErrorException
 from superset.models.core import Database
 from superset.sql_lab import execute_sql_statements, get_sql_results
@@ -236,6 +237,109 @@ def test_execute_sql_statement_within_payload_limit(mocker: MockerFixture) -> No
         )
 
 
+def test_execute_sql_statements_multiple_statements(
+    mocker: MockerFixture, app: None
+) -> None:
+    """
+    Test that `execute_sql_statements` reports the status and the intermediate
+    results of each statement when running a script with several statements.
+    """
+    query = mocker.MagicMock()
+    query.limit = 1
+    query.database.db_engine_spec.engine = "sqlite"
+    query.database.db_engine_spec.run_multiple_statements_as_one = False
+    query.status = "RUNNING"
+    query.select_as_cta = False
+    query.database.allow_run_async = False
+    mocker.patch("superset.sql_lab.get_query", return_value=query)
+    mocker.patch("superset.sql_lab.db.session.refresh", return_value=None)
+
+    first_result = mocker.MagicMock(size=1, columns=[{"column_name": "a"}])
+    first_result.to_pandas_df.return_value = pd.DataFrame({"a": [1]})
+    last_result = mocker.MagicMock(size=1, columns=[{"column_name": "b"}])
+    mocker.patch(
+        "superset.sql_lab.execute_sql_statement",
+        side_effect=[first_result, last_result],
+    )
+    mocker.patch(
+        "superset.sql_lab._serialize_and_expand_data",
+        return_value=([{"b": 2}], [], [], []),
+    )
+
+    payload = execute_sql_statements(
+        query_id=1,
+        rendered_query="SELECT 1 AS a; SELECT 2 AS b",
+        return_results=True,
+        store_results=False,
+        start_time=None,
+        expand_data=False,
+        log_params={},
+    )
+
+    assert payload
+    assert [statement["state"] for statement in payload["statements"]] == [
+        QueryStatus.SUCCESS,
+        QueryStatus.SUCCESS,
+    ]
+    assert payload["statements"][0]["rows"] == 1
+    assert payload["statements"][0]["data"] == [{"a": 1}]
+    # the last statement's results are the query results
+    assert "data" not in payload["statements"][1]
+    assert payload["data"] == [{"b": 2}]
+
+
+def test_execute_sql_statements_failed_statement(
+    mocker: MockerFixture, app: None
+) -> None:
+    """
+    Test that `execute_sql_statements` attributes an error to the statement that
+    failed when running a script with several statements.
+    """
+    query = mocker.MagicMock()
+    query.limit = 1
+    query.end_time = None
+    query.database.db_engine_spec.engine = "sqlite"
+    query.database.db_engine_spec.run_multiple_statements_as_one = False
+    query.database.db_engine_spec.extract_errors.return_value = [
+        SupersetError(
+            message="no such table: foo",
+            error_type=SupersetErrorType.GENERIC_DB_ENGINE_ERROR,
+            level=ErrorLevel.ERROR,
+        )
+    ]
+    query.status = "RUNNING"
+    query.select_as_cta = False
+    query.database.allow_run_async = False
+    mocker.patch("superset.sql_lab.get_query", return_value=query)
+    mocker.patch("superset.sql_lab.db.session.refresh", return_value=None)
+    mocker.patch(
+        "superset.sql_lab.execute_sql_statement",
+        side_effect=[
+            mocker.MagicMock(size=0, columns=[]),
+            Exception("no such table: foo"),
+        ],
+    )
+
+    payload = execute_sql_statements(
+        query_id=1,
+        rendered_query="CREATE TABLE bar AS SELECT 1; SELECT * FROM foo",
+        return_results=True,
+        store_results=False,
+        start_time=None,
+        expand_data=False,
+        log_params={},
+    )
+
+    assert payload
+    assert payload["status"] == QueryStatus.FAILED
+    assert [statement["state"] for statement in payload["statements"]] == [
+        QueryStatus.SUCCESS,
+        QueryStatus.FAILED,
+    ]
+    assert payload["statements"][1]["errorMessage"] == "no such table: foo"
+    assert payload["errors"][0]["extra"] == {"statement": 1}
+
+
 def test_sql_lab_insert_rls_as_subquery(
     mocker: MockerFixture,
     session: Session,